@@ -0,0 +1,178 @@
+/**
+ * Book Exporter for Text Reader Application
+ * Writes a book back out as one plain text file: its stories joined in
+ * splitIndex order, lines as stored (renaming a chapter rewrites its line)
+ */
+
+class BookExporter {
+  static get ENCODINGS() {
+    return {
+      'utf-8': 'UTF-8',
+      'utf-8-bom': 'UTF-8 with BOM',
+      gbk: 'GBK'
+    };
+  }
+
+  static get LINE_ENDINGS() {
+    return {
+      lf: 'LF (macOS, Linux)',
+      crlf: 'CRLF (Windows)'
+    };
+  }
+
+  /**
+   * Written in place of characters the chosen encoding cannot represent
+   */
+  static get REPLACEMENT_CHAR() {
+    return '?';
+  }
+
+  /**
+   * @param {TextReaderDB} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * File name for a book, without characters file systems reject
+   */
+  static fileName(bookName, extension = 'txt') {
+    const name = (bookName || '').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim();
+    return `${name || 'book'}.${extension}`;
+  }
+
+  /**
+   * Join stories into one text
+   * Heading lines are written as they are, since chapter titles may be cut
+   * short at punctuation; a chapter title is only written for a heading line
+   * with no text of its own
+   * @param {Object[]} stories - Story records of one book
+   * @returns {string}
+   */
+  static buildText(stories) {
+    const sorted = stories.slice().sort((a, b) => (a.splitIndex || 0) - (b.splitIndex || 0));
+    const lines = [];
+
+    for (const story of sorted) {
+      const headings = new Map((story.chapters || []).map(chapter => [chapter.lineNumber, chapter.title]));
+      (story.content || '').split('\n').forEach((line, lineIndex) => {
+        const text = line.replace(/\r$/, '');
+        lines.push(text.trim() === '' && headings.has(lineIndex) ? headings.get(lineIndex) : text);
+      });
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Map of character -> GBK bytes, built once by decoding every GBK code
+   * (browsers have no GBK TextEncoder)
+   */
+  static gbkTable() {
+    if (BookExporter.gbkEncodeTable) return BookExporter.gbkEncodeTable;
+
+    const decoder = new TextDecoder('gbk');
+    const table = new Map();
+    table.set(decoder.decode(Uint8Array.of(0x80)), [0x80]);
+    for (let lead = 0x81; lead <= 0xfe; lead++) {
+      for (let trail = 0x40; trail <= 0xfe; trail++) {
+        if (trail === 0x7f) continue;
+        const char = decoder.decode(Uint8Array.of(lead, trail));
+        if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) {
+          table.set(char, [lead, trail]);
+        }
+      }
+    }
+
+    BookExporter.gbkEncodeTable = table;
+    return table;
+  }
+
+  /**
+   * Encode text as GBK
+   * @returns {{bytes: Uint8Array, unencodable: number}} - unencodable counts the
+   *   characters written as REPLACEMENT_CHAR
+   */
+  static encodeGbk(text) {
+    const table = BookExporter.gbkTable();
+    const bytes = new Uint8Array(text.length * 2);
+    const replacement = BookExporter.REPLACEMENT_CHAR.charCodeAt(0);
+    let length = 0;
+    let unencodable = 0;
+
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      if (code < 0x80) {
+        bytes[length++] = code;
+        continue;
+      }
+      const encoded = table.get(char);
+      if (encoded) {
+        encoded.forEach(byte => { bytes[length++] = byte; });
+      } else {
+        bytes[length++] = replacement;
+        unencodable++;
+      }
+    }
+    return { bytes: bytes.subarray(0, length), unencodable };
+  }
+
+  /**
+   * Encode text in one of ENCODINGS
+   * @returns {{bytes: Uint8Array, unencodable: number}}
+   */
+  static encode(text, encoding) {
+    if (encoding === 'gbk') {
+      return BookExporter.encodeGbk(text);
+    }
+    const utf8 = new TextEncoder().encode(text);
+    if (encoding !== 'utf-8-bom') {
+      return { bytes: utf8, unencodable: 0 };
+    }
+    const bytes = new Uint8Array(utf8.length + 3);
+    bytes.set([0xef, 0xbb, 0xbf]);
+    bytes.set(utf8, 3);
+    return { bytes, unencodable: 0 };
+  }
+
+  /**
+   * Export a book as a .txt file
+   * @param {string} bookId
+   * @param {Object} options
+   * @param {string} options.encoding - One of ENCODINGS, 'utf-8' by default
+   * @param {string} options.lineEnding - One of LINE_ENDINGS, 'lf' by default
+   * @returns {Promise<{blob: Blob, fileName: string, unencodable: number}>}
+   */
+  async exportText(bookId, options = {}) {
+    const book = await this.db.getBookById(bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    const stories = await this.db.getStoriesByBookId(bookId);
+    if (stories.length === 0) {
+      throw new Error('The book has no text to export');
+    }
+
+    let text = BookExporter.buildText(stories);
+    if (options.lineEnding === 'crlf') {
+      text = text.replace(/\n/g, '\r\n');
+    }
+
+    const encoding = BookExporter.ENCODINGS[options.encoding] ? options.encoding : 'utf-8';
+    const { bytes, unencodable } = BookExporter.encode(text, encoding);
+    const charset = encoding === 'gbk' ? 'gbk' : 'utf-8';
+    return {
+      blob: new Blob([bytes], { type: `text/plain;charset=${charset}` }),
+      fileName: BookExporter.fileName(book.bookName),
+      unencodable
+    };
+  }
+}
+
+// Export for use in other modules
+window.BookExporter = BookExporter;
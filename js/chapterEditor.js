@@ -0,0 +1,144 @@
+/**
+ * Chapter Editor for Text Reader Application
+ * Edits the chapter list of an imported story: rename, merge with the next
+ * chapter, split at a paragraph or demote a bogus heading to plain text
+ *
+ * Edits are made on the story's source lines and its headings, then the HTML
+ * and chapters are rebuilt with LocalFileProcessor so anchors (line-N) always
+ * match the new line numbers; formatted rows (Markdown, DOCX) and heading levels
+ * move with their lines
+ */
+
+class ChapterEditor {
+  /**
+   * @param {Object} story - Story record from TextReaderDB
+   */
+  constructor(story) {
+    this.story = story;
+    this.lines = (story.content || '').split('\n');
+    this.headings = (story.chapters || []).map(chapter => ({
+      lineIndex: chapter.lineNumber,
+      title: chapter.title,
+      level: chapter.level || null
+    }));
+    // Formatted HTML of each line (formatted stories only), null for plain lines
+    const { rows } = LocalFileProcessor.readFormatting(story);
+    this.rows = rows ? this.lines.map((line, index) => rows.get(index) || null) : null;
+    // Old chapter title -> title of the chapter that now holds its text
+    this.titleChanges = new Map();
+  }
+
+  /**
+   * Give a chapter a new title; its heading line in the text is replaced too
+   */
+  rename(index, title) {
+    const heading = this.headings[index];
+    const newTitle = title.replace(/\s+/g, ' ').trim();
+    if (!heading || !newTitle || newTitle === heading.title) return false;
+
+    this.lines[heading.lineIndex] = newTitle;
+    this.titleChanges.set(heading.title, newTitle);
+    heading.title = newTitle;
+    return true;
+  }
+
+  /**
+   * Merge the following chapter into this one, dropping its heading line
+   */
+  mergeWithNext(index) {
+    const heading = this.headings[index];
+    const next = this.headings[index + 1];
+    if (!heading || !next) return false;
+
+    this.headings.splice(index + 1, 1);
+    this.removeLine(next.lineIndex);
+    this.titleChanges.set(next.title, heading.title);
+    return true;
+  }
+
+  /**
+   * Turn a heading back into an ordinary paragraph of the previous chapter
+   */
+  demote(index) {
+    const heading = this.headings[index];
+    if (!heading) return false;
+
+    this.headings.splice(index, 1);
+    const previous = this.headings[index - 1];
+    this.titleChanges.set(heading.title, previous ? previous.title : '');
+    return true;
+  }
+
+  /**
+   * Start a new chapter at the given line: with a title, a heading line is
+   * inserted before it; without one, the line itself becomes the heading
+   */
+  splitAt(lineIndex, title = '') {
+    if (lineIndex < 0 || lineIndex >= this.lines.length) return false;
+    if (this.headings.some(heading => heading.lineIndex === lineIndex)) return false;
+
+    const newTitle = title.replace(/\s+/g, ' ').trim();
+    if (newTitle) {
+      this.lines.splice(lineIndex, 0, newTitle);
+      if (this.rows) this.rows.splice(lineIndex, 0, null);
+      this.headings.forEach(heading => {
+        if (heading.lineIndex >= lineIndex) heading.lineIndex++;
+      });
+      this.headings.push({ lineIndex, title: newTitle });
+    } else {
+      const text = this.lines[lineIndex].trim();
+      if (!text) return false;
+      this.headings.push({ lineIndex, title: LocalFileProcessor.truncateTitleAtPunctuation(text) || text });
+    }
+
+    this.headings.sort((a, b) => a.lineIndex - b.lineIndex);
+    return true;
+  }
+
+  removeLine(lineIndex) {
+    this.lines.splice(lineIndex, 1);
+    if (this.rows) this.rows.splice(lineIndex, 1);
+    this.headings.forEach(heading => {
+      if (heading.lineIndex > lineIndex) heading.lineIndex--;
+    });
+  }
+
+  /**
+   * Source line of the n-th paragraph row (.chapter-content-row) in the
+   * story's HTML; rows are the non-blank lines that are not headings
+   * @returns {number} - Line index, or -1 if there is no such row
+   */
+  lineIndexOfRow(rowIndex) {
+    const headingLines = new Set(this.headings.map(heading => heading.lineIndex));
+    let row = 0;
+    for (let i = 0; i < this.lines.length; i++) {
+      if (headingLines.has(i) || this.lines[i].trim() === '') continue;
+      if (row === rowIndex) return i;
+      row++;
+    }
+    return -1;
+  }
+
+  /**
+   * Rebuild content, HTML and chapters on the story record
+   * @param {LocalFileProcessor} processor
+   * @returns {Object} - The updated story, ready for TextReaderDB.updateStory
+   */
+  apply(processor) {
+    const content = this.lines.join('\n');
+    const headings = new Map(this.headings.map(heading => [heading.lineIndex, heading.title]));
+    const levels = new Map(this.headings.filter(heading => heading.level).map(heading => [heading.lineIndex, heading.level]));
+    const rows = this.rows
+      ? new Map(this.rows.map((row, index) => [index, row]).filter(([index, row]) => row))
+      : null;
+    const processingResult = processor.processContentWithChapters(content, { headings, levels, rows });
+
+    this.story.content = content;
+    this.story.processedContent = processingResult.htmlContent;
+    this.story.chapters = processingResult.chapters;
+    return this.story;
+  }
+}
+
+// Export for use in other modules
+window.ChapterEditor = ChapterEditor;
@@ -0,0 +1,207 @@
+/**
+ * Chapter Review for Text Reader Application
+ * Pre-import dialog listing every detected heading so false positives can be
+ * unticked and missed headings promoted from any line before the book is saved
+ */
+
+class ChapterReviewDialog {
+  /**
+   * Maximum number of lines listed when searching for lines to promote
+   */
+  static get SEARCH_LIMIT() {
+    return 50;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Array<{lineIndex: number, title: string}>} options.chapters - Detected headings
+   * @param {string} options.content - Decoded file content
+   */
+  constructor(options = {}) {
+    this.lines = (options.content || '').split('\n');
+    this.headings = (options.chapters || []).map(chapter => ({
+      lineIndex: chapter.lineIndex,
+      title: chapter.title,
+      checked: true,
+      promoted: false
+    }));
+    this.element = null;
+    this.runSearch = window.debounce(() => this.renderSearchResults(), 250);
+  }
+
+  /**
+   * Show the review dialog
+   * @param {Object} options - Constructor options plus fileName
+   * @returns {Promise<Array<{lineIndex: number, title: string}>|null>} - The headings
+   *   to import, or null if the import was cancelled
+   */
+  static async open(options = {}) {
+    const review = new ChapterReviewDialog(options);
+    const confirmed = await window.iosModal.dialog({
+      title: 'Review Chapters',
+      message: `Untick lines in "${options.fileName || ''}" that are not chapter headings, or search for lines to add.`,
+      content: review.render(),
+      wide: true,
+      buttons: [
+        { text: 'Cancel', value: false, role: 'cancel' },
+        { text: 'Import', value: true, role: 'primary' }
+      ]
+    });
+    return confirmed ? review.getSelectedChapters() : null;
+  }
+
+  getSelectedChapters() {
+    return this.headings
+      .filter(heading => heading.checked)
+      .map(heading => ({ lineIndex: heading.lineIndex, title: heading.title }));
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'chapter-review';
+    this.element.innerHTML = `
+      <div class="chapter-review-toolbar">
+        <span class="chapter-review-summary"></span>
+        <button type="button" class="btn btn-sm btn-link chapter-review-all">All</button>
+        <button type="button" class="btn btn-sm btn-link chapter-review-none">None</button>
+      </div>
+      <div class="chapter-review-list"></div>
+      <input type="search" class="form-control form-control-sm chapter-review-search"
+        placeholder="Find lines to mark as chapter headings">
+      <div class="chapter-review-results"></div>
+    `;
+
+    this.element.querySelector('.chapter-review-all').addEventListener('click', () => this.setAllChecked(true));
+    this.element.querySelector('.chapter-review-none').addEventListener('click', () => this.setAllChecked(false));
+    const search = this.element.querySelector('.chapter-review-search');
+    search.addEventListener('input', this.runSearch);
+    // Enter searches instead of reaching the modal, where it would import
+    search.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.renderSearchResults();
+    });
+
+    this.renderHeadings();
+    return this.element;
+  }
+
+  setAllChecked(checked) {
+    this.headings.forEach(heading => {
+      heading.checked = checked;
+    });
+    this.renderHeadings();
+  }
+
+  /**
+   * Text of the first non-empty line after a heading, to tell real headings
+   * from dialogue or list items at a glance
+   */
+  getFollowingText(lineIndex) {
+    for (let i = lineIndex + 1; i < this.lines.length && i <= lineIndex + 5; i++) {
+      const text = this.lines[i].trim();
+      if (text) return text.substring(0, 60);
+    }
+    return '';
+  }
+
+  renderHeadings() {
+    const list = this.element.querySelector('.chapter-review-list');
+
+    if (this.headings.length === 0) {
+      list.innerHTML = '<div class="chapter-review-empty">No chapter headings detected</div>';
+    } else {
+      list.innerHTML = this.headings.map((heading, index) => `
+        <label class="chapter-review-row${heading.promoted ? ' promoted' : ''}" data-index="${index}">
+          <input type="checkbox" class="form-check-input" ${heading.checked ? 'checked' : ''}>
+          <span class="chapter-review-line">${heading.lineIndex + 1}</span>
+          <span class="chapter-review-text">
+            <span class="chapter-review-title">${window.escapeHtml(heading.title)}</span>
+            <span class="chapter-review-next">${window.escapeHtml(this.getFollowingText(heading.lineIndex))}</span>
+          </span>
+        </label>
+      `).join('');
+
+      list.querySelectorAll('.chapter-review-row input').forEach(input => {
+        input.addEventListener('change', (e) => {
+          const index = parseInt(e.target.closest('.chapter-review-row').dataset.index, 10);
+          this.headings[index].checked = e.target.checked;
+          this.renderSummary();
+        });
+      });
+    }
+
+    this.renderSummary();
+  }
+
+  renderSummary() {
+    const selected = this.headings.filter(heading => heading.checked).length;
+    this.element.querySelector('.chapter-review-summary').textContent =
+      `${selected} of ${this.headings.length} headings selected`;
+  }
+
+  /**
+   * List lines containing the search text that are not headings yet
+   */
+  renderSearchResults() {
+    const results = this.element.querySelector('.chapter-review-results');
+    const query = this.element.querySelector('.chapter-review-search').value.trim().toLowerCase();
+    if (!query) {
+      results.innerHTML = '';
+      return;
+    }
+
+    const headingLines = new Set(this.headings.map(heading => heading.lineIndex));
+    const matches = [];
+    for (let i = 0; i < this.lines.length && matches.length < ChapterReviewDialog.SEARCH_LIMIT; i++) {
+      if (headingLines.has(i)) continue;
+      const text = this.lines[i].trim();
+      if (text && text.toLowerCase().includes(query)) {
+        matches.push({ lineIndex: i, text });
+      }
+    }
+
+    if (matches.length === 0) {
+      results.innerHTML = '<div class="chapter-review-empty">No matching lines</div>';
+      return;
+    }
+
+    results.innerHTML = matches.map(match => `
+      <div class="chapter-review-result">
+        <span class="chapter-review-line">${match.lineIndex + 1}</span>
+        <span class="chapter-review-title">${window.escapeHtml(match.text.substring(0, 80))}</span>
+        <button type="button" class="btn btn-sm btn-link chapter-review-promote" data-line="${match.lineIndex}" title="Mark as chapter heading">
+          <i class="fas fa-plus"></i>
+        </button>
+      </div>
+    `).join('');
+
+    results.querySelectorAll('.chapter-review-promote').forEach(button => {
+      button.addEventListener('click', () => this.promoteLine(parseInt(button.dataset.line, 10)));
+    });
+  }
+
+  /**
+   * Turn an arbitrary line into a chapter heading
+   */
+  promoteLine(lineIndex) {
+    const text = this.lines[lineIndex].trim();
+    this.headings.push({
+      lineIndex,
+      title: LocalFileProcessor.truncateTitleAtPunctuation(text) || text,
+      checked: true,
+      promoted: true
+    });
+    this.headings.sort((a, b) => a.lineIndex - b.lineIndex);
+
+    this.renderHeadings();
+    this.renderSearchResults();
+
+    const row = this.element.querySelector(`.chapter-review-row[data-index="${this.headings.findIndex(h => h.lineIndex === lineIndex)}"]`);
+    if (row) row.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Export for use in other modules
+window.ChapterReviewDialog = ChapterReviewDialog;
@@ -0,0 +1,117 @@
+/**
+ * Chapter Rules for Text Reader Application
+ * User-defined chapter heading regexes, saved globally in localStorage
+ * or per book on the book record (book.chapterRules)
+ *
+ * A rule is { pattern, flags, enabled }; pattern is a RegExp source tested
+ * against each trimmed line, and the first enabled rule that matches wins
+ */
+
+class ChapterRules {
+  static get STORAGE_KEY() {
+    return 'chapterRules';
+  }
+
+  /**
+   * Built-in rules, derived from LocalFileProcessor.CHAPTER_PATTERNS
+   */
+  static defaultRules() {
+    return LocalFileProcessor.CHAPTER_PATTERNS.map(pattern => ({
+      pattern: pattern.source,
+      flags: pattern.flags,
+      enabled: true
+    }));
+  }
+
+  /**
+   * Global rules, or the built-in rules if the user never saved any
+   */
+  static loadGlobal() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ChapterRules.STORAGE_KEY));
+      if (Array.isArray(saved) && saved.length > 0) {
+        return saved;
+      }
+    } catch (e) {
+      // Corrupt setting, fall back to the defaults
+    }
+    return ChapterRules.defaultRules();
+  }
+
+  static saveGlobal(rules) {
+    localStorage.setItem(ChapterRules.STORAGE_KEY, JSON.stringify(ChapterRules.normalize(rules)));
+  }
+
+  static resetGlobal() {
+    localStorage.removeItem(ChapterRules.STORAGE_KEY);
+  }
+
+  /**
+   * Whether the global rules differ from the built-in ones
+   */
+  static hasCustomGlobal() {
+    return localStorage.getItem(ChapterRules.STORAGE_KEY) !== null;
+  }
+
+  /**
+   * Rules that apply to a book: its own rules if it has any, else the global ones
+   */
+  static forBook(book) {
+    if (book && Array.isArray(book.chapterRules) && book.chapterRules.length > 0) {
+      return book.chapterRules;
+    }
+    return ChapterRules.loadGlobal();
+  }
+
+  /**
+   * Drop empty rules and keep only the stored fields
+   */
+  static normalize(rules) {
+    return rules
+      .filter(rule => rule.pattern && rule.pattern.trim() !== '')
+      .map(rule => ({
+        pattern: rule.pattern,
+        flags: ChapterRules.sanitizeFlags(rule.flags),
+        enabled: rule.enabled !== false
+      }));
+  }
+
+  /**
+   * Keep the flags that make sense for testing single lines; 'g' and 'y'
+   * would make RegExp.test() stateful
+   */
+  static sanitizeFlags(flags) {
+    return Array.from(new Set((flags || '').replace(/[^imsu]/g, ''))).join('');
+  }
+
+  /**
+   * Return an error message for an invalid pattern, or null if it is valid
+   */
+  static validate(rule) {
+    if (!rule.pattern || rule.pattern.trim() === '') {
+      return 'Pattern is empty';
+    }
+    try {
+      new RegExp(rule.pattern, ChapterRules.sanitizeFlags(rule.flags));
+    } catch (e) {
+      return e.message;
+    }
+    // A pattern matching the empty string would turn every blank line into a chapter
+    if (new RegExp(rule.pattern, ChapterRules.sanitizeFlags(rule.flags)).test('')) {
+      return 'Pattern matches empty lines';
+    }
+    return null;
+  }
+
+  /**
+   * Compile enabled, valid rules into RegExps for LocalFileProcessor
+   */
+  static compile(rules) {
+    return rules
+      .filter(rule => rule.enabled !== false && ChapterRules.validate(rule) === null)
+      .map(rule => new RegExp(rule.pattern, ChapterRules.sanitizeFlags(rule.flags)));
+  }
+}
+
+// Export for use in other modules
+window.ChapterRules = ChapterRules;
@@ -0,0 +1,217 @@
+/**
+ * Chapter Rules Editor for Text Reader Application
+ * Dialog for adding, reordering and testing chapter heading regexes,
+ * with a live preview of the headings they match in a sample of the text
+ */
+
+class ChapterRulesEditor {
+  /**
+   * Maximum number of matched headings listed in the preview
+   */
+  static get PREVIEW_LIMIT() {
+    return 300;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - Rules to edit ({ pattern, flags, enabled })
+   * @param {string} options.sampleText - Text the preview runs against
+   * @param {string} options.sampleLabel - Where the sample comes from, shown above the preview
+   */
+  constructor(options = {}) {
+    this.rules = (options.rules || []).map(rule => ({ ...rule }));
+    this.sampleLines = (options.sampleText || '').split('\n');
+    this.sampleLabel = options.sampleLabel || '';
+    this.element = null;
+    this.refreshPreview = window.debounce(() => this.renderPreview(), 250);
+  }
+
+  /**
+   * Show the editor in a dialog
+   * @param {Object} options - Constructor options plus title, message and buttons
+   *   for iosModal.dialog
+   * @returns {Promise<{action: *, rules: Array}>} - action is the clicked button's
+   *   value (null when dismissed), rules the edited rules
+   */
+  static async open(options = {}) {
+    const editor = new ChapterRulesEditor(options);
+    const action = await window.iosModal.dialog({
+      title: options.title || 'Chapter Rules',
+      message: options.message || '',
+      content: editor.render(),
+      buttons: options.buttons,
+      wide: true
+    });
+    return { action, rules: ChapterRules.normalize(editor.rules) };
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'chapter-rules-editor';
+    this.element.innerHTML = `
+      <div class="chapter-rules-list"></div>
+      <div class="chapter-rules-toolbar">
+        <button type="button" class="btn btn-sm btn-outline-primary chapter-rules-add">
+          <i class="fas fa-plus"></i> Add Rule
+        </button>
+        <button type="button" class="btn btn-sm btn-link chapter-rules-restore">Restore Defaults</button>
+      </div>
+      <textarea class="form-control form-control-sm chapter-rules-sample" rows="4"
+        placeholder="Paste some text here to test the rules"></textarea>
+      <div class="chapter-rules-preview-header"></div>
+      <ol class="chapter-rules-preview"></ol>
+    `;
+
+    const sample = this.element.querySelector('.chapter-rules-sample');
+    sample.style.display = this.sampleLabel ? 'none' : 'block';
+    sample.addEventListener('input', () => {
+      this.sampleLines = sample.value.split('\n');
+      this.refreshPreview();
+    });
+
+    this.element.querySelector('.chapter-rules-add').addEventListener('click', () => {
+      this.rules.push({ pattern: '', flags: '', enabled: true });
+      this.renderRules();
+      const inputs = this.element.querySelectorAll('.chapter-rule-pattern');
+      inputs[inputs.length - 1].focus();
+    });
+
+    this.element.querySelector('.chapter-rules-restore').addEventListener('click', () => {
+      this.rules = ChapterRules.defaultRules();
+      this.renderRules();
+      this.renderPreview();
+    });
+
+    this.renderRules();
+    this.renderPreview();
+    return this.element;
+  }
+
+  /**
+   * Rebuild the rule rows (after adding, moving or removing a rule)
+   */
+  renderRules() {
+    const list = this.element.querySelector('.chapter-rules-list');
+    list.innerHTML = '';
+
+    this.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'chapter-rule-row';
+      row.innerHTML = `
+        <div class="chapter-rule-fields">
+          <input type="checkbox" class="form-check-input chapter-rule-enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+          <input type="text" class="form-control form-control-sm chapter-rule-pattern" spellcheck="false"
+            placeholder="^【\\d+】" value="${window.escapeHtml(rule.pattern)}">
+          <input type="text" class="form-control form-control-sm chapter-rule-flags" spellcheck="false"
+            placeholder="flags" maxlength="4" title="Flags, e.g. i for case-insensitive" value="${window.escapeHtml(rule.flags || '')}">
+          <span class="chapter-rule-count" title="Lines matched in the preview"></span>
+          <button type="button" class="btn btn-sm btn-link chapter-rule-up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+            <i class="fas fa-arrow-up"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-link chapter-rule-down" title="Move down" ${index === this.rules.length - 1 ? 'disabled' : ''}>
+            <i class="fas fa-arrow-down"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-link text-danger chapter-rule-remove" title="Remove">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="chapter-rule-error"></div>
+      `;
+
+      row.querySelector('.chapter-rule-enabled').addEventListener('change', (e) => {
+        rule.enabled = e.target.checked;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-pattern').addEventListener('input', (e) => {
+        rule.pattern = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-flags').addEventListener('input', (e) => {
+        rule.flags = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-up').addEventListener('click', () => this.moveRule(index, -1));
+      row.querySelector('.chapter-rule-down').addEventListener('click', () => this.moveRule(index, 1));
+      row.querySelector('.chapter-rule-remove').addEventListener('click', () => {
+        this.rules.splice(index, 1);
+        this.renderRules();
+        this.renderPreview();
+      });
+
+      list.appendChild(row);
+    });
+
+    this.renderRuleStatus([]);
+  }
+
+  moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.rules.length) return;
+
+    const [rule] = this.rules.splice(index, 1);
+    this.rules.splice(target, 0, rule);
+    this.renderRules();
+    this.renderPreview();
+  }
+
+  /**
+   * Show per-rule match counts and validation errors
+   */
+  renderRuleStatus(counts) {
+    const rows = this.element.querySelectorAll('.chapter-rule-row');
+    this.rules.forEach((rule, index) => {
+      const row = rows[index];
+      if (!row) return;
+
+      const error = rule.pattern ? ChapterRules.validate(rule) : null;
+      row.classList.toggle('is-invalid', error !== null);
+      row.querySelector('.chapter-rule-error').textContent = error || '';
+      row.querySelector('.chapter-rule-count').textContent =
+        error === null && rule.pattern && rule.enabled !== false ? String(counts[index] || 0) : '';
+    });
+  }
+
+  /**
+   * Run the rules over the sample and list the headings they find
+   * Each heading is attributed to the first rule that matches, as in LocalFileProcessor
+   */
+  renderPreview() {
+    const compiled = this.rules.map(rule =>
+      rule.enabled !== false && ChapterRules.validate(rule) === null
+        ? new RegExp(rule.pattern, ChapterRules.sanitizeFlags(rule.flags))
+        : null
+    );
+
+    const counts = new Array(this.rules.length).fill(0);
+    const matches = [];
+
+    for (let i = 0; i < this.sampleLines.length; i++) {
+      const trimmedLine = this.sampleLines[i].trim();
+      if (trimmedLine === '') continue;
+
+      const ruleIndex = compiled.findIndex(pattern => pattern && pattern.test(trimmedLine));
+      if (ruleIndex === -1) continue;
+
+      counts[ruleIndex]++;
+      if (matches.length < ChapterRulesEditor.PREVIEW_LIMIT) {
+        matches.push({ lineIndex: i, title: LocalFileProcessor.truncateTitleAtPunctuation(trimmedLine) });
+      }
+    }
+
+    this.renderRuleStatus(counts);
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const header = this.element.querySelector('.chapter-rules-preview-header');
+    const source = this.sampleLabel ? ` in ${this.sampleLabel}` : '';
+    header.textContent = total > matches.length
+      ? `${total} chapters found${source} (showing first ${matches.length})`
+      : `${total} chapters found${source}`;
+
+    this.element.querySelector('.chapter-rules-preview').innerHTML = matches.map(match => `
+      <li><span class="chapter-rules-preview-line">${match.lineIndex + 1}</span>${window.escapeHtml(match.title)}</li>
+    `).join('');
+  }
+}
+
+// Export for use in other modules
+window.ChapterRulesEditor = ChapterRulesEditor;
@@ -0,0 +1,139 @@
+/**
+ * Chinese Converter for Text Reader Application
+ * Shows a story in Simplified or Traditional Chinese whatever script it was
+ * stored in, using the bundled ChineseTables, so it works offline
+ * The stored text is never changed; the choice is saved per book on the book
+ * record (book.chineseConversion)
+ *
+ * Conversion runs each table group in turn over the text, taking the longest
+ * phrase that matches at each position and falling back to single characters
+ */
+
+class ChineseConverter {
+  static get MODES() {
+    return {
+      original: 'Original',
+      simplified: '简体',
+      traditional: '繁體'
+    };
+  }
+
+  /**
+   * Table groups applied in order for each mode: Traditional text is
+   * converted to Taiwan standard forms, and Taiwan forms are undone before
+   * converting to Simplified
+   */
+  static get CHAINS() {
+    return {
+      simplified: [['twVariantsRevPhrases', 'twVariantsRev'], ['tsPhrases', 'tsCharacters']],
+      traditional: [['stPhrases', 'stCharacters'], ['twVariants']]
+    };
+  }
+
+  /**
+   * Mode saved for a book, 'original' if none
+   */
+  static forBook(book) {
+    return book && ChineseConverter.MODES[book.chineseConversion] ? book.chineseConversion : 'original';
+  }
+
+  /**
+   * Build one lookup group from table names: a map of source -> target, and
+   * for each first character the source lengths to try, longest first
+   */
+  static buildGroup(tableNames) {
+    const map = new Map();
+    const lengths = new Map();
+
+    for (const name of tableNames) {
+      for (const entry of ChineseTables[name].split('|')) {
+        const [source, target] = entry.split(' ');
+        if (map.has(source)) continue;
+        map.set(source, target);
+
+        const chars = Array.from(source);
+        const first = chars[0];
+        if (!lengths.has(first)) lengths.set(first, new Set());
+        lengths.get(first).add(chars.length);
+      }
+    }
+
+    lengths.forEach((set, first) => {
+      lengths.set(first, Array.from(set).sort((a, b) => b - a));
+    });
+    return { map, lengths };
+  }
+
+  /**
+   * Converter function for a mode, or null for 'original'
+   * Tables are indexed the first time a mode is used
+   * @returns {Function|null} - (text) => converted text
+   */
+  static converter(mode) {
+    const chain = ChineseConverter.CHAINS[mode];
+    if (!chain) return null;
+
+    if (!ChineseConverter.cache) ChineseConverter.cache = {};
+    if (!ChineseConverter.cache[mode]) {
+      const groups = chain.map(tableNames => ChineseConverter.buildGroup(tableNames));
+      ChineseConverter.cache[mode] = (text) => groups.reduce(
+        (result, group) => ChineseConverter.convertWithGroup(result, group), text);
+    }
+    return ChineseConverter.cache[mode];
+  }
+
+  static convertWithGroup(text, group) {
+    const chars = Array.from(text);
+    let result = '';
+
+    for (let i = 0; i < chars.length;) {
+      const lengths = group.lengths.get(chars[i]);
+      let matched = false;
+
+      if (lengths) {
+        for (const length of lengths) {
+          if (i + length > chars.length) continue;
+          const target = group.map.get(length === 1 ? chars[i] : chars.slice(i, i + length).join(''));
+          if (target !== undefined) {
+            result += target;
+            i += length;
+            matched = true;
+            break;
+          }
+        }
+      }
+
+      if (!matched) {
+        result += chars[i];
+        i++;
+      }
+    }
+    return result;
+  }
+
+  static convert(text, mode) {
+    const converter = ChineseConverter.converter(mode);
+    return converter ? converter(text) : text;
+  }
+
+  /**
+   * Convert the text inside rendered content, leaving its elements in place
+   * Each text node is converted on its own, so a phrase split by formatting
+   * is converted character by character
+   */
+  static convertElement(root, mode) {
+    const converter = ChineseConverter.converter(mode);
+    if (!root || !converter) return;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = converter(node.nodeValue);
+      if (text !== node.nodeValue) {
+        node.nodeValue = text;
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+window.ChineseConverter = ChineseConverter;
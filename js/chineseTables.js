@@ -0,0 +1,525 @@
+/**
+ * Chinese Conversion Tables for Text Reader Application
+ * Generated from the OpenCC dictionaries (https://github.com/BYVoid/OpenCC,
+ * Apache License 2.0); do not edit by hand
+ *
+ * Each table is a list of "source target" entries separated by "|"; phrase
+ * tables only keep phrases whose conversion differs from converting their
+ * characters one by one
+ */
+
+const ChineseTables = {
+  // Simplified to Traditional, single characters
+  stCharacters: [
+    '㐷 傌|㐹 㑶|㐽 偑|㑇 㑳|㑈 倲|㑔 㑯|㑩 儸|㓆 𠗣|㓥 劏|㓰 劃|㔉 劚|㖊 噚|㖞 喎|㘎 㘚|㚯 㜄|㛀 媰|㛟 𡞵|㛠 𡢃|㛣 㜏|㛤 孋|㛿 𡠹|㟆 㠏|㟜 𡾱|㟥 嵾|㡎 幓|㤘 㥮|㤽 懤|㥪 慺|㧏 掆|㧐 㩳|㧑 撝|㧟 擓|㧰 擽|㨫 㩜|㭎 棡|㭏 椲|㭣 𣙎|㭤 樢|㭴 樫|㱩 殰',
+    '㱮 殨|㲿 瀇|㳔 濧|㳕 灡|㳠 澾|㳡 濄|㳢 𣾷|㳽 瀰|㴋 潚|㶉 鸂|㶶 燶|㶽 煱|㺍 獱|㻅 璯|㻏 𤫩|㻘 𤪺|䀥 䁻|䁖 瞜|䂵 碽|䃅 磾|䅉 稏|䅟 穇|䅪 𥢢|䇲 筴|䉤 籔|䌶 䊷|䌷 紬|䌸 縳|䌹 絅|䌺 䋙|䌻 䋚|䌼 綐|䌽 綵|䌾 䋻|䌿 䋹|䍀 繿|䍁 繸|䍠 䍦|䎬 䎱|䏝 膞',
+    '䑽 𦪙|䓓 薵|䓕 薳|䓖 藭|䓨 罃|䗖 螮|䘛 𧝞|䘞 𧜗|䙊 𧜵|䙌 䙡|䙓 襬|䜣 訢|䜤 鿁|䜥 𧩙|䜧 䜀|䜩 讌|䝙 貙|䞌 𧵳|䞍 䝼|䞎 𧶧|䞐 賰|䟢 躎|䢀 𨊰|䢁 𨊸|䢂 𨋢|䥺 釾|䥽 鏺|䥾 䥱|䥿 𨯅|䦀 𨦫|䦁 𨧜|䦂 䥇|䦃 鐯|䦅 鐥|䦆 钁|䦶 䦛|䦷 䦟|䩄 靦|䭪 𩞯|䯃 𩣑',
+    '䯄 騧|䯅 䯀|䲝 䱽|䲞 𩶘|䲟 鮣|䲠 鰆|䲡 鰌|䲢 鰧|䲣 䱷|䴓 鳾|䴔 鵁|䴕 鴷|䴖 鶄|䴗 鶪|䴘 鷉|䴙 鸊|䶮 龑|万 萬|与 與|丑 醜|专 專|业 業|丛 叢|东 東|丝 絲|丢 丟|两 兩|严 嚴|丧 喪|个 個|丰 豐|临 臨|为 爲|丽 麗|举 舉|么 麼|义 義|乌 烏|乐 樂|乔 喬',
+    '习 習|乡 鄉|书 書|买 買|乱 亂|争 爭|于 於|亏 虧|云 雲|亘 亙|亚 亞|产 產|亩 畝|亲 親|亵 褻|亸 嚲|亿 億|仅 僅|仆 僕|从 從|仑 侖|仓 倉|仪 儀|们 們|价 價|众 衆|优 優|伙 夥|会 會|伛 傴|伞 傘|伟 偉|传 傳|伡 俥|伣 俔|伤 傷|伥 倀|伦 倫|伧 傖|伪 僞',
+    '伫 佇|体 體|余 餘|佣 傭|佥 僉|侠 俠|侣 侶|侥 僥|侦 偵|侧 側|侨 僑|侩 儈|侪 儕|侬 儂|侭 儘|俣 俁|俦 儔|俨 儼|俩 倆|俪 儷|俫 倈|俭 儉|债 債|倾 傾|偬 傯|偻 僂|偾 僨|偿 償|傤 儎|傥 儻|傧 儐|储 儲|傩 儺|儿 兒|兑 兌|兖 兗|党 黨|兰 蘭|关 關|兴 興',
+    '兹 茲|养 養|兽 獸|冁 囅|内 內|冈 岡|册 冊|写 寫|军 軍|农 農|冯 馮|冲 衝|决 決|况 況|冻 凍|净 淨|凄 悽|准 準|凉 涼|减 減|凑 湊|凛 凜|几 幾|凤 鳳|凫 鳧|凭 憑|凯 凱|凶 兇|击 擊|凿 鑿|刍 芻|划 劃|刘 劉|则 則|刚 剛|创 創|删 刪|别 別|刬 剗|刭 剄',
+    '刹 剎|刽 劊|刾 㓨|刿 劌|剀 剴|剂 劑|剐 剮|剑 劍|剥 剝|剧 劇|劝 勸|办 辦|务 務|劢 勱|动 動|励 勵|劲 勁|劳 勞|势 勢|勋 勳|勚 勩|匀 勻|匦 匭|匮 匱|区 區|医 醫|华 華|协 協|单 單|卖 賣|占 佔|卢 盧|卤 滷|卧 臥|卫 衛|却 卻|卺 巹|厂 廠|厅 廳|历 歷',
+    '厉 厲|压 壓|厌 厭|厍 厙|厐 龎|厕 廁|厘 釐|厢 廂|厣 厴|厦 廈|厨 廚|厩 廄|厮 廝|县 縣|叁 叄|参 參|叆 靉|叇 靆|双 雙|发 發|变 變|叙 敘|叠 疊|台 臺|叶 葉|号 號|叹 嘆|叽 嘰|吁 籲|吃 喫|后 後|吓 嚇|吕 呂|吗 嗎|吨 噸|听 聽|启 啓|吴 吳|呐 吶|呒 嘸',
+    '呓 囈|呕 嘔|呖 嚦|呗 唄|员 員|呙 咼|呛 嗆|呜 嗚|咏 詠|咙 嚨|咛 嚀|咝 噝|咤 吒|咨 諮|咸 鹹|响 響|哑 啞|哒 噠|哓 嘵|哔 嗶|哕 噦|哗 譁|哙 噲|哜 嚌|哝 噥|哟 喲|唇 脣|唛 嘜|唝 嗊|唠 嘮|唡 啢|唢 嗩|唤 喚|啧 嘖|啬 嗇|啭 囀|啮 齧|啯 嘓|啰 囉|啴 嘽',
+    '啸 嘯|喷 噴|喽 嘍|喾 嚳|嗫 囁|嗳 噯|嘘 噓|嘤 嚶|嘱 囑|噜 嚕|嚣 囂|团 團|园 園|囱 囪|围 圍|囵 圇|国 國|图 圖|圆 圓|圣 聖|圹 壙|场 場|坏 壞|块 塊|坚 堅|坛 壇|坜 壢|坝 壩|坞 塢|坟 墳|坠 墜|垄 壟|垅 壠|垆 壚|垒 壘|垦 墾|垩 堊|垫 墊|垭 埡|垯 墶',
+    '垱 壋|垲 塏|垴 堖|埘 塒|埙 壎|埚 堝|堑 塹|堕 墮|塆 壪|墙 牆|壮 壯|声 聲|壳 殼|壶 壺|壸 壼|处 處|备 備|复 復|够 夠|头 頭|夸 誇|夹 夾|夺 奪|奁 奩|奂 奐|奋 奮|奖 獎|奥 奧|妆 妝|妇 婦|妈 媽|妩 嫵|妪 嫗|妫 嬀|姗 姍|姹 奼|娄 婁|娅 婭|娆 嬈|娇 嬌',
+    '娈 孌|娱 娛|娲 媧|娴 嫺|婳 嫿|婴 嬰|婵 嬋|婶 嬸|媪 媼|媭 嬃|嫒 嬡|嫔 嬪|嫱 嬙|嬷 嬤|孙 孫|学 學|孪 孿|宁 寧|宝 寶|实 實|宠 寵|审 審|宪 憲|宫 宮|宽 寬|宾 賓|寝 寢|对 對|寻 尋|导 導|寿 壽|将 將|尔 爾|尘 塵|尝 嘗|尧 堯|尴 尷|尸 屍|尽 盡|层 層',
+    '屃 屓|屉 屜|届 屆|属 屬|屡 屢|屦 屨|屿 嶼|岁 歲|岂 豈|岖 嶇|岗 崗|岘 峴|岚 嵐|岛 島|岩 巖|岭 嶺|岳 嶽|岽 崬|岿 巋|峃 嶨|峄 嶧|峡 峽|峣 嶢|峤 嶠|峥 崢|峦 巒|峰 峯|崂 嶗|崃 崍|崄 嶮|崭 嶄|嵘 嶸|嵚 嶔|嵝 嶁|巅 巔|巩 鞏|巯 巰|币 幣|帅 帥|师 師',
+    '帏 幃|帐 帳|帘 簾|帜 幟|带 帶|帧 幀|帮 幫|帱 幬|帻 幘|帼 幗|幂 冪|干 幹|并 並|广 廣|庄 莊|庆 慶|床 牀|庐 廬|庑 廡|库 庫|应 應|庙 廟|庞 龐|废 廢|庼 廎|廪 廩|开 開|异 異|弃 棄|弑 弒|张 張|弥 彌|弪 弳|弯 彎|弹 彈|强 強|归 歸|当 當|录 錄|彟 彠',
+    '彦 彥|彨 彲|彻 徹|征 徵|径 徑|徕 徠|忆 憶|忏 懺|忧 憂|忾 愾|怀 懷|态 態|怂 慫|怃 憮|怄 慪|怅 悵|怆 愴|怜 憐|总 總|怼 懟|怿 懌|恋 戀|恒 恆|恳 懇|恶 惡|恸 慟|恹 懨|恺 愷|恻 惻|恼 惱|恽 惲|悦 悅|悫 愨|悬 懸|悭 慳|悮 悞|悯 憫|惊 驚|惧 懼|惨 慘',
+    '惩 懲|惫 憊|惬 愜|惭 慚|惮 憚|惯 慣|愠 慍|愤 憤|愦 憒|愿 願|慑 懾|慭 憖|懑 懣|懒 懶|懔 懍|戆 戇|戋 戔|戏 戲|戗 戧|战 戰|戬 戩|戯 戱|户 戶|扑 撲|执 執|扩 擴|扪 捫|扫 掃|扬 揚|扰 擾|抚 撫|抛 拋|抟 摶|抠 摳|抡 掄|抢 搶|护 護|报 報|担 擔|拟 擬',
+    '拢 攏|拣 揀|拥 擁|拦 攔|拧 擰|拨 撥|择 擇|挂 掛|挚 摯|挛 攣|挜 掗|挝 撾|挞 撻|挟 挾|挠 撓|挡 擋|挢 撟|挣 掙|挤 擠|挥 揮|挦 撏|捝 挩|捞 撈|损 損|捡 撿|换 換|捣 搗|据 據|掳 擄|掴 摑|掷 擲|掸 撣|掺 摻|掼 摜|揽 攬|揾 搵|揿 撳|搀 攙|搁 擱|搂 摟',
+    '搄 揯|搅 攪|携 攜|摄 攝|摅 攄|摆 擺|摇 搖|摈 擯|摊 攤|撄 攖|撑 撐|撵 攆|撷 擷|撸 擼|撺 攛|擜 㩵|擞 擻|攒 攢|敌 敵|敚 敓|敛 斂|敩 斆|数 數|斋 齋|斓 斕|斗 鬥|斩 斬|断 斷|无 無|旧 舊|时 時|旷 曠|旸 暘|昙 曇|昵 暱|昼 晝|昽 曨|显 顯|晋 晉|晒 曬',
+    '晓 曉|晔 曄|晕 暈|晖 暉|暂 暫|暅 𣈶|暧 曖|术 術|朴 樸|机 機|杀 殺|杂 雜|权 權|杠 槓|条 條|来 來|杨 楊|杩 榪|杰 傑|极 極|构 構|枞 樅|枢 樞|枣 棗|枥 櫪|枧 梘|枨 棖|枪 槍|枫 楓|枭 梟|柜 櫃|柠 檸|柽 檉|栀 梔|栅 柵|标 標|栈 棧|栉 櫛|栊 櫳|栋 棟',
+    '栌 櫨|栎 櫟|栏 欄|树 樹|栖 棲|样 樣|栾 欒|桠 椏|桡 橈|桢 楨|档 檔|桤 榿|桥 橋|桦 樺|桧 檜|桨 槳|桩 樁|桪 樳|梦 夢|梼 檮|梾 棶|梿 槤|检 檢|棁 梲|棂 欞|椁 槨|椝 槼|椟 櫝|椠 槧|椢 槶|椤 欏|椫 樿|椭 橢|椮 槮|楼 樓|榄 欖|榅 榲|榇 櫬|榈 櫚|榉 櫸',
+    '榝 樧|槚 檟|槛 檻|槟 檳|槠 櫧|横 橫|樯 檣|樱 櫻|橥 櫫|橱 櫥|橹 櫓|橼 櫞|檩 檁|欢 歡|欤 歟|欧 歐|歼 殲|殁 歿|殇 殤|残 殘|殒 殞|殓 殮|殚 殫|殡 殯|殴 毆|毁 毀|毂 轂|毕 畢|毙 斃|毡 氈|毵 毿|毶 𣯶|氇 氌|气 氣|氢 氫|氩 氬|氲 氳|汇 匯|汉 漢|汤 湯',
+    '汹 洶|沄 澐|沟 溝|没 沒|沣 灃|沤 漚|沥 瀝|沦 淪|沧 滄|沨 渢|沩 潙|沪 滬|泞 濘|泪 淚|泶 澩|泷 瀧|泸 瀘|泺 濼|泻 瀉|泼 潑|泽 澤|泾 涇|洁 潔|洒 灑|洼 窪|浃 浹|浅 淺|浆 漿|浇 澆|浈 湞|浉 溮|浊 濁|测 測|浍 澮|济 濟|浏 瀏|浐 滻|浑 渾|浒 滸|浓 濃',
+    '浔 潯|浕 濜|涂 塗|涌 湧|涚 涗|涛 濤|涝 澇|涞 淶|涟 漣|涠 潿|涡 渦|涢 溳|涣 渙|涤 滌|润 潤|涧 澗|涨 漲|涩 澀|淀 澱|渊 淵|渌 淥|渍 漬|渎 瀆|渐 漸|渑 澠|渔 漁|渖 瀋|渗 滲|温 溫|游 遊|湾 灣|湿 溼|溁 濚|溃 潰|溅 濺|溆 漵|溇 漊|滗 潷|滚 滾|滞 滯',
+    '滟 灩|滠 灄|满 滿|滢 瀅|滤 濾|滥 濫|滦 灤|滨 濱|滩 灘|滪 澦|潆 瀠|潇 瀟|潋 瀲|潍 濰|潜 潛|潴 瀦|澛 瀂|澜 瀾|濑 瀨|濒 瀕|灏 灝|灭 滅|灯 燈|灵 靈|灶 竈|灾 災|灿 燦|炀 煬|炉 爐|炖 燉|炜 煒|炝 熗|点 點|炼 煉|炽 熾|烁 爍|烂 爛|烃 烴|烛 燭|烟 煙',
+    '烦 煩|烧 燒|烨 燁|烩 燴|烫 燙|烬 燼|热 熱|焕 煥|焖 燜|焘 燾|煴 熅|熏 燻|爱 愛|爷 爺|牍 牘|牦 犛|牵 牽|牺 犧|犊 犢|状 狀|犷 獷|犸 獁|犹 猶|狈 狽|狝 獮|狞 獰|独 獨|狭 狹|狮 獅|狯 獪|狰 猙|狱 獄|狲 猻|猃 獫|猎 獵|猕 獼|猡 玀|猪 豬|猫 貓|猬 蝟',
+    '献 獻|獭 獺|玑 璣|玙 璵|玚 瑒|玛 瑪|玮 瑋|环 環|现 現|玱 瑲|玺 璽|珐 琺|珑 瓏|珰 璫|珲 琿|琎 璡|琏 璉|琐 瑣|琼 瓊|瑶 瑤|瑷 璦|瑸 璸|璎 瓔|瓒 瓚|瓮 甕|瓯 甌|电 電|画 畫|畅 暢|畴 疇|疖 癤|疗 療|疟 瘧|疠 癘|疡 瘍|疬 癧|疭 瘲|疮 瘡|疯 瘋|疱 皰',
+    '疴 痾|痈 癰|痉 痙|痒 癢|痖 瘂|痨 癆|痪 瘓|痫 癇|痴 癡|瘅 癉|瘆 瘮|瘗 瘞|瘘 瘻|瘪 癟|瘫 癱|瘾 癮|瘿 癭|癞 癩|癣 癬|癫 癲|皂 皁|皑 皚|皱 皺|皲 皸|盏 盞|盐 鹽|监 監|盖 蓋|盗 盜|盘 盤|眍 瞘|眦 眥|眬 矓|睁 睜|睐 睞|睑 瞼|瞆 瞶|瞒 瞞|瞩 矚|矫 矯',
+    '矶 磯|矾 礬|矿 礦|砀 碭|码 碼|砖 磚|砗 硨|砚 硯|砜 碸|砺 礪|砻 礱|砾 礫|础 礎|硁 硜|硕 碩|硖 硤|硗 磽|硙 磑|硚 礄|确 確|硵 磠|碍 礙|碛 磧|碜 磣|碱 鹼|礼 禮|祃 禡|祎 禕|祢 禰|祯 禎|祷 禱|祸 禍|禀 稟|禄 祿|禅 禪|离 離|秃 禿|秆 稈|种 種|秘 祕',
+    '积 積|称 稱|秽 穢|秾 穠|稆 穭|税 稅|稣 穌|稳 穩|穑 穡|穞 穭|穷 窮|窃 竊|窍 竅|窎 窵|窑 窯|窜 竄|窝 窩|窥 窺|窦 竇|窭 窶|竖 豎|竞 競|笃 篤|笋 筍|笔 筆|笕 筧|笺 箋|笼 籠|笾 籩|筑 築|筚 篳|筛 篩|筜 簹|筝 箏|筹 籌|筼 篔|签 籤|筿 篠|简 簡|箓 籙',
+    '箦 簀|箧 篋|箨 籜|箩 籮|箪 簞|箫 簫|篑 簣|篓 簍|篮 籃|篯 籛|篱 籬|簖 籪|籁 籟|籴 糴|类 類|籼 秈|粜 糶|粝 糲|粤 粵|粪 糞|粮 糧|粽 糉|糁 糝|糇 餱|糍 餈|紧 緊|絷 縶|緼 縕|縆 緪|纟 糹|纠 糾|纡 紆|红 紅|纣 紂|纤 纖|纥 紇|约 約|级 級|纨 紈|纩 纊',
+    '纪 紀|纫 紉|纬 緯|纭 紜|纮 紘|纯 純|纰 紕|纱 紗|纲 綱|纳 納|纴 紝|纵 縱|纶 綸|纷 紛|纸 紙|纹 紋|纺 紡|纻 紵|纼 紖|纽 紐|纾 紓|线 線|绀 紺|绁 紲|绂 紱|练 練|组 組|绅 紳|细 細|织 織|终 終|绉 縐|绊 絆|绋 紼|绌 絀|绍 紹|绎 繹|经 經|绐 紿|绑 綁',
+    '绒 絨|结 結|绔 絝|绕 繞|绖 絰|绗 絎|绘 繪|给 給|绚 絢|绛 絳|络 絡|绝 絕|绞 絞|统 統|绠 綆|绡 綃|绢 絹|绣 繡|绤 綌|绥 綏|绦 絛|继 繼|绨 綈|绩 績|绪 緒|绫 綾|绬 緓|续 續|绮 綺|绯 緋|绰 綽|绱 鞝|绲 緄|绳 繩|维 維|绵 綿|绶 綬|绷 繃|绸 綢|绹 綯',
+    '绺 綹|绻 綣|综 綜|绽 綻|绾 綰|绿 綠|缀 綴|缁 緇|缂 緙|缃 緗|缄 緘|缅 緬|缆 纜|缇 緹|缈 緲|缉 緝|缊 縕|缋 繢|缌 緦|缍 綞|缎 緞|缏 緶|缐 線|缑 緱|缒 縋|缓 緩|缔 締|缕 縷|编 編|缗 緡|缘 緣|缙 縉|缚 縛|缛 縟|缜 縝|缝 縫|缞 縗|缟 縞|缠 纏|缡 縭',
+    '缢 縊|缣 縑|缤 繽|缥 縹|缦 縵|缧 縲|缨 纓|缩 縮|缪 繆|缫 繅|缬 纈|缭 繚|缮 繕|缯 繒|缰 繮|缱 繾|缲 繰|缳 繯|缴 繳|缵 纘|罂 罌|网 網|罗 羅|罚 罰|罢 罷|罴 羆|羁 羈|羟 羥|羡 羨|群 羣|翘 翹|翙 翽|翚 翬|耢 耮|耧 耬|耸 聳|耻 恥|聂 聶|聋 聾|职 職',
+    '聍 聹|联 聯|聩 聵|聪 聰|肃 肅|肠 腸|肤 膚|肮 骯|肴 餚|肾 腎|肿 腫|胀 脹|胁 脅|胆 膽|胜 勝|胧 朧|胨 腖|胪 臚|胫 脛|胶 膠|脉 脈|脍 膾|脏 髒|脐 臍|脑 腦|脓 膿|脔 臠|脚 腳|脱 脫|脶 腡|脸 臉|腊 臘|腌 醃|腘 膕|腭 齶|腻 膩|腼 靦|腽 膃|腾 騰|膑 臏',
+    '膻 羶|臜 臢|舆 輿|舣 艤|舰 艦|舱 艙|舻 艫|艰 艱|艳 豔|艺 藝|节 節|芈 羋|芗 薌|芜 蕪|芦 蘆|苁 蓯|苇 葦|苈 藶|苋 莧|苌 萇|苍 蒼|苎 苧|苏 蘇|苧 薴|苹 蘋|范 範|茎 莖|茏 蘢|茑 蔦|茔 塋|茕 煢|茧 繭|荆 荊|荐 薦|荙 薘|荚 莢|荛 蕘|荜 蓽|荝 萴|荞 蕎',
+    '荟 薈|荠 薺|荡 蕩|荣 榮|荤 葷|荥 滎|荦 犖|荧 熒|荨 蕁|荩 藎|荪 蓀|荫 蔭|荬 蕒|荭 葒|荮 葤|药 藥|莅 蒞|莱 萊|莲 蓮|莳 蒔|莴 萵|莶 薟|获 獲|莸 蕕|莹 瑩|莺 鶯|莼 蓴|萚 蘀|萝 蘿|萤 螢|营 營|萦 縈|萧 蕭|萨 薩|葱 蔥|蒀 蒕|蒇 蕆|蒉 蕢|蒋 蔣|蒌 蔞',
+    '蒏 醟|蓝 藍|蓟 薊|蓠 蘺|蓣 蕷|蓥 鎣|蓦 驀|蔂 虆|蔷 薔|蔹 蘞|蔺 藺|蔼 藹|蕰 薀|蕲 蘄|蕴 蘊|薮 藪|藓 蘚|藴 蘊|蘖 櫱|虏 虜|虑 慮|虚 虛|虫 蟲|虬 虯|虮 蟣|虱 蝨|虽 雖|虾 蝦|虿 蠆|蚀 蝕|蚁 蟻|蚂 螞|蚃 蠁|蚕 蠶|蚝 蠔|蚬 蜆|蛊 蠱|蛎 蠣|蛏 蟶|蛮 蠻',
+    '蛰 蟄|蛱 蛺|蛲 蟯|蛳 螄|蛴 蠐|蜕 蛻|蜗 蝸|蜡 蠟|蝇 蠅|蝈 蟈|蝉 蟬|蝎 蠍|蝼 螻|蝾 蠑|螀 螿|螨 蟎|蟏 蠨|衅 釁|衔 銜|补 補|衬 襯|衮 袞|袄 襖|袅 嫋|袆 褘|袜 襪|袭 襲|袯 襏|装 裝|裆 襠|裈 褌|裢 褳|裣 襝|裤 褲|裥 襉|褛 褸|褴 襤|襕 襴|见 見|观 觀',
+    '觃 覎|规 規|觅 覓|视 視|觇 覘|览 覽|觉 覺|觊 覬|觋 覡|觌 覿|觍 覥|觎 覦|觏 覯|觐 覲|觑 覷|觞 觴|触 觸|觯 觶|訚 誾|詟 讋|誉 譽|誊 謄|讠 訁|计 計|订 訂|讣 訃|认 認|讥 譏|讦 訐|讧 訌|讨 討|让 讓|讪 訕|讫 訖|讬 託|训 訓|议 議|讯 訊|记 記|讱 訒',
+    '讲 講|讳 諱|讴 謳|讵 詎|讶 訝|讷 訥|许 許|讹 訛|论 論|讻 訩|讼 訟|讽 諷|设 設|访 訪|诀 訣|证 證|诂 詁|诃 訶|评 評|诅 詛|识 識|诇 詗|诈 詐|诉 訴|诊 診|诋 詆|诌 謅|词 詞|诎 詘|诏 詔|诐 詖|译 譯|诒 詒|诓 誆|诔 誄|试 試|诖 詿|诗 詩|诘 詰|诙 詼',
+    '诚 誠|诛 誅|诜 詵|话 話|诞 誕|诟 詬|诠 詮|诡 詭|询 詢|诣 詣|诤 諍|该 該|详 詳|诧 詫|诨 諢|诩 詡|诪 譸|诫 誡|诬 誣|语 語|诮 誚|误 誤|诰 誥|诱 誘|诲 誨|诳 誑|说 說|诵 誦|诶 誒|请 請|诸 諸|诹 諏|诺 諾|读 讀|诼 諑|诽 誹|课 課|诿 諉|谀 諛|谁 誰',
+    '谂 諗|调 調|谄 諂|谅 諒|谆 諄|谇 誶|谈 談|谉 讅|谊 誼|谋 謀|谌 諶|谍 諜|谎 謊|谏 諫|谐 諧|谑 謔|谒 謁|谓 謂|谔 諤|谕 諭|谖 諼|谗 讒|谘 諮|谙 諳|谚 諺|谛 諦|谜 謎|谝 諞|谞 諝|谟 謨|谠 讜|谡 謖|谢 謝|谣 謠|谤 謗|谥 諡|谦 謙|谧 謐|谨 謹|谩 謾',
+    '谪 謫|谫 譾|谬 謬|谭 譚|谮 譖|谯 譙|谰 讕|谱 譜|谲 譎|谳 讞|谴 譴|谵 譫|谶 讖|豮 豶|贝 貝|贞 貞|负 負|贠 貟|贡 貢|财 財|责 責|贤 賢|败 敗|账 賬|货 貨|质 質|贩 販|贪 貪|贫 貧|贬 貶|购 購|贮 貯|贯 貫|贰 貳|贱 賤|贲 賁|贳 貰|贴 貼|贵 貴|贶 貺',
+    '贷 貸|贸 貿|费 費|贺 賀|贻 貽|贼 賊|贽 贄|贾 賈|贿 賄|赀 貲|赁 賃|赂 賂|赃 贓|资 資|赅 賅|赆 贐|赇 賕|赈 賑|赉 賚|赊 賒|赋 賦|赌 賭|赍 齎|赎 贖|赏 賞|赐 賜|赑 贔|赒 賙|赓 賡|赔 賠|赕 賧|赖 賴|赗 賵|赘 贅|赙 賻|赚 賺|赛 賽|赜 賾|赝 贗|赞 贊',
+    '赟 贇|赠 贈|赡 贍|赢 贏|赣 贛|赪 赬|赵 趙|赶 趕|趋 趨|趱 趲|趸 躉|跃 躍|跄 蹌|跖 蹠|跞 躒|践 踐|跶 躂|跷 蹺|跸 蹕|跹 躚|跻 躋|踌 躊|踪 蹤|踬 躓|踯 躑|蹑 躡|蹒 蹣|蹰 躕|蹿 躥|躏 躪|躜 躦|躯 軀|輼 轀|车 車|轧 軋|轨 軌|轩 軒|轪 軑|轫 軔|转 轉',
+    '轭 軛|轮 輪|软 軟|轰 轟|轱 軲|轲 軻|轳 轤|轴 軸|轵 軹|轶 軼|轷 軤|轸 軫|轹 轢|轺 軺|轻 輕|轼 軾|载 載|轾 輊|轿 轎|辀 輈|辁 輇|辂 輅|较 較|辄 輒|辅 輔|辆 輛|辇 輦|辈 輩|辉 輝|辊 輥|辋 輞|辌 輬|辍 輟|辎 輜|辏 輳|辐 輻|辑 輯|辒 轀|输 輸|辔 轡',
+    '辕 轅|辖 轄|辗 輾|辘 轆|辙 轍|辚 轔|辞 辭|辟 闢|辩 辯|辫 辮|边 邊|辽 遼|达 達|迁 遷|过 過|迈 邁|运 運|还 還|这 這|进 進|远 遠|违 違|连 連|迟 遲|迩 邇|迳 逕|迹 跡|适 適|选 選|逊 遜|递 遞|逦 邐|逻 邏|遗 遺|遥 遙|邓 鄧|邝 鄺|邬 鄔|邮 郵|邹 鄒',
+    '邺 鄴|邻 鄰|郁 鬱|郏 郟|郐 鄶|郑 鄭|郓 鄆|郦 酈|郧 鄖|郸 鄲|酂 酇|酝 醞|酦 醱|酱 醬|酽 釅|酾 釃|酿 釀|醖 醞|采 採|释 釋|里 裏|鉴 鑑|銮 鑾|錾 鏨|钅 釒|钆 釓|钇 釔|针 針|钉 釘|钊 釗|钋 釙|钌 釕|钍 釷|钎 釺|钏 釧|钐 釤|钑 鈒|钒 釩|钓 釣|钔 鍆',
+    '钕 釹|钖 鍚|钗 釵|钘 鈃|钙 鈣|钚 鈈|钛 鈦|钜 鉅|钝 鈍|钞 鈔|钟 鍾|钠 鈉|钡 鋇|钢 鋼|钣 鈑|钤 鈐|钥 鑰|钦 欽|钧 鈞|钨 鎢|钩 鉤|钪 鈧|钫 鈁|钬 鈥|钭 鈄|钮 鈕|钯 鈀|钰 鈺|钱 錢|钲 鉦|钳 鉗|钴 鈷|钵 鉢|钶 鈳|钷 鉕|钸 鈽|钹 鈸|钺 鉞|钻 鑽|钼 鉬',
+    '钽 鉭|钾 鉀|钿 鈿|铀 鈾|铁 鐵|铂 鉑|铃 鈴|铄 鑠|铅 鉛|铆 鉚|铇 鉋|铈 鈰|铉 鉉|铊 鉈|铋 鉍|铌 鈮|铍 鈹|铎 鐸|铏 鉶|铐 銬|铑 銠|铒 鉺|铓 鋩|铔 錏|铕 銪|铖 鋮|铗 鋏|铘 鋣|铙 鐃|铚 銍|铛 鐺|铜 銅|铝 鋁|铞 銱|铟 銦|铠 鎧|铡 鍘|铢 銖|铣 銑|铤 鋌',
+    '铥 銩|铦 銛|铧 鏵|铨 銓|铩 鎩|铪 鉿|铫 銚|铬 鉻|铭 銘|铮 錚|铯 銫|铰 鉸|铱 銥|铲 鏟|铳 銃|铴 鐋|铵 銨|银 銀|铷 銣|铸 鑄|铹 鐒|铺 鋪|铻 鋙|铼 錸|铽 鋱|链 鏈|铿 鏗|销 銷|锁 鎖|锂 鋰|锃 鋥|锄 鋤|锅 鍋|锆 鋯|锇 鋨|锈 鏽|锉 銼|锊 鋝|锋 鋒|锌 鋅',
+    '锍 鋶|锎 鐦|锏 鐧|锐 銳|锑 銻|锒 鋃|锓 鋟|锔 鋦|锕 錒|锖 錆|锗 鍺|锘 鍩|错 錯|锚 錨|锛 錛|锜 錡|锝 鍀|锞 錁|锟 錕|锠 錩|锡 錫|锢 錮|锣 鑼|锤 錘|锥 錐|锦 錦|锧 鑕|锨 鍁|锩 錈|锪 鍃|锫 錇|锬 錟|锭 錠|键 鍵|锯 鋸|锰 錳|锱 錙|锲 鍥|锳 鍈|锴 鍇',
+    '锵 鏘|锶 鍶|锷 鍔|锸 鍤|锹 鍬|锺 鍾|锻 鍛|锼 鎪|锽 鍠|锾 鍰|锿 鎄|镀 鍍|镁 鎂|镂 鏤|镃 鎡|镄 鐨|镅 鎇|镆 鏌|镇 鎮|镈 鎛|镉 鎘|镊 鑷|镋 钂|镌 鐫|镍 鎳|镎 鎿|镏 鎦|镐 鎬|镑 鎊|镒 鎰|镓 鎵|镔 鑌|镕 鎔|镖 鏢|镗 鏜|镘 鏝|镙 鏍|镚 鏰|镛 鏞|镜 鏡',
+    '镝 鏑|镞 鏃|镟 鏇|镠 鏐|镡 鐔|镢 钁|镣 鐐|镤 鏷|镥 鑥|镦 鐓|镧 鑭|镨 鐠|镩 鑹|镪 鏹|镫 鐙|镬 鑊|镭 鐳|镮 鐶|镯 鐲|镰 鐮|镱 鐿|镲 鑔|镳 鑣|镴 鑞|镵 鑱|镶 鑲|长 長|门 門|闩 閂|闪 閃|闫 閆|闬 閈|闭 閉|问 問|闯 闖|闰 閏|闱 闈|闲 閒|闳 閎|间 間',
+    '闵 閔|闶 閌|闷 悶|闸 閘|闹 鬧|闺 閨|闻 聞|闼 闥|闽 閩|闾 閭|闿 闓|阀 閥|阁 閣|阂 閡|阃 閫|阄 鬮|阅 閱|阆 閬|阇 闍|阈 閾|阉 閹|阊 閶|阋 鬩|阌 閿|阍 閽|阎 閻|阏 閼|阐 闡|阑 闌|阒 闃|阓 闠|阔 闊|阕 闋|阖 闔|阗 闐|阘 闒|阙 闕|阚 闞|阛 闤|队 隊',
+    '阳 陽|阴 陰|阵 陣|阶 階|际 際|陆 陸|陇 隴|陈 陳|陉 陘|陕 陝|陦 隯|陧 隉|陨 隕|险 險|随 隨|隐 隱|隶 隸|隽 雋|难 難|雇 僱|雏 雛|雠 讎|雳 靂|雾 霧|霁 霽|霉 黴|霡 霢|霭 靄|靓 靚|靔 靝|静 靜|靥 靨|鞑 韃|鞒 鞽|鞯 韉|鞲 韝|韦 韋|韧 韌|韨 韍|韩 韓',
+    '韪 韙|韫 韞|韬 韜|韵 韻|页 頁|顶 頂|顷 頃|顸 頇|项 項|顺 順|须 須|顼 頊|顽 頑|顾 顧|顿 頓|颀 頎|颁 頒|颂 頌|颃 頏|预 預|颅 顱|领 領|颇 頗|颈 頸|颉 頡|颊 頰|颋 頲|颌 頜|颍 潁|颎 熲|颏 頦|颐 頤|频 頻|颒 頮|颓 頹|颔 頷|颕 頴|颖 穎|颗 顆|题 題',
+    '颙 顒|颚 顎|颛 顓|颜 顏|额 額|颞 顳|颟 顢|颠 顛|颡 顙|颢 顥|颣 纇|颤 顫|颥 顬|颦 顰|颧 顴|风 風|飏 颺|飐 颭|飑 颮|飒 颯|飓 颶|飔 颸|飕 颼|飖 颻|飗 飀|飘 飄|飙 飆|飚 飈|飞 飛|飨 饗|餍 饜|饣 飠|饤 飣|饥 飢|饦 飥|饧 餳|饨 飩|饩 餼|饪 飪|饫 飫',
+    '饬 飭|饭 飯|饮 飲|饯 餞|饰 飾|饱 飽|饲 飼|饳 飿|饴 飴|饵 餌|饶 饒|饷 餉|饸 餄|饹 餎|饺 餃|饻 餏|饼 餅|饽 餑|饾 餖|饿 餓|馀 餘|馁 餒|馂 餕|馃 餜|馄 餛|馅 餡|馆 館|馇 餷|馈 饋|馉 餶|馊 餿|馋 饞|馌 饁|馍 饃|馎 餺|馏 餾|馐 饈|馑 饉|馒 饅|馓 饊',
+    '馔 饌|馕 饢|马 馬|驭 馭|驮 馱|驯 馴|驰 馳|驱 驅|驲 馹|驳 駁|驴 驢|驵 駔|驶 駛|驷 駟|驸 駙|驹 駒|驺 騶|驻 駐|驼 駝|驽 駑|驾 駕|驿 驛|骀 駘|骁 驍|骂 罵|骃 駰|骄 驕|骅 驊|骆 駱|骇 駭|骈 駢|骉 驫|骊 驪|骋 騁|验 驗|骍 騂|骎 駸|骏 駿|骐 騏|骑 騎',
+    '骒 騍|骓 騅|骔 騌|骕 驌|骖 驂|骗 騙|骘 騭|骙 騤|骚 騷|骛 騖|骜 驁|骝 騮|骞 騫|骟 騸|骠 驃|骡 騾|骢 驄|骣 驏|骤 驟|骥 驥|骦 驦|骧 驤|髅 髏|髋 髖|髌 髕|鬓 鬢|鬶 鬹|魇 魘|魉 魎|鱼 魚|鱽 魛|鱾 魢|鱿 魷|鲀 魨|鲁 魯|鲂 魴|鲃 䰾|鲄 魺|鲅 鮁|鲆 鮃',
+    '鲇 鮎|鲈 鱸|鲉 鮋|鲊 鮓|鲋 鮒|鲌 鮊|鲍 鮑|鲎 鱟|鲏 鮍|鲐 鮐|鲑 鮭|鲒 鮚|鲓 鮳|鲔 鮪|鲕 鮞|鲖 鮦|鲗 鰂|鲘 鮜|鲙 鱠|鲚 鱭|鲛 鮫|鲜 鮮|鲝 鮺|鲞 鯗|鲟 鱘|鲠 鯁|鲡 鱺|鲢 鰱|鲣 鰹|鲤 鯉|鲥 鰣|鲦 鰷|鲧 鯀|鲨 鯊|鲩 鯇|鲪 鮶|鲫 鯽|鲬 鯒|鲭 鯖|鲮 鯪',
+    '鲯 鯕|鲰 鯫|鲱 鯡|鲲 鯤|鲳 鯧|鲴 鯝|鲵 鯢|鲶 鯰|鲷 鯛|鲸 鯨|鲹 鰺|鲺 鯴|鲻 鯔|鲼 鱝|鲽 鰈|鲾 鰏|鲿 鱨|鳀 鯷|鳁 鰮|鳂 鰃|鳃 鰓|鳄 鱷|鳅 鰍|鳆 鰒|鳇 鰉|鳈 鰁|鳉 鱂|鳊 鯿|鳋 鰠|鳌 鰲|鳍 鰭|鳎 鰨|鳏 鰥|鳐 鰩|鳑 鰟|鳒 鰜|鳓 鰳|鳔 鰾|鳕 鱈|鳖 鱉',
+    '鳗 鰻|鳘 鰵|鳙 鱅|鳚 䲁|鳛 鰼|鳜 鱖|鳝 鱔|鳞 鱗|鳟 鱒|鳠 鱯|鳡 鱤|鳢 鱧|鳣 鱣|鳤 䲘|鸟 鳥|鸠 鳩|鸡 雞|鸢 鳶|鸣 鳴|鸤 鳲|鸥 鷗|鸦 鴉|鸧 鶬|鸨 鴇|鸩 鴆|鸪 鴣|鸫 鶇|鸬 鸕|鸭 鴨|鸮 鴞|鸯 鴦|鸰 鴒|鸱 鴟|鸲 鴝|鸳 鴛|鸴 鷽|鸵 鴕|鸶 鷥|鸷 鷙|鸸 鴯',
+    '鸹 鴰|鸺 鵂|鸻 鴴|鸼 鵃|鸽 鴿|鸾 鸞|鸿 鴻|鹀 鵐|鹁 鵓|鹂 鸝|鹃 鵑|鹄 鵠|鹅 鵝|鹆 鵒|鹇 鷳|鹈 鵜|鹉 鵡|鹊 鵲|鹋 鶓|鹌 鵪|鹍 鵾|鹎 鵯|鹏 鵬|鹐 鵮|鹑 鶉|鹒 鶊|鹓 鵷|鹔 鷫|鹕 鶘|鹖 鶡|鹗 鶚|鹘 鶻|鹙 鶖|鹚 鷀|鹛 鶥|鹜 鶩|鹝 鷊|鹞 鷂|鹟 鶲|鹠 鶹',
+    '鹡 鶺|鹢 鷁|鹣 鶼|鹤 鶴|鹥 鷖|鹦 鸚|鹧 鷓|鹨 鷚|鹩 鷯|鹪 鷦|鹫 鷲|鹬 鷸|鹭 鷺|鹮 䴉|鹯 鸇|鹰 鷹|鹱 鸌|鹲 鸏|鹳 鸛|鹴 鸘|鹾 鹺|麦 麥|麸 麩|麹 麴|麺 麪|麽 麼|黄 黃|黉 黌|黡 黶|黩 黷|黪 黲|黾 黽|鼋 黿|鼌 鼂|鼍 鼉|鼹 鼴|齐 齊|齑 齏|齿 齒|龀 齔',
+    '龁 齕|龂 齗|龃 齟|龄 齡|龅 齙|龆 齠|龇 齜|龈 齦|龉 齬|龊 齪|龋 齲|龌 齷|龙 龍|龚 龔|龛 龕|龟 龜|鿎 䃮|鿏 䥑|鿒 鿓|鿔 鎶|𠀾 𠁞|𠆲 儣|𠆿 𠌥|𠇹 俓|𠉂 㒓|𠉗 𠏢|𠋆 儭|𠚳 𠠎|𠛅 剾|𠛆 𠞆|𠛾 𪟖|𠡠 勑|𠮶 嗰|𠯟 哯|𠯠 噅|𠰱 㘉|𠰷 嚧|𠱞 囃|𠲥 𡅏|𠴛 𡃕',
+    '𠴢 𡄔|𠵸 𡄣|𠵾 㗲|𡋀 𡓾|𡋗 𡑭|𡋤 壗|𡍣 𡔖|𡒄 壈|𡝠 㜷|𡞋 㜗|𡞱 㜢|𡠟 孎|𡥧 孻|𡭜 𡮉|𡭬 𡮣|𡳃 𡳳|𡳒 𦘧|𡶴 嵼|𡸃 𡽗|𡺃 嶈|𡺄 嶘|𢋈 㢝|𢗓 㦛|𢘙 𢤱|𢘝 𢣚|𢘞 𢣭|𢙏 愻|𢙐 憹|𢙑 𢠼|𢙒 憢|𢙓 懀|𢛯 㦎|𢠁 懎|𢢐 𤢻|𢧐 戰|𢫊 𢷮|𢫞 𢶫|𢫬 摋|𢬍 擫|𢬦 𢹿',
+    '𢭏 擣|𢽾 斅|𣃁 斸|𣆐 曥|𣈣 𣋋|𣍨 𦢈|𣍯 腪|𣍰 脥|𣎑 臗|𣏢 槫|𣐕 桱|𣐤 欍|𣑶 𣠲|𣒌 楇|𣓿 橯|𣔌 樤|𣗊 樠|𣗋 欓|𣗙 㰙|𣘐 㯤|𣘓 𣞻|𣘴 檭|𣘷 𣝕|𣚚 欘|𣞎 𣠩|𣨼 殢|𣭤 𣯴|𣯣 𣯩|𣱝 氭|𣲗 湋|𣲘 潕|𣳆 㵗|𣶩 澅|𣶫 𣿉|𣶭 𪷓|𣷷 𤅶|𣸣 濆|𣺼 灙|𣺽 𤁣|𣽷 瀃',
+    '𤆡 熓|𤆢 㷍|𤇃 爄|𤇄 熌|𤇭 爖|𤇹 熚|𤈶 熉|𤈷 㷿|𤊀 𤒎|𤊰 𤓩|𤋏 熡|𤎺 𤓎|𤎻 𤑳|𤙯 𤛮|𤝢 𤢟|𤞃 獩|𤞤 玁|𤠋 㺏|𤦀 瓕|𤩽 瓛|𤳄 𤳸|𤶊 癐|𤶧 𤸫|𤻊 㿗|𤽯 㿧|𤾀 皟|𤿲 麬|𥁢 䀉|𥅘 𥌃|𥅴 䀹|𥅿 𥊝|𥆧 瞤|𥇢 䁪|𥎝 䂎|𥐟 礒|𥐯 𥖅|𥐰 𥕥|𥐻 碙|𥞦 𥞵|𥧂 𥨐',
+    '𥩟 竚|𥩺 𥪂|𥫣 籅|𥬀 䉙|𥬞 籋|𥬠 篘|𥭉 𥵊|𥮋 𥸠|𥮜 䉲|𥮾 篸|𥱔 𥵃|𥹥 𥼽|𥺅 䊭|𥺇 𥽖|𦈈 𥿊|𦈉 緷|𦈋 綇|𦈌 綀|𦈎 繟|𦈏 緍|𦈐 縺|𦈑 緸|𦈒 𦂅|𦈓 䋿|𦈔 縎|𦈕 緰|𦈖 䌈|𦈗 𦃄|𦈘 䌋|𦈙 䌰|𦈚 縬|𦈛 繓|𦈜 䌖|𦈝 繏|𦈞 䌟|𦈟 䌝|𦈠 䌥|𦈡 繻|𦍠 䍽|𦛨 朥',
+    '𦝼 膢|𦟗 𦣎|𦨩 𦪽|𦰏 蓧|𦰴 䕳|𦶟 爇|𦶻 𦾟|𦻕 蘟|𧉐 𧕟|𧉞 䗿|𧌥 𧎈|𧏖 蠙|𧏗 蠀|𧑏 蠾|𧒭 𧔥|𧜭 䙱|𧝝 襰|𧝧 𧟀|𧮪 詀|𧳕 𧳟|𧹑 䞈|𧹒 買|𧹓 𧶔|𧹔 賬|𧹕 䝻|𧹖 賟|𧹗 贃|𧿈 𨇁|𨀁 躘|𨀱 𨄣|𨁴 𨅍|𨂺 𨈊|𨄄 𨈌|𨅛 䠱|𨅫 𨇞|𨅬 躝|𨉗 軉|𨐅 軗|𨐆 𨊻|𨐇 𨏠',
+    '𨐈 輄|𨐉 𨎮|𨐊 𨏥|𨑹 䢨|𨟳 𨣞|𨠨 𨣧|𨡙 𨢿|𨡺 𨣈|𨤰 𨤻|𨰾 鎷|𨰿 釳|𨱀 𨥛|𨱁 鈠|𨱂 鈋|𨱃 鈲|𨱄 鈯|𨱅 鉁|𨱆 龯|𨱇 銶|𨱈 鋉|𨱉 鍄|𨱊 𨧱|𨱋 錂|𨱌 鏆|𨱍 鎯|𨱎 鍮|𨱏 鎝|𨱐 𨫒|𨱑 鐄|𨱒 鏉|𨱓 鐎|𨱔 鐏|𨱕 𨮂|𨱖 䥩|𨷿 䦳|𨸀 𨳕|𨸁 𨳑|𨸂 閍|𨸃 閐|𨸄 䦘',
+    '𨸅 𨴗|𨸆 𨵩|𨸇 𨵸|𨸉 𨶀|𨸊 𨶏|𨸋 𨶲|𨸌 𨶮|𨸎 𨷲|𨸘 𨽏|𨸟 䧢|𩏼 䪏|𩏽 𩏪|𩏾 𩎢|𩏿 䪘|𩐀 䪗|𩓋 顂|𩖕 𩓣|𩖖 顃|𩖗 䫴|𩙥 颰|𩙦 𩗀|𩙧 䬞|𩙨 𩘹|𩙩 𩘀|𩙪 颷|𩙫 颾|𩙬 𩘺|𩙭 𩘝|𩙮 䬘|𩙯 䬝|𩙰 𩙈|𩟿 𩚛|𩠀 𩚥|𩠁 𩚵|𩠂 𩛆|𩠃 𩛩|𩠅 𩟐|𩠆 𩜦|𩠇 䭀|𩠈 䭃',
+    '𩠉 𩜇|𩠊 𩜵|𩠋 𩝔|𩠌 餸|𩠎 𩞄|𩠏 𩞦|𩠠 𩠴|𩡖 𩡣|𩧦 𩡺|𩧨 駎|𩧩 𩤊|𩧪 䮾|𩧫 駚|𩧬 𩢡|𩧭 䭿|𩧮 𩢾|𩧯 驋|𩧰 䮝|𩧱 𩥉|𩧲 駧|𩧳 𩢸|𩧴 駩|𩧵 𩢴|𩧶 𩣏|𩧸 𩣫|𩧺 駶|𩧻 𩣵|𩧼 𩣺|𩧿 䮠|𩨀 騔|𩨁 䮞|𩨂 驄|𩨃 騝|𩨄 騪|𩨅 𩤸|𩨆 𩤙|𩨇 䮫|𩨈 騟|𩨉 𩤲|𩨊 騚',
+    '𩨋 𩥄|𩨌 𩥑|𩨍 𩥇|𩨎 龭|𩨏 䮳|𩨐 𩧆|𩩈 䯤|𩬣 𩭙|𩬤 𩰀|𩭹 鬖|𩯒 𩯳|𩰰 𩰹|𩲒 𩳤|𩴌 𩴵|𩽹 魥|𩽺 𩵩|𩽻 𩵹|𩽼 鯶|𩽽 𩶱|𩽾 鮟|𩽿 𩶰|𩾁 鯄|𩾂 䲖|𩾃 鮸|𩾄 𩷰|𩾅 𩸃|𩾆 𩸦|𩾇 鯱|𩾈 䱙|𩾊 䱬|𩾋 䱰|𩾌 鱇|𩾎 𩽇|𪉂 䲰|𪉃 鳼|𪉄 𩿪|𪉅 𪀦|𪉆 鴲|𪉈 鴜|𪉉 𪁈',
+    '𪉊 鷨|𪉋 𪀾|𪉌 𪁖|𪉍 鵚|𪉎 𪂆|𪉏 𪃏|𪉐 𪃍|𪉑 鷔|𪉒 𪄕|𪉔 𪄆|𪉕 𪇳|𪎈 䴬|𪎉 麲|𪎊 麨|𪎋 䴴|𪎌 麳|𪑅 䵳|𪔭 𪔵|𪚏 𪘀|𪚐 𪘯|𪜎 𠿕|𪞝 凙|𪟎 㔋|𪟝 勣|𪠀 𧷎|𪠟 㓄|𪠡 𠬙|𪠳 唓|𪠵 㖮|𪠸 嚛|𪠺 𠽃|𪠽 噹|𪡀 嘺|𪡃 嘪|𪡋 噞|𪡏 嗹|𪡛 㗿|𪡞 嘳|𪡺 𡃄|𪢌 㘓',
+    '𪢐 𡃤|𪢒 𡂡|𪢕 嚽|𪢖 𡅯|𪢠 囒|𪢮 圞|𪢸 墲|𪣆 埬|𪣒 堚|𪣻 塿|𪤄 𡓁|𪤚 壣|𪥠 𧹈|𪥫 孇|𪥰 嬣|𪥿 嬻|𪧀 孾|𪧘 寠|𪨊 㞞|𪨗 屩|𪨧 崙|𪨩 𡸗|𪨶 輋|𪨷 巗|𪨹 𡹬|𪩇 㟺|𪩎 巊|𪩘 巘|𪩛 𡿖|𪩷 幝|𪩸 幩|𪪏 廬|𪪑 㢗|𪪞 廧|𪪴 𢍰|𪪼 彃|𪫌 徿|𪫡 𢤩|𪫷 㦞|𪫺 憸',
+    '𪬚 𢣐|𪬯 𢤿|𪭝 𢯷|𪭢 摐|𪭧 擟|𪭯 𢶒|𪭵 掚|𪭾 撊|𪮃 㨻|𪮋 㩋|𪮖 撧|𪮳 𢺳|𪮶 攋|𪯋 㪎|𪰶 曊|𪱥 膹|𪱷 梖|𪲎 櫅|𪲔 欐|𪲛 檵|𪲮 櫠|𪳍 欇|𪳗 𣜬|𪴙 欑|𪵑 毊|𪵣 霼|𪵱 濿|𪶄 溡|𪶒 𤄷|𪶮 𣽏|𪷍 㵾|𪷽 灒|𪸕 熂|𪸩 煇|𪹀 𤑹|𪹠 𤓌|𪹳 爥|𪹹 𤒻|𪺣 𤘀|𪺪 𤜆',
+    '𪺭 犞|𪺷 獊|𪺸 𤠮|𪺻 㺜|𪺽 猌|𪻐 瑽|𪻨 瓄|𪻲 瑻|𪻺 璝|𪼋 㻶|𪼴 𤬅|𪽈 畼|𪽝 𤳷|𪽪 痮|𪽭 𤷃|𪽮 㿖|𪽴 𤺔|𪽷 瘱|𪾔 盨|𪾢 睍|𪾣 眝|𪾦 矑|𪾸 矉|𪿊 𥏝|𪿞 𥖲|𪿫 礮|𪿵 𥗇|𫀌 𥜰|𫀓 𥜐|𫀨 䅐|𫀬 䅳|𫀮 𥢷|𫁂 䆉|𫁟 竱|𫁡 鴗|𫁱 𥶽|𫁲 䉑|𫁳 𥯤|𫁷 䉶|𫁺 𥴼',
+    '𫂃 簢|𫂆 簂|𫂈 䉬|𫂖 𥴨|𫂿 𥻦|𫃗 𩏷|𫄙 糺|𫄚 䊺|𫄛 紟|𫄜 䋃|𫄝 𥾯|𫄞 䋔|𫄟 絁|𫄠 絙|𫄡 絧|𫄢 絥|𫄣 繷|𫄤 繨|𫄥 纚|𫄦 𦀖|𫄧 綖|𫄨 絺|𫄩 䋦|𫄪 𦅇|𫄫 綟|𫄬 緤|𫄭 緮|𫄮 䋼|𫄯 𦃩|𫄰 縍|𫄱 繬|𫄲 縸|𫄳 縰|𫄴 繂|𫄵 𦅈|𫄶 繈|𫄷 繶|𫄸 纁|𫄹 纗|𫅅 䍤',
+    '𫅗 羵|𫅥 𦒀|𫅭 䎙|𫅼 𦔖|𫆏 聻|𫆝 𦟼|𫆫 𦡝|𫇘 𦧺|𫇛 艣|𫇪 𦱌|𫇭 蔿|𫇴 蒭|𫇽 蕽|𫈉 蕳|𫈎 葝|𫈟 蔯|𫈵 蕝|𫉁 薆|𫉄 藷|𫊪 䗅|𫊮 蠦|𫊸 蟜|𫊹 𧒯|𫊻 蟳|𫋇 蟂|𫋌 蟘|𫋲 䙔|𫋷 襗|𫋹 襓|𫋻 襘|𫌀 襀|𫌇 襵|𫌋 𧞫|𫌨 覼|𫌪 覛|𫌫 𧡴|𫌬 𧢄|𫌭 覹|𫌯 䚩|𫍐 𧭹',
+    '𫍙 訑|𫍚 訞|𫍛 訜|𫍜 詓|𫍝 諫|𫍞 𧦝|𫍟 𧦧|𫍠 䛄|𫍡 詑|𫍢 譊|𫍣 詷|𫍤 譑|𫍥 誂|𫍦 譨|𫍧 誺|𫍨 誫|𫍩 諣|𫍪 誋|𫍫 䛳|𫍬 誷|𫍭 𧩕|𫍮 誳|𫍯 諴|𫍰 諰|𫍱 諯|𫍲 謏|𫍳 諥|𫍴 謱|𫍵 謸|𫍶 𧩼|𫍷 謉|𫍸 謆|𫍹 謯|𫍺 𧫝|𫍻 譆|𫍼 𧬤|𫍽 譞|𫍾 𧭈|𫍿 譾|𫎆 豵',
+    '𫎌 貗|𫎦 贚|𫎧 䝭|𫎨 𧸘|𫎩 賝|𫎪 䞋|𫎫 贉|𫎬 贑|𫎭 䞓|𫎱 䟐|𫎳 䟆|𫎸 𧽯|𫎺 䟃|𫏃 䠆|𫏆 蹳|𫏋 蹻|𫏌 𨂐|𫏐 蹔|𫏑 𨇽|𫏕 𨆪|𫏞 𨇰|𫏨 𨇤|𫐄 軏|𫐅 軕|𫐆 轣|𫐇 軜|𫐈 軷|𫐉 軨|𫐊 軬|𫐋 𨎌|𫐌 軿|𫐍 𨌈|𫐎 輢|𫐏 輖|𫐐 輗|𫐑 輨|𫐒 輷|𫐓 輮|𫐔 𨍰|𫐕 轊',
+    '𫐖 轇|𫐗 轐|𫐘 轗|𫐙 轠|𫐷 遱|𫑘 鄟|𫑡 鄳|𫑷 醶|𫓥 釟|𫓦 釨|𫓧 鈇|𫓨 鈛|𫓩 鏦|𫓪 鈆|𫓫 𨥟|𫓬 鉔|𫓭 鉠|𫓮 𨪕|𫓯 銈|𫓰 銊|𫓱 鐈|𫓲 銁|𫓳 𨰋|𫓴 鉾|𫓵 鋠|𫓶 鋗|𫓷 𫒡|𫓸 錽|𫓹 錤|𫓺 鐪|𫓻 錜|𫓼 𨨛|𫓽 錝|𫓾 錥|𫓿 𨨢|𫔀 鍊|𫔁 鐼|𫔂 鍉|𫔃 𨰲|𫔄 鍒',
+    '𫔅 鎍|𫔆 䥯|𫔇 鎞|𫔈 鎙|𫔉 𨰃|𫔊 鏥|𫔋 䥗|𫔌 鏾|𫔍 鐇|𫔎 鐍|𫔏 𨬖|𫔐 𨭸|𫔑 𨭖|𫔒 𨮳|𫔓 𨯟|𫔔 鑴|𫔕 𨰥|𫔖 𨲳|𫔭 開|𫔮 閒|𫔯 閗|𫔰 閞|𫔲 𨴹|𫔴 閵|𫔵 䦯|𫔶 闑|𫔽 𨼳|𫕚 𩀨|𫕥 霣|𫕨 𩅙|𫖃 靧|𫖅 䪊|𫖇 鞾|𫖑 𩎖|𫖒 韠|𫖓 𩏂|𫖔 韛|𫖕 韝|𫖖 𩏠|𫖪 𩑔',
+    '𫖫 䪴|𫖬 䪾|𫖭 𩒎|𫖮 顗|𫖯 頫|𫖰 䫂|𫖱 䫀|𫖲 䫟|𫖳 頵|𫖴 𩔳|𫖵 𩓥|𫖶 顅|𫖷 𩔑|𫖸 願|𫖹 顣|𫖺 䫶|𫗇 䫻|𫗈 𩗓|𫗉 𩗴|𫗊 䬓|𫗋 飋|𫗚 𩟗|𫗞 飦|𫗟 䬧|𫗠 餦|𫗡 𩚩|𫗢 飵|𫗣 飶|𫗤 𩛌|𫗥 餫|𫗦 餔|𫗧 餗|𫗨 𩛡|𫗩 饠|𫗪 餧|𫗫 餬|𫗬 餪|𫗭 餵|𫗮 餭|𫗯 餱',
+    '𫗰 䭔|𫗱 䭑|𫗳 𩝽|𫗴 饘|𫗵 饟|𫘛 馯|𫘜 馼|𫘝 駃|𫘞 駞|𫘟 駊|𫘠 駤|𫘡 駫|𫘣 駻|𫘤 騃|𫘥 騉|𫘦 騊|𫘧 騄|𫘨 騠|𫘩 騜|𫘪 騵|𫘫 騴|𫘬 騱|𫘭 騻|𫘮 䮰|𫘯 驓|𫘰 驙|𫘱 驨|𫘽 鬠|𫙂 𩯁|𫚈 鱮|𫚉 魟|𫚊 鰑|𫚋 鱄|𫚌 魦|𫚍 魵|𫚎 𩶁|𫚏 䱁|𫚐 䱀|𫚑 鮅|𫚒 鮄',
+    '𫚓 鮤|𫚔 鮰|𫚕 鰤|𫚖 鮆|𫚗 鮯|𫚘 𩻮|𫚙 鯆|𫚚 鮿|𫚛 鮵|𫚜 䲅|𫚝 𩸄|𫚞 鯬|𫚟 𩸡|𫚠 䱧|𫚡 鯞|𫚢 鰋|𫚣 鯾|𫚤 鰦|𫚥 鰕|𫚦 鰫|𫚧 鰽|𫚨 𩻗|𫚩 𩻬|𫚪 鱊|𫚫 鱢|𫚬 𩼶|𫚭 鱲|𫛚 鳽|𫛛 鳷|𫛜 鴀|𫛝 鴅|𫛞 鴃|𫛟 鸗|𫛠 𩿤|𫛡 鴔|𫛢 鸋|𫛣 鴥|𫛤 鴐|𫛥 鵊|𫛦 鴮',
+    '𫛧 𪀖|𫛨 鵧|𫛩 鴳|𫛪 鴽|𫛫 鶰|𫛬 䳜|𫛭 鵟|𫛮 䳤|𫛯 鶭|𫛰 䳢|𫛱 鵫|𫛲 鵰|𫛳 鵩|𫛴 鷤|𫛵 鶌|𫛶 鶒|𫛷 鶦|𫛸 鶗|𫛹 𪃧|𫛺 䳧|𫛻 𪃒|𫛼 䳫|𫛽 鷅|𫛾 𪆷|𫜀 鷐|𫜁 鷩|𫜂 𪅂|𫜃 鷣|𫜄 鷷|𫜅 䴋|𫜊 𪉸|𫜑 麷|𫜒 䴱|𫜓 𪌭|𫜔 䴽|𫜕 𪍠|𫜙 䵴|𫜟 𪓰|𫜨 䶕|𫜩 齧',
+    '𫜪 齩|𫜫 𫜦|𫜬 齰|𫜭 齭|𫜮 齴|𫜯 𪙏|𫜰 齾|𫜲 龓|𫜳 䶲|𫝈 㑮|𫝋 𠐊|𫝦 㛝|𫝧 㜐|𫝨 媈|𫝩 嬦|𫝪 𡟫|𫝫 婡|𫝬 嬇|𫝭 孆|𫝮 孄|𫝵 嶹|𫞅 𦠅|𫞗 潣|𫞚 澬|𫞛 㶆|𫞝 灍|𫞠 爧|𫞡 爃|𫞢 𤛱|𫞣 㹽|𫞥 珼|𫞦 璾|𫞧 𤩂|𫞨 璼|𫞩 璊|𫞷 𥢶|𫟃 絍|𫟄 綋|𫟅 綡|𫟆 緟',
+    '𫟇 𦆲|𫟑 䖅|𫟕 䕤|𫟞 訨|𫟟 詊|𫟠 譂|𫟡 誴|𫟢 䜖|𫟤 䡐|𫟥 䡩|𫟦 䡵|𫟫 𨞺|𫟬 𨟊|𫟲 釚|𫟳 釲|𫟴 鈖|𫟵 鈗|𫟶 銏|𫟷 鉝|𫟸 鉽|𫟹 鉷|𫟺 䤤|𫟻 銂|𫟼 鐽|𫟽 𨧰|𫟾 𨩰|𫟿 鎈|𫠀 䥄|𫠁 鑉|𫠂 閝|𫠅 韚|𫠆 頍|𫠇 𩖰|𫠈 䫾|𫠊 䮄|𫠋 騼|𫠌 𩦠|𫠏 𩵦|𫠐 魽|𫠑 䱸',
+    '𫠒 鱆|𫠖 𩿅|𫠜 齯|𫢸 僤|𫧃 𣍐|𫧮 𪋿|𫫇 噁|𫬐 㘔|𫭟 塸|𫭢 埨|𫭼 𡑍|𫮃 墠|𫰛 娙|𫵷 㠣|𫶇 嵽|𫷷 廞|𫸩 彄|𬀩 暐|𬀪 晛|𬂩 梜|𬃊 櫍|𬇕 澫|𬇙 浿|𬇹 漍|𬉼 熰|𬊈 燖|𬊤 燀|𬍛 瓅|𬍡 璗|𬍤 璕|𬒈 礐|𬒗 𥗽|𬕂 篢|𬘓 紃|𬘘 紞|𬘡 絪|𬘩 綎|𬘫 綄|𬘬 綪|𬘭 綝',
+    '𬘯 綧|𬙂 縯|𬙊 纆|𬙋 纕|𬜬 蔄|𬜯 䓣|𬞟 蘋|𬟁 虉|𬟽 蝀|𬣙 訏|𬣞 詝|𬣡 諓|𬣳 詪|𬤇 諲|𬤊 諟|𬤝 譓|𬨂 軝|𬨎 輶|𬩽 鄩|𬪩 醲|𬬩 釴|𬬭 錀|𬬮 鋹|𬬱 釿|𬬸 鉥|𬬹 鉮|𬬻 鑪|𬬿 鉊|𬭁 鉧|𬭊 𨧀|𬭎 鋐|𬭚 錞|𬭛 𨨏|𬭤 鍭|𬭩 鎓|𬭬 鏏|𬭭 鏚|𬭯 䥕|𬭳 𨭎|𬭶 𨭆',
+    '𬭸 鏻|𬭼 鐩|𬮱 闉|𬮿 隑|𬯀 隮|𬯎 隤|𬱖 頔|𬱟 頠|𬳵 駓|𬳶 駉|𬳽 駪|𬳿 駼|𬴂 騑|𬴃 騞|𬴊 驎|𬶋 鮈|𬶍 鮀|𬶏 鮠|𬶐 鮡|𬶟 鯻|𬶠 鰊|𬶨 鱀|𬶭 鰶|𬶮 鱚|𬷕 鵏|𬸘 鶠|𬸚 鸑|𬸣 鶱|𬸦 鷟|𬸪 鷭|𬸯 鷿|𬹼 齘|𬺈 齮|𬺓 齼|𰬸 繐|𰰨 菕|𰶎 譅|𰻝 𰻞|𰾄 鋂|𰾭 鑀',
+    '𱊜 𪈼'
+  ].join('|'),
+
+  // Simplified to Traditional, phrases the characters alone get wrong
+  stPhrases: [
+    '一伙头 一夥頭|一冲性子 一沖性子|一出 一齣|一出剧 一齣劇|一出剧场 一出劇場|一出剧院 一出劇院|一出去 一出去|一出场 一出場|一出城 一出城|一出声 一出聲|一出子 一齣子|一出戏 一齣戲|一出戏院 一出戲院|一出机场 一出機場|一出来 一出來|一出生 一出生|一出电影院 一出電影院|一出祁山 一出祁山|一出道 一出道|一分收获 一分收穫|一分钟 一分鐘|一别头 一彆頭|一发之差 一髮之差|一发之间 一髮之間|一发千钧 一髮千鈞|一口钟 一口鐘|一只 一隻|一号木杆 一號木桿|一周 一週|一周天 一周天|一周年 一週年|一周遭 一周遭|一哄 一鬨|一哄而上 一鬨而上|一哄而散 一鬨而散|一哄而起 一鬨而起|一哄而集 一鬨而集|一块面 一塊麪|一坛 一罈|一坛坛 一罈罈',
+    '一坛死水 一壇死水|一天后 一天後|一天星斗 一天星斗|一天钟 一天鐘|一干 一干|一干二净 一乾二淨|一干人 一干人|一干家中 一干家中|一干弟兄 一干弟兄|一干弟子 一干弟子|一干而尽 一乾而盡|一干部下 一干部下|一并 一併|一幻拉面 一幻拉麪|一径 一逕|一扎 一紮|一斗 一斗|一斗再斗 一鬥再鬥|一斗斗 一斗斗|一日千里 一日千里|一日叫娘 一日叫孃|一杆进洞 一桿進洞|一松 一鬆|一树百获 一樹百穫|一根烟 一根菸|一毫一发 一毫一髮|一沐三捉发 一沐三捉髮|一沐三握发 一沐三握髮|一泻千里 一瀉千里|一点钟 一點鐘|一物克一物 一物剋一物|一目了然 一目瞭然|一碗面 一碗麪|一秒钟 一秒鐘|一签 一簽|一箭双雕 一箭雙鵰|一粥面 一粥麪|一赞 一讚|一逞兽欲 一逞獸慾|一里 一里',
+    '一里一外 一裏一外|一锅面 一鍋麪|一面点 一面點|一飞冲天 一飛沖天|丁丁冬冬 丁丁冬冬|丁丑 丁丑|丁里 丁里|丁铃当啷 丁鈴噹啷|丁零当啷 丁零噹啷|七八下里 七八下裏|七出戏 七齣戲|七分钟 七分鐘|七只 七隻|七周 七週|七坛 七罈|七天后 七天後|七娘妈 七孃媽|七弦 七絃|七情六欲 七情六慾|七扎 七紮|七点钟 七點鐘|七秒钟 七秒鐘|七里 七里|七里河 七里河|七里河区 七里河區|七里香 七里香|万一只 萬一只|万余只 萬餘隻|万余里 萬餘里|万俟 万俟|万历 萬曆|万只 萬隻|万坛 萬罈|万天后 萬天後|万年历 萬年曆|万年历表 萬年曆錶|万扎 萬紮|万旗 万旗|万用电表 萬用電表|万贯家私 萬貫家私',
+    '万里 萬里|万里之望 萬里之望|万里乡 萬里鄉|万里侯 萬里侯|万里同风 萬里同風|万里封侯 萬里封侯|万里无云 萬里無雲|万里春愁直 萬里春愁直|万里晴空 萬里晴空|万里江山 萬里江山|万里迢迢 萬里迢迢|万里追踪 萬里追蹤|万里长城 萬里長城|万里长征 萬里長征|万里长江 萬里長江|万里长空 萬里長空|万里鹏程 萬里鵬程|万里鹏翼 萬里鵬翼|丈母娘 丈母孃|三仙台 三仙臺|三元里 三元里|三出戏 三齣戲|三分钟 三分鐘|三只 三隻|三只手 三隻手|三周 三週|三周年 三週年|三天后 三天後|三娘教子 三孃教子|三尸 三尸|三尸神 三尸神|三弦 三絃|三征七辟 三徵七辟|三扎 三紮|三浴三熏 三浴三熏|三点钟 三點鐘|三熏三沐 三熏三沐|三田制面所 三田製麪所|三秒钟 三秒鐘|三统历 三統曆',
+    '三统历史 三統歷史|三角关系 三角關係|三角巾包扎法 三角巾包紮法|三辟 三辟|三里 三里|三里屯 三里屯|三里河 三里河|三鲜面 三鮮麪|上下游 上下游|上不了台面 上不了檯面|上不得台盘 上不得檯盤|上中下游 上中下游|上冲下洗 上沖下洗|上合屋 上閤屋|上周 上週|上复 上覆|上夸克 上夸克|上梁 上樑|上梁不正 上樑不正|上梁不正下梁歪 上樑不正下樑歪|上梁山 上梁山|上梁文 上樑文|上游 上游|上游工业 上游工業|上签写 上簽寫|上签名 上簽名|上签字 上簽字|上签收 上簽收|上课钟 上課鐘|上野树里 上野樹里|上链 上鍊|下仑路 下崙路|下周 下週|下咽 下嚥|下城里 下城里|下夸克 下夸克|下摆 下襬|下梁 下樑|下注解 下註解|下游 下游',
+    '下游工业 下游工業|下签写 下簽寫|下签名 下簽名|下签字 下簽字|下签收 下簽收|下课钟 下課鐘|下采 下采|下里 下里|下里巴人 下里巴人|下面条 下麪條|不上台盘 不上檯盤|不了解 不瞭解|不克制 不剋制|不准他 不准他|不准你 不准你|不准她 不准她|不准它 不准它|不准我 不准我|不准没 不准沒|不准翻印 不准翻印|不准许 不准許|不准谁 不准誰|不准问 不准問|不划算 不划算|不单只是 不單只是|不占凶吉 不占凶吉|不占卜 不占卜|不占吉凶 不占吉凶|不占算 不占算|不可以道里计 不可以道里計|不可向迩 不可向邇|不吊 不弔|不大精采 不大精采|不好干涉 不好干涉|不好干预 不好干預|不寒而栗 不寒而慄|不差毫发 不差毫髮|不干不净 不乾不淨|不干不净吃了没病 不乾不淨喫了沒病|不干他 不干他',
+    '不干休 不干休|不干你 不干你|不干净 不乾淨|不干她 不干她|不干它 不干它|不干己事 不干己事|不干性 不乾性|不干我 不干我|不干扰 不干擾|不干杯 不乾杯|不干涉 不干涉|不干涉主义 不干涉主義|不干渴 不乾渴|不干犯 不干犯|不干着急 不乾着急|不干胶 不乾膠|不干脆 不乾脆|不干裂 不乾裂|不干预 不干預|不并 不併|不得台盘 不得檯盤|不惮强御 不憚強禦|不托 不託|不放松 不放鬆|不断发展 不斷發展|不断发现 不斷發現|不断发生 不斷發生|不断发酵 不斷發酵|不松下 不鬆下|不正当关系 不正當關係|不气干 不氣干|不求收获 不求收獲|不畏强御 不畏強禦|不畏彊御 不畏彊禦|不相干 不相干|不知所云 不知所云|不系 不繫|不系舟 不繫舟|不肯干休 不肯干休|不舍 不捨',
+    '不舍得 不捨得|不舍昼夜 不捨晝夜|不药而愈 不藥而癒|不讨采 不討采|不让须眉 不讓鬚眉|不谷 不穀|不负所托 不負所托|不赞 不讚|不赞一词 不讚一詞|不赞一辞 不讚一辭|不赞同 不贊同|不赞成 不贊成|不足回旋 不足回旋|不远万里 不遠萬里|不远千里 不遠千里|不通吊庆 不通弔慶|不避彊御 不避彊禦|不采声 不采聲|不食干腊 不食乾腊|与他一斗 與他一鬥|与克制 與剋制|与她一斗 與她一鬥|丑三 丑三|丑年 丑年|丑日 丑日|丑旦 丑旦|丑时 丑時|丑月 丑月|丑牛 丑牛|丑角 丑角|专征 專征|专鉴 專鑒|世彩堂 世綵堂|世彩堂帖 世綵堂帖|世田谷 世田谷|世界杯 世界盃|世界杯室 世界盃室|世界杯赛 世界盃賽|世纪钟 世紀鐘|世纪钟表 世紀鐘錶',
+    '东仓里 東倉里|东加里曼丹 東加里曼丹|东升 東昇|东周钟 東周鐘|东山里 東山里|东山里站 東山里站|东干 東干|东征 東征|东征西怨 東征西怨|东征西讨 東征西討|东斗星君 東斗星君|东涌 東涌|东涌线 東涌線|东讨西征 東討西征|东里 東里|丝发 絲髮|丝发之功 絲髮之功|丝弦 絲絃|丝恩发怨 絲恩髮怨|丝杆 絲桿|两个中国 兩個中國|两出戏 兩齣戲|两只 兩隻|两只手 兩隻手|两只脚赶不上一张嘴 兩隻腳趕不上一張嘴|两周 兩週|两周年 兩週年|两国关系 兩國關係|两天后 兩天後|两头白面 兩頭白面|两岸关系 兩岸關係|两性关系 兩性關係|两扎 兩紮|两撇胡 兩撇鬍|两点钟 兩點鐘|两秒钟 兩秒鐘|两西西里王国 兩西西里王國|严云农 嚴云農|严禁吸烟 嚴禁吸菸|严禁烟火 嚴禁煙火',
+    '丧荡游魂 喪蕩游魂|丧钟 喪鐘|个中 箇中|个中三昧 箇中三昧|个中人 箇中人|个中原因 箇中原因|个中奥妙 箇中奧妙|个中奥秘 箇中奧祕|个中好手 箇中好手|个中强手 箇中強手|个中消息 箇中消息|个中滋味 箇中滋味|个中玄机 箇中玄機|个中理由 箇中理由|个中讯息 箇中訊息|个中资讯 箇中資訊|个中道理 箇中道理|个中高手 箇中高手|个旧 箇舊|个旧县 箇舊縣|个旧市 箇舊市|个钟 個鐘|个钟表 個鐘錶|中上游 中上游|中下游 中下游|中仑 中崙|中仑站 中崙站|中俄关系 中俄關系|中国制 中國製|中国制造 中國製造|中国历史 中國歷史|中型钟 中型鐘|中型钟表 中型鐘錶|中型钟面 中型鐘面|中度台风 中度颱風|中日关系 中日關係|中比关系 中比關係|中游 中游|中环杯 中環盃|中筋面粉 中筋麪粉',
+    '中美发表 中美發表|中西合并 中西合併|中转柜台 中轉櫃檯|中风后 中風後|丰仪 丰儀|丰城贯斗 豐城貫斗|丰姿 丰姿|丰姿冶丽 丰姿冶麗|丰姿绰约 丰姿綽約|丰容 丰容|丰容靓饰 豐容靚飾|丰度 丰度|丰情 丰情|丰标 丰標|丰标不凡 丰標不凡|丰溪里 豐溪里|丰神 丰神|丰神俊美 丰神俊美|丰神异彩 豐神異彩|丰神绰约 丰神綽約|丰神飘洒 丰神飄灑|丰茸 丰茸|丰采 丰采|丰韵 丰韻|串游 串游|临海水土志 臨海水土誌|丹参 丹蔘|丹干 丹干|丹棱 丹稜|为中台 爲中颱|为幸存 爲倖存|主梁 主樑|主钟差 主鐘差|主钟曲线 主鐘曲線|举手可采 舉手可采|举手表 舉手表|举手表决 舉手表決|举目千里 舉目千里|举荐征辟 舉薦征辟|乃里 乃里',
+    '久仰山斗 久仰山斗|么凤士多 么鳳士多|义大利面 義大利麪|义气干霄 義氣干霄|之八九只 之八九只|之托 之託|之欲 之慾|之钟 之鐘|乌云密布 烏雲密佈|乌冬面 烏冬麪|乌发 烏髮|乌干达 烏干達|乌干达共和国 烏干達共和國|乌苏里斯克 烏蘇里斯克|乌苏里江 烏蘇里江|乌里 烏里|乌里雅苏台 烏里雅蘇臺|乌龙面 烏龍麪|乐器钟 樂器鐘|乐里 樂里|乐里镇 樂里鎮|乒乓球台 乒乓球檯|乔德里 喬德里|乘凶完配 乘凶完配|乙丑 乙丑|九出戏 九齣戲|九分钟 九分鐘|九只 九隻|九回肠 九迴腸|九天后 九天後|九扎 九紮|九点钟 九點鐘|九炼成钢 九鍊成鋼|九秒钟 九秒鐘|九谷 九穀|九里 九里|九里余 九里餘|九里区 九里區|九龙表行 九龍表行|乞力马扎罗山 乞力馬扎羅山',
+    '也克制 也剋制|也斗了胆 也斗了膽|也舍下 也捨下|习玩 習翫|乡愿 鄉愿|乡里 鄉里|乡里小人 鄉里小人|书刊杂志 書刊雜誌|书台 書檯|书报杂志 書報雜誌|买烟 買菸|乱世凶年 亂世凶年|乱发 亂髮|乱哄 亂鬨|乱哄不过来 亂鬨不過來|乱哄哄 亂鬨鬨|乱搞男女关系 亂搞男女關係|乱松松 亂鬆鬆|乳制品 乳製品|乳娘 乳孃|乳臭未干 乳臭未乾|乾象历 乾象曆|了如 瞭如|了如指掌 瞭如指掌|了望 瞭望|了望台 瞭望臺|了望塔 瞭望塔|了望山 瞭望山|了望所 瞭望所|了然 瞭然|了然不惑 瞭然不惑|了然于心 瞭然於心|了若指掌 瞭若指掌|了解 瞭解|了解到 瞭解到|事好干 事好幹|事情好干 事情好幹|事情干脆 事情干脆|事迹 事蹟|二仑 二崙',
+    '二仑乡 二崙鄉|二分钟 二分鐘|二十二史札记 二十二史劄記|二只 二隻|二周 二週|二天后 二天後|二姑娘顽老雕 二姑娘頑老雕|二娘 二孃|二娘子 二娘子|二弦 二絃|二恶英 二噁英|二手烟 二手菸|二撇胡 二撇鬍|二斗 二斗|二杆子 二桿子|二点钟 二點鐘|二秒钟 二秒鐘|二缶钟惑 二缶鐘惑|二老板 二老闆|二里 二里|二里头 二里頭|二里头文化 二里頭文化|二项式系数 二項式係數|于丹 于丹|于于 于于|于仁泰 于仁泰|于从濂 于從濂|于会泳 于會泳|于伟国 于偉國|于余曲折 于餘曲折|于佳卉 于佳卉|于光远 于光遠|于克勒 于克勒|于冕 于冕|于军 于軍|于凌奎 于凌奎|于凤桐 于鳳桐|于凤至 于鳳至|于勒 于勒|于化虎 于化虎',
+    '于占元 于占元|于双戈 于雙戈|于台烟 于臺煙|于右任 于右任|于吉 于吉|于品海 于品海|于嗟 于嗟|于国桢 于國楨|于坚 于堅|于大宝 于大寶|于天仁 于天仁|于奇库杜克 于奇庫杜克|于姓 于姓|于娜 于娜|于娟 于娟|于子千 于子千|于孔兼 于孔兼|于学忠 于學忠|于家堡 于家堡|于寘 于寘|于小伟 于小偉|于小彤 于小彤|于尔岑 于爾岑|于尔根 于爾根|于尔里克 于爾里克|于山 于山|于山国 于山國|于帅 于帥|于幼军 于幼軍|于广洲 于廣洲|于康震 于康震|于式枚 于式枚|于归 于歸|于徐 于徐|于德海 于德海|于志宁 于志寧|于思 于思|于慎行 于慎行|于慧 于慧|于成龙 于成龍',
+    '于振 于振|于振武 于振武|于敏 于敏|于敏中 于敏中|于斌 于斌|于斯塔德 于斯塔德|于斯纳尔斯贝里 于斯納爾斯貝里|于斯达尔 于斯達爾|于明涛 于明濤|于晨楠 于晨楠|于晴 于晴|于杰 于傑|于树洁 于樹潔|于根伟 于根偉|于格 于格|于欣源 于欣源|于正升 于正昇|于正昌 于正昌|于永波 于永波|于汉超 于漢超|于江震 于江震|于波 于波|于泽尔 于澤爾|于洪区 于洪區|于浩威 于浩威|于海洋 于海洋|于涛 于濤|于湘兰 于湘蘭|于特森 于特森|于玉立 于玉立|于田 于田|于田县 于田縣|于禁 于禁|于秀敏 于秀敏|于素秋 于素秋|于若木 于若木|于荫霖 于蔭霖|于衡 于衡|于西翰 于西翰|于谦 于謙',
+    '于贝尔 于貝爾|于赠 于贈|于越 于越|于远伟 于遠偉|于道泉 于道泉|于都 于都|于都县 于都縣|于里察 于里察|于阗 于闐|于震寰 于震寰|于震环 于震環|于靖 于靖|于韦斯屈莱 于韋斯屈萊|于风政 于風政|于飞 于飛|于飞之乐 于飛之樂|于馀曲折 于餘曲折|于默奥 于默奧|云为 云爲|云乎 云乎|云云 云云|云何 云何|云南回变 雲南回變|云台山 雲臺山|云吞面 雲吞麪|云城区 云城區|云尔 云爾|云然 云然|云端里老鼠 雲端裏老鼠|云翻雨复 雲翻雨覆|云须 雲鬚|互不干涉 互不干涉|互不干涉内政 互不干涉內政|互动关系 互動關係|互相联系 互相聯繫|五公里 五公里|五出戏 五齣戲|五分钟 五分鐘|五只 五隻|五台山 五臺山',
+    '五周 五週|五周年 五週年|五天后 五天後|五弦 五絃|五扎 五紮|五斗 五斗|五斗折腰 五斗折腰|五斗柜 五斗櫃|五斗橱 五斗櫥|五斗米 五斗米|五斗米道 五斗米道|五斗解酲 五斗解酲|五溪 五谿|五点钟 五點鐘|五百姻缘天注定 五百姻緣天註定|五秒钟 五秒鐘|五脏 五臟|五脏俱全 五臟俱全|五脏六腑 五臟六腑|五脏庙 五臟廟|五脏神 五臟神|五行生克 五行生剋|五谷 五穀|五谷不分 五穀不分|五谷不升 五穀不升|五谷丰收 五穀豐收|五谷丰登 五穀豐登|五谷丰稔 五穀豐稔|五谷杂粮 五穀雜糧|五谷王北街 五谷王北街|五谷王南街 五谷王南街|五辟 五辟|五采 五采|五里 五里|五里雾 五里霧|五里雾中 五里霧中|井干 井榦|井干摧败 井榦摧敗|亚东关系 亞東關係|亚得里亚海 亞得里亞海',
+    '亚洲周刊 亞洲週刊|亚洲杯 亞洲盃|亚美尼亚历 亞美尼亞曆|亚词汇单元 亞詞彙單元|亚里 亞里|亚里士多德 亞里士多德|亚里斯多德 亞里斯多德|亚里斯提 亞里斯提|亚青杯 亞青盃|交口称赞 交口稱讚|交哄 交鬨|交并 交併|交托 交託|交通号志 交通號誌|交通标志 交通標誌|亦云 亦云|亦舍下 亦捨下|产制 產製|产卵洄游 產卵洄游|亮钟 亮鐘|亲娘 親孃|亲子关系 親子關係|亲密关系 親密關係|亲属关系 親屬關係|亲幸 親倖|亲征 親征|亲戚关系 親戚關係|亲戚里 親戚裏|亲笔签名 親筆簽名|亲缘关系 親緣關係|人云 人云|人云亦云 人云亦云|人力回天 人力回天|人参 人蔘|人参果 人蔘果|人参精 人蔘精|人口分布 人口分佈|人如风后入江云 人如風後入江雲|人尽可夫 人盡可夫|人工心脏 人工心臟',
+    '人才出众 人才出衆|人欲 人慾|人欲横流 人慾橫流|人物志 人物誌|人老精姜老辣 人老精薑老辣|人际关系 人際關係|亿只 億隻|亿多只 億多隻|亿天后 億天後|什里店 什里店|什锦炒面 什錦炒麪|什锦面 什錦麪|仁杰 仁杰|仆倒 仆倒|仆地 仆地|仆夫 僕伕|仆然 仆然|仆街 仆街|仇仇 仇讎|今周刊 今周刊|介系词 介係詞|介胄 介冑|从属关系 從屬關係|从征实录 從征實錄|从征缅 從征緬|仑丰村 崙豐村|仑背 崙背|仑背乡 崙背鄉|他克制 他剋制|他钟 他鐘|付托 付託|仙台 仙台|仙后 仙后|仙后座 仙后座|仙岩 仙岩|仙迹 仙蹟|代码表 代碼表|代签 代簽|代签人 代簽人|令人发指 令人髮指',
+    '令岳 令岳|令狐冲 令狐沖|以免借口 以免藉口|以狸致鼠 以貍致鼠|以莛叩钟 以莛叩鐘|以莛撞钟 以莛撞鐘|仪表板 儀表板|仪表盘 儀表盤|件钟 件鐘|价古 价古|价川 价川|任人摆布 任人擺佈|任由摆布 任由擺佈|仿佛 彷彿|仿制 仿製|仿制品 仿製品|仿制药 仿製藥|伊于湖底 伊于湖底|伊于胡底 伊于胡底|伊府面 伊府麪|伊斯兰历 伊斯蘭曆|伊里其 伊里其|伊里奇 伊里奇|伊里布 伊里布|伊里格瑞 伊里格瑞|伊面 伊麪|伍采克 伍采克|伏几 伏几|伐罪吊民 伐罪弔民|休仑湖 休崙湖|休戚 休慼|休戚与共 休慼與共|休戚相关 休慼相關|众口熏天 衆口熏天|伙夫 伙伕|伙头 伙頭|伙房 伙房|伙食 伙食|伙食团 伙食團|伙食费 伙食費',
+    '会上签署 會上簽署|会上签订 會上簽訂|会占卜 會占卜|会合周期 會合週期|会吊 會弔|会干净 會乾淨|会干扰 會干擾|会干政 會干政|会干杯 會乾杯|会干枯 會乾枯|会干涉 會干涉|会干涸 會乾涸|会干脆 會乾脆|会干裂 會乾裂|会干预 會干預|会签制度 會簽制度|伟晶岩 偉晶岩|传位于四太子 傳位于四太子|传布 傳佈|传热系数 傳熱係數|伤寒杆菌 傷寒桿菌|伦布雪 倫布雪|伪托 僞託|伯余 伯余|伯克制度 伯克制度|伯娘 伯孃|伯里克利 伯里克利|伸手不打笑面人 伸手不打笑面人|似松实紧 似鬆實緊|但云 但云|低卡路里 低卡路里|低回 低迴|低回不已 低迴不已|低筋面粉 低筋麪粉|低荡 低盪|住扎 住紮|体育锻炼 體育鍛煉|体胀系数 體脹係數|何小升 何小昇|何干 何干',
+    '何杰金氏病 何杰金氏病|余三胜 余三勝|余上沅 余上沅|余余 余余|余光中 余光中|余光生 余光生|余兰香 余蘭香|余发扬 余發揚|余只 餘隻|余吾镇 余吾鎮|余响绕梁 餘響繞樑|余天 余天|余姓 余姓|余威德 余威德|余子明 余子明|余宪宗 余憲宗|余干 餘干|余干县 餘干縣|余思敏 余思敏|余政宪 余政憲|余文 余文|余文彬 余文彬|余月 余月|余歌沧 余歌滄|余波荡漾 餘波盪漾|余灿荣 余燦榮|余炳贤 余炳賢|余珮琳 余珮琳|余男 余男|余碧芬 余碧芬|余秀菁 余秀菁|余秉谚 余秉諺|余筱萍 余筱萍|余苑绮 余苑綺|余英时 余英時|余贤明 余賢明|余车 余車|余里 餘里|余雪兰 余雪蘭|余雪明 余雪明',
+    '余音绕梁 餘音繞樑|佛历 佛曆|佛罗里达 佛羅里達|佛罗里达州 佛羅里達州|佛里特 佛里特|佛里特曼 佛里特曼|佛钟 佛鐘|作幸 作倖|作废后 作廢後|你克制 你剋制|你干一杯 你乾一杯|你干那杯 你乾那杯|你才子发昏 你纔子發昏|你斗了胆 你斗了膽|你系 你係|佣金 佣金|佣金收益 佣金收益|佣金费用 佣金費用|佣钱 佣錢|佣钿 佣鈿|佳荣里 佳榮里|佳里 佳里|佳里镇 佳里鎮|使心作幸 使心作倖|供制 供製|依从关系 依從關係|依依不舍 依依不捨|依依难舍 依依難捨|依存关系 依存關係|依托 依託|依法炮制 依法炮製|依然范特西 依然范特西|侠气干云 俠氣干雲|侥天之幸 僥天之倖|侥幸 僥倖|侥幸取胜 僥倖取勝|侥幸获胜 僥倖獲勝|侯彩凤 侯彩鳳|侵入岩 侵入岩|侵并 侵併',
+    '便吃干 便喫乾|便辟 便辟|俄制 俄製|俏丽短发 俏麗短髮|保持克制 保持克制|保持联系 保持聯繫|保险杆 保險桿|信天游 信天游|信托 信託|信托公司 信託公司|信托贸易 信託貿易|信马游缰 信馬游繮|俪采 儷采|俭确之教 儉确之教|修五脏庙 修五臟廟|修名 脩名|修敬 脩敬|修杰楷 修杰楷|修樾 脩樾|修浚 修濬|修润 脩潤|修胡刀 修鬍刀|修脯 脩脯|修金 脩金|倒八字须 倒八字鬚|倒念 倒唸|倒悬挨命 倒懸捱命|倒扣针儿 倒扣針兒|倒持干戈 倒持干戈|倒竖虎须 倒豎虎鬚|倒置干戈 倒置干戈|倒载干戈 倒載干戈|倒钟摆效应 倒鐘擺效應|倒霉 倒霉|倚闲 倚閑|借以 藉以|借借 藉藉|借借看 借借看|借助 藉助|借助于 藉助於',
+    '借卉 藉卉|借口 藉口|借寇兵 藉寇兵|借寇兵赍盗粮 藉寇兵齎盜糧|借手 藉手|借手除敌 借手除敵|借故 藉故|借故推辞 藉故推辭|借机 藉機|借槁 藉槁|借此 藉此|借此机会 藉此機會|借甚 藉甚|借由 藉由|借着 藉着|借端 藉端|借端生事 藉端生事|借箸代筹 藉箸代籌|借草枕块 藉草枕塊|借词 藉詞|借资 藉資|借资挹注 借資挹注|倪嗣冲 倪嗣沖|值得一干 值得一幹|值得称赞 值得稱讚|偃仆 偃仆|假发 假髮|假托 假託|偎干 偎乾|偎干就湿 偎乾就溼|偏信则暗 偏信則闇|偏幸 偏倖|偏相关系数 偏相關係數|做一天和尚撞一天钟 做一天和尚撞一天鐘|做出好戏 做齣好戲|停停当当 停停當當|停制 停製|偢采 偢采|偷尝禁果 偷嚐禁果|偷梁换柱 偷樑換柱',
+    '傅匀余 傅勻余|傒幸 傒倖|催并 催併|僵仆 僵仆|僵尸 殭屍|僵尸网络 殭屍網絡|僵蚕 殭蠶|儌幸 儌倖|儒略历 儒略曆|儒略历史 儒略歷史|儒略改革历 儒略改革曆|儒略改革历史 儒略改革歷史|兀术 兀朮|允准 允准|元后 元后|元素周期表 元素週期表|先尝 先嚐|先干为敬 先乾爲敬|先签 先簽|光卤石 光鹵石|光周期 光週期|光杆 光桿|光杆儿 光桿兒|光杆司令 光桿司令|光碟杂志 光碟雜誌|光纤分布式数据介面 光纖分佈式數據介面|光纤分布数据接口 光纖分佈數據接口|光脊梁 光脊樑|光致致 光緻緻|光采 光采|克克 剋剋|克克尔 克克爾|克制 剋制|克制不了 剋制不了|克制不住 剋制不住|克剥 剋剝|克啬 剋嗇|克夫 剋夫|克意 剋意|克扣 剋扣',
+    '克日 剋日|克星 剋星|克期 剋期|克核 剋核|克死 剋死|克落 剋落|克薄 剋薄|克里 克里|克里丝蒂娃 克里絲蒂娃|克里契科 克里契科|克里奥尔语 克里奧爾語|克里姆林 克里姆林|克里姆林宫 克里姆林宮|克里姆林杯 克里姆林杯|克里岛 克里島|克里斯 克里斯|克里斯伊凡 克里斯伊凡|克里斯塔基斯 克里斯塔基斯|克里斯托 克里斯托|克里斯托弗 克里斯托弗|克里斯普 克里斯普|克里斯汀 克里斯汀|克里斯汀贝尔 克里斯汀貝爾|克里斯蒂安 克里斯蒂安|克里斯蒂安松 克里斯蒂安松|克里普斯 克里普斯|克里木 克里木|克里木半岛 克里木半島|克里木战争 克里木戰爭|克里梅 克里梅|克里特 克里特|克里特克 克里特克|克里特克里岛 克里特克里島|克里特岛 克里特島|克里米亚 克里米亞|克里米亚半岛 克里米亞半島|克里米亚战争 克里米亞戰爭|克里蒙梭 克里蒙梭|克里门 克里門|克里门特 克里門特',
+    '免胄 免冑|党参 黨蔘|党太尉 党太尉|党太尉吃匾食 党太尉喫匾食|党怀英 党懷英|党支书 党支書|党进 党進|党项 党項|党项族 党項族|入口匝道号志管制 入口匝道號誌管制|入境签证 入境簽證|全干 全乾|全彩 全綵|全彩干式印表机 全彩乾式印表機|全托 全託|全斗焕 全斗煥|全日制 全日制|全谷物 全穀物|全面包围 全面包圍|全面包裹 全面包裹|八出戏 八齣戲|八千里 八千里|八只 八隻|八周 八週|八周年 八週年|八大胡同 八大胡同|八天后 八天後|八字胡 八字鬍|八字胡须 八字鬍鬚|八扎 八紮|八斗 八斗|八斗之才 八斗之才|八斗子 八斗子|八斗才 八斗才|八斗陈思 八斗陳思|八点钟 八點鐘|八秒钟 八秒鐘|八蜡 八蜡|八辟 八辟|八里 八里',
+    '八里乡 八里鄉|公仔面 公仔麪|公共关系 公共關係|公历 公曆|公孙丑 公孫丑|公布 公佈|公布于众 公佈於衆|公布出来 公佈出來|公布栏 公佈欄|公斗 公斗|公认会计准 公認會計准|公里 公里|公里数 公里數|公里时 公里時|六冲 六沖|六出戏 六齣戲|六只 六隻|六周 六週|六周年 六週年|六天后 六天後|六弦 六絃|六扎 六紮|六欲 六慾|六点钟 六點鐘|六谷 六穀|六通四辟 六通四辟|六道轮回 六道輪迴|六里 六里|六须鲇 六鬚鮎|六须鲶 六鬚鯰|兰溪 蘭谿|兰里老太太 蘭里老太太|共产制 共產制|共同财产制 共同財產制|共和历 共和曆|共和历史 共和歷史|共御外侮 共禦外侮|共轭复数 共軛複數|共铲 共剷|关山万里 關山萬里',
+    '关岳 關岳|关弓与我确 關弓與我确|关征 關征|关系 關係|关系人 關係人|关系代名词 關係代名詞|关系企业 關係企業|关系到 關係到|关系命题 關係命題|关系奖 關係獎|关系密切 關係密切|关系式 關係式|关系户 關係戶|关系法 關係法|关系着 關係着|关系融洽 關係融洽|关系词 關係詞|关系调 關係調|关系运算 關係運算|关系部 關係部|兴云布雨 興雲佈雨|兴冲冲 興沖沖|兴高采烈 興高采烈|其八九只 其八九只|其次辟地 其次辟地|养儿待老积谷防饥 養兒待老積穀防饑|养儿防老积谷防饥 養兒防老積穀防飢|养发 養髮|养子防老积谷防饥 養子防老積穀防飢|养家糊口 養家餬口|养小防老积谷防饥 養小防老積穀防饑|兼听则明偏信则暗 兼聽則明偏信則暗|兼并 兼併|兼并与收购 兼併與收購|兽奸 獸姦|兽欲 獸慾|内制 內製|内制作 內製作|内卷 內捲|内哄 內鬨',
+    '内松外紧 內鬆外緊|内紧外松 內緊外鬆|内脏 內臟|内脏器官移植 內臟器官移植|内部联系 內部聯繫|内面包的 內面包的|冈田准 岡田准|再制 再製|再制品 再製品|再制盐 再製鹽|再制纸 再製紙|再干一杯 再乾一杯|再斗一斗 再鬥一鬥|再长爹娘 再長爹孃|写字台 寫字檯|军团杆菌 軍團桿菌|军舰岩 軍艦岩|军队克制 軍隊剋制|农历 農曆|农历年 農曆年|农历新年 農曆新年|农民历 農民曆|农民历史 農民歷史|冠军杯 冠軍盃|冠胄 冠冑|冥凌 冥淩|冥凌浃行 冥淩浹行|冥蒙 冥濛|冬冬 鼕鼕|冬冬鼓 鼕鼕鼓|冬日里 冬日裏|冰前刮雪 冰前颳雪|冰岩 冰岩|冰斗 冰斗|冰碛岩 冰磧岩|冰雪皇后 冰雪皇后|冲人 沖人|冲克 沖剋|冲冠发怒 衝冠髮怒|冲冲 沖沖',
+    '冲冲水 沖沖水|冲决 沖決|冲决堤防 沖決堤防|冲凉 沖涼|冲刷 沖刷|冲剂 沖劑|冲印 沖印|冲压 沖壓|冲压机 沖壓機|冲厕所 沖廁所|冲和 沖和|冲喜 沖喜|冲坏 沖壞|冲垮 沖垮|冲塌 沖塌|冲天 沖天|冲天之怒 沖天之怒|冲天炉 沖天爐|冲天炮 沖天炮|冲帐 沖帳|冲年 沖年|冲床 沖牀|冲床工 沖牀工|冲弱 沖弱|冲怀 沖懷|冲扩 沖擴|冲掉 沖掉|冲断 沖斷|冲断层 衝斷層|冲昧 沖昧|冲服 沖服|冲服剂 沖服劑|冲末 沖末|冲模 沖模|冲毁 沖毀|冲水 沖水|冲沟 沖溝|冲泡 沖泡|冲泡式 沖泡式|冲泻 沖瀉',
+    '冲洗 沖洗|冲洗照片 沖洗照片|冲流 沖流|冲涤 沖滌|冲淋浴 沖淋浴|冲淡 沖淡|冲澡 沖澡|冲田 沖田|冲碧丹经 沖碧丹經|冲积 沖積|冲积土 沖積土|冲积堤 沖積堤|冲积层 沖積層|冲积岛 沖積島|冲积平原 沖積平原|冲积扇 沖積扇|冲积物 沖積物|冲税 沖稅|冲空机 沖空機|冲绳 沖繩|冲绳县 沖繩縣|冲绳岛 沖繩島|冲绳群岛 沖繩羣島|冲茶 沖茶|冲蒌 沖蔞|冲虚 沖虛|冲虚真人 沖虛真人|冲虚真经 沖虛真經|冲蚀 沖蝕|冲襟 沖襟|冲走 沖走|冲销 沖銷|冲霄 沖霄|冲霄汉外 沖霄漢外|冲默 沖默|冲鼻 沖鼻|冲龄 沖齡|决策千里 決策千里|决胜千里 決勝千里|冷心冷面 冷心冷面',
+    '冷淡关系 冷淡關係|冷面 冷麪|冷面冷心 冷面冷心|冷面相 冷面相|冻干 凍乾|净发 淨髮|凄冷 淒冷|凄凉 淒涼|凄厉 淒厲|凄寒 淒寒|凄沧 淒滄|凄雨 淒雨|准三后 准三后|准不准他 准不准他|准不准你 准不准你|准不准她 准不准她|准不准它 准不准它|准不准我 准不准我|准不准许 准不准許|准不准谁 准不准誰|准予 准予|准以 准以|准伏 准伏|准保护 准保護|准保释 准保釋|准假 准假|准入 准入|准决斗 准決鬥|准奏 准奏|准将 准將|准尉 准尉|准折 准折|准普尔 准普爾|准此 准此|准算 准算|准考证 准考證|准许 准許|凉席 涼蓆|凉面 涼麪|凌云笔 淩雲筆',
+    '凌借 凌藉|凌姓 淩姓|凌小姐 淩小姐|凌氏 淩氏|凌氏惠平 淩氏惠平|凌水 淩水|凌河 淩河|凌策 淩策|凌统 淩統|凌蒙初 凌濛初|凌驰 淩馳|凛栗 凜慄|凝灰岩 凝灰岩|凝炼 凝鍊|几万里 幾萬里|几上 几上|几净窗明 几淨窗明|几几 几几|几几乎乎 幾幾乎乎|几凳 几凳|几出 幾齣|几分收获 幾分收穫|几分钟 幾分鐘|几十周 幾十週|几千里 幾千里|几只 幾隻|几周 幾週|几周围 幾周圍|几周边 幾周邊|几周遭 幾周遭|几天后 幾天後|几子 几子|几席 几席|几旁 几旁|几杆 幾桿|几杖 几杖|几案 几案|几案之才 几案之才|几椅 几椅|几榻 几榻',
+    '几点钟 幾點鐘|几百里 幾百里|几秒钟 幾秒鐘|几筵 几筵|几里 幾里|几面上 几面上|凤凰于蜚 鳳凰于蜚|凤凰于飞 鳳凰于飛|凤占 鳳占|凤台 鳳台|凤台县 鳳臺縣|凤梨干 鳳梨乾|凤皇于蜚 鳳皇于蜚|凭借 憑藉|凭借着 憑藉着|凭几 憑几|凭吊 憑弔|凭折 憑摺|凭闲 憑閑|凯里 凱里|凯里市 凱里市|凶事 凶事|凶信 凶信|凶兆 凶兆|凶地 凶地|凶多吉少 凶多吉少|凶宅 凶宅|凶岁 凶歲|凶年 凶年|凶年饥岁 凶年饑歲|凶德 凶德|凶怪 凶怪|凶日 凶日|凶服 凶服|凶死 凶死|凶气 凶氣|凶煞 凶煞|凶燄 凶燄|凶礼 凶禮|凶神 凶神',
+    '凶神恶煞 凶神惡煞|凶神附体 凶神附體|凶竖 凶豎|凶终隙末 凶終隙末|凶耗 凶耗|凶肆 凶肆|凶荒 凶荒|凶讯 凶訊|凶身 凶身|凶逆 凶逆|凶门 凶門|出儿 齣兒|出前一丁面 出前一丁麪|出境签证 出境簽證|出征 出征|出征收 出徵收|出自娘胎 出自孃胎|出陈布新 出陳佈新|击钟 擊鐘|击钟陈鼎 擊鐘陳鼎|击钟鼎食 擊鐘鼎食|函复 函覆|凿壁悬梁 鑿壁懸樑|凿岩机 鑿岩機|刀削面 刀削麪|刀拨面 刀撥麪|刁奸 刁姦|刁斗 刁斗|分别财产制 分別財產制|分半钟 分半鐘|分多钟 分多鐘|分子钟 分子鐘|分布 分佈|分布于 分佈於|分布区 分佈區|分布图 分佈圖|分布学习 分佈學習|分布式发展模型 分佈式發展模型|分布式拒绝服务 分佈式拒絕服務|分布式环境 分佈式環境',
+    '分布式结构 分佈式結構|分布式网络 分佈式網絡|分布控制 分佈控制|分布范围 分佈範圍|分布连结网络 分佈連結網絡|分钟 分鐘|切仔面 切仔麪|刊布 刊佈|刑于 刑于|刑克 刑剋|刑辟 刑辟|划一桨 划一槳|划不来 划不來|划了一会 划了一會|划具 划具|划到岸 划到岸|划到江心 划到江心|划动 划動|划单人艇 划單人艇|划双人 划雙人|划向 划向|划子 划子|划得来 划得來|划拳 划拳|划来 划來|划来划去 劃來劃去|划桨 划槳|划水 划水|划着 划着|划着走 划着走|划算 划算|划船 划船|划艇 划艇|划行 划行|划走 划走|划起 划起|划起来 划起來|划过去 划過去|划过来 划過來|划进 划進',
+    '划进去 划進去|划进来 划進來|划龙舟 划龍舟|列克星顿 列克星頓|列御寇 列禦寇|刘伟杰 劉偉杰|刘占吉 劉占吉|刘幸如 劉倖如|刘志升 劉志昇|刘长发 劉長發|刘阮上天台 劉阮上天臺|刚一出 剛一出|刚干 剛乾|刚才 剛纔|刚才一载 剛纔一載|刚才在 剛纔在|刚才是 剛纔是|创巨 創鉅|创意杯 創意盃|创获 創穫|初征 初征|初级关系 初級關係|利古里亚 利古里亞|利害关系 利害關係|利害关系人 利害關係人|利害关系方 利害關係方|利得汇 利得彙|利欲 利慾|利欲心 利慾心|利欲熏心 利慾薰心|利欲薰心 利慾薰心|利用系数 利用係數|利默里克 利默里克|别具只眼 別具隻眼|别别扭扭 彆彆扭扭|别口气 彆口氣|别只 別隻|别嘴 彆嘴|别干净 別乾淨|别念 別唸',
+    '别扭 彆扭|别拗 彆拗|别日南鸿才北去 別日南鴻纔北去|别气 彆氣|别着 彆着|别致 別緻|别致有趣 別緻有趣|刮了 颳了|刮倒 颳倒|刮去 颳去|刮大风 颳大風|刮得 颳得|刮来刮去 刮來刮去|刮着 颳着|刮胡 刮鬍|刮胡刀 刮鬍刀|刮胡子 刮鬍子|刮走 颳走|刮起 颳起|刮起来 刮起來|刮雪 颳雪|刮须 刮鬚|刮风 颳風|刮风下雪倒便宜 刮風下雪倒便宜|刮风后 颳風後|到达签证 到達簽證|制为 製爲|制件 製件|制作 製作|制作业 製作業|制作人 製作人|制作出 製作出|制作出来 製作出來|制作商 製作商|制作好 製作好|制作成 製作成|制作群 製作羣|制作者 製作者|制作费 製作費|制假 製假',
+    '制做 製做|制冰 製冰|制冰机 製冰機|制冷 製冷|制冷剂 製冷劑|制冷机 製冷機|制出 製出|制剂 製劑|制取 製取|制品 製品|制售 製售|制图 製圖|制图员 製圖員|制图学 製圖學|制图室 製圖室|制图尺 製圖尺|制图师 製圖師|制图板 製圖板|制图样 製圖樣|制图桌 製圖桌|制图者 製圖者|制图车 製圖車|制坯 製坯|制备 製備|制得 製得|制成 製成|制成品 製成品|制播 製播|制材 製材|制毒 製毒|制氧 製氧|制法 製法|制浆 製漿|制片 製片|制片人 製片人|制片厂 製片廠|制片商 製片商|制片家 製片家|制版 製版|制版术 製版術',
+    '制盐 製鹽|制程 製程|制糖 製糖|制糖厂 製糖廠|制纸 製紙|制茶 製茶|制药 製藥|制药业 製藥業|制药企业 製藥企業|制药厂 製藥廠|制衣 製衣|制衣厂 製衣廠|制表 製表|制造 製造|制造业 製造業|制造业者 製造業者|制造出 製造出|制造出来 製造出來|制造厂 製造廠|制造厂商 製造廠商|制造品 製造品|制造商 製造商|制造器 製造器|制造场 製造場|制造成 製造成|制造术 製造術|制造者 製造者|制造费用 製造費用|制酸性 製酸性|制醣 製醣|制钟 製鐘|制锦 製錦|制陶 製陶|制陶工人 製陶工人|制面 製麪|制面具 製面具|制革 製革|制革厂 製革廠|制革工厂 製革工廠|制鞋 製鞋',
+    '制鞋业 製鞋業|制鞋匠 製鞋匠|制鞋工人 製鞋工人|刺参 刺蔘|刺干 刺干|刺股悬梁 刺股懸樑|刺骨悬梁 刺骨懸樑|刻半钟 刻半鐘|刻多钟 刻多鐘|刻钟 刻鐘|剃发 剃髮|剃发为尼 剃髮爲尼|剃发令 剃髮令|剃发留辫 剃髮留辮|剃发铺 剃髮鋪|剃头发 剃頭髮|剃胡 剃鬍|剃须 剃鬚|剃须刀 剃鬚刀|削发 削髮|削发为僧 削髮爲僧|削发为尼 削髮爲尼|削发披缁 削髮披緇|削筋面 削筋麪|削面 削麪|前仆后继 前仆後繼|前仆后起 前仆後起|前歌后舞 前歌後舞|前程万里 前程萬里|前词汇加工 前詞彙加工|前词汇语音加工 前詞彙語音加工|前词汇阶段 前詞彙階段|剑杆 劍桿|剥制 剝製|剥面皮 剝面皮|剪其发 剪其髮|剪发 剪髮|剪发披缁 剪髮披緇|剪头发 剪頭髮|剪彩 剪綵',
+    '剪彩仪式 剪彩儀式|剪牡丹喂牛 剪牡丹喂牛|割舍 割捨|割舍不下 割捨不下|劈里 劈里|劈里啪啦 劈里啪啦|力争上游 力爭上游|力克制 力剋制|力征 力征|办伙 辦伙|办公台 辦公檯|功致 功緻|加利波里 加利波里|加卷 加捲|加巴里雅 加巴里雅|加拉干达 加拉干達|加斗 加斗|加氢精制 加氫精製|加注 加註|加签 加簽|加签证 加簽證|加达里 加達里|加里 加里|加里宁 加里寧|加里宁格勒 加里寧格勒|加里宁格勒州 加里寧格勒州|加里曼丹 加里曼丹|加里波的 加里波的|加里波第 加里波第|加里肋亚 加里肋亞|加里肋亚海 加里肋亞海|动干戈 動干戈|动荡 動盪|动荡不安 動盪不安|动荡不定 動盪不定|劲度系数 勁度係數|劳力士表 勞力士錶|劳资关系 勞資關係|劳里斯 勞里斯|劳雇关系 勞僱關係',
+    '劾系 劾繫|势不并立 勢不並立|勃溪 勃谿|勒里勒得 勒里勒得|勿药而愈 勿藥而愈|勿里洞岛 勿里洞島|包伙 包伙|包占 包占|包干 包乾|包干儿 包乾兒|包干制 包乾制|包扎 包紮|包扎法 包紮法|包承制 包承制|包谷 包穀|包谷花 包谷花|包里斯 包里斯|匏系 匏繫|化干戈为玉帛 化干戈爲玉帛|北京周报 北京週報|北京国家游泳中心 北京國家游泳中心|北京汽车制造厂有限公司 北京汽車製造廠有限公司|北回 北迴|北回归线 北迴歸線|北回线 北迴線|北回铁路 北迴鐵路|北征 北征|北斗 北斗|北斗七星 北斗七星|北斗星 北斗星|北斗镇 北斗鎮|北瓦兹里斯坦 北瓦茲里斯坦|北里 北里|匹马只轮 匹馬隻輪|十三经注疏 十三經注疏|十余只 十餘隻|十余里 十餘里|十公里 十公里|十几周 十幾週|十出戏 十齣戲',
+    '十分干 十分乾|十分钟 十分鐘|十只 十隻|十周 十週|十周年 十週年|十多只 十多隻|十天后 十天後|十天干 十天干|十字军东征 十字軍東征|十字军远征 十字軍遠征|十干 十干|十扎 十紮|十点钟 十點鐘|十秒钟 十秒鐘|十里 十里|十里余 十里餘|十里洋场 十里洋場|十里长亭 十里長亭|十里长亭无客走 十里長亭無客走|千余只 千餘隻|千余里 千餘里|千只 千隻|千只足够 千只足夠|千回百折 千迴百折|千回百转 千迴百轉|千多只 千多隻|千天后 千天後|千层面 千層麪|千扎 千紮|千里 千里|千里一曲 千里一曲|千里之堤 千里之堤|千里之外 千里之外|千里之行 千里之行|千里命驾 千里命駕|千里始足下 千里始足下|千里姻缘一线牵 千里姻緣一線牽|千里寄鹅毛 千里寄鵝毛|千里搭长棚 千里搭長棚|千里犹面 千里猶面',
+    '千里目 千里目|千里眼 千里眼|千里移檄 千里移檄|千里足 千里足|千里达 千里達|千里迢迢 千里迢迢|千里迢遥 千里迢遙|千里送鹅毛 千里送鵝毛|千里镜 千里鏡|千里馈粮 千里饋糧|千里马 千里馬|千里驹 千里駒|千里鹅毛 千里鵝毛|千钧一发 千鈞一髮|千锤百炼 千錘百煉|千面人 千面人|卅里 卅里|升仙 昇仙|升华 昇華|升华作用 昇華作用|升天 昇天|升平 昇平|升斗 升斗|升斗之禄 升斗之祿|升斗小民 升斗小民|升汞 昇汞|升阳 昇陽|半保留复制 半保留複製|半分钟 半分鐘|半制品 半製品|半只 半隻|半干 半乾|半日制 半日制|半日制学校 半日制學校|半点钟 半點鐘|半秒钟 半秒鐘|半里 半里|卌里 卌里|华严钟 華嚴鐘|华发 華髮',
+    '华核 華覈|华特里德 華特里德|华里 華里|单于 單于|单位信托 單位信託|单单于 單單於|单只 單隻|单只是 單只是|单周 單週|单夫只妇 單夫隻婦|单弦 單絃|单方制剂 單方製劑|卖卦口没量斗 賣卦口沒量斗|卖奸 賣姦|卖拐 賣柺|卖炭的掉在面缸里 賣炭的掉在麪缸裏|卖红萝卜 賣紅蘿蔔|卖豆腐点了河滩地 賣荳腐點了河灘地|南京钟 南京鐘|南京钟表 南京鐘錶|南回 南迴|南回公路 南迴公路|南回归线 南迴歸線|南回线 南迴線|南回铁路 南迴鐵路|南宫适 南宮适|南屏晚钟 南屏晚鐘|南山杯 南山盃|南征 南征|南征北伐 南征北伐|南征北战 南征北戰|南征北讨 南征北討|南斗 南斗|南斗六星 南斗六星|南斗星君 南斗星君|南方周末 南方週末|南涌 南涌|南筑 南筑|南箕北斗 南箕北斗|南记粉面 南記粉麪',
+    '南里 南里|博汇 博彙|卜征 卜征|占万 佔万|占上 占上|占上游 佔上游|占上风 佔上風|占了卜 占了卜|占亲 占親|占人 占人|占人便宜 佔人便宜|占候 占候|占凤 占鳳|占卜 占卜|占卜师 占卜師|占卜术 占卜術|占占卜 占占卜|占占卦 占占卦|占卦 占卦|占城 占城|占射 占射|占强 占強|占房 占房|占拜 占拜|占断 占斷|占星 占星|占星学 占星學|占星家 占星家|占星师 占星師|占星术 占星術|占有五不验 占有五不驗|占有欲 佔有慾|占梦 占夢|占筮 占筮|占课 占課|占身 占身|占风使帆 占風使帆|占验 占驗|卡尔加里 卡爾加里|卡布列拉 卡布列拉',
+    '卡布雷拉 卡布雷拉|卡拉布里亚 卡拉布里亞|卡拉曼里斯 卡拉曼里斯|卡洛里 卡洛里|卡特里娜 卡特里娜|卡耶里 卡耶里|卡苏里 卡蘇里|卡路里 卡路里|卡里 卡里|卡里扎德 卡里紮德|卢仁杰 盧仁傑|卢布里雅纳 盧布里雅納|卢郁佳 盧郁佳|卤人 鹵人|卤代烃 鹵代烴|卤制 滷製|卤化 鹵化|卤化物 鹵化物|卤化银 鹵化銀|卤味面 滷味麪|卤地 鹵地|卤族 鹵族|卤簿 鹵簿|卤素 鹵素|卤素灯 鹵素燈|卤肉面 滷肉麪|卤莽 鹵莽|卤莽灭裂 鹵莽滅裂|卤钝 鹵鈍|卤面 滷麪|卧薪尝胆 臥薪嚐膽|卫星钟 衛星鐘|印制 印製|印制厂 印製廠|印制电路 印製電路|印制电路板 印製電路板|即食面 即食麪|却才 卻纔|卷一卷 捲一捲|卷上 捲上',
+    '卷不起 捲不起|卷了 捲了|卷云 捲雲|卷住 捲住|卷入 捲入|卷入漩涡 捲入漩渦|卷刃 捲刃|卷到 捲到|卷动 捲動|卷动门 捲動門|卷包 捲包|卷去 捲去|卷发 捲髮|卷发器 捲髮器|卷吸作用 捲吸作用|卷回 捲回|卷图 捲圖|卷土 捲土|卷土重来 捲土重來|卷尺 捲尺|卷尾猴 捲尾猴|卷帘 捲簾|卷帘格 捲簾格|卷帘门 捲簾門|卷开 捲開|卷心 捲心|卷心菜 捲心菜|卷成 捲成|卷扬 捲揚|卷扬机 捲揚機|卷拢 捲攏|卷旋 捲旋|卷曲 捲曲|卷来 捲來|卷来卷去 捲來捲去|卷棚 捲棚|卷款 捲款|卷款潜逃 捲款潛逃|卷款逃走 捲款逃走|卷毛 捲毛',
+    '卷浪 捲浪|卷浪翻波 捲浪翻波|卷烟 捲菸|卷烟画片 捲煙畫片|卷烟盒 捲菸盒|卷甲重来 捲甲重來|卷筒 捲筒|卷筒纸 捲筒紙|卷纸 捲紙|卷线器 捲線器|卷缠 捲纏|卷缩 捲縮|卷翘 捲翹|卷腿裤 捲腿褲|卷舌 捲舌|卷舌元音 捲舌元音|卷舌音 捲舌音|卷落叶 捲落葉|卷衣袖 捲衣袖|卷袖 捲袖|卷走 捲走|卷起 捲起|卷起来 捲起來|卷过 捲過|卷进 捲進|卷逃 捲逃|卷钢 捲鋼|卷铺盖 捲鋪蓋|卷须 卷鬚|卷风 捲風|卷饼 捲餅|厂部 厂部|历书 曆書|历元 曆元|历史遗迹 歷史遺蹟|历命 曆命|历头 曆頭|历始 曆始|历室 曆室|历尾 曆尾',
+    '历引 曆引|历指 曆指|历本 曆本|历法 曆法|历狱 曆獄|历纪 曆紀|历象 曆象|历象表 曆象表|压力表 壓力錶|压杆 壓桿|压缩饼干 壓縮餅乾|压胄子 壓冑子|压面棍 壓麪棍|厘金 厘金|厚朴 厚朴|原子云 原子雲|原子钟 原子鐘|原钟 原鐘|去干扰 去干擾|去念 去唸|县志 縣誌|参汤 蔘湯|参绥 蔘綏|参茸 蔘茸|又云 又云|又干又硬 又乾又硬|友于 友于|友好关系 友好關係|双后前兵开局 雙后前兵開局|双周 雙週|双周刊 雙週刊|双周期性 雙週期性|双折 雙摺|双折射 雙折射|双拐 雙柺|双柑斗酒 雙柑斗酒|双胜类 雙胜類|双雕 雙鵰|双面人 雙面人|反乱并 反亂併',
+    '反卷 反捲|反反复复 反反覆覆|反复 反覆|反复不一 反覆不一|反复不定 反覆不定|反复不常 反覆不常|反复制 反複製|反复思维 反覆思維|反复思量 反覆思量|反复性 反覆性|反复无常 反覆無常|反斗 反斗|反斗城 反斗城|反时钟 反時鐘|反时钟方向 反時鐘方向|反面人物 反面人物|发上冲冠 髮上衝冠|发上指冠 髮上指冠|发丝 髮絲|发为血之本 髮爲血之本|发乱钗横 髮亂釵橫|发乳 髮乳|发光可鉴 髮光可鑑|发匪 髮匪|发卡 髮卡|发卷 髮捲|发号布令 發號佈令|发困 發睏|发圈 髮圈|发型 髮型|发型师 髮型師|发夹 髮夾|发套 髮套|发如飞蓬 髮如飛蓬|发妻 髮妻|发姐 髮姐|发尾 髮尾|发屋 髮屋|发屋求狸 發屋求狸|发已霜白 髮已霜白',
+    '发布 發佈|发布会 發佈會|发带 髮帶|发干 發乾|发廊 髮廊|发式 髮式|发引千钧 髮引千鈞|发情周期 發情週期|发指 髮指|发指令 發指令|发指眦裂 髮指眥裂|发挽双髻 髮挽雙髻|发擿奸伏 發擿奸伏|发旋 髮旋|发束 髮束|发松 發鬆|发根 髮根|发梢 髮梢|发梳 髮梳|发油 髮油|发漂 髮漂|发状 髮狀|发生关系 發生關係|发癣 髮癬|发短心长 髮短心長|发禁 髮禁|发笺 髮箋|发箍 髮箍|发簪 髮簪|发纱 髮紗|发结 髮結|发缨 髮纓|发网 髮網|发肤 髮膚|发胶 髮膠|发脚 髮腳|发腊 髮臘|发色 髮色|发色勒 髮色勒|发菜 髮菜',
+    '发蒙 發矇|发蒙振落 發蒙振落|发蜡 髮蠟|发蜡条 髮蠟條|发表欲 發表慾|发质 髮質|发踊冲冠 髮踊沖冠|发辫 髮辮|发采扬明 發采揚明|发量 髮量|发针 髮針|发钗 髮釵|发长 髮長|发间 髮間|发际 髮際|发雕 髮雕|发霜 髮霜|发面 發麪|发顶 髮頂|发须 髮鬚|发须俱 髮鬚俱|发须已 髮鬚已|发须斑 髮鬚斑|发须皆 髮鬚皆|发须都 髮鬚都|发饰 髮飾|发香 髮香|发髻 髮髻|发鬓 髮鬢|叔于田 叔于田|取舍 取捨|取舍不定 取捨不定|取舍之间 取捨之間|取舍难定 取捨難定|取阳谷 取陽谷|受人之托 受人之託|受托 受託|受托人 受託人|受托者 受託者|变异系数 變異係數',
+    '变松 變鬆|变质岩 變質岩|变速杆 變速桿|叠层岩 疊層岩|口占 口占|口吃 口吃|口干 口乾|口干舌燥 口乾舌燥|口念 口唸|口才好 口才好|口燥唇干 口燥脣乾|口腹之欲 口腹之慾|口血未干 口血未乾|口钟 口鐘|古书云 古書云|古云 古云|古云镇 古雲鎮|古切里 古切里|古弦 古絃|古语云 古語云|古迹 古蹟|古钟 古鐘|古钟表 古鐘錶|叨念 叨唸|叩钟 叩鐘|只准 只准|只占卜 只占卜|只占吉 只占吉|只占神问卜 只占神問卜|只占算 只占算|只声不出 隻聲不出|只字 隻字|只字不提 隻字不提|只字片纸 隻字片紙|只字片言 隻字片言|只字片语 隻字片語|只影 隻影|只影全无 隻影全無|只手 隻手|只手单拳 隻手單拳',
+    '只手擎天 隻手擎天|只手空拳 隻手空拳|只手遮天 隻手遮天|只日 隻日|只眼 隻眼|只眼独具 隻眼獨具|只立 隻立|只言片字 隻言片字|只言片语 隻言片語|只身 隻身|只身一人 隻身一人|只身上已 只身上已|只身上无 只身上無|只身上有 只身上有|只身上没 只身上沒|只身上的 只身上的|只身孤影 隻身孤影|只轮不反 隻輪不反|只轮不返 隻輪不返|只采声 只採聲|只鸡斗酒 只雞斗酒|只鸡絮酒 隻雞絮酒|叮叮当 叮叮噹|叮叮当当 叮叮噹噹|叮叮当当的婆娘 叮叮噹噹的婆娘|叮当 叮噹|叮当作响 叮噹作響|叮当响 叮噹響|叮当声 叮噹聲|可以克制 可以剋制|可周 可週|可干制 可乾製|可干拭 可乾拭|可干饮 可乾飲|可紧可松 可緊可鬆|台凳 檯凳|台制 臺製|台制品 臺製品|台历 檯曆|台山 台山',
+    '台山市 台山市|台州 台州|台州地区 台州地區|台州市 台州市|台布 檯布|台布下 檯布下|台扇 檯扇|台湾关系法 臺灣關係法|台湾台 臺灣台|台灯 檯燈|台球 檯球|台球桌 檯球桌|台盘 檯盤|台秤 檯秤|台笔 檯筆|台鉴 臺鑒|台钟 檯鐘|台面 檯面|台面上 檯面上|台面前 檯面前|台风 颱風|台风后 颱風後|台风夜 颱風夜|台风天 颱風天|台风季 颱風季|台风尾 颱風尾|台风眼 颱風眼|台风稳健 臺風穩健|台风草 颱風草|台风警报 颱風警報|台风险 颱風險|台风雨 颱風雨|史克里亚宾 史克里亞賓|史游 史游|史迹 史蹟|右分枝关系从句 右分枝關係從句|叶叶琹 葉叶琹|叶子杰 葉子杰|叶子烟 葉子菸|叶恭弘 叶恭弘',
+    '叶步梁 葉步樑|叶音 叶音|叶韵 叶韻|号志 號誌|号志机 號誌機|号志灯 號誌燈|司天台 司天臺|叹为观止 歎爲觀止|叹号 歎號|叹吁 歎吁|叹服 歎服|叹绝 歎絕|叹羡 歎羨|叹赏 歎賞|吁了 吁了|吁俞 吁俞|吁叹 吁嘆|吁吁 吁吁|吁咈 吁咈|吁咈都俞 吁咈都俞|吁嗟 吁嗟|吁嘘 吁噓|吁气 吁氣|吃亏的是乖占便宜的是呆 喫虧的是乖占便宜的是呆|吃几碗干饭 喫幾碗乾飯|吃合家欢 喫合家歡|吃姜 喫薑|吃完面 喫完麪|吃干了 喫乾了|吃干醋 喫乾醋|吃板刀面 喫板刀麪|吃豆干 喫豆乾|吃辣面 喫辣麪|吃过面 喫過麪|吃面 喫麪|吃饭别忘了种谷人 喫飯別忘了種穀人|吃饭家伙 喫飯傢伙|各签 各簽|各类钟 各類鐘|各里 各里',
+    '合中 閤中|合义复词 合義複詞|合于时宜 合于時宜|合作伙伴 合作伙伴|合儿 閤兒|合历 合曆|合家 閤家|合家大小 合家大小|合家子 閤家子|合家欢 閤家歡|合并 合併|合并为 合併爲|合并在 合併在|合并成 合併成|合并有 合併有|合并案 合併案|合并症 合併症|合府 閤府|合府上 閤府上|合理布局 合理佈局|合眼 閤眼|合眼摸象 合眼摸象|合签 合簽|吉凶 吉凶|吉凶庆吊 吉凶慶弔|吉凶悔吝 吉凶悔吝|吉凶未卜 吉凶未卜|吉占 吉占|吉尼普里 吉尼普里|吉普斯夸 吉普斯夸|吉诺布里 吉諾布里|吉里 吉里|吉里巴斯 吉里巴斯|吉里巴斯共和国 吉里巴斯共和國|吊丧 弔喪|吊丧问疾 弔喪問疾|吊书 弔書|吊古 弔古|吊古寻幽 弔古尋幽|吊唁 弔唁',
+    '吊喉 弔喉|吊喭 弔喭|吊头 弔頭|吊奠 弔奠|吊孝 弔孝|吊客 弔客|吊客眉 弔客眉|吊宴 弔宴|吊影 弔影|吊慰 弔慰|吊拷 弔拷|吊拷絣把 吊拷絣把|吊拷绷扒 吊拷繃扒|吊撒 弔撒|吊文 弔文|吊斗 吊斗|吊旗 弔旗|吊死问孤 弔死問孤|吊死问疾 弔死問疾|吊民 弔民|吊民伐罪 弔民伐罪|吊祭 弔祭|吊纸 弔紙|吊者大悦 弔者大悅|吊脚儿事 弔腳兒事|吊腰撒跨 弔腰撒跨|吊词 弔詞|吊诡 弔詭|吊诡矜奇 弔詭矜奇|吊谎 弔謊|吊贺迎送 弔賀迎送|吊钟 吊鐘|吊问 弔問|吊鹤 弔鶴|同义反复 同義反復|同人志 同人誌|同休共戚 同休共慼|同心并力 同心並力|同舍生 同舍生|同里 同里',
+    '名复金瓯 名覆金甌|名胜古迹 名勝古蹟|名表 名錶|后丰 后豐|后冠 后冠|后制 後製|后北街 后北街|后发座 后髮座|后台老板 後臺老闆|后土 后土|后妃 后妃|后娘 後孃|后安路 后安路|后帝 后帝|后平路 后平路|后座系 後座繫|后摆 後襬|后海湾 后海灣|后溪穴 後谿穴|后王 后王|后皇 后皇|后稷 后稷|后羿 后羿|后羿射日 后羿射日|后翻筋斗 後翻筋斗|后角 后角|后词汇加工 後詞彙加工|后辛 后辛|后辟 后辟|后里 后里|后里乡 后里鄉|吐司面包 吐司麪包|吐哺捉发 吐哺捉髮|吐哺握发 吐哺握髮|向导 嚮導|向导公司 嚮導公司|向导员 嚮導員|向导犬 嚮導犬|向应 嚮應|向往 嚮往',
+    '向慕 嚮慕|向明 嚮明|向晦 嚮晦|向者 曏者|向迩 嚮邇|吕后 呂后|吕太后的筵席 呂太后的筵席|吕宋烟 呂宋菸|吕岩 呂岩|君子于役 君子于役|君子坦荡荡小人长戚戚 君子坦蕩蕩小人長慼慼|吞咽 吞嚥|吞并 吞併|吞武里 吞武里|吟叹 吟歎|吧台 吧檯|吨公里 噸公里|含油岩 含油岩|含齿戴发 含齒戴髮|听弦 聽絃|启发式 啓發式|启发式教学法 啓發式教學法|吴子冲 吳子沖|吴皓升 吳皓昇|吴育升 吳育昇|吴荣杰 吳榮杰|吴采璋 吳采璋|吴里克 吳里克|吸干 吸乾|吸得干干 吸得乾乾|吸烟 吸菸|吸烟区 吸菸區|吸烟客 吸菸客|吸烟室 吸菸室|吸烟族 吸菸族|吸烟率 吸菸率|吸烟者 吸菸者|吹发 吹髮|吹头发 吹頭髮|吹干 吹乾',
+    '吹胡 吹鬍|吹胡子 吹鬍子|吹胡子瞪眼睛 吹鬍子瞪眼睛|呆着 待着|呆致致 呆緻緻|呈准 呈准|呗赞 唄讚|周一 週一|周一岳 周一嶽|周三 週三|周三径一 周三徑一|周上 週上|周中 週中|周二 週二|周五 週五|周休 週休|周休二日 週休二日|周会 週會|周六 週六|周六日 週六日|周刊 週刊|周历 周曆|周周 週週|周四 週四|周回 週迴|周岁 週歲|周年 週年|周年庆 週年慶|周年纪念 週年紀念|周年视差 週年視差|周报 週報|周数 週數|周日 週日|周日版 週日版|周期 週期|周期函数 週期函數|周期彗星 週期彗星|周期律 週期律|周期性 週期性|周期数 週期數',
+    '周期系 週期系|周期表 週期表|周期解 週期解|周末 週末|周末愉快 週末愉快|周末效应 週末效應|周杰 周杰|周杰伦 周杰倫|周润发 周潤發|周线 週線|周美里 周美里|周考 週考|周薪 週薪|周记 週記|周走秀 週走秀|周转 週轉|周采诗 周采詩|味千拉面 味千拉麪|呼之欲出 呼之欲出|呼扇 呼搧|命中注定 命中註定|命运注定 命運註定|咀咽 咀嚥|和克制 和剋制|和奸 和姦|和平里 和平里|和弦 和絃|和面 和麪|咏叹 詠歎|咒愿 咒愿|咕咕钟 咕咕鐘|咖喱面 咖喱麪|咣当 咣噹|咫尺万里 咫尺萬里|咫尺千里 咫尺千里|咬姜呷醋 咬薑呷醋|咭叮当 咭叮噹|咭当当 咭噹噹|咯当 咯噹|咸丰 咸豐',
+    '咸丰县 咸豐縣|咸丰草 咸豐草|咸五登三 咸五登三|咸亨 咸亨|咸亨酒店 咸亨酒店|咸信 咸信|咸兴 咸興|咸兴市 咸興市|咸卤 鹹鹵|咸同 咸同|咸和 咸和|咸宁 咸寧|咸宁地区 咸寧地區|咸宁市 咸寧市|咸安 咸安|咸安区 咸安區|咸宜 咸宜|咸宾 咸賓|咸平 咸平|咸康 咸康|咸有一德 咸有一德|咸池 咸池|咸淳 咸淳|咸熙 咸熙|咸菜干 鹹菜乾|咸认为 咸認爲|咸通 咸通|咸镜 咸鏡|咸镜北道 咸鏡北道|咸镜南道 咸鏡南道|咸镜道 咸鏡道|咸阳 咸陽|咸阳地区 咸陽地區|咸阳宫 咸陽宮|咸阳市 咸陽市|咸阳桥 咸陽橋|咸阳火 咸陽火|咸雍 咸雍|咽下 嚥下|咽不了 嚥不了',
+    '咽了 嚥了|咽住 嚥住|咽到 嚥到|咽唾 嚥唾|咽干 咽乾|咽气 嚥氣|咽着 嚥着|咽肌 嚥肌|咽苦吞甘 嚥苦吞甘|咽进 嚥進|哀吊 哀弔|哀戚 哀慼|哀挽 哀輓|品尝 品嚐|品尝会 品嚐會|品尝到 品嚐到|品汇 品彙|哄乱 鬨亂|哄伙 鬨夥|哄传 鬨傳|哄传一时 鬨傳一時|哄动 鬨動|哄动一时 鬨動一時|哄堂 鬨堂|哄堂大笑 鬨堂大笑|哄抢 鬨搶|哄然 鬨然|哄然大笑 鬨然大笑|哄笑 鬨笑|哄闹 鬨鬧|哈卡里 哈卡里|哈比亚里马纳 哈比亞里馬納|哈里 哈里|哈里伯顿 哈里伯頓|哈里发 哈里發|哈里发塔 哈里發塔|哈里发帝国 哈里發帝國|哈里尔 哈里爾|哈里斯 哈里斯|哈里斯堡 哈里斯堡',
+    '哈里札德 哈里札德|哈里森史密特 哈里森史密特|哈里路亚 哈里路亞|哈里逊 哈里遜|哈里逊福特 哈里遜福特|哈里里 哈里里|响叮当 響叮噹|响弦 響絃|响当当 響噹噹|响钟 響鐘|哑子托梦 啞子托夢|哗哗 嘩嘩|哗啦 嘩啦|哗地 嘩地|哗的 嘩的|哥里 哥里|哪一出 哪一齣|哪几周 哪幾週|哪只 哪隻|哪里人 哪裏人|哲里木 哲里木|哺喂 哺餵|唁吊 唁弔|唇干 脣乾|唇燥舌干 脣燥舌乾|唱念 唱唸|唾沫直咽 唾沫直嚥|唾面自干 唾面自乾|商历 商曆|啧啧称赞 嘖嘖稱讚|啧啧赞叹 嘖嘖讚歎|啮檗吞针 齧蘗吞針|啰啰苏苏 囉囉囌囌|啰苏 囉囌|啷当 啷噹|喀喇昆仑公路 喀喇崑崙公路|喀喇昆仑山 喀喇崑崙山|喀喇昆仑山脉 喀喇崑崙山脈|喀拉昆仑山 喀拉崑崙山|喂乳 餵乳',
+    '喂了 餵了|喂了一声 喂了一聲|喂你 餵你|喂养 餵養|喂动物 餵動物|喂哺 餵哺|喂奶 餵奶|喂奶时 餵奶時|喂它 餵它|喂我 餵我|喂母乳 餵母乳|喂牛 餵牛|喂狗 餵狗|喂猪 餵豬|喂猫 餵貓|喂给 餵給|喂羊 餵羊|喂过 餵過|喂食 餵食|喂饭 餵飯|喂饱 餵飽|喂马 餵馬|喂驴 餵驢|喂鱼 餵魚|喂鸡 餵雞|喂鸭 餵鴨|喂鹅 餵鵝|善罢干休 善罷干休|善财难舍 善財難捨|喉头发干 喉頭發乾|喉干舌燥 喉乾舌燥|喘吁吁 喘吁吁|喜冲冲 喜衝衝|喜欢表 喜歡錶|喜欢钟 喜歡鐘|喜欢钟表 喜歡鐘錶|喝倒采 喝倒采|喝干 喝乾|喝采 喝采|喧哄 喧鬨',
+    '嗜欲 嗜慾|嗜血杆菌 嗜血桿菌|嗜酸乳干菌 嗜酸乳干菌|嗟吁 嗟吁|嗱喳面 嗱喳麪|嘀嗒的表 嘀嗒的錶|嘉柏隆里 嘉柏隆里|嘉谷 嘉穀|嘉里 嘉里|嘱托 囑託|嘴松 嘴鬆|噎饥 噎饑|噙齿戴发 噙齒戴髮|噜噜苏苏 嚕嚕囌囌|噜苏 嚕囌|噪动 譟動|噪诈 譟詐|噪音管制法 噪音管制法|噫吁戏 噫吁戲|嚚暗 嚚闇|嚼谷 嚼穀|囚系 囚繫|四下里 四下裏|四体不勤五谷不分 四體不勤五穀不分|四凶 四凶|四出征收 四出徵收|四出戏 四齣戲|四分历 四分曆|四分历史 四分歷史|四分钟 四分鐘|四只 四隻|四周年 四週年|四大须生 四大鬚生|四天后 四天後|四库禁毁书丛刋 四庫禁燬書叢刋|四扎 四紮|四斗 四斗|四海升平 四海昇平|四海皆准 四海皆准|四点钟 四點鐘',
+    '四秒钟 四秒鐘|四舍五入 四捨五入|四舍六入 四捨六入|四里 四里|四面钟 四面鐘|回佣 回佣|回光返照 迴光返照|回冲 回沖|回匝 迴匝|回卷 回捲|回历 回曆|回向 迴向|回响 迴響|回回历 回回曆|回圈 迴圈|回声探测 迴聲探測|回复 回覆|回复青春 回復青春|回天 迴天|回天之力 回天之力|回天乏术 回天乏術|回娘家 回孃家|回带 迴帶|回廊 迴廊|回归 迴歸|回归年 迴歸年|回归潮 迴歸潮|回归热 迴歸熱|回归线 迴歸線|回形夹 迴形夾|回心 迴心|回心转意 回心轉意|回护 迴護|回文 迴文|回文织锦 迴文織錦|回斡 迴斡|回旋 迴旋|回梦 迴夢|回流 迴流|回清倒影 迴清倒影',
+    '回游 迴游|回炉复帐 回爐復帳|回环 迴環|回环转折 迴環轉折|回盲瓣 迴盲瓣|回穴 迴穴|回纹针 迴紋針|回绕 迴繞|回翔 迴翔|回肠 迴腸|回肠九回 回腸九回|回肠九转 迴腸九轉|回肠伤气 迴腸傷氣|回肠寸断 迴腸寸斷|回肠荡气 迴腸蕩氣|回腕 迴腕|回荡 迴盪|回诵 迴誦|回路 迴路|回转 迴轉|回转仪 迴轉儀|回转半径 回轉半徑|回转寿司 回轉壽司|回递性 迴遞性|回避 迴避|回避学习 迴避學習|回里 回里|回銮 迴鑾|回阳荡气 迴陽蕩氣|回雪 迴雪|回音 迴音|回风 迴風|回飙 迴飆|回魂仙梦 迴魂仙夢|因奸成孕 因姦成孕|因果关系 因果關係|团伙 團伙|团子 糰子|团粉 糰粉|困乏 睏乏',
+    '困倦 睏倦|困倦起来 困倦起來|困意 睏意|困觉 睏覺|固定制 固定制|国之桢干 國之楨榦|国历 國曆|国历年 國曆年|国家栋梁 國家棟樑|国戚里 國戚裏|国梁 國樑|国科会晶片设计制作中心 國科會晶片設計製作中心|国际关系 國際關係|国际关系学院 國際關係學院|国际电影制片人协会联盟 國際電影製片人協會聯盟|图书巡回车 圖書巡迴車|图书餐饮复合式餐厅 圖書餐飲複合式餐廳|图书馆周 圖書館週|图昆线 圖崑線|图里亚夫 圖里亞夫|图里河 圖里河|圆形面包 圓形麪包|圆面饼 圓麪餅|圈扣 圈釦|圈梁 圈樑|圈里人 圈裏人|土制 土製|土制品 土製品|土司面包 土司麪包|土壤冲蚀 土壤沖蝕|土谷祠 土穀祠|圣修伯里 聖修伯里|圣克里斯多福 聖克里斯多福|圣克里斯托巴 聖克里斯托巴|圣帕台风 聖帕颱風|圣帕强台 聖帕強颱|圣帕特里克 聖帕特里克|圣德克旭贝里 聖德克旭貝里|圣杯 聖盃|圣母升天节 聖母升天節',
+    '圣神降临周 聖神降臨週|圣诞冲举 聖誕沖舉|圣迹 聖蹟|圣餐台 聖餐檯|在克制 在剋制|在坛子胡同 在罈子胡同|在念 在唸|在核 在覈|在桥梁工地上 在橋樑工地上|地一卷 地一捲|地下签赌 地下簽賭|地克制 地剋制|地制法 地制法|地志 地誌|地方志 地方誌|地无三里平 地無三里平|地缘关系 地緣關係|坏家伙 壞傢伙|坐台 坐檯|坐台子 坐檯子|坐台小姐 坐檯小姐|坐如钟 坐如鐘|坐标 座標|坐标系 座標系|坐萝卜 坐蘿蔔|坐钟 坐鐘|坐领干薪 坐領乾薪|坚致 堅緻|坛佳酿 罈佳釀|坛坛罐罐 罈罈罐罐|坛女儿红 罈女兒紅|坛好酒 罈好酒|坛子 罈子|坛烧刀子 罈燒刀子|坛白干 罈白干|坛美酒 罈美酒|坛老酒 罈老酒|坛陈年 罈陳年|坛騞 罈騞|坛高粱 罈高粱',
+    '坛𬴃 罈騞|坤表 坤錶|坨里 坨里|垂发 垂髮|垦丁杯 墾丁盃|埃及历 埃及曆|埃及历史 埃及歷史|埃及艳后 埃及豔后|埃夫伯里 埃夫伯里|埃里温 埃里溫|埋头寻表 埋頭尋錶|埋头寻钟 埋頭尋鐘|埋头寻钟表 埋頭尋鐘錶|埋布 埋佈|埔里 埔里|埔里社抚垦局 埔裏社撫墾局|埔里镇 埔里鎮|域名注册 域名註冊|域多利皇后 域多利皇后|埤塘里 埤塘里|培里克利斯 培里克利斯|培里克里斯 培里克里斯|基岩 基岩|基性岩石 基性岩石|基本词汇 基本詞彙|基里兰柯 基里蘭柯|基里巴斯共和国 基里巴斯共和國|堂屋里挂草荐 堂屋裏掛草薦|堆案盈几 堆案盈几|塑胶制 塑膠製|塔什干 塔什干|塔什库尔干乡 塔什庫爾干鄉|塔什库尔干塔吉克自治县 塔什庫爾干塔吉克自治縣|塔什库尔干自治县 塔什庫爾干自治縣|塔克拉玛干 塔克拉瑪干|塔克拉玛干沙漠 塔克拉瑪干沙漠|塔克拉马干 塔克拉馬干|塔里契亚努 塔里契亞努|塔里木 塔里木|塔里木河 塔里木河',
+    '塔里木盆地 塔里木盆地|塔里班 塔里班|塔钟 塔鐘|塞耳盗钟 塞耳盜鐘|塞韦里诺 塞韋里諾|墓志 墓誌|墓志铭 墓誌銘|墟里 墟里|墨发 墨髮|墨斗 墨斗|墨斗鱼 墨斗魚|墨沈未干 墨瀋未乾|墨索里尼 墨索里尼|墨荡子 墨盪子|墨迹未干 墨跡未乾|壁志 壁誌|壁钟 壁鐘|壮面 壯麪|声如洪钟 聲如洪鐘|壹周刊 壹週刊|备御 備禦|备注 備註|备注栏 備註欄|复习 複習|复习考 複習考|复信 覆信|复元音 複元音|复共轭 複共軛|复写 複寫|复写纸 複寫紙|复决 複決|复决权 複決權|复函 覆函|复函数 複函數|复分数 複分數|复分析 複分析|复分解 複分解|复分解反应 複分解反應|复列 複列|复利 複利',
+    '复利法 複利法|复利率 複利率|复利计算 複利計算|复制 複製|复制下来 複製下來|复制出 複製出|复制品 複製品|复印 複印|复印品 複印品|复印机 複印機|复印纸 複印紙|复变函数 複變函數|复变函数论 複變函數論|复句 複句|复叶 複葉|复合 複合|复合企业 複合企業|复合传动 複合傳動|复合体 複合體|复合元音 複合元音|复合光 複合光|复合包装 複合包裝|复合句 複合句|复合命题 複合命題|复合国 複合國|复合型 複合型|复合增长 複合增長|复合字 複合字|复合年 複合年|复合式 複合式|复合性 複合性|复合技 複合技|复合摄影 複合攝影|复合机 複合機|复合材料 複合材料|复合板 複合板|复合架 複合架|复合样式 複合樣式|复合概念 複合概念|复合模 複合模',
+    '复合母音 複合母音|复合民族国家 複合民族國家|复合物 複合物|复合管 複合管|复合肥料 複合肥料|复合膜 複合膜|复合药 複合藥|复合蛋白质 複合蛋白質|复合装甲 複合裝甲|复合词 複合詞|复合词素词 複合詞素詞|复合量词 複合量詞|复合金属 複合金屬|复合韵母 複合韻母|复名 複名|复名数 複名數|复名词 複名詞|复呈 覆呈|复命 覆命|复品牌 複品牌|复基因 複基因|复墓 覆墓|复壁 複壁|复复 複復|复姓 複姓|复婚制 複婚制|复子明辟 復子明辟|复字键 複字鍵|复审 複審|复对数 複對數|复帐 覆帳|复平面 複平面|复式 複式|复式关税 複式關稅|复式教学 複式教學|复式路面 複式路面|复循环发电 複循環發電|复意 複意|复拍子 複拍子|复按 覆按',
+    '复数 複數|复数域 複數域|复数平面 複數平面|复数形 複數形|复数形式 複數形式|复文 覆文|复方 複方|复本 複本|复本位制度 複本位制度|复杂 複雜|复杂劳动 複雜勞動|复杂化 複雜化|复杂度 複雜度|复杂度理论 複雜度理論|复杂性 複雜性|复杂生产 複雜生產|复杂系统 複雜系統|复果 複果|复查 複查|复校 覆校|复核 複覈|复检 複檢|复殖吸虫 複殖吸蟲|复殖目 複殖目|复比 複比|复比例 複比例|复流形 複流形|复测 複測|复用 複用|复电 覆電|复盐 複鹽|复目 複目|复相关 複相關|复眼 複眼|复种 複種|复种指数 複種指數|复称 複稱|复穴 複穴|复线 複線|复综语 複綜語',
+    '复肥 複肥|复色 複色|复色光 複色光|复苏 復甦|复苏期 復甦期|复苏术 復甦術|复襦 複襦|复视 複視|复训 複訓|复议 複議|复评 複評|复诊 複診|复词 複詞|复试 複試|复诵 複誦|复赛 複賽|复辅音 複輔音|复辟 復辟|复辟事件 復辟事件|复述 複述|复选 複選|复选题 複選題|复道 複道|复钱 複錢|复阁 複閣|复阅 複閱|复音 複音|复音形 複音形|复音词 複音詞|复韵 複韻|复韵母 複韻母|复频 複頻|复验 複驗|夏于乔 夏于喬|夏历 夏曆|夏后氏 夏后氏|夏川里美 夏川里美|夏日里 夏日裏|夏里夫 夏里夫|外交关系 外交關係',
+    '外交关系理事会 外交關係理事會|外制 外製|外强中干 外強中乾|外御其侮 外禦其侮|外戚里 外戚裏|外松内紧 外鬆內緊|外欲 外慾|外烟 外菸|外调制 外調制|多义关系 多義關係|多凶少吉 多凶少吉|多只 多隻|多天后 多天後|多姿多采 多姿多采|多媒体杂志 多媒體雜誌|多少只 多少隻|多少周 多少週|多少周围 多少周圍|多少周边 多少周邊|多少周遭 多少周遭|多层复 多層複|多层复迭 多層複迭|多才多艺 多才多藝|多采 多采|多采多姿 多采多姿|多里 多里|夜光表 夜光錶|夜半钟声 夜半鐘聲|夜色迷蒙 夜色迷濛|够克制 夠剋制|大一统志 大一統誌|大不里士 大不里士|大丑 大丑|大专杯 大專盃|大乌苏里岛 大烏蘇里島|大余 大余|大余县 大余縣|大便干燥 大便乾燥|大元大一统志 大元大一統誌|大冲 大沖',
+    '大凶 大凶|大利面 大利麪|大制作 大製作|大动干戈 大動干戈|大单于 大單于|大卤面 大滷麪|大历 大曆|大历十才子 大曆十才子|大历史 大歷史|大厦栋梁 大廈棟樑|大叔于田 大叔于田|大只 大隻|大周后 大周后|大咸 大咸|大型钟 大型鐘|大型钟表 大型鐘錶|大型钟面 大型鐘面|大天后宫 大天后宮|大家伙儿 大家夥兒|大折儿 大摺兒|大排面 大排麪|大放异采 大放異采|大斗 大斗|大斗小秤 大斗小秤|大明历 大明曆|大明历史 大明歷史|大曲 大麴|大曲道 大曲道|大曲酒 大麴酒|大有径庭 大有逕庭|大本钟 大本鐘|大本钟敲 大本鐘敲|大榄涌 大欖涌|大武仑 大武崙|大水冲倒龙王庙 大水沖倒龍王廟|大水冲倒龙王殿 大水沖倒龍王殿|大水冲溺 大水沖溺|大涌 大涌|大润发 大潤發|大溪豆干 大溪豆干',
+    '大班面包西饼 大班麪包西餅|大理岩 大理岩|大病初愈 大病初癒|大白日里借不出个干灯盏来 大白日裏借不出個乾燈盞來|大目干连 大目乾連|大目干连冥间救母变文 大目乾連冥間救母變文|大相径庭 大相逕庭|大笨钟 大笨鐘|大笨钟敲 大笨鐘敲|大统历 大統曆|大老板 大老闆|大肠杆菌 大腸桿菌|大肠杆菌群 大腸桿菌羣|大肠面 大腸麪|大胡子 大鬍子|大蜡 大蜡|大衍历 大衍曆|大衍历史 大衍歷史|大表惊叹 大表驚歎|大言非夸 大言非夸|大赞 大讚|大辟 大辟|大采 大采|大里 大里|大里市 大里市|大里溪 大里溪|大金发苔 大金髮薹|大鉴 大鑒|大钟 大鐘|大面皮儿 大面皮兒|大风后 大風後|大麻里 大麻里|大麻里乡 大麻里鄉|天下杂志 天下雜誌|天克地冲 天剋地衝|天历 天曆|天台 天台|天台县 天台縣|天台女 天台女|天台宗 天台宗',
+    '天台山 天台山|天后 天后|天后站 天后站|天后级 天后級|天地志狼 天地志狼|天干 天干|天干地支 天干地支|天干物燥 天乾物燥|天心岩 天心岩|天才出自勤奋 天才出自勤奮|天文学钟 天文學鐘|天文钟 天文鐘|天无三日晴地无三里平 天無三日晴地無三里平|天缘注定 天緣注定|天要下雨娘要嫁人 天要下雨孃要嫁人|天要落雨娘要嫁人 天要落雨孃要嫁人|太冲 太沖|太初历 太初曆|太初历史 太初歷史|太古里 太古里|太后 太后|太干 太乾|太松 太鬆|太溪 太谿|太溪穴 太谿穴|太皇太后 太皇太后|太阳一出 太陽一出|太阳升 太陽昇|太阳历 太陽曆|太阳照在桑干河上 太陽照在桑乾河上|太阳谷 太陽谷|太阳黑子周 太陽黑子週|太阴历 太陰曆|太麻里 太麻里|太麻里乡 太麻里鄉|太麻里溪 太麻里溪|夫力 伕力|夫妇关系 夫婦關係|夫妻关系 夫妻關係|夫役 伕役',
+    '失之毫厘差之千里 失之毫釐差之千里|失之毫厘差以千里 失之毫釐差以千里|失之毫厘谬以千里 失之毫釐謬以千里|头发 頭髮|头发上指 頭髮上指|头发了狂 頭發了狂|头发了疯 頭發了瘋|头发壳子 頭髮殼子|头发胡子一把抓 頭髮鬍子一把抓|头巾吊在水里 頭巾弔在水裏|头悬梁锥刺股 頭懸樑錐刺股|头花发 頭花髮|头面人物 頭面人物|夸丽 夸麗|夸人 夸人|夸克 夸克|夸克星 夸克星|夸姣 夸姣|夸容 夸容|夸尔 夸爾|夸毗 夸毗|夸父 夸父|夸父逐日 夸父逐日|夸特 夸特|夸脱 夸脫|夸诞 夸誕|夸诞不经 夸誕不經|夸赞 誇讚|夹心饼干 夾心餅乾|夹注 夾註|夹注号 夾注號|夺杯 奪盃|奇台 奇台|奇台县 奇臺縣|奇异夸克 奇異夸克|奇异果干 奇異果乾|奇杯 奇盃|奇迹 奇蹟|奇里安 奇里安|奉公克己 奉公剋己',
+    '奉干 奉干|奏折 奏摺|奖杯 獎盃|奥布里 奧布里|奥林匹克日 奧林匹克日|奥里斯 奧里斯|奥里萨 奧里薩|奥里萨省 奧里薩省|奥里萨邦 奧里薩邦|奥里里亚 奧里里亞|女丑 女丑|女丑剧场 女丑劇場|女生外向 女生外嚮|女长须嫁 女長須嫁|奴儿干 奴兒干|奴儿干都司 奴兒干都司|奶制品 奶製品|奶卷 奶捲|奶娘 奶孃|奸伏 姦伏|奸凶 姦凶|奸夫 姦夫|奸夫淫妇 姦夫淫婦|奸妇 姦婦|奸尸 姦屍|奸情 姦情|奸杀 姦殺|奸污 姦污|奸淫 姦淫|奸淫掳掠 姦淫擄掠|奸盗邪淫 姦盜邪淫|奸通 姦通|奸非 姦非|她克制 她剋制|好一出 好一齣|好不容易才 好不容易纔|好几周 好幾週|好凶 好凶|好困 好睏|好困吧 好睏吧',
+    '好困啊 好睏啊|好好干 好好幹|好家伙 好傢伙|好干 好乾|好斗笠 好斗笠|好斗篷 好斗篷|好斗胆 好斗膽|好采头 好采頭|如何干 如何幹|如坐针毡 如坐鍼氈|如堕五里雾中 如墮五里霧中|如干 如干|如日东升 如日東昇|如果干 如果幹|如法泡制 如法泡製|如法炮制 如法炮製|妆发 妝髮|妇人生须 婦人生鬚|妇女杂志 婦女雜誌|妖后 妖后|妖气冲天 妖氣沖天|姑娘家 姑娘家|姓岳 姓岳|委托 委託|委托书 委託書|委托人 委託人|姚升志 姚昇志|姚采颖 姚采穎|姜丝 薑絲|姜切片 薑切片|姜就是老 薑就是老|姜愈老愈辣 薑愈老愈辣|姜文杰 姜文杰|姜斋 薑齋|姜是老 薑是老|姜是老的辣 薑是老的辣|姜末 薑末|姜桂 薑桂|姜桂老辣 薑桂老辣|姜母 薑母',
+    '姜母鸭 薑母鴨|姜汁 薑汁|姜汤 薑湯|姜片 薑片|姜糖 薑糖|姜老辣 薑老辣|姜茶 薑茶|姜蓉 薑蓉|姜越老越辣 薑越老越辣|姜辣 薑辣|姜辣素 薑辣素|姜还是老 薑還是老|姜还是老的辣 薑還是老的辣|姜郁美 姜郁美|姜饼 薑餅|姜麻园 薑麻園|姜黄 薑黃|姜黄素 薑黃素|姜黄色 薑黃色|姿采 姿采|威布里吉 威布里吉|威里斯 威里斯|娘亲 孃親|娘儿 孃兒|娘儿们 娘兒們|娘儿俩 孃兒倆|娘姨 孃姨|娘家 孃家|娘家姓 孃家姓|娘的 孃的|娘老子 孃老子|娘胎 孃胎|娘舅 孃舅|婶娘 嬸孃|媒人口无量斗 媒人口無量斗|媒体狂并潮 媒體狂併潮|嬖幸 嬖倖|子之丰兮 子之丰兮|子云 子云|子姜炒鸡 子薑炒雞',
+    '子曰诗云 子曰詩云|子母钟 子母鐘|子游 子游|孔章望斗 孔章望斗|字汇 字彙|字汇判断任务 字彙判斷任務|字码表 字碼表|存托凭证 存託憑證|存折 存摺|孙杰 孫杰|季咸 季咸|季节洄游 季節洄游|孤寡不谷 孤寡不穀|孤形只影 孤形隻影|孤形吊影 孤形吊影|孤征 孤征|孤身只影 孤身隻影|宁中则 甯中則|宁庄子 甯莊子|宁悼子 甯悼子|宁惠子 甯惠子|宁成子 甯成子|宁戚 甯戚|宁撞金钟一下不打破鼓三千 寧撞金鐘一下不打破鼓三千|宁斧成 甯斧成|宁武子 甯武子|宁浩 甯浩|宁猛力 甯猛力|宁调元 甯調元|宁越 甯越|宇宙志 宇宙誌|守御 守禦|安全系数 安全係數|安吉里科 安吉里科|安山岩 安山岩|安岳 安岳|安沈铁路 安瀋鐵路|安营扎寨 安營紮寨|安萨里 安薩里|宋干节 宋干節',
+    '完全愈复 完全癒復|宗周钟 宗周鐘|官不怕大只怕管 官不怕大只怕管|官准 官准|官历 官曆|官地为采 官地爲寀|定制 定製|定制化 定製化|定时号志 定時號誌|定时钟 定時鐘|宛若游龙 宛若游龍|宜云 宜云|宝历 寶曆|宝志 寶誌|审核 審覈|客制化 客製化|客制化服务 客製化服務|宣传周 宣傳週|宣布 宣佈|宣布无效 宣佈無效|宣布独立 宣佈獨立|宣布破产 宣佈破產|宫里蓝 宮里藍|宵征 宵征|家什 傢什|家伙 傢伙|家伙座儿 傢伙座兒|家俱 傢俱|家具 傢俱|家具行 傢俱行|家无斗储 家無斗儲|家私 傢俬|宽宽松松 寬寬鬆鬆|宽松 寬鬆|宽面 寬麪|宾主关系 賓主關係|宾语关系从句 賓語關係從句|寄托 寄託|寄托在 寄託在|寄托着 寄託着',
+    '密切关系 密切關係|密布 密佈|密折 密摺|密致 密緻|密苏里 密蘇里|密苏里州 密蘇里州|密苏里河 密蘇里河|寇不可玩 寇不可翫|富于想象 富於想像|富里 富里|富里乡 富里鄉|寒栗 寒慄|寒波荡漾 寒波盪漾|寓禁于征 寓禁於征|察干 察干|察核 察覈|寡欲 寡慾|寮采 寮寀|寸发千金 寸髮千金|对冲 對沖|对冲基金 對沖基金|对准表 對準錶|对准钟 對準鐘|对准钟表 對準鐘錶|对华发动 對華發動|对外关系 對外關係|对折 對摺|对等关系 對等關係|对表 對錶|寺钟 寺鐘|寿面 壽麪|封侯万里 封侯萬里|封后 封后|封妻荫子 封妻廕子|封面人物 封面人物|射干 射干|射雕 射鵰|射雕手 射鵰手|射雕英雄传 射鵰英雄傳|射频干扰 射頻干擾',
+    '将占卜 將占卜|小丑 小丑|小丑丫鬟 小丑丫鬟|小丑跳梁 小丑跳樑|小丑鱼 小丑魚|小云 小云|小价 小价|小余 小余|小便斗 小便斗|小几 小几|小划子 小划子|小只 小隻|小叮当 小叮噹|小型钟 小型鐘|小型钟表 小型鐘錶|小型钟面 小型鐘面|小天后 小天后|小家伙 小傢伙|小尝 小嚐|小杰 小杰|小松糕 小鬆糕|小泽征尔 小澤征爾|小米面 小米麪|小红萝卜 小紅蘿蔔|小老板 小老闆|小胡子 小鬍子|小范 小范|小范围 小範圍|小萝卜头 小蘿蔔頭|小钟 小鐘|小面包 小麪包|小须鲸 小鬚鯨|少私寡欲 少私寡慾|少长咸集 少長咸集|尔本周 爾本週|尖管面 尖管麪|尘卷风 塵捲風|尚面 尚麪|尝个 嚐個|尝了 嚐了',
+    '尝了一口 嚐了一口|尝了尝 嚐了嚐|尝了鲜 嚐了鮮|尝出 嚐出|尝到 嚐到|尝尝 嚐嚐|尝尝鲜 嚐嚐鮮|尝尽 嚐盡|尝来尝去 嚐來嚐去|尝点 嚐點|尝起来 嚐起來|尝遍 嚐遍|尝鲜 嚐鮮|尤克里斯 尤克里斯|尤克里里琴 尤克里里琴|尤基里斯 尤基里斯|尤里 尤里|尤里斯伊文思 尤里斯伊文思|尤里比底斯 尤里比底斯|尤里西斯 尤里西斯|尨眉皓发 尨眉皓髮|就克制 就剋制|就吃干 就喫乾|就干一杯 就乾一杯|就干净 就乾淨|就念 就唸|就汤下面 就湯下麪|就系 就係|尸位 尸位|尸位素餐 尸位素餐|尸利 尸利|尸居余气 尸居餘氣|尸居龙见 尸居龍見|尸祝 尸祝|尸祝代庖 尸祝代庖|尸禄 尸祿|尸禄素餐 尸祿素餐|尸臣 尸臣|尸解 尸解|尸谏 尸諫',
+    '尸陀林 尸陀林|尸饔 尸饔|尸鸠 尸鳩|尺寸千里 尺寸千里|尺寸斗粟 尺寸斗粟|尺布斗粟 尺布斗粟|尺幅千里 尺幅千里|尺板斗食 尺板斗食|尼采 尼采|尽先 儘先|尽可 儘可|尽可能 儘可能|尽够 儘夠|尽子 儘子|尽尽 儘儘|尽底下 儘底下|尽快 儘快|尽快地 儘快地|尽性 儘性|尽想 儘想|尽意随心 儘意隨心|尽教 儘教|尽早 儘早|尽有可能 儘有可能|尽沾恩露 盡霑恩露|尽管 儘管|尽管如此 儘管如此|尽自 儘自|尽落尾 儘落尾|尽让 儘讓|尽速 儘速|尽量 儘量|尾注 尾註|尿斗 尿斗|局促 侷促|局限 侷限|局限于 侷限於|居里 居里|居里夫人 居里夫人|屈万里 屈萬里',
+    '屋梁 屋樑|屋里人 屋裏人|屏风后 屏風後|展采 展采|属托 屬託|屡仆屡起 屢仆屢起|屯扎 屯紮|屯里镇 屯里鎮|山中无历日 山中無曆日|山仔后 山仔后|山城小面 山城小麪|山岩 山岩|山崎面饱 山崎麪飽|山崩钟应 山崩鐘應|山斗 山斗|山梁 山樑|山楂干 山楂乾|山羊胡 山羊鬍|山羊胡子 山羊鬍子|山羊须 山羊鬚|山里站 山里站|山重水复 山重水複|岁凶 歲凶|岁聿云暮 歲聿云暮|岩仓使节团 岩倉使節團|岩圈 岩圈|岩土 岩土|岩土体 岩土體|岩基 岩基|岩层 岩層|岩屑 岩屑|岩床 岩牀|岩心 岩心|岩手县 岩手縣|岩村明宪 岩村明憲|岩棉 岩棉|岩浆 岩漿|岩浆岩 岩漿岩|岩浆流 岩漿流|岩溶 岩溶',
+    '岩濑健 岩瀨健|岩盐 岩鹽|岩石 岩石|岩石圈 岩石圈|岩石学 岩石學|岩石层 岩石層|岩石循环 岩石循環|岩礁 岩礁|岩羊 岩羊|岩脉 岩脈|岳丈 岳丈|岳云 岳雲|岳坟 岳墳|岳家 岳家|岳家军 岳家軍|岳庙 岳廟|岳武穆 岳武穆|岳母 岳母|岳氏 岳氏|岳父 岳父|岳王 岳王|岳王庙 岳王廟|岳珂 岳珂|岳阳 岳陽|岳阳县 岳陽縣|岳阳楼 岳陽樓|岳阳楼记 岳陽樓記|岳飞 岳飛|峇峇娘惹 峇峇孃惹|峇里岛 峇里島|峰回 峯迴|峰回路转 峯迴路轉|崔敬邕墓志铭 崔敬邕墓誌銘|崖广 崖广|川党参 川黨蔘|川后 川后|川谷 川穀|州里 州里|巡回 巡迴|巡回公演 巡迴公演',
+    '巡回剧团 巡迴劇團|巡回医疗 巡迴醫療|巡回图书馆 巡迴圖書館|巡回大使 巡迴大使|巡回学校 巡迴學校|巡回审判 巡迴審判|巡回展 巡迴展|巡回检查 巡迴檢查|巡回法庭 巡回法庭|巡回演出 巡迴演出|巡回演唱 巡迴演唱|巡回祭 巡迴祭|巡回赛 巡迴賽|巡回车 巡迴車|工厂布置 工廠佈置|工致 工緻|左光斗 左光斗|左右采之 左右采之|左手不托右手 左手不托右手|左邻右里 左鄰右里|左里 左里|左里克 左里克|巧历 巧曆|巨万 鉅萬|巨业 鉅業|巨亏 鉅虧|巨作 鉅作|巨债 鉅債|巨公 鉅公|巨制 鉅製|巨变 鉅變|巨商 鉅商|巨奖 鉅獎|巨奸 鉅奸|巨子 鉅子|巨富 鉅富|巨款 鉅款|巨献 鉅獻|巨祥 鉅祥|巨细 鉅細',
+    '巨舰 鉅艦|巨著 鉅著|巨贪 鉅貪|巨野 鉅野|巨额 鉅額|巨鹿 鉅鹿|巨黍 鉅黍|巫咸 巫咸|差之千里 差之千里|己丑 己丑|已占卜 已占卜|已占算 已占算|已系 已係|巴人下里 巴人下里|巴厘岛 巴厘島|巴尔贝里尼宫殿 巴爾貝里尼宮殿|巴斗 巴斗|巴氏杆菌 巴氏桿菌|巴游 巴游|巴里 巴里|巴里坤 巴里坤|巴里坤县 巴里坤縣|巴里坤哈萨克自治县 巴里坤哈薩克自治縣|巴里坤草原 巴里坤草原|巴里岛 巴里島|巴里库廷火山 巴里庫廷火山|巴里斯 巴里斯|巴马干酪 巴馬乾酪|巷仔见面馆 巷仔見麪館|巾帼须眉 巾幗鬚眉|市场准入 市場準入|市长杯 市長盃|布一个 佈一個|布下 佈下|布于 佈於|布会 佈會|布划 佈劃|布列 佈列|布列兹涅 布列茲涅|布列兹涅夫 布列茲涅夫',
+    '布列兹涅夫主义 布列茲涅夫主義|布列塔尼 布列塔尼|布列开 布列開|布势 佈勢|布告 佈告|布告栏 佈告欄|布告牌 佈告牌|布哨 佈哨|布囊其口 佈囊其口|布复 布覆|布局 佈局|布岗 佈崗|布干维尔 布干維爾|布干维尔岛 布干維爾島|布德 佈德|布德尔 布德爾|布德施仁 布德施仁|布德施惠 布德施惠|布慈 佈慈|布扣 佈扣|布摆 佈擺|布政 佈政|布政使 布政使|布政司 布政司|布教 佈教|布散 佈散|布施 佈施|布景 佈景|布氏杆菌 布氏桿菌|布氏杆菌病 布氏桿菌病|布满 佈滿|布疑阵 佈疑陣|布线 佈線|布网 佈網|布置 佈置|布署 佈署|布菜 佈菜|布让 佈讓|布设 佈設|布谷 布穀',
+    '布谷鸟 布穀鳥|布谷鸟钟 布穀鳥鐘|布道 佈道|布道大会 佈道大會|布道所 佈道所|布里 布里|布里亚族 布里亞族|布里兹涅夫 布里茲涅夫|布里坦尼 布里坦尼|布里奇顿 布里奇頓|布里姬沃特 布里姬沃特|布里斯 布里斯|布里斯托 布里斯托|布里斯托尔海峡 布里斯托爾海峽|布里斯本 布里斯本|布里斯本市 布里斯本市|布里斯本河 布里斯本河|布里斯班 布里斯班|布里迪雅 布里迪雅|布里迪雅通 布里迪雅通|布防 佈防|布防迎战 布防迎戰|布阵 佈陣|布阵安营 佈陣安營|布雪 佈雪|布雷 佈雷|布雷克 布雷克|布雷克磨 布雷克磨|布雷封锁 佈雷封鎖|布雷尔 布雷爾|布雷尔港 布雷爾港|布雷希特 布雷希特|布雷恩 布雷恩|布雷拉 布雷拉|布雷的 佈雷的|布雷舰 佈雷艦|布雷艇 佈雷艇|布雷蒙 布雷蒙|布雷迪 布雷迪|布雷速度 佈雷速度',
+    '布雷队 佈雷隊|布雷默 布雷默|师云而云 師云而云|师娘 師孃|师生杯 師生盃|希伯来历 希伯來曆|希伯来历史 希伯來歷史|希拉里 希拉里|希拉里克林顿 希拉里克林頓|希斯仑 希斯崙|帕特里克 帕特里克|帕特里夏 帕特里夏|帕索里尼 帕索里尼|帝后 帝后|带凶 帶凶|带发修行 帶髮修行|席卷 席捲|席卷一空 席捲一空|席卷亚洲 席捲亞洲|席卷天下 席捲天下|席卷而来 席捲而來|席卷而逃 席捲而逃|席志成 席誌成|席棚 蓆棚|常态分布 常態分佈|干一坛 乾一罈|干一坛法 幹一壇法|干一杯 乾一杯|干一碗 乾一碗|干不干净 乾不乾淨|干不干杯 乾不乾杯|干与 干與|干丝 乾絲|干两杯 乾兩杯|干乔 乾喬|干了杯 乾了杯|干了这一杯 乾了這一杯|干了这一瓶 乾了這一瓶|干了这杯 乾了這杯|干了这碗 乾了這碗',
+    '干云蔽日 干雲蔽日|干井 乾井|干产 乾產|干亲 乾親|干休 干休|干休所 幹休所|干伸舌 乾伸舌|干你娘 幹你孃|干儿 乾兒|干儿子 乾兒子|干冒烟 乾冒煙|干冰 乾冰|干冷 乾冷|干净 乾淨|干净俐落 乾淨俐落|干凉 乾涼|干几手 乾幾手|干几杯 乾幾杯|干几碗 乾幾碗|干凯文 干凱文|干刍 乾芻|干制 乾製|干刻版 乾刻版|干剥剥 乾剝剝|干劲冲天 幹勁沖天|干卦 乾卦|干卿何事 干卿何事|干卿底事 干卿底事|干又热 乾又熱|干台 乾颱|干号 乾號|干吊着下巴 乾吊着下巴|干呕 乾嘔|干和 乾和|干咳 乾咳|干咽 乾嚥|干咽唾 乾嚥唾|干哑 乾啞|干哕 乾噦|干哥 乾哥',
+    '干哥哥 乾哥哥|干哭 乾哭|干唱 乾唱|干啤 乾啤|干啼 乾啼|干啼湿哭 乾啼溼哭|干嚎 乾嚎|干回付 乾回付|干图 乾圖|干圆洁净 乾圓潔淨|干土 乾土|干地 乾地|干坐 乾坐|干坐着 乾坐着|干坛子 乾罈子|干坞 乾塢|干城 干城|干堂婶 乾堂嬸|干塘 乾塘|干女 乾女|干女儿 乾女兒|干女友 幹女友|干女同事 幹女同事|干女婿 乾女婿|干女教师 幹女教師|干奴才 乾奴才|干妈 乾媽|干妹 乾妹|干妹妹 乾妹妹|干姊 乾姊|干姊姊 乾姊姊|干姐 乾姐|干姜 乾薑|干姬松茸 乾姬松茸|干娘 乾孃|干子 乾子|干季 乾季|干宅 乾宅|干将 干將|干将莫邪 干將莫邪',
+    '干尸 乾屍|干尽一坛 乾盡一罈|干尽一壶 乾盡一壺|干尽一杯 乾盡一杯|干尽一碗 乾盡一碗|干屎橛 乾屎橛|干巴 乾巴|干巴巴 乾巴巴|干巴巴的 乾巴巴的|干布 乾布|干干 乾乾|干干儿的 乾乾兒的|干干净净 乾乾淨淨|干干巴巴 乾乾巴巴|干干干干 幹幹幹幹|干干爽爽 乾乾爽爽|干干瘦瘦 乾乾瘦瘦|干干的 乾乾的|干干脆脆 乾乾脆脆|干式 乾式|干弟 乾弟|干弟弟 乾弟弟|干得一杯 乾得一杯|干得三杯 乾得三杯|干得两杯 乾得兩杯|干得很 乾得很|干急 乾急|干性 乾性|干性油 乾性油|干性皮肤 乾性皮膚|干戈 干戈|干戈扰攘 干戈擾攘|干戚 干鏚|干扁豆角 干扁豆角|干手净脚 乾手淨腳|干打垒 乾打壘|干打雷 乾打雷|干扰 干擾|干扰到 干擾到|干扰力 干擾力',
+    '干扰素 干擾素|干折 乾折|干拌 乾拌|干拌面 乾拌麪|干挠 干撓|干捞 乾撈|干捞面 乾撈麪|干掉一杯 乾掉一杯|干掉一瓶 乾掉一瓶|干掉一碗 乾掉一碗|干掉这杯 乾掉這杯|干掉这碗 乾掉這碗|干掉那杯 乾掉那杯|干掉那碗 乾掉那碗|干撂台 乾撂臺|干撇下 乾撇下|干擦 乾擦|干支 干支|干支剌 乾支剌|干支支 乾支支|干支沟 干支溝|干支流 幹支流|干政 干政|干数杯 乾數杯|干料 乾料|干断 乾斷|干旦 乾旦|干旱 乾旱|干旱地区 乾旱地區|干时 干時|干暖 乾暖|干曜 乾曜|干材 乾材|干村沙 乾村沙|干杯 乾杯|干果 乾果|干枝 乾枝|干枯 乾枯|干柴 乾柴|干柴烈火 乾柴烈火',
+    '干梅 乾梅|干梅子 乾梅子|干此坛 乾此罈|干此杯 乾此杯|干死 乾死|干毛巾 乾毛巾|干池 乾池|干沟 乾溝|干没 乾沒|干洗 乾洗|干洗店 乾洗店|干涉 干涉|干涉仪 干涉儀|干涉现象 干涉現象|干涩 乾澀|干涸 乾涸|干渴 乾渴|干湿 乾溼|干湿发 乾溼髮|干溪 乾溪|干滩 乾灘|干漆 乾漆|干灯盏 乾燈盞|干炒 乾炒|干点 乾點|干烧 乾燒|干热 乾熱|干焦 乾焦|干煸 乾煸|干熬 乾熬|干燥 乾燥|干燥剂 乾燥劑|干燥器 乾燥器|干燥机 乾燥機|干燥箱 乾燥箱|干爸 乾爸|干爸爸 乾爸爸|干爹 乾爹|干爽 乾爽|干片 乾片',
+    '干犯 干犯|干犯法 幹犯法|干球温度 乾球溫度|干生受 乾生受|干生子 乾生子|干生气 乾生氣|干田 乾田|干电 乾電|干电池 乾電池|干疥 乾疥|干瘦 乾瘦|干瘪 乾癟|干瘪瘪 乾癟癟|干瘾 乾癮|干癣 乾癬|干癣性 乾癬性|干白 乾白|干白儿 乾白兒|干的 乾的|干的停当 幹的停當|干眼 乾眼|干眼病 乾眼病|干眼症 乾眼症|干着急 乾着急|干瞪眼 乾瞪眼|干硬 乾硬|干碍 干礙|干礼 乾禮|干禄 干祿|干稿 乾稿|干站 乾站|干站着 乾站着|干笑 乾笑|干等 乾等|干篾片 乾篾片|干粉 乾粉|干粮 乾糧|干粮袋 乾糧袋|干糇 乾餱|干系 干係',
+    '干红 乾紅|干纲 乾綱|干纲不振 乾綱不振|干结 乾結|干绷 乾繃|干绷儿 乾繃兒|干群关系 幹羣關係|干耗 乾耗|干肉 乾肉|干肉片 乾肉片|干股 乾股|干肥 乾肥|干脆 乾脆|干脆利落 乾脆利落|干花 乾花|干苔 乾薹|干茨腊 乾茨臘|干茶钱 乾茶錢|干草 乾草|干草叉 乾草叉|干草堆 乾草堆|干草机 乾草機|干草粉 乾草粉|干菜 乾菜|干落 乾落|干薪 乾薪|干虔 乾虔|干血浆 乾血漿|干衣 乾衣|干衣机 乾衣機|干裂 乾裂|干诺道 干諾道|干诺道中 干諾道中|干诺道西 干諾道西|干谒 干謁|干象 乾象|干贝 乾貝|干货 乾貨|干躁 乾躁|干过一杯 乾過一杯',
+    '干过杯 乾過杯|干过瘾 乾過癮|干这一杯 乾這一杯|干这杯 乾這杯|干连 干連|干透 乾透|干造 乾造|干逼 乾逼|干邑 干邑|干那一杯 乾那一杯|干那杯 乾那杯|干酪 乾酪|干酵母 乾酵母|干醋 乾醋|干重 乾重|干量 乾量|干锅 乾鍋|干镇驿 乾鎮驛|干闼婆 乾闥婆|干阿奶 乾阿奶|干雷 乾雷|干霍乱 乾霍亂|干面 乾麪|干预 干預|干颡 乾顙|干饭 乾飯|干馆 乾館|干馏 乾餾|干馏法 乾餾法|干驿镇 乾驛鎮|干鱼 乾魚|干鲜 乾鮮|平安里 平安里|平平当当 平平當當|平康里 平康里|平方公里 平方公里|平日里 平日裏|平易谦冲 平易謙沖|平梁 平樑|年历 年曆',
+    '年团子 年團子|年谷 年穀|并一不二 併一不二|并不并 併不併|并为 併爲|并产 併產|并入 併入|并兼 併兼|并到 併到|并力 併力|并卷机 併捲機|并发 併發|并发动 並發動|并发展 並發展|并发现 並發現|并发症 併發症|并发表 並發表|并叠 併疊|并合 併合|并名 併名|并吞 併吞|并吞下 併吞下|并州 幷州|并州剪 幷州剪|并州故乡 幷州故鄉|并成 併成|并拢 併攏|并案 併案|并案处理 併案處理|并火 併火|并科 併科|并纱 併紗|并线 併線|并网 併網|并肩子 併肩子|并购 併購|并购买 併購買|并购案 併購案|并赃拿贼 併贓拿賊|并赃治罪 併贓治罪',
+    '并除 併除|并骨 併骨|幸免 倖免|幸免于难 倖免於難|幸存 倖存|幸存者 倖存者|幸幸 倖幸|幸感歌姬 倖感歌姬|幸臣 倖臣|幸运胡 幸運鬍|幸进 倖進|幺么小丑 幺麼小醜|幺麼小丑 幺麼小丑|幺麽小丑 幺麼小丑|广东炒面 廣東炒麪|广布 廣佈|广舍 廣捨|广部 广部|庄里镇 莊里鎮|庆历 慶曆|庆历新政 慶曆新政|庆吊 慶弔|庇荫 庇廕|庇里牛斯 庇里牛斯|庇里牛斯山 庇里牛斯山|床席 牀蓆|库布里克 庫布里克|库里尔台 庫里爾臺|库里提巴 庫里提巴|应克制 應剋制|应占 應占|应收帐款周转率 應收帳款週轉率|应钟 應鐘|底夸克 底夸克|底格里斯 底格里斯|底格里斯河 底格里斯河|底脚里人 底腳裏人|庞眉白发 龐眉白髮|庞眉皓发 龐眉皓髮|废后 廢后',
+    '度身定制 度身定製|座钟 座鐘|庵婪 菴婪|庵庐 菴廬|庵庵 菴菴|庵罗树园 菴羅樹園|庵舍 菴舍|庵蔼 菴藹|康采恩 康采恩|庸暗 庸闇|廖于诚 廖于誠|廖金钟 廖金鐘|廢墟里 廢墟裏|廿二史札记 廿二史劄記|廿里 廿里|开伙 開伙|开发周期 開發週期|开吊 開弔|开哄 開鬨|开诚布公 開誠佈公|异苔同岑 異薹同岑|异采 異采|弃舍 棄捨|弄干 弄乾|弄松 弄鬆|弄面吃 弄麪喫|弄鬼吊猴 弄鬼弔猴|弊幸 弊倖|弗洛里斯岛 弗洛里斯島|弗罗里达 弗羅里達|弗罗里达州 弗羅里達州|弗里得里希 弗里得里希|弗里德里希 弗里德里希|弗里敦 弗里敦|弗里斯兰 弗里斯蘭|弗里曼 弗里曼|弗雷德里克 弗雷德里克|弗雷德里克顿 弗雷德里克頓|弘历 弘曆|张三丰 張三丰',
+    '张基郁 張基郁|张志家 張誌家|张斗辉 張斗輝|张栋梁 張棟樑|张灯结彩 張燈結綵|张玄墓志铭 張玄墓誌銘|张范街道 張范街道|张黑女墓志铭 張黑女墓誌銘|弥山遍野 瀰山遍野|弥弥 瀰瀰|弥漫 瀰漫|弥漫性 瀰漫性|弥漫着 瀰漫着|弥蒙 彌矇|弦乐 絃樂|弦乐团 絃樂團|弦动 絃動|弦器 絃器|弦声 絃聲|弦断 絃斷|弦歌 絃歌|弦琴 絃琴|弦索 絃索|弦线 絃線|弦轴 絃軸|弦音 絃音|弯管面 彎管麪|弹子台 彈子檯|弹性制造系统 彈性製造系統|弹珠台 彈珠檯|强制作用 強制作用|强咽 強嚥|强奸 強姦|强奸民意 強姦民意|强奸犯 強姦犯|强奸罪 強姦罪|强棒面 強棒麪|强烈台风 強烈颱風|强聒不舍 強聒不捨|彊御 彊禦',
+    '归向导引 歸向導引|归并 歸併|归并到 歸併到|归并在 歸併在|当一声 噹一聲|当众宣布 當衆宣佈|当周 當週|当周街道 當周街道|当啷 噹啷|当啷落地 噹啷落地|当场只手 當場隻手|当家才知柴米价 當家纔知柴米價|当当 噹噹|当当丁丁 當當丁丁|当当当 噹噹噹|当当船 噹噹船|当当车 噹噹車|当的一响 噹的一響|当的一声 噹的一聲|录制 錄製|录录 彔彔|录录歌 錄錄歌|录录音 錄錄音|彗泛画涂 彗氾畫塗|形单影只 形單影隻|形只影单 形隻影單|形如斗 形如斗|形孤影只 形孤影隻|形影相吊 形影相弔|彩凤 綵鳳|彩凤随鸦 彩鳳隨鴉|彩女 綵女|彩带 綵帶|彩带舞 綵帶舞|彩棚 綵棚|彩楼 綵樓|彩楼配 綵樓配|彩牌楼 綵牌樓|彩球 綵球|彩笔生花 綵筆生花',
+    '彩线 綵線|彩绸 綵綢|彩缎 綵緞|彩缯 綵繒|彩胜 綵勝|彩船 綵船|彩衣 綵衣|彩衣娱亲 綵衣娛親|彩鸾 綵鸞|彭于晏 彭于晏|彭咸 彭咸|影占 影占|影只形单 影隻形單|影后 影后|影评人周 影評人週|彼得里皿 彼得里皿|彼此克制 彼此剋制|征东 征東|征乌梁海 征烏梁海|征伐 征伐|征剿 征剿|征北 征北|征南 征南|征台 征臺|征夫 征夫|征尘 征塵|征帆 征帆|征彸 征彸|征戍 征戍|征战 征戰|征敛 征斂|征敛无度 征斂無度|征旆 征旆|征服 征服|征服兵 征服兵|征服到地 征服到地|征服者 征服者|征程 征程|征缅 征緬|征衣 征衣',
+    '征衫 征衫|征西 征西|征讨 征討|征辟 徵辟|征途 征途|征马 征馬|征驾 征駕|径入 逕入|径到 逕到|径取 逕取|径启者 逕啓者|径流 逕流|径自 逕自|径行 逕行|径路儿 逕路兒|待核 待覈|很干 很乾|很干了 很乾了|很松 很鬆|律历志 律曆志|徐余伟 徐余偉|徐赞升 徐讚昇|徒托空言 徒託空言|得克制 得剋制|得道升天 得道昇天|得采 得采|徘回 徘迴|御侮 禦侮|御制 御製|御寇 禦寇|御寒 禦寒|御敌 禦敵|御驾亲征 御駕親征|循环反复 循環反覆|微居里 微居里|徯幸 徯倖|德干 德干|德干高原 德干高原|德胜头回 德勝頭迴|德里 德里',
+    '德里达 德里達|徼幸 徼倖|心向往之 心嚮往之|心存侥幸 心存僥倖|心弦 心絃|心意回转 心意回轉|心有戚戚 心有慼慼|心理发展 心理發展|心相系 心相繫|心系 心繫|心细似发 心細似髮|心细如发 心細如髮|心肺复苏术 心肺復甦術|心脏 心臟|心脏地区 心臟地區|心脏复苏术 心臟復甦術|心脏学 心臟學|心脏按摩 心臟按摩|心脏搭桥手术 心臟搭橋手術|心脏收缩压 心臟收縮壓|心脏瓣 心臟瓣|心脏疾患 心臟疾患|心脏病 心臟病|心脏病发 心臟病發|心脏病史 心臟病史|心脏痲痹 心臟痲痹|心脏痲痺 心臟痲痺|心脏科 心臟科|心脏移植 心臟移植|心脏移殖 心臟移殖|心脏舒张压 心臟舒張壓|心脏节律器 心臟節律器|心脏衰竭 心臟衰竭|心脏计 心臟計|心脏镜 心臟鏡|心脏麻痹 心臟麻痹|心脏麻痺 心臟麻痺|心里美萝卜 心裏美蘿蔔|心长发短 心長髮短|忌烟 忌菸',
+    '忍饥受渴 忍饑受渴|忍饥受饿 忍饑受餓|忍饥挨饿 忍飢挨餓|志之不忘 誌之不忘|志冲斗牛 志沖斗牛|志哀 誌哀|志喜 誌喜|志在千里 志在千里|志庆 誌慶|志异 誌異|志悼 誌悼|忘生舍死 忘生捨死|忙并 忙併|忠人之托 忠人之托|快克制 快剋制|快吃干 快喫乾|快干 快乾|快干了 快乾了|快干杯 快乾杯|快干裂 快乾裂|快快当当 快快當當|快松下 快鬆下|快舍下 快捨下|快速面 快速麪|念书 唸書|念了 唸了|念了一声 唸了一聲|念作 唸作|念到 唸到|念叨 唸叨|念吧 唸吧|念咒 唸咒|念啊 唸啊|念完 唸完|念对 唸對|念念有词 唸唸有詞|念曰 唸曰|念白 唸白|念的 唸的|念经 唸經',
+    '念诗 唸詩|念诵 唸誦|念错 唸錯|忽舍下 忽捨下|怀宠尸位 懷寵尸位|怀才不遇 懷才不遇|怀表 懷錶|怀钟 懷鐘|怒冲冲 怒衝衝|怒发冲冠 怒髮衝冠|怒发冲天 怒髮沖天|怒气冲冲 怒氣衝衝|怒气冲发 怒氣沖發|怒气冲天 怒氣沖天|怒火冲天 怒火沖天|急征重敛 急征重斂|急松松 急鬆鬆|性欲 性慾|性欲高潮 性慾高潮|性泼凶顽 性潑凶頑|怨气冲天 怨氣沖天|总发 總髮|总台 總檯|总杆数 總桿數|总杆赛 總桿賽|总汇 總彙|总统杯 總統盃|总裁制 總裁制|恂栗 恂慄|恋恋不舍 戀戀不捨|恋恋难舍 戀戀難捨|恒大 恒大|恒指 恒指|恒星周期 恆星週期|恒生 恒生|恕乏价催 恕乏价催|恢复名誉 恢復名譽|恣情纵欲 恣情縱欲|恤典 卹典|恤荒 卹荒',
+    '恤金 卹金|恩准 恩准|恬淡寡欲 恬淡寡欲|恬淡无欲 恬淡無欲|息谷 息穀|恰才 恰纔|恳托 懇託|恶事传千里 惡事傳千里|恶唑啉 噁唑啉|恶唑啉酮 噁唑啉酮|恶心 噁心|恶心感 噁心感|恶意毁谤 惡意譭謗|悚栗 悚慄|悠悠荡荡 悠悠盪盪|悠暗 悠闇|悠活丽致 悠活麗緻|悠游表 悠遊錶|悠荡 悠盪|患难之交才是真正的朋友 患難之交纔是真正的朋友|您克制 您剋制|悬旌万里 懸旌萬里|悬梁 懸樑|悬梁刺股 懸樑刺股|悬梁自尽 懸樑自盡|悬灯结彩 懸燈結彩|悬胄 懸冑|悬臂梁 懸臂樑|悬钟 懸鐘|悭吝苦克 慳吝苦剋|悲喜交并 悲喜交並|悲回风 悲回風|悲悲戚戚 悲悲慼慼|悲戚 悲慼|悲犬咸阳 悲犬咸陽|悲筑 悲筑|悸栗 悸慄|惄如调饥 惄如調饑|情欲 情慾|情欲戏 情慾戲',
+    '情系 情繫|情采 情采|惊叹 驚歎|惊赞 驚讚|惊钟 驚鐘|惏栗 惏慄|惕栗 惕慄|惠里香 惠里香|惠鉴 惠鑒|惨戚 慘慼|惨栗 慘慄|惩忿窒欲 懲忿窒欲|想克制 想剋制|想象 想像|惴栗 惴慄|惺松 惺鬆|愁戚戚 愁慼慼|愈合 癒合|意克制 意剋制|意大利直面 意大利直麪|意大利面 意大利麪|意面 意麪|愚暗 愚闇|感化饼干 感化餅乾|愿干一杯 願乾一杯|愿干这杯 願乾這杯|愿干那杯 願乾那杯|愿朴 愿樸|愿而恭 愿而恭|慈安太后 慈安太后|慈悲喜舍 慈悲喜捨|慈溪 慈谿|慈禧太后 慈禧太后|慢咽 慢嚥|慰借 慰藉|懈松 懈鬆|懔栗 懍慄|懰栗 懰慄|戏彩娱亲 戲綵娛親|成于思 成於思',
+    '成岩作用 成岩作用|我克制 我剋制|我干一杯 我乾一杯|我系 我係|戒烟 戒菸|戒烟法 戒菸法|或系之牛 或繫之牛|战云密布 戰雲密佈|战地钟声 戰地鐘聲|战战栗栗 戰戰慄慄|战斗车 戰鬥車|战栗 戰慄|战略伙伴 戰略伙伴|战略防御倡议 戰略防禦倡議|戚戚 慼慼|戚里 戚里|截发 截髮|截发留宾 截髮留賓|戬谷 戩穀|戳脊梁 戳脊樑|戳脊梁骨 戳脊樑骨|戴发含齿 戴髮含齒|戴维斯杯 戴維斯盃|戴表 戴錶|戴表元 戴表元|戽斗 戽斗|房室结回路 房室結迴路|所云 所云|所云云 所云云|所布之 所佈之|所布的 所佈的|所托 所託|所系 所繫|所见而云 所見而云|所讥而云 所譏而云|所谓而云 所謂而云|扁拟谷盗虫 扁擬穀盜蟲|扇火 搧火|扇火止沸 扇火止沸|扇风 搧風',
+    '扇风耳朵 扇風耳朵|手一卷 手一捲|手一松 手一鬆|手不松 手不鬆|手冢治虫 手塚治虫|手制 手製|手制动 手制動|手工台 手工檯|手工面 手工麪|手工面具 手工面具|手工面膜 手工面膜|手折 手摺|手擀面 手擀麪|手术台 手術檯|手松 手鬆|手表 手錶|手表带 手錶帶|手酸 手痠|手链 手鍊|才上到 纔上到|才上去 纔上去|才上来 纔上來|才下去 纔下去|才下来 纔下來|才不 纔不|才不会 纔不會|才不是 纔不是|才不能 纔不能|才为 纔爲|才为世出 才爲世出|才买 纔買|才会 纔會|才会到 纔會到|才会在 纔會在|才会有 纔會有|才信 纔信|才储八斗 才儲八斗|才像 纔像|才像是 纔像是|才再 纔再',
+    '才出 纔出|才出去 纔出去|才出来 纔出來|才则 纔則|才刚 纔剛|才到 纔到|才去 纔去|才可 纔可|才可以 纔可以|才可容颜十五余 纔可容顏十五餘|才回 纔回|才回到 纔回到|才回去 纔回去|才回来 纔回來|才在 纔在|才多 纔多|才多出 纔多出|才够 纔夠|才好 纔好|才始 纔始|才对 纔對|才将 纔將|才干净 纔乾淨|才干旱 纔乾旱|才干杯 纔乾杯|才干透 纔乾透|才开 纔開|才开出 纔開出|才开到 纔開到|才当曹斗 才當曹斗|才得两年 纔得兩年|才得到 纔得到|才怪 纔怪|才想 纔想|才打 纔打|才打出 纔打出|才打到 纔打到|才拿 纔拿|才拿出 纔拿出|才拿到 纔拿到',
+    '才敢 纔敢|才料 纔料|才是 纔是|才有 纔有|才来 纔來|才来到 纔來到|才松下 纔鬆下|才此 纔此|才没 纔沒|才没有 纔沒有|才没能 纔沒能|才派 纔派|才派人 纔派人|才用到 纔用到|才看 纔看|才看出 纔看出|才看到 纔看到|才等 纔等|才等到 纔等到|才算 纔算|才算是 纔算是|才给 纔給|才能勇敢追 纔能勇敢追|才能够 纔能夠|才能有 纔能有|才行 纔行|才要 纔要|才讲 纔講|才读 纔讀|才读到 纔讀到|才起来 纔起來|才跟 纔跟|才过去 纔過去|才过来 纔過來|才高八斗 才高八斗|扎上 紮上|扎上去 紮上去|扎上来 紮上來|扎下 紮下|扎下去 紮下去',
+    '扎下来 紮下來|扎了 紮了|扎囮 紮囮|扎在 紮在|扎好 紮好|扎好底子 紮好底子|扎好根 紮好根|扎实 紮實|扎实推进 紮實推進|扎寨 紮寨|扎尔达里 扎爾達里|扎带 紮帶|扎带子 紮帶子|扎成 紮成|扎扎实实 紮紮實實|扎根 紮根|扎欧扎翁 紮歐紮翁|扎紧 紮緊|扎线带 紮線帶|扎结 紮結|扎脚 紮腳|扎营 紮營|扎裹 紮裹|扎诈 紮詐|扎起 紮起|扎起来 紮起來|扎铁 紮鐵|扎马剌丁 紮馬剌丁|扎马鲁丁 紮馬魯丁|扑冬 撲鼕|扑冬冬 撲鼕鼕|打中伙 打中伙|打了牙肚里咽 打了牙肚裏嚥|打净捞干 打淨撈乾|打出吊入 打出弔入|打制 打製|打制石器 打製石器|打卡钟 打卡鐘|打卤面 打滷麪|打哄 打鬨',
+    '打干净毬儿 打乾淨毬兒|打干哕 打乾噦|打并 打併|打恶心 打噁心|打挨 打捱|打桨杆 打槳桿|打游击 打游擊|打游飞 打游飛|打秋千 打鞦韆|打筋斗 打筋斗|打簧表 打簧錶|打谷 打穀|打谷场 打穀場|打谷机 打穀機|打钟 打鐘|打风后 打風後|打饥荒 打饑荒|托之空言 託之空言|托买 託買|托了 託了|托事 託事|托交 託交|托人 託人|托人情 託人情|托付 託付|托卖 託賣|托古讽今 託古諷今|托名 託名|托命 託命|托咎 託咎|托大 託大|托孤 託孤|托庇 託庇|托故 託故|托梦 託夢|托派 託派|托物寓兴 託物寓興|托生 託生|托疾 託疾|托病 託病',
+    '托福 託福|托福考 托福考|托福考试 托福考試|托管 託管|托管国 託管國|托言 託言|托词 託詞|托身 託身|托辞 託辭|托过 託過|托运 託運|托运行李 托運行李|托里 托里|托里县 托里縣|托里拆利 托里拆利|托附 託附|扛大梁 扛大樑|扞御 扞禦|扣克 扣剋|扣子 釦子|扣环 釦環|扣眼 釦眼|扣针 釦針|扫干净 掃乾淨|扬谷 揚穀|扮装皇后 扮裝皇后|扯篷拉纤 扯篷拉縴|扯纤 扯縴|扯面 扯麪|扶幼周 扶幼週|批准 批准|批准下来 批准下來|批准书 批准書|批准的 批准的|批回 批迴|批复 批覆|批核 批覈|批注 批註|找借口 找藉口|承制 承製',
+    '承宣布政使司 承宣布政使司|把方才 把方纔|把饭叫饥 把飯叫饑|抑制作用 抑制作用|抑制剂 抑制劑|抑扬升降性 抑揚昇降性|抓奸 抓姦|抔土未干 抔土未乾|投喂 投餵|投手防御率 投手防禦率|投潘岳果 投潘岳果|抗干扰性 抗干擾性|抗御 抗禦|折冲御侮 折衝禦侮|折叠 摺疊|折叠为 摺疊爲|折叠床 摺疊牀|折叠式 摺疊式|折叠扇 摺疊扇|折叠椅 摺疊椅|折叠起来 摺疊起來|折台 折檯|折合 摺合|折合椅 摺合椅|折奏 摺奏|折好 摺好|折子 摺子|折子戏 摺子戲|折尺 摺尺|折扇 摺扇|折梯 摺梯|折椅 摺椅|折痕 摺痕|折篷 摺篷|折纸 摺紙|折纸工 摺紙工|折腰五斗 折腰五斗|折腰升斗 折腰升斗|折裙 摺裙|折进去 摺進去',
+    '折进来 摺進來|折页 摺頁|抚尸恸哭 撫尸慟哭|抚恤 撫卹|抚梁易柱 撫樑易柱|抟砂炼汞 摶砂煉汞|护发 護髮|护发乳液 護髮乳液|护发素 護髮素|报刊杂志 報刊雜誌|报名表 報名表|报章杂志 報章雜誌|披发 披髮|披发入山 披髮入山|披发垢面 披髮垢面|披发左衽 披髮左衽|披发涂面 披髮塗面|披发缨冠 披髮纓冠|披发藻目 披髮藻目|披头散发 披頭散髮|披挂绰枪 披掛綽鎗|披红挂彩 披紅掛綵|抱大足杆 抱大足桿|抱朴 抱朴|抱朴子 抱朴子|抱朴而长吟兮 抱朴而長吟兮|抵御 抵禦|抵御外侮 抵禦外侮|抵牾 牴牾|抵触 牴觸|抹干 抹乾|抻面 抻麪|抽干 抽乾|抽斗 抽斗|抽烟 抽菸|抽烟室 抽菸室|抽蓄发电 抽蓄發電|抿发 抿髮|拂荡 拂盪|拂钟无声 拂鐘無聲',
+    '拂须 拂鬚|担仔面 擔仔麪|担干系 擔干係|担干纪 擔干紀|担担面 擔擔麪|拆封后 拆封後|拈须 拈鬚|拉克施尔德钟 拉克施爾德鐘|拉升 拉昇|拉揸面 拉揸麪|拉杂面 拉雜麪|拉杆 拉桿|拉杆子 拉桿子|拉涅里 拉涅里|拉祖里 拉祖里|拉纤 拉縴|拉里 拉里|拉里加尼 拉里加尼|拉里拉尼 拉里拉尼|拉面 拉麪|拉面店 拉麪店|拌面 拌麪|拍出好戏 拍齣好戲|拍台拍凳 拍檯拍凳|拐子 柺子|拐杖 柺杖|拐棍 柺棍|拐棒 柺棒|拒人于千里之外 拒人於千里之外|拒烟 拒菸|拔了萝卜地皮宽 拔了蘿蔔地皮寬|拔发 拔髮|拔宅上升 拔宅上昇|拔宅飞升 拔宅飛昇|拔萝卜 拔蘿蔔|拔虎须 拔虎鬚|拔须 拔鬚|拖干净 拖乾淨|拖斗 拖斗|拗别 拗彆',
+    '拗别搅炒 拗彆攪炒|拘系 拘繫|拚舍 拚捨|拜占庭 拜占庭|拜占庭帝国 拜占庭帝國|拜占庭文化 拜占庭文化|拜复 拜覆|拜岳 拜岳|拜托 拜託|拜斗 拜斗|拟制 擬製|拟卤素 擬鹵素|拧干 擰乾|拧松 擰鬆|拨弦 撥絃|拨谷 撥穀|拨鱼面 撥魚麪|括发 括髮|拭干 拭乾|拮据 拮据|拾沈 拾瀋|拿下表 拿下錶|拿下钟 拿下鐘|拿云 拏雲|拿云手 拿雲手|拿云捉月 拿雲捉月|拿云握雾 拿雲握霧|拿云攫石 拏雲攫石|拿坡里 拿坡里|拿坡里号 拿坡里號|拿枪杆 拿槍桿|拿波里 拿波里|拿破仑 拿破崙|拿破仑法典 拿破崙法典|拿破仑波拿巴 拿破崙波拿巴|拿笔杆 拿筆桿|拿贼要赃拿奸要双 拿賊要贓拿姦要雙|挂冠归里 掛冠歸里|挂历 掛曆|挂斗 掛斗',
+    '挂灯结彩 掛燈結綵|挂表 掛錶|挂钟 掛鐘|挂面 掛麪|指亲托故 指親托故|指挥台 指揮台|挑了只 挑了隻|挑大梁 挑大樑|挑正梁 挑正樑|挡御 擋禦|挥发油 揮發油|挨三顶四 捱三頂四|挨上 捱上|挨上去 挨上去|挨了 捱了|挨了揍 捱了揍|挨了过去 捱了過去|挨了过来 捱了過來|挨到 捱到|挨得 捱得|挨得住 捱得住|挨打 捱打|挨打受气 挨打受氣|挨打受骂 挨打受罵|挨揍 捱揍|挨整 捱整|挨日子 捱日子|挨时间 捱時間|挨满 捱滿|挨磨 捱磨|挨苦 捱苦|挨过 捱過|挨过去 捱過去|挨过来 捱過來|挨饥抵饿 捱飢抵餓|挨饿 捱餓|挨饿受冻 挨餓受凍|挨骂 捱罵|振杰 振杰|振荡 振盪',
+    '振荡器 振盪器|振荡电流 振盪電流|振荡电路 振盪電路|挽夫 輓夫|挽曲 輓曲|挽歌 輓歌|挽歌郎 輓歌郎|挽联 輓聯|挽词 輓詞|挽诗 輓詩|挽额 輓額|捆吊 綑吊|捆扎 捆紮|捉发 捉髮|捉奸 捉姦|捉奸党 捉奸黨|捉奸徒 捉奸徒|捉奸捉双 捉姦捉雙|捉奸细 捉奸細|捉奸见双 捉姦見雙|捉奸见床 捉姦見牀|捉奸贼 捉奸賊|捉贼见赃捉奸见双 捉賊見贓捉姦見雙|捋虎须 捋虎鬚|捋采 捋采|捍御 捍禦|捏制 捏製|捏面人 捏麪人|捕影系风 捕影繫風|捕虏岩 捕虜岩|捕风系影 捕風繫影|捞干 撈乾|捞面 撈麪|换发 換髮|换只 換隻|换挡杆 換擋桿|换档杆 換檔桿|换算无收获面积 換算無收穫面積|捣鬼吊白 搗鬼弔白|据了解 據瞭解',
+    '据云 據云|据干而窥井底 據榦而窺井底|捵面 捵麪|捶台拍凳 捶檯拍凳|捶炼 捶鍊|捻针 捻鍼|捻须 捻鬚|授时历 授時曆|掉发 掉髮|掉海里 掉海裏|掊斗折衡 掊斗折衡|掌状复叶 掌狀複葉|排兵布阵 排兵佈陣|排名表 排名表|排档杆 排檔桿|排须 排鬚|排骨面 排骨麪|探寻胜迹 探尋勝蹟|探知欲 探知慾|接绍香烟 接紹香煙|接续香烟 接續香煙|控制台 控制台|控制杆 控制桿|控制欲 控制慾|控卷 控捲|推干净儿 推乾淨兒|推弦 推絃|推托 推託|推托之词 推托之詞|推挽 推輓|推诚布信 推誠佈信|推诚布公 推誠佈公|推辇归里 推輦歸里|推陈布新 推陳佈新|掩耳盗钟 掩耳盜鐘|揉面 揉麪|提克里特 提克里特|提制 提製|提子干 提子乾|提摩太后书 提摩太後書',
+    '提梁 提樑|提纳里 提納里|握发 握髮|握发吐哺 握髮吐哺|握发吐餐 握髮吐餐|握雾拿云 握霧拿雲|揩台抹凳 揩檯抹凳|揩干 揩乾|揪发 揪髮|揪须 揪鬚|搋面 搋麪|搏砂炼汞 搏砂煉汞|搓熟的汤团 搓熟的湯團|搜录 蒐錄|搜括 蒐括|搜括一空 搜括一空|搜罗 蒐羅|搜藏 蒐藏|搜藏家 蒐藏家|搜证 蒐證|搜购 蒐購|搜集 蒐集|搜集到 蒐集到|搭干铺 搭乾鋪|搽穰卷儿 搽穰捲兒|摁扣 摁釦|摄制 攝製|摄制厂 攝製廠|摄制成 攝製成|摆布 擺佈|摆荡 擺盪|摆荡吊环 擺蕩吊環|摆荡起来 擺盪起來|摆钟 擺鐘|摇摇荡荡 搖搖蕩蕩|摇杆 搖桿|摇荡 搖盪|摇荡不停 搖盪不停|摔筋斗 摔筋斗|摔跟斗 摔跟斗',
+    '摩擦系数 摩擦係數|摩根费里曼 摩根費里曼|摩里支 摩里支|摩里西斯 摩里西斯|摸钟 摸鐘|摹扎特 摹紮特|撇吊 撇弔|撒布 撒佈|撞府冲州 撞府沖州|撞木钟 撞木鐘|撞球台 撞球檯|撞球杆 撞球桿|撞警钟 撞警鐘|撞钟 撞鐘|撞钟太岁 撞鐘太歲|撤并 撤併|撩虎须 撩虎鬚|撮科打哄 撮科打哄|擀面 擀麪|擀面杖 擀麪杖|操作台 操作檯|操作钟 操作鐘|操纵台 操縱檯|操纵杆 操縱桿|擐系 擐繫|擢发 擢髮|擢发抽肠 擢髮抽腸|擢发难数 擢髮難數|擦干 擦乾|擦干净 擦乾淨|攀今吊古 攀今吊古|攧攧仆仆 攧攧仆仆|支努干 支努干|支杆 支桿|支烟 支菸|收拾干净 收拾乾淨|收获 收穫|收获节 收穫節|收获量 收穫量|攸戚相关 攸慼相關',
+    '改制为 改製爲|改念 改唸|改签 改簽|放之四海皆准 放之四海皆準|放大系数 放大係數|放松 放鬆|放松管制 放鬆管制|放蒙挣 放懞掙|放诸四海皆准 放諸四海皆準|放轻松 放輕鬆|故云 故云|故里 故里|敖力布告 敖力布告|敖荡 敖盪|教学钟 教學鐘|敢情欲 敢情欲|敢斗了胆 敢斗了膽|散布 散佈|散布开 散佈開|散布者 散佈者|敬挽 敬輓|敬烟 敬菸|敬鉴 敬鑒|数与虏确 數與虜确|数周 數週|数天后 數天後|数字时钟 數字時鐘|数字系数 數字係數|数字钟 數字鐘|数字钟表 數字鐘錶|数据调制解调器 數據調製解調器|数罪并罚 數罪併罰|数里 數里|敲丧钟 敲喪鐘|敲钟 敲鐘|整出剧 整齣劇|整出戏 整齣戲|整发用品 整髮用品|整只 整隻|整周 整週',
+    '整根烟 整根菸|整风后 整風後|整齐干净 整齊乾淨|文丑 文丑|文斯范恩 文斯范恩|文汇报 文匯報|文章星斗 文章星斗|文身断发 文身斷髮|文采 文采|文采出众 文采出衆|文采郁郁 文采郁郁|文采风流 文采風流|斋栗 齋慄|斑岩 斑岩|斗一斗 鬥一鬥|斗上一斗 鬥上一鬥|斗了一斗 鬥了一鬥|斗他一斗 鬥他一鬥|斗储 斗儲|斗六 斗六|斗六市 斗六市|斗别气 鬥彆氣|斗升 斗升|斗升之水 斗升之水|斗升之禄 斗升之祿|斗南 斗南|斗南一人 斗南一人|斗南镇 斗南鎮|斗哄 鬥鬨|斗城 斗城|斗大 斗大|斗大的手卷 斗大的手卷|斗大的馒头 斗大的饅頭|斗她一斗 鬥她一鬥|斗姆 斗姆|斗子 斗子|斗室 斗室|斗室生辉 斗室生輝|斗宿 斗宿|斗小马 斗小馬',
+    '斗尾港 斗尾港|斗居 斗居|斗山 斗山|斗帐 斗帳|斗店 斗店|斗府 斗府|斗折蛇行 斗折蛇行|斗拱 斗拱|斗数 斗數|斗斋 斗齋|斗斛之禄 斗斛之祿|斗方 斗方|斗方名士 斗方名士|斗星官 斗星官|斗木獬 斗木獬|斗杓 斗杓|斗杓东指 斗杓東指|斗杓转势 斗杓轉勢|斗极 斗極|斗柄 斗柄|斗栱 斗栱|斗概 斗概|斗母 斗母|斗沟子 斗溝子|斗渠 斗渠|斗灯 斗燈|斗烟丝 斗菸絲|斗然 斗然|斗牛之间 斗牛之間|斗的 斗的|斗真 斗真|斗笠 斗笠|斗筲 斗筲|斗筲之人 斗筲之人|斗筲之器 斗筲之器|斗筲之徒 斗筲之徒|斗筲之才 斗筲之才|斗筲之材 斗筲之材|斗筲之辈 斗筲之輩|斗筲小器 斗筲小器',
+    '斗筲役 斗筲役|斗筲穿窬 斗筲穿窬|斗箕 斗箕|斗篷 斗篷|斗粟囊金 斗粟囊金|斗粟尺布 斗粟尺布|斗纹 斗紋|斗绝 斗絕|斗绝一隅 斗絕一隅|斗罗大陆 斗羅大陸|斗胆 斗膽|斗蓬装 斗蓬裝|斗薮 斗藪|斗车 斗車|斗转 斗轉|斗转参横 斗轉參橫|斗转星移 斗轉星移|斗酒 斗酒|斗酒博凉州 斗酒博涼州|斗酒只鸡 斗酒隻雞|斗酒学士 斗酒學士|斗酒百篇 斗酒百篇|斗重山齐 斗重山齊|斗量 斗量|斗量车载 斗量車載|斗门 斗門|斗门区 斗門區|斗顿 斗頓|斗食 斗食|斗香 斗香|斗魁 斗魁|料斗 料斗|斜管面 斜管麪|斤斗 斤斗|斥卤 斥鹵|断发 斷髮|断发文身 斷髮文身|断弦 斷絃|斯伯丁杯 斯伯丁盃|斯干 斯干',
+    '斯瓦希里 斯瓦希里|斯瓦希里语 斯瓦希里語|斯科普里 斯科普里|斯迪里 斯迪里|斯里 斯里|斯里兰卡 斯里蘭卡|斯里兰卡电信 斯里蘭卡電信|斯里巴加湾港 斯里巴加灣港|斯里查潘 斯里查潘|斯雷布雷尼察 斯雷布雷尼察|新余 新余|新余市 新余市|新历 新曆|新历史 新歷史|新喀里多尼亚 新喀里多尼亞|新德里 新德里|新扎 新紮|新闻发布会 新聞發佈會|新闻周刊 新聞週刊|新闻杂志 新聞雜誌|方公里 方公里|方几 方几|方圆十里 方圓十里|方岳 方岳|方志 方誌|方志友 方志友|方志贤 方志賢|方才 方纔|方里 方里|施仁布德 施仁佈德|施仁布恩 施仁佈恩|施仁布泽 施仁佈澤|施佳升 施佳昇|施恩布德 施恩佈德|施粥舍饭 施粥捨飯|施舍 施捨|施舍之道 施舍之道|旁注 旁註|旋回 旋迴|旋干转坤 旋乾轉坤',
+    '旋松 旋鬆|旋转台 旋轉臺|旋辟 旋辟|旋里 旋里|旌恤 旌卹|无一幸免 無一倖免|无价事 無价事|无厘头 無厘頭|无干 無干|无梁 無樑|无梁斗 無樑斗|无梁楼盖 無樑樓蓋|无欲 無慾|无欲则刚 無欲則剛|无法克制 無法剋制|无畏布施 無畏佈施|无精打采 無精打采|无线新闻台 無線新聞台|无花果干 無花果乾|无言不仇 無言不讎|日制 日製|日历 日曆|日历年度 日曆年度|日历纸 日曆紙|日历表 日曆表|日干 日干|日干夜干 日幹夜幹|日志 日誌|日本制 日本製|日本国志 日本國誌|日行千里 日行千里|日进斗金 日進斗金|日里 日里|日里雪冷 日里雪冷|旧历 舊曆|旧历史 舊歷史|旧历年 舊曆年|旧皇历 舊皇曆|旧表 舊錶|旧钟 舊鐘',
+    '旧钟表 舊鐘錶|早动手早收获 早動手早收穫|早占勿药 早占勿藥|旭日东升 旭日東昇|旭日初升 旭日初昇|旱干 旱乾|旱烟 旱菸|旱烟筒 旱菸筒|旱烟袋 旱菸袋|时代周刊 時代週刊|时宪历 時憲曆|时尚周 時尚週|时报周刊 時報週刊|时报杂志 時報雜誌|时紧时松 時緊時鬆|时装周 時裝週|时钟 時鐘|时钟座 時鐘座|旷若发蒙 曠若發矇|昆仑 崑崙|昆仑山 崑崙山|昆仑山脉 崑崙山脈|昆剧 崑劇|昆山 崑山|昆曲 崑曲|昆玉 崑玉|昆腔 崑腔|昆苏 崑蘇|昆调 崑調|昊天不吊 昊天不弔|明中舍去暗中来 明中捨去暗中來|明了 明瞭|明伙画供 明伙畫供|明复 明覆|明扣 明釦|明枪容易躲暗剑最难防 明鎗容易躲暗劍最難防|明枪容易躲暗箭最难防 明鎗容易躲暗箭最難防|明枪易躲暗箭难逃 明鎗易躲暗箭難逃|明窗净几 明窗淨几|明见万里 明見萬里',
+    '明鉴万里 明鑑萬里|昏困 昏睏|易克制 易剋制|星占学 星占學|星历 星曆|星历表 星曆錶|星回 星迴|星斗 星斗|星移斗换 星移斗換|星移斗转 星移斗轉|星罗云布 星羅雲佈|星罗棋布 星羅棋佈|星辰表 星辰錶|星露谷物语 星露谷物語|春卷 春捲|春卷皮 春捲皮|春心荡漾 春心蕩漾|春日里 春日裏|春武里府 春武里府|春香斗学 春香鬥學|是只 是隻|昼伏夜游 晝伏夜游|显着标志 顯着標志|显示表 顯示錶|显示钟 顯示鐘|显示钟表 顯示鐘錶|显著标志 顯著標志|晃晃荡荡 晃晃蕩蕩|晃荡 晃盪|晒干 曬乾|晒烟 曬菸|晒谷 曬穀|晒谷场 曬穀場|晚娘的拳头云里的日头 晚娘的拳頭雲裏的日頭|晚钟 晚鐘|晞发 晞髮|晨钟 晨鐘|晨钟暮鼓 晨鐘暮鼓|普冬冬 普鼕鼕|普里 普里',
+    '普里什蒂纳 普里什蒂納|普里切特 普里切特|普里斯特 普里斯特|普里斯特莱 普里斯特萊|普里斯莱 普里斯萊|普里斯蒂纳 普里斯蒂納|普里查德 普里查德|普里霍吉可 普里霍吉可|景岳 景岳|景致 景緻|晴空万里 晴空萬里|晶体振荡 晶體振盪|晾干 晾乾|暂染发慕丝 暫染髮慕絲|暖荡撩锅 暖盪撩鍋|暗乱 闇亂|暗伦 闇倫|暗冥 闇冥|暗劣 闇劣|暗叹 暗歎|暗弱 闇弱|暗扣 暗釦|暗昧 闇昧|暗浅 闇淺|暗火 闇火|暗然 闇然|暗然失色 暗然失色|暗箭明枪 暗箭明鎗|暗莫 闇莫|暗蓝发 闇藍髮|暗诵 闇誦|暗跳 闇跳|暮鼓晨钟 暮鼓晨鐘|曰云 曰云|曲卷 曲捲|曲尘 麴塵|曲生 麴生|曲秀才 麴秀才|曲菌 麴菌|曲蘖 麴櫱',
+    '曲车 麴車|曲道士 麴道士|曲酒 麴酒|曲钱 麴錢|曲院 麴院|曲霉 麴黴|曲霉毒素 麴黴毒素|更待干罢 更待干罷|更钟 更鐘|曹余章 曹余章|曹子里 曹子里|曹范街道 曹范街道|曹郁芬 曹郁芬|曹里 曹里|曼谷人 曼谷人|最小范围 最小範圍|月历 月曆|月岩 月岩|月相表 月相錶|月色迷蒙 月色迷濛|有云 有云|有出好戏 有齣好戲|有发头陀寺 有髮頭陀寺|有只 有隻|有够赞 有夠讚|有尽有让 有儘有讓|有征无战 有征無戰|有感而云 有感而云|有把家伙 有把傢伙|有缘千里来相会 有緣千里來相會|有联系 有聯繫|有采 有采|服务台 服務檯|服装周 服裝週|服饰周 服飾週|朔里 朔里|望了望 望了望|望后石 望后石|朝钟 朝鐘|朝钟暮鼓 朝鐘暮鼓',
+    '朝鲜冷面 朝鮮冷麪|木偶戏扎 木偶戲紮|木制 木製|木制品 木製品|木材干馏 木材乾餾|木梁 木樑|木里图 木里圖|木里藏族自治县 木里藏族自治縣|木钟 木鐘|未干 未乾|未签字者 未簽字者|本古里昂 本古里昂|本周 本週|本周一 本週一|本周三 本週三|本周二 本週二|本周五 本週五|本周六 本週六|本周四 本週四|本机振荡 本機振盪|本里 本里|札夸威 札夸威|术赤 朮赤|朱仑街 朱崙街|朱俊 朱儁|朱俊彰 朱俊彰|朱俊晓 朱俊曉|朱卷 硃卷|朱干玉戚 朱干玉鏚|朱批 硃批|朱理安历 朱理安曆|朱理安历史 朱理安歷史|朱砂 硃砂|朱砂痣 硃砂痣|朱砂符 硃砂符|朱砂红 硃砂紅|朱笔 硃筆|朱红 硃紅|朱红灯 朱紅燈|朱红色 硃紅色',
+    '朱色 硃色|朱谕 硃諭|朱郁信 朱郁信|朱里 朱里|朱颜鹤发 朱顏鶴髮|朴世莉 朴世莉|朴京琳 朴京琳|朴仔树 朴仔樹|朴凤柱 朴鳳柱|朴刀 朴刀|朴吉渊 朴吉淵|朴周永 朴周永|朴子 朴子|朴子市 朴子市|朴子溪 朴子溪|朴宣英 朴宣英|朴屯 朴屯|朴志胤 朴志胤|朴忠 朴忠|朴恩惠 朴恩惠|朴新阳 朴新陽|朴智星 朴智星|朴树 朴樹|朴槿惠 朴槿惠|朴正恩 朴正恩|朴正熙 朴正熙|朴正祥 朴正祥|朴永训 朴永訓|朴泰桓 朴泰桓|朴父 朴父|朴璐美 朴璐美|朴真熙 朴真熙|朴硝 朴硝|朴茂 朴茂|朴茨茅斯 朴茨茅斯|朴茨茅斯队 朴茨茅斯隊|朴诗妍 朴詩妍|朴资茅斯 朴資茅斯|朴资茅斯条约 朴資茅斯條約|朴赞浩 朴贊浩',
+    '机关布景 機關佈景|机器压制 機器壓製|机械系 機械系|机械表 機械錶|机械钟 機械鐘|机械钟表 機械鐘錶|机辟 機辟|杂合面儿 雜合麪兒|杂和面 雜和麪|杂和面儿 雜和麪兒|杂志 雜誌|杂志奖 雜誌獎|杂志社 雜誌社|杂志纸 雜誌紙|杂烩面 雜燴麪|杂酱面 雜醬麪|杂面 雜麪|权力欲 權力慾|权欲熏心 權慾薰心|杆刀 桿刀|杆状 桿狀|杆直 桿直|杆秤 桿秤|杆茵 桿茵|杆菌 桿菌|杆菌性 桿菌性|杆菌类 桿菌類|杆菌素 桿菌素|杈杆儿 杈桿兒|李咸阳 李咸陽|李子干 李子乾|李巨峰 李鉅峯|李干龙 李乾龍|李斯特氏杆菌 李斯特氏桿菌|李盟干 李盟乾|李连杰 李連杰|李钟奭 李鐘奭|李钟郁 李鍾郁|李链福 李鍊福|李锺郁 李鍾郁',
+    '杏干 杏乾|杏干儿 杏乾兒|村屯里数 村屯里數|村里长 村里長|杜老志道 杜老誌道|杜雅里克 杜雅里克|束修 束脩|束发 束髮|束发封帛 束髮封帛|束发金冠 束髮金冠|杠一 杠一|杠七 杠七|杠三 杠三|杠九 杠九|杠二 杠二|杠五 杠五|杠八 杠八|杠六 杠六|杠四 杠四|杠增一 杠增一|杠杆 槓桿|杠杆原理 槓桿原理|杠杆收购 槓桿收購|条几 條几|来复线 來復線|来念 來唸|杨万里 楊萬里|杨凌示范区 楊淩示範區|杨士梁 楊士樑|杨文志 楊文誌|杨氏系数 楊氏係數|杨苏棣 楊甦棣|杨采妮 楊采妮|杨雅筑 楊雅筑|杭州萝卜绍兴种 杭州蘿蔔紹興種|杯布 杯佈|杯干 杯乾|杯白干 杯白乾|杯赛 盃賽|杯面 杯麪',
+    '杰伦 杰倫|杰弗里乔叟 傑弗里喬叟|杰特 杰特|杰里森 傑里森|杰里科 傑里科|杰里米 傑里米|松一下 鬆一下|松一些 鬆一些|松一口气 鬆一口氣|松一松 鬆一鬆|松下一口 鬆下一口|松下了 鬆下了|松下来 鬆下來|松不开 鬆不開|松不松 鬆不鬆|松不紧 鬆不緊|松了 鬆了|松了一口气 鬆了一口氣|松了松 鬆了鬆|松些 鬆些|松元音 鬆元音|松出一 鬆出一|松出口 鬆出口|松动 鬆動|松劲 鬆勁|松发 鬆發|松口 鬆口|松口气 鬆口氣|松口蘑 松口蘑|松喉 鬆喉|松土 鬆土|松土机 鬆土機|松垮 鬆垮|松宽 鬆寬|松开 鬆開|松弛 鬆弛|松弛下来 鬆弛下來|松弛到 鬆弛到|松弛剂 鬆弛劑|松弛法 鬆弛法',
+    '松得多 鬆得多|松快 鬆快|松懈 鬆懈|松懈下 鬆懈下|松懈下来 鬆懈下來|松手 鬆手|松扣 鬆釦|松掉 鬆掉|松放 鬆放|松散 鬆散|松散物料 鬆散物料|松松 鬆鬆|松松垮垮 鬆鬆垮垮|松松散散 鬆鬆散散|松松脆脆 鬆鬆脆脆|松松软软 鬆鬆軟軟|松柔 鬆柔|松毛松翼 鬆毛鬆翼|松气 鬆氣|松油管 鬆油管|松油门 鬆油門|松浮 鬆浮|松狮 鬆獅|松糕 鬆糕|松紧 鬆緊|松紧带 鬆緊帶|松绑 鬆綁|松缓 鬆緩|松脆 鬆脆|松脆饼 鬆脆餅|松脱 鬆脫|松蛋 鬆蛋|松蛋包 鬆蛋包|松解 鬆解|松赞干布 松贊干布|松赞干布陵 松贊干布陵|松起 鬆起|松起来 鬆起來|松软 鬆軟|松软适口 鬆軟適口',
+    '松通 鬆通|松饼 鬆餅|板岩 板岩|板板 闆闆|板板六十四 板板六十四|板梁桥 板樑橋|极坐标 極座標|极坐标系 極座標系|枕借 枕藉|枕席 枕蓆|枕状玄武岩 枕狀玄武岩|林冲 林沖|林冲夜奔 林沖夜奔|林占梅 林占梅|林国梁 林國樑|林干闵 林乾閔|林杰梁 林杰樑|林正杰 林正杰|林芳郁 林芳郁|林郁方 林郁方|林钟 林鐘|果子干 果子乾|果子干儿 果子乾兒|果干 果乾|枝不得大于干 枝不得大於榦|枝干断折 枝幹斷折|枪杆 槍桿|枪杆儿 槍桿兒|枪杆子 槍桿子|枯干 枯乾|枯草杆菌 枯草桿菌|架梁 架樑|架海金梁 架海金樑|架钟 架鐘|柏克里克千佛洞 柏克里克千佛洞|柏卡里 柏卡里|柏里斯 柏里斯|某只 某隻|染发 染髮|染发剂 染髮劑',
+    '染干 染干|柜台 櫃檯|柜台委讬 櫃檯委託|柜柳 柜柳|查干 查干|查干湖 查干湖|查找周期 查找週期|查核 查覈|查询台 查詢檯|柯普里亚诺夫 柯普里亞諾夫|柯里 柯里|柱梁 柱樑|柳升耀 柳昇耀|柳斌杰 柳斌杰|柿干 柿乾|标准普尔 標準普爾|标准杆 標準桿|标占 標占|标志 標誌|标志性 標誌性|标志着 標誌着|标标致致 標標致致|标注 標註|标致 標緻|标里镇 標里鎮|栉发工 櫛髮工|栋梁 棟樑|栋梁之任 棟樑之任|栋梁之材 棟樑之材|栋梁之臣 棟樑之臣|栏干 欄干|树干断 樹幹斷|树梁 樹樑|栗冽 慄冽|栗栗 慄慄|栗栗不安 慄慄不安|栗栗危惧 慄慄危懼|栗然 慄然|校核 校覈|核价 覈價',
+    '核保 覈保|核准 覈准|核准的 覈准的|核减 覈減|核复 覈覆|核字 覈字|核定 覈定|核实 覈實|核审 覈審|核对 覈對|核对表 覈對表|核批 覈批|核报 覈報|核拨 覈撥|核收 覈收|核查 覈查|核查制度 覈查制度|核示 覈示|核算 覈算|核编 覈編|核计 覈計|核计划 核計劃|核资 覈資|核销 覈銷|核防御 核防禦|核验 覈驗|根烟 根菸|根须 根鬚|格列高利历 格列高利曆|格拉哥里字母 格拉哥里字母|格里 格里|格里历 格里曆|格里姆斯塔 格里姆斯塔|格里高利 格里高利|格里高利历 格里高利曆|栽觔斗 栽觔斗|栽跟斗 栽跟斗|桂仔云 桂仔云|桂圆干 桂圓乾|桃干 桃乾',
+    '案准 案准|案几 案几|桌几 桌几|桌历 桌曆|桑干 桑乾|桑干河 桑乾河|桑干盆地 桑乾盆地|桑托里尼岛 桑托里尼島|桥梁 橋樑|桥梁工事 橋樑工事|桥梁工程 橋樑工程|梁上 樑上|梁上君子 樑上君子|梁仙台 梁仙臺|梁升卿 梁昇卿|梁子 樑子|梁子湖 梁子湖|梁子湖区 梁子湖區|梁文冲 梁文沖|梁木其坏 樑木其壞|梁架 樑架|梁柱 樑柱|梁栋 樑棟|梅干 梅乾|梅干菜 梅乾菜|梅里 梅里|梅里亚 梅里亞|梅里亚姆韦伯斯特 梅里亞姆韋伯斯特|梅里斯 梅里斯|梅里斯区 梅里斯區|梅里斯达斡尔族区 梅里斯達斡爾族區|梅里美 梅里美|梅里雪山 梅里雪山|梓里 梓里|梦兰叶吉 夢蘭叶吉|梦回 夢迴|梦有五不占 夢有五不占|梦系 夢繫|梨干 梨乾|梨干儿 梨乾兒',
+    '械系 械繫|梳发 梳髮|梳头发 梳頭髮|梳妆台 梳妝檯|梳芙厘 梳芙厘|检复 檢覆|棉制 棉製|棋布 棋佈|棋布星罗 棋佈星羅|棋罗星布 棋羅星佈|棒子面 棒子麪|棒曲霉素 棒麴黴素|棒状杆菌 棒狀桿菌|棠溪 棠谿|棺材出了讨挽歌郎钱 棺材出了討挽歌郎錢|植发 植髮|植物志 植物誌|椰子干 椰子乾|椰枣干 椰棗乾|椽梁 椽樑|榨干 榨乾|榴梿干 榴槤乾|榴莲干 榴蓮乾|樠溪 樠谿|模制 模製|模制品 模製品|模范村 模範村|模里西斯 模里西斯|模里西斯共和国 模里西斯共和國|横打鼻梁儿 橫打鼻樑兒|横梁 橫樑|横筋斗 橫筋斗|樱花杯 櫻花盃|橄榄岩 橄欖岩|橄榄干 橄欖乾|橡子面 橡子麪|橡子面儿 橡子麪兒|橡斗 橡斗|欧几里得 歐幾里得|欧几里得原理 歐幾里得原理',
+    '欧几里德 歐幾里德|欧洲杯 歐洲盃|欧特里尼 歐特里尼|欧里 歐里|欧里庇得斯 歐里庇得斯|欧里桑 歐里桑|欲令智昏 慾令智昏|欲壑难填 慾壑難填|欲女 慾女|欲念 慾念|欲望 慾望|欲求不满 慾求不滿|欲海 慾海|欲海难填 欲海難填|欲深溪壑 欲深谿壑|欲火 慾火|欲火焚身 慾火焚身|欲穷千里目 欲窮千里目|欲障 慾障|欷吁 欷吁|欺蒙 欺矇|歇斯底里 歇斯底里|歌后 歌后|歌声绕梁 歌聲繞樑|歌手丁当 歌手丁噹|歌舞升平 歌舞昇平|歌钟 歌鐘|止谤莫如自修 止謗莫如自脩|正凶 正凶|正斗粥面专家 正斗粥麪專家|正梁 正樑|正正当当 正正當當|正面人物 正面人物|此仆彼起 此仆彼起|此系 此係|步斗踏罡 步斗踏罡|步步高升 步步高昇|步线行针 步線行針|步罡踏斗 步罡踏斗|步里客谈 步里客談',
+    '武丑 武丑|武后 武后|武里省 武里省|歪摆布 歪擺佈|死伤枕借 死傷枕藉|死伤相借 死傷相藉|死板板 死板板|死而复苏 死而復甦|死胡同 死衚衕|死面 死麪|殊域周咨录 殊域周咨錄|残废后 殘廢後|殖谷 殖穀|殿钟自鸣 殿鐘自鳴|毁炎 燬炎|毁犀 燬犀|毁誉 譭譽|毁誉参半 譭譽參半|毁诬 譭誣|毁钟为铎 毀鐘爲鐸|母乳喂养 母乳餵養|母后 母后|母钟 母鐘|每公里 每公里|每分钟 每分鐘|每只 每隻|每周 每週|每周一次 每週一次|每每只 每每只|每秒钟 每秒鐘|毒僵指 毒殭指|比干 比干|比杆赛 比桿賽|毕升 畢昇|毕生发展 畢生發展|毗婆尸佛 毗婆尸佛|毛发 毛髮|毛发之功 毛髮之功|毛发俱竖 毛髮俱豎|毛发倒竖 毛髮倒豎',
+    '毛发悚然 毛髮悚然|毛发森竖 毛髮森豎|毛发皆竖 毛髮皆豎|毛发耸然 毛髮聳然|毛姜 毛薑|毫不相干 毫不相干|毫厘千里 毫釐千里|毫发 毫髮|毫发不差 毫髮不差|毫发不爽 毫髮不爽|毫发之差 毫髮之差|毫发无损 毫髮無損|毫发未伤 毫髮未傷|毫居里 毫居里|民政里 民政里|民族志 民族誌|气克斗牛 氣克斗牛|气冲冲 氣沖沖|气冲斗牛 氣沖斗牛|气冲牛斗 氣沖牛斗|气冲霄汉 氣沖霄漢|气势熏灼 氣勢熏灼|气吁吁 氣吁吁|气吞牛斗 氣吞牛斗|气喘吁吁 氣喘吁吁|气扬采飞 氣揚采飛|气焰万丈 氣燄萬丈|气焰熏天 氣焰熏天|气若游丝 氣若游絲|氢卤酸 氫鹵酸|水已干 水已乾|水干 水乾|水干尽 水乾盡|水干掉 水乾掉|水当当 水噹噹|水成岩 水成岩|水才干 水纔乾|水斗 水斗|水波荡漾 水波盪漾|水烟袋 水菸袋',
+    '水秋千 水鞦韆|水管面 水管麪|水表 水錶|水谷之海 水穀之海|水里乡 水里鄉|水里纳瓜 水裏納瓜|水面系数 水面係數|水龙卷 水龍捲|永历 永曆|永志不忘 永誌不忘|求知欲 求知慾|汇业 滙業|汇业财经集团 滙業財經集團|汇业银行 滙業銀行|汇丰 滙豐|汇丰银行 滙豐銀行|汇刊 彙刊|汇总 彙總|汇报 彙報|汇整 彙整|汇映 彙映|汇算 彙算|汇纂 彙纂|汇编 彙編|汇辑 彙輯|汇集 彙集|汇集点 匯集點|汉弥登钟 漢彌登鐘|汉弥登钟表公司 漢彌登鐘錶公司|汗洽股栗 汗洽股慄|汗腾格里 汗騰格里|江南机器制造局 江南機器製造局|江干 江干|江干区 江乾區|江采苹 江采蘋|污蔑 污衊|汤下面 湯下麪|汤加里罗 湯加里羅|汤团 湯糰|汤面 湯麪',
+    '沃依采克 沃依采克|沃野千里 沃野千里|沈北新区 瀋北新區|沈吉线 瀋吉線|沈山线 瀋山線|沈州 瀋州|沈水 瀋水|沈河 瀋河|沈河区 瀋河區|沈海 瀋海|沈海铁路 瀋海鐵路|沈阳 瀋陽|沈阳市 瀋陽市|沈阳师范 瀋陽師範|沈阳师范大学 瀋陽師範大學|沈馆录 瀋館錄|沉积岩 沉積岩|沙仑 沙崙|沙参 沙蔘|沙坑杆 沙坑桿|沙岩 沙岩|沙河涌 沙河涌|沙茶面 沙茶麪|沙里夫 沙里夫|沙鱼涌 沙魚涌|没做摆布 沒做擺佈|没关系 沒關係|没合眼儿 沒合眼兒|没干净 沒乾淨|没干没净 沒乾沒淨|没折至 沒摺至|没摆布处 沒擺佈處|没有联系 沒有聯繫|没松下 沒鬆下|没梁桶 沒樑桶|没爷娘的祖宗 沒爺孃的祖宗|没爹没娘 沒爹沒孃|没签 沒簽|没精打采 沒精打采|没脊梁 沒脊樑',
+    '没见食面 沒見食面|没采 沒采|没量斗 沒量斗|没面皮 沒面皮|沥干 瀝乾|河升镇 河昇鎮|河干 河干|河梁 河樑|河流汇集 河流匯集|河涌 河涌|河涸海干 河涸海乾|河落海干 河落海乾|河里孩儿岸上娘 河裏孩兒岸上孃|油泼面 油潑麪|油漆未干 油漆未乾|油茶面儿 油茶麪兒|油酱面 油醬麪|油面 油麪|油页岩 油頁岩|治愈 治癒|沽名干誉 沽名干譽|沾临高速 霑臨高速|沾会高速 霑會高速|沾体 霑體|沾体涂足 霑體塗足|沾化 霑化|沾恩 霑恩|沾洽 霑洽|沾益 霑益|沾衿 霑衿|沾青线 霑青線|沾面 沾麪|泄欲 泄慾|泊松分布 泊松分佈|泐复 泐覆|法兰克福汇报 法蘭克福匯報|法布施 法佈施|法雨均沾 法雨均霑|泛水凌山 汎水淩山|泛滥 氾濫',
+    '泛胜之 氾勝之|泡制 泡製|泡沫发胶 泡沫髮膠|泡面 泡麪|泡面哲学 泡麪哲學|泡面市场 泡麪市場|波光荡漾 波光盪漾|波发藻 波髮藻|波哥里卡 波哥里卡|波尔干 波爾干|波尔干地区 波爾干地區|波布政权 波布政權|波斯里亚 波斯里亞|波浪周期 波浪週期|波荡 波盪|波里 波里|波里尼西亚 波里尼西亞|波里尼西亚人 波里尼西亞人|波里斯 波里斯|泥岩 泥岩|泥板岩 泥板岩|泥涌 泥涌|泥灰岩 泥灰岩|泥质岩 泥質岩|泥质页岩 泥質頁岩|注上 註上|注云 注云|注册 註冊|注册主任 註冊主任|注册人 註冊人|注册单 註冊單|注册商标 註冊商標|注册手续 註冊手續|注册日 註冊日|注册用户 註冊用戶|注册码 註冊碼|注册组 註冊組|注册费 註冊費|注名 註名|注失 註失',
+    '注定 註定|注批 註批|注文 註文|注明 註明|注标 註標|注生娘娘 註生娘娘|注疏 註疏|注脚 註腳|注解 註解|注记 註記|注译 註譯|注释 註釋|注销 註銷|泪干 淚乾|泪干肠断 淚乾腸斷|泪眼蒙眬 淚眼矇矓|泰山北斗 泰山北斗|泰山梁木 泰山樑木|泰斗 泰斗|泳气钟 泳氣鐘|泽卤 澤鹵|泽梁 澤樑|泽渗漓而下降 澤滲灕而下降|泽里可 澤里可|洄暗 洄闇|洄游 洄游|洋参 洋蔘|洋干漆 洋乾漆|洋李干 洋李乾|洋烟 洋菸|洋面 洋麪|洗发 洗髮|洗发乳 洗髮乳|洗发剂 洗髮劑|洗发动机 洗發動機|洗发水 洗髮水|洗发水儿 洗髮水兒|洗发皂 洗髮皂|洗发粉 洗髮粉|洗发精 洗髮精',
+    '洗发膏 洗髮膏|洗发露 洗髮露|洗头发 洗頭髮|洗干净 洗乾淨|洗手台 洗手檯|洗脸台 洗臉檯|洗荡 洗盪|洗钱防制法 洗錢防制法|洗面皂 洗面皂|洛钟东应 洛鐘東應|洞山良价 洞山良价|洞见症结 洞見癥結|津梁 津樑|洪升 洪昇|洪士杰 洪士杰|洪炉燎发 洪爐燎髮|洪适 洪适|洪都百炼生 洪都百鍊生|洪钟 洪鐘|洲际杯 洲際盃|活体肝脏移植 活體肝臟移植|活塞杆 活塞桿|活扣 活釦|活饥荒 活饑荒|流布 流佈|流干 流乾|流纹岩 流紋岩|流血千里 流血千里|流血浮尸 流血浮尸|流血漂卤 流血漂鹵|流风回雪 流風迴雪|浆水面 漿水麪|浇制 澆製|浊积岩 濁積岩|浊臭熏天 濁臭熏天|测量杆 測量桿|浑仪注 渾儀註|浓云密布 濃雲密佈|浓发 濃髮|浓郁 濃郁',
+    '浓雾密布 濃霧密佈|浙江天台县 浙江天台縣|浚县 濬縣|浪琴表 浪琴錶|浪蝶游蜂 浪蝶游蜂|浮松 浮鬆|浮游 浮游|浮游动物 浮游動物|浮游植物 浮游植物|浮游生物 浮游生物|浮签 浮簽|海上台风警报 海上颱風警報|海上布雷 海上佈雷|海上游 海上游|海于格松 海于格松|海参 海蔘|海参威 海參威|海参崴 海參崴|海宇升平 海宇昇平|海岳名言 海岳名言|海干 海乾|海干河尽 海乾河盡|海德里 海德里|海水不可斗量 海水不可斗量|海淀 海淀|海淀区 海淀區|海淀图书城 海淀圖書城|海湾布雷 海灣佈雷|海里 海里|海里海外 海裏海外|海马回 海馬迴|海鲜面 海鮮麪|浸制 浸製|涂善妮 涂善妮|涂坤 涂坤|涂壮勋 涂壯勳|涂天相 涂天相|涂姓 涂姓|涂姓技士 塗姓技士|涂尔干 涂爾幹',
+    '涂居贤 涂居賢|涂序瑄 涂序瑄|涂惠元 涂惠元|涂惠源 涂惠源|涂惠源雨 涂惠源雨|涂敏恒 涂敏恆|涂文生 涂文生|涂月 涂月|涂永辉 涂永輝|涂泽民 涂澤民|涂浆台 塗漿檯|涂绍煃 涂紹煃|涂美伦 涂美倫|涂羽卿 涂羽卿|涂谨申 涂謹申|涂逢年 涂逢年|涂醒哲 涂醒哲|涂长望 涂長望|涂鸿钦 涂鴻欽|消费欲 消費慾|涌尾 涌尾|涤瑕荡垢 滌瑕盪垢|涤瑕荡秽 滌瑕盪穢|涤秽荡瑕 滌穢盪瑕|涤荡 滌盪|润发 潤髮|液晶表 液晶錶|液面 液麪|涳蒙 涳濛|涸干 涸乾|淋冲 淋沖|淑郁 淑郁|淡蒙蒙 淡濛濛|淫欲 淫慾|淬炼 淬鍊|深山何处钟 深山何處鐘|深成岩 深成岩|深涌 深涌|淳于 淳于|淳于意 淳于意',
+    '淳于髡 淳于髡|清台 清檯|清心寡欲 清心寡慾|清晨杯 清晨盃|清杆运动 清桿運動|清水下杂面 清水下雜麪|清汤挂面 清湯掛麪|清贫寡欲 清貧寡欲|清静寡欲 清靜寡欲|渍已干 漬已乾|渔梁 漁樑|渝筑高速 渝筑高速|温布里 溫布里|港制 港製|港制品 港製品|游上 游上|游上去 游上去|游上来 游上來|游下 游下|游下去 游下去|游下来 游下來|游乃海 游乃海|游僧攒住持 游僧攢住持|游出 游出|游击 游擊|游击区 游擊區|游击战 游擊戰|游击手 游擊手|游击队 游擊隊|游到 游到|游去 游去|游回 游回|游回去 游回去|游回来 游回來|游囿伦 游囿倫|游完 游完|游尘 游塵|游履 游履|游弋 游弋|游志宏 游志宏',
+    '游戏机台 遊戲機檯|游文宏 游文宏|游明金 游明金|游昭钦 游昭欽|游来 游來|游来游去 游來游去|游标 游標|游标位置 游標位置|游标卡尺 游標卡尺|游水 游水|游泮 游泮|游泳 游泳|游泳圈 游泳圈|游泳池 游泳池|游泳衣 游泳衣|游泳裤 游泳褲|游泳课 游泳課|游泳赛 游泳賽|游泳镜 游泳鏡|游泳队 游泳隊|游泳馆 游泳館|游牧 游牧|游牧区 游牧區|游牧民族 游牧民族|游皓玮 游皓瑋|游盈隆 游盈隆|游离 游離|游离份子 遊離份子|游离层 游離層|游离电子 游離電子|游离票 游離票|游离辐射 游離輻射|游禽类 游禽類|游移 游移|游移不决 游移不決|游移不定 游移不定|游芳来 游芳來|游资 游資|游资泛滥 游資氾濫|游过去 游過去',
+    '游过来 游過來|游进去 游進去|游进来 游進來|游锡坤 游錫坤|游锡堃 游錫堃|游锡昆 游錫昆|游鱼 游魚|游鸿儒 游鴻儒|游鸿明 游鴻明|游龙 游龍|游龙戏凤 游龍戲鳳|游龙荣 游龍榮|湟潦生苹 湟潦生苹|湿肉伴干柴 溼肉伴乾柴|溜须 溜鬚|溜须拍马 溜鬚拍馬|溟蒙 溟濛|溪涌 溪涌|溯游 溯游|溲面 溲麪|溶岩 溶岩|溶岩流 溶岩流|滑借 滑藉|滑杆 滑桿|满口称赞 滿口稱讚|满天星斗 滿天星斗|满头洋发 滿頭洋髮|满布疑云 滿佈疑雲|满当当 滿當當|满洲里 滿洲里|满洲里市 滿洲里市|满满当当 滿滿當當|滴干 滴乾|滴水漏斗 滴水漏斗|滴里嘟噜 滴哩嘟嚕|滴里搭拉 滴哩搭拉|滴里耷拉 滴哩耷拉|漂游 漂游|漂荡 漂盪|漂荡子弟 漂蕩子弟',
+    '漏斗 漏斗|漏斗器 漏斗器|漏斗状花冠 漏斗狀花冠|漏斗管 漏斗管|漏斗胸 漏斗胸|漏网游鱼 漏網游魚|漓水 灕水|漓江 灕江|漓湘 灕湘|漓然 灕然|漕挽 漕輓|潕溪 潕谿|潘威志 潘威誌|潘安白发 潘安白髮|潘岳 潘岳|潘岳白发 潘岳白髮|潜丘札记 潛丘劄記|潜水表 潛水錶|潜水钟 潛水鐘|潜水钟表 潛水鐘錶|潜游 潛游|潟卤 潟鹵|潭祉叶吉 潭祉叶吉|潮烟 潮菸|澄江 澂江|澄澹精致 澄澹精緻|澎湖天后宫 澎湖天后宮|澒蒙 澒濛|澳门汇业 澳門匯業|澹泊寡欲 澹泊寡欲|澹荡 澹盪|激荡 激盪|激荡不已 激盪不已|激荡出 激盪出|濠梁 濠樑|灌制 灌製|火山岩 火山岩|火山爆发指数 火山爆發指數|火并 火併|火成岩 火成岩',
+    '火折子 火摺子|火斗 火斗|火杯 火盃|火柴杆 火柴桿|火箭布雷 火箭佈雷|火绳杆 火繩桿|火鸡面 火雞麪|灯彩 燈綵|灰发 灰髮|灰灰蒙蒙 灰灰濛濛|灰胡 灰鬍|灰蒙 灰濛|灰蒙蒙 灰濛濛|灵修 靈脩|灵欲 靈慾|灵迹 靈蹟|灸阳谷 灸陽谷|炆面 炆麪|炊烟袅袅 炊煙裊裊|炊臼之戚 炊臼之鏚|炒码面 炒碼麪|炒面 炒麪|炒面块子 炒麪塊子|炒鳝面 炒鱔麪|炕席 炕蓆|炭疽杆菌 炭疽桿菌|炮制 炮製|炮台山循道卫理中学 炮台山循道衛理中學|炸毁 炸燬|炸酱面 炸醬麪|点半钟 點半鐘|点名表 點名表|点多钟 點多鐘|点烟 點菸|点烟器 點菸器|点钟 點鐘|炼冶 鍊冶|炼制 煉製|炼制厂 煉製廠|炼师 鍊師',
+    '炼度 鍊度|炼汞 鍊汞|炼贫 鍊貧|炼金 鍊金|炼金术 鍊金術|烈火干柴 烈火乾柴|烘制 烘製|烘干 烘乾|烘干机 烘乾機|烟丝 菸絲|烟农 菸農|烟卷 菸捲|烟卷儿 菸捲兒|烟厂 菸廠|烟叶 菸葉|烟嘴 菸嘴|烟嘴儿 菸嘴兒|烟圈 菸圈|烟头 菸頭|烟害 菸害|烟家伙 煙傢伙|烟屁股 菸屁股|烟斗 菸斗|烟斗丝 菸斗絲|烟杆 煙桿|烟民 菸民|烟灰 菸灰|烟灰缸 菸灰缸|烟焰障天 煙燄障天|烟熏火燎 煙熏火燎|烟碱 菸鹼|烟碱酸 菸鹼酸|烟禁 菸禁|烟管面 煙管麪|烟纸店 菸紙店|烟缸 菸缸|烟草 菸草|烟草味 菸草味|烟蒂 菸蒂|烟蚜 菸蚜',
+    '烟袋 菸袋|烟袋哨子 菸袋哨子|烟袋嘴 菸袋嘴|烟袋嘴儿 菸袋嘴兒|烟袋杆儿 菸袋桿兒|烟袋油子 菸袋油子|烟袋荷包 菸袋荷包|烟袋锅子 菸袋鍋子|烟酒 菸酒|烟酒不沾 煙酒不沾|烟酒公卖 菸酒公賣|烟酒公卖局 菸酒公賣局|烟酒税 菸酒稅|烟雾弥漫 煙霧瀰漫|烤干 烤乾|烤面包 烤麪包|烤面包机 烤麪包機|烦复 煩複|烧制 燒製|烧干 燒乾|烧毁 燒燬|烩面 燴麪|烫一个发 燙一個髮|烫一次发 燙一次髮|烫个发 燙個髮|烫发 燙髮|烫发师 燙髮師|烫头发 燙頭髮|烫完发 燙完髮|烫次发 燙次髮|烫面 燙麪|热干面 熱乾麪|热闹哄哄 熱鬧鬨鬨|烹制 烹製|焖肉面 燜肉麪|焖面 燜麪|焗猪扒面 焗豬扒麪|焗面 焗麪|焙干 焙乾|焚毁 焚燬',
+    '焦干 焦乾|焦获 焦穫|然身死才数月耳 然身死纔數月耳|煎面 煎麪|煤气表 煤氣錶|照相制版 照相製版|照相干片 照相乾片|照签 照簽|照签不误 照簽不誤|煨干 煨乾|煨干就湿 煨乾就溼|煨干避湿 煨乾避溼|煮粥焚须 煮粥焚鬚|煮面 煮麪|煴斗 熅斗|熏习 熏習|熏制 熏製|熏天 熏天|熏染 薰染|熏沐 薰沐|熏烝 熏烝|熏熏 熏熏|熏笼 熏籠|熏腐 熏腐|熏蒸剂 熏蒸劑|熏蒸室 熏蒸室|熏衣 薰衣|熏衣草 薰衣草|熏陶 薰陶|熏陶成性 熏陶成性|熏风 薰風|熏风徐来 熏風徐來|熏香 薰香|熔岩 熔岩|熔岩流 熔岩流|熔岩湖 熔岩湖|熔岩穹丘 熔岩穹丘|熔毁 熔燬|熔融岩浆 熔融岩漿|熟面人 熟面人',
+    '熨斗 熨斗|熬制 熬製|熬姜呷醋 熬薑呷醋|燎发 燎髮|燕几 燕几|燕燕于飞 燕燕于飛|爱之欲其生恶之欲其死 愛之欲其生惡之欲其死|爱困 愛睏|爱彼表 愛彼錶|爱情征服一切 愛情征服一切|爱才好士 愛才好士|爱抽烟 愛抽菸|爱欲 愛慾|爷娘 爺孃|爷羹娘饭 爺羹孃飯|爷饭娘羹 爺飯孃羹|爹娘 爹孃|片岩 片岩|片纸只字 片紙隻字|片言只字 片言隻字|片言只语 片言隻語|片语只字 片語隻字|片语只辞 片語隻辭|片麻岩 片麻岩|牖里 牖里|牛只 牛隻|牛柳面 牛柳麪|牛筋面 牛筋麪|牛肉干 牛肉乾|牛肉拉面 牛肉拉麪|牛肉汤面 牛肉湯麪|牛肉炒面 牛肉炒麪|牛肉面 牛肉麪|牛肉面节 牛肉麪節|牛腩面 牛腩麪|牛表牛斤 牛表牛觔|牛角面包 牛角麪包|物欲 物慾|物欲世界 物慾世界|物欲横流 物慾橫流',
+    '牵一发 牽一髮|牵一发而动全身 牽一髮而動全身|牵系 牽繫|牵藤带叶 牽籐帶葉|特内里费 特內里費|特准 特准|特别致 特別緻|特制 特製|特制住 特制住|特制品 特製品|特制定 特制定|特制止 特制止|特制订 特制訂|特里 特里|特里尔 特里爾|犬只 犬隻|犯罪团伙 犯罪團伙|犹太历 猶太曆|犹如表 猶如錶|犹如钟 猶如鐘|犹如钟表 猶如鐘錶|狂并潮 狂併潮|狄仁杰 狄仁傑|狄志杰 狄志杰|狄里斯 狄里斯|狎妓冶游 狎妓冶游|狐借虎威 狐藉虎威|狗占马坑 狗占馬坑|狗娘养的 狗孃養的|狗扣 狗釦|独具只眼 獨具隻眼|独挑大梁 獨挑大樑|狼吞虎咽 狼吞虎嚥|狼飧虎咽 狼飧虎嚥|狼餐虎咽 狼餐虎嚥|猜三划五 猜三划五|猪八戒吃人参果 豬八戒喫人參果|猪只 豬隻|猪肉干 豬肉乾|猪肉面 豬肉麪',
+    '猪肝面 豬肝麪|猪脚面 豬腳麪|猪脚面线 豬腳麪線|猪舌面 豬舌麪|猫耳面 貓耳麪|猴面包 猴麪包|猴面包树 猴麪包樹|玄制 玄製|玄参 玄蔘|玄武岩 玄武岩|玄武质熔岩 玄武質熔岩|玄针 玄鍼|玉制 玉製|玉历 玉曆|玉斗 玉斗|玉溪生 玉谿生|玉米面 玉米麪|玉米须 玉米鬚|玉里 玉里|玉里镇 玉里鎮|玉面狸 玉面貍|王于真 王于真|王侯后 王侯后|王后 王后|王太后 王太后|王子面 王子麪|王干发 王乾發|王正杰 王正杰|王范 王范|玢岩 玢岩|玩忽 翫忽|玳梁 玳樑|玳瑁梁 玳瑁樑|玻里尼西 玻里尼西|玻里尼西亚人 玻里尼西亞人|珂里 珂里|珍珠岩 珍珠岩|珍珠项链 珍珠項鍊|珐琅彩 琺瑯彩|珠斗烂班 珠斗爛班',
+    '球台 球檯|球后 球后|球后小 球后小|球后艾宁 球后艾寧|球后辛吉丝 球后辛吉絲|理一个发 理一個髮|理一次发 理一次髮|理个发 理個髮|理事长杯 理事長盃|理发 理髮|理发匠 理髮匠|理发厅 理髮廳|理发员 理髮員|理发师 理髮師|理发师傅 理髮師傅|理发店 理髮店|理发院 理髮院|理头发 理頭髮|理完发 理完髮|理次发 理次髮|理胡子 理鬍子|琴弦 琴絃|琴断朱弦 琴斷朱絃|琴杆 琴桿|琴钟 琴鐘|瑞士卷 瑞士捲|瑞签 瑞簽|瑞贝里 瑞貝里|瓦尔基里 瓦爾基里|瓦拉干 瓦拉干|瓦萨里 瓦薩里|瓦西里 瓦西里|瓦西里耶维奇 瓦西里耶維奇|瓦里 瓦里|瓦里斯 瓦里斯|瓮尽杯干 甕盡杯乾|甄后 甄后|甘居下游 甘居下游|甘巴里 甘巴里|甜水面 甜水麪',
+    '甜萝卜 甜蘿蔔|甜面酱 甜麪醬|生力面 生力麪|生华发 生華髮|生发 生髮|生发中心 生發中心|生发剂 生髮劑|生发水 生髮水|生发药 生髮藥|生命周期 生命週期|生姜 生薑|生姜丝 生薑絲|生姜汁 生薑汁|生姜片 生薑片|生态环境游 生態環境游|生旦净末丑 生旦淨末丑|生死轮回 生死輪迴|生殖洄游 生殖洄游|生物制剂 生物製劑|生物制品 生物製品|生物时钟 生物時鐘|生物钟 生物鐘|生理时钟 生理時鐘|生田斗 生田斗|生长发育 生長發育|生面团 生麪糰|甩发 甩髮|甪里 甪里|甫里 甫里|甯采臣 甯采臣|田梁子 田梁子|田谷 田穀|由余 由余|甲胄 甲冑|甲胄鱼类 甲冑魚類|申复 申覆|电卷风驰 電卷風馳|电复 電覆|电子云 電子雲|电子杂志 電子雜誌',
+    '电子游戏 電子遊戲|电子表 電子錶|电子表单 電子表單|电子表情 電子表情|电子表格 電子表格|电子表示 電子表示|电子钟 電子鐘|电子钟表 電子鐘錶|电影制作 電影製作|电影制片 電影製片|电熨斗 電熨斗|电码表 電碼表|电磁干扰 電磁干擾|电磁振荡 電磁振盪|电缆调制解调器 電纜調製解調器|电胡刀 電鬍刀|电脑台 電腦檯|电脑网志 電腦網誌|电表 電錶|电钟 電鐘|电须刀 電鬚刀|男用表 男用錶|画栋雕梁 畫棟雕樑|画梁雕栋 畫樑雕棟|留发 留髮|留头发 留頭髮|留胡子 留鬍子|留胡须 留鬍鬚|留连不舍 留連不捨|畚斗 畚斗|番茄面 番茄麪|疏松 疏鬆|疏松症 疏鬆症|疑系 疑係|疲困 疲睏|病历室 病歷室|病愈 病癒|症结 癥結|症结点 癥結點|痊愈 痊癒',
+    '痢疾杆菌 痢疾桿菌|瘦小枯干 瘦小枯乾|癸丑 癸丑|登机手续柜台 登機手續櫃檯|白云岩 白雲岩|白僵蚕 白殭蠶|白净面皮 白淨面皮|白发 白髮|白发人 白髮人|白发其事 白發其事|白发如新 白髮如新|白发朱颜 白髮朱顏|白发相守 白髮相守|白发红颜 白髮紅顏|白发苍苍 白髮蒼蒼|白发苍颜 白髮蒼顏|白发郎潜 白髮郎潛|白发银须 白髮銀鬚|白发青衫 白髮青衫|白发齐眉 白髮齊眉|白喉杆菌 白喉桿菌|白干 白乾|白干儿 白乾兒|白日升天 白日昇天|白日飞升 白日飛昇|白术 白朮|白杆兵 白桿兵|白洋淀 白洋淀|白皮松 白皮松|白粉面 白粉麪|白胡 白鬍|白胡椒 白胡椒|白萝卜 白蘿蔔|白蒙蒙 白濛濛|白里安 白里安|白面 白麪|白面书生 白面書生|白面书郎 白面書郎|白面僧面猴 白面僧面猴|白面儿 白麪兒',
+    '白面无须 白面無鬚|白面鼯鼠 白面鼯鼠|白须 白鬚|百余只 百餘隻|百余里 百餘里|百只 百隻|百只足够 百只足夠|百叶卷 百葉捲|百多只 百多隻|百天后 百天後|百扎 百紮|百折裙 百摺裙|百炼 百鍊|百炼成钢 百鍊成鋼|百花历 百花曆|百花历史 百花歷史|百谷 百穀|百谷王 百谷王|百辟 百辟|百里 百里|百里之才 百里之才|百里侯 百里侯|百里傒 百里傒|百里挑一 百裏挑一|百里香 百里香|百香果干 百香果乾|皂化 皂化|皂荚 皂莢|皂荚树 皂莢樹|皂角 皂角|的钟 的鐘|的黎波里 的黎波里|皇历 皇曆|皇后 皇后|皇后区 皇后區|皇后号 皇后號|皇后镇 皇后鎮|皇天后土 皇天后土|皇太后 皇太后|皇家马德里 皇家馬德里',
+    '皇极历 皇極曆|皇极历史 皇極歷史|皇辟 皇辟|皓发 皓髮|皓月千里 皓月千里|皮划艇 皮划艇|皮划艇激流回旋 皮划艇激流回旋|皮划艇静水 皮划艇靜水|皮制 皮製|皮制品 皮製品|皮制服 皮制服|皮托管 皮托管|皮松 皮鬆|皮松肉紧 皮鬆肉緊|皮松骨痒 皮鬆骨癢|皱别 皺彆|皱折 皺摺|盎盂相系 盎盂相繫|监制 監製|监系 監繫|盗跖 盜跖|盗钟 盜鐘|盗钟掩耳 盜鐘掩耳|盘回 盤迴|盛价 盛价|盛赞 盛讚|目牛游刃 目牛游刃|直发 直髮|直发女 直髮女|直发毛 直發毛|直接制版 直接制版|直摆 直襬|相克 相剋|相克制 相剋制|相克服 相克服|相关系数 相關係數|相冲 相沖|相去万里 相去萬里|相奸 相姦|相干 相干',
+    '相并 相併|相生相克 相生相剋|相距千里 相距千里|相里 相里|省欲去奢 省慾去奢|眉毛胡子一把抓 眉毛鬍子一把抓|看下表 看下錶|看下钟 看下鐘|看表 看錶|看表面 看表面|看钟 看鐘|眼干 眼乾|眼干症 眼乾症|眼球干燥症 眼球乾燥症|眼花了乱 眼花瞭亂|眼酸 眼痠|睁一只眼 睜一隻眼|睡眠欲 睡眠慾|睡眼蒙眬 睡眼矇矓|瞅下表 瞅下錶|瞅下钟 瞅下鐘|瞩托 矚託|瞳蒙 瞳矇|矩里迦 矩里迦|矫情干誉 矯情干譽|矫若游龙 矯若遊龍|短发 短髮|短发性 短發性|短叹长吁 短嘆長吁|短须 短鬚|矮几 矮几|矮杆品种 矮桿品種|石几 石几|石屋余沈 石屋餘瀋|石屋制果 石屋製果|石屋续沈 石屋續瀋|石拐 石柺|石梁 石樑|石灰岩 石灰岩|石灰岩洞 石灰岩洞',
+    '石英卤素灯 石英鹵素燈|石英岩 石英岩|石英表 石英錶|石英钟 石英鐘|石英钟表 石英鐘錶|石钟乳 石鐘乳|矽岩 矽岩|矽质岩 矽質岩|码表 碼錶|砂岩 砂岩|砂锅面 砂鍋麪|研制 研製|研制出 研製出|研制过程 研製過程|砭针 砭鍼|砰当 砰噹|破坏欲 破壞慾|破表 破錶|砻谷机 礱穀機|砾岩 礫岩|硅质岩 硅質岩|硗确 磽确|硫酸烟碱 硫酸菸鹼|硬咽 硬嚥|硬肥皂 硬肥皂|硬面 硬麪|硬页岩 硬頁岩|确瘠 确瘠|确系 確係|碍难照准 礙難照准|碎发 碎髮|碎屑岩 碎屑岩|碑志 碑誌|碗白干 碗白乾|碗面 碗麪|碛卤 磧鹵|碧波荡漾 碧波盪漾|碧眼紫须 碧眼紫鬚|碧眼金发 碧眼金髮|碧里杂存 碧里雜存',
+    '碰钟 碰鐘|碱性岩 鹼性岩|碳酸岩 碳酸岩|磁制 磁製|磨制 磨製|磨制石器 磨製石器|磨变岩 磨變岩|磨炼 磨鍊|磨石粗砂岩 磨石粗砂岩|磨脊梁 磨脊樑|磬钟 磬鐘|磷酸盐岩 磷酸鹽岩|礁岩 礁岩|示复 示覆|示范岗 示範崗|示范村 示範村|礼数周到 禮數周到|礼斗 禮斗|礼赞 禮讚|礼轻人意重千里送鹅毛 禮輕人意重千里送鵝毛|祈仙台 祈仙臺|祖冲之 祖沖之|祝发 祝髮|祝赞 祝讚|神圣周 神聖週|神摇魂荡 神搖魂盪|神曲茶 神麴茶|神迹 神蹟|神采 神采|神采奕奕 神采奕奕|神采奕然 神采奕然|神采焕发 神采煥發|神采英拔 神采英拔|神采飘逸 神采飄逸|神采飞扬 神采飛揚|神采骏发 神采駿發|神里 神里|神雕 神鵰|神雕侠侣 神鵰俠侶|神雕像 神雕像',
+    '神魂摇荡 神魂搖盪|神魂荡漾 神魂盪漾|神魂荡飏 神魂盪颺|票面价值 票面價值|祭五脏庙 祭五臟廟|祭吊 祭弔|祭吊文 祭弔文|祭尸 祭尸|祷念 禱唸|祸福吉凶 禍福吉凶|禀复 稟覆|禁制品 禁製品|禁欲 禁慾|禁欲主义 禁慾主義|禁止吸烟 禁止吸菸|禁毁 禁燬|禁毁书 禁燬書|禁烟 禁菸|禁烟令 禁菸令|禁烟节 禁菸節|福建面 福建麪|福生于微 福生于微|福荫 福廕|离题万里 離題萬里|禾谷 禾穀|禾谷类作物 禾穀類作物|秀发 秀髮|秀发垂肩 秀髮垂肩|秀才不出门能知天下事 秀才不出門能知天下事|私下里 私下裏|私有财产制 私有財產制|私欲 私慾|秃发 禿髮|秃发症 禿髮症|秃妃之发 禿妃之髮|秋不干 秋不乾|秋千 鞦韆|秋发 秋髮|秋征 秋征|秋日里 秋日裏',
+    '秋筱宫 秋篠宮|秋阴入井干 秋陰入井幹|种上蒺藜就要扎脚 種上蒺藜就要扎腳|种师中 种師中|种师道 种師道|种放 种放|种谷 種穀|科学面 科學麪|科斗 科斗|科斗书 科斗書|科斗文 科斗文|科纳克里 科納克里|秒表 秒錶|秒钟 秒鐘|秕谷 秕穀|秘制 祕製|秤平斗满 秤平斗滿|秤杆 秤桿|秦少游 秦少游|积谷 積穀|积谷防饥 積穀防饑|积金至斗 積金至斗|称叹 稱歎|称王封后 稱王封后|称赞 稱讚|称赞不已 稱讚不已|移星换斗 移星換斗|稀松 稀鬆|稀松平常 稀鬆平常|稀松骨质 稀鬆骨質|稀里 稀里|稀里哗啦 稀里嘩啦|稀里打哄 稀里打哄|稀里糊涂 稀裏糊塗|稍占上风 稍占上風|稍干的 稍乾的|稳扎 穩紮|稳扎稳打 穩紮穩打|稳稳当当 穩穩當當|稻谷 稻穀',
+    '稽核 稽覈|穆斯坦西里 穆斯坦西里|穆棱 穆稜|穆罕默德历 穆罕默德曆|穆罕默德历史 穆罕默德歷史|穗帏飘井干 繐幃飄井幹|穗帐 繐帳|穗帷 繐帷|穗裳 繐裳|穷发 窮髮|穷理尽性 窮理盡性|穷追不舍 窮追不捨|穷里 窮里|空中布雷 空中佈雷|空心汤团 空心湯糰|空心萝卜 空心蘿蔔|空投布雷 空投佈雷|空梁落燕泥 空樑落燕泥|空蒙 空濛|空钟 空鐘|穿跟斗 穿跟斗|突发状况 突發狀況|窃占 竊占|窃占罪 竊占罪|窃钟掩耳 竊鐘掩耳|窒欲 窒慾|窗明几亮 窗明几亮|窗明几净 窗明几淨|窦太后 竇太后|立方公里 立方公里|竖人毛发 豎人毛髮|竖柱上梁 豎柱上樑|竖起脊梁 豎起脊樑|站干岸儿 站乾岸兒|站柜台 站櫃檯|童颜鹤发 童顏鶴髮|竹几 竹几|竹制 竹製|竹席 竹蓆|竹溪 竹谿',
+    '竹笋干 竹筍乾|笆斗 笆斗|笋干 筍乾|笔卷 筆捲|笔杆 筆桿|笔杆子 筆桿子|笔秃墨干 筆禿墨乾|笔管面 筆管麪|笛卡儿坐标制 笛卡兒座標制|符采 符采|第一出 第一齣|第七出 第七齣|第三出 第三齣|第九出 第九齣|第二出 第二齣|第五出 第五齣|第八出 第八齣|第六出 第六齣|第几周 第幾週|第十出 第十齣|第四出 第四齣|第四出局 第四出局|笺注 箋註|等价关系 等價關係|筋斗 筋斗|筋斗云 筋斗雲|筋面粉 筋麪粉|筑前 筑前|筑北 筑北|筑后 筑後|筑大高速 筑大高速|筑州 筑州|筑波 筑波|筑紫 筑紫|筑肥 筑肥|筑西 筑西|筑邦 筑邦|筑阳 筑陽|答复 答覆|筛子喂驴 篩子餵驢',
+    '筲斗 筲斗|筵几 筵几|签上 簽上|签上去 簽上去|签上来 簽上來|签下 簽下|签下去 簽下去|签下来 簽下來|签为 簽爲|签书会 簽書會|签了 簽了|签些 簽些|签入 簽入|签写 簽寫|签出 簽出|签到 簽到|签到处 簽到處|签到簿 簽到簿|签单 簽單|签印 簽印|签发 簽發|签发地点 簽發地點|签发日期 簽發日期|签名 簽名|签名会 簽名會|签名信 簽名信|签名球 簽名球|签名簿 簽名簿|签名运动 簽名運動|签呈 簽呈|签唱 簽唱|签唱会 簽唱會|签在 簽在|签好 簽好|签妥 簽妥|签字 簽字|签字笔 簽字筆|签字者 簽字者|签字费 簽字費|签完 簽完',
+    '签定 簽定|签帐 簽帳|签帐卡 簽帳卡|签得 簽得|签报 簽報|签押 簽押|签押房 簽押房|签收 簽收|签有 簽有|签注 簽註|签派室 簽派室|签着 簽着|签章 簽章|签约 簽約|签约人 簽約人|签约国 簽約國|签约奖金 簽約獎金|签约金 簽約金|签结 簽結|签署 簽署|签署人 簽署人|签署国 簽署國|签订 簽訂|签证 簽證|签证费 簽證費|签赌 簽賭|签赌案 簽賭案|签赌站 簽賭站|签过 簽過|签退 簽退|简余晏 簡余晏|简单明了 簡單明瞭|简并 簡併|简易包扎法 簡易包紮法|简朝仑 簡朝崙|简氏防务周刊 簡氏防務週刊|箕斗 箕斗|算历 算曆|管人吊脚儿事 管人弔腳兒事|管制品 管制品',
+    '管制法 管制法|管弦 管絃|管弦乐团 管弦樂團|管道升 管道昇|箭杆 箭桿|箱扣 箱釦|箱梁 箱樑|篮下三秒钟 籃下三秒鐘|篮虹杯 籃虹盃|篷盖布 篷蓋佈|簳面杖 簳麪杖|簸荡 簸盪|米德尔伯里 米德爾伯里|米苏里 米蘇里|米苏里州 米蘇里州|米谷 米穀|米里 米里|米面 米麪|粉砂岩 粉砂岩|粒变岩 粒變岩|粗制 粗製|粗制品 粗製品|粗制滥造 粗製濫造|粗卤 粗鹵|粗管面 粗管麪|粗面 粗麪|粗面岩 粗面岩|粘板岩 粘板岩|粪秽蔑面 糞穢衊面|粲夸克 粲夸克|精制 精製|精制品 精製品|精制服 精制服|精奇里江 精奇里江|精心制作 精心製作|精心制造 精心製造|精明了 精明了|精松 精鬆|精致 精緻|精致化 精緻化',
+    '精致度 精緻度|精采 精采|精采度 精采度|精采绝伦 精采絕倫|精金百炼 精金百煉|糊口 餬口|糊里糊涂 糊里糊塗|糕干 糕乾|糖萝卜 糖蘿蔔|糖醋里脊 糖醋里脊|糯米团 糯米糰|系一片 係一片|系一番 係一番|系一种 係一種|系一线 繫一線|系上 繫上|系世 繫世|系丝带 繫絲帶|系个 繫個|系为 係爲|系了 繫了|系争 係爭|系争物 係爭物|系于 繫於|系于一发 繫於一髮|系住 繫住|系到 繫到|系发带 繫髮帶|系命 繫命|系囚 繫囚|系头巾 繫頭巾|系好 繫好|系带 繫帶|系心 繫心|系念 繫念|系怀 繫懷|系恋 繫戀|系扣 係扣|系指 係指|系捻儿 繫捻兒',
+    '系数 係數|系有 繫有|系条 繫條|系泊 繫泊|系爪 繫爪|系牢 繫牢|系狱 繫獄|系留 繫留|系着 繫着|系系 繫系|系紧 繫緊|系累 繫累|系结 繫結|系绳 繫繩|系缆 繫纜|系缚 繫縛|系而不食 繫而不食|系腰 繫腰|系臂 係臂|系臂之宠 繫臂之寵|系船桩 繫船樁|系获 係獲|系裤子 繫褲子|系裹 繫裹|系趾 繫趾|系踵 係踵|系蹄 係蹄|系辞 繫辭|系铃人 繫鈴人|系铃解铃 繫鈴解鈴|系鞋带 繫鞋帶|系颈 繫頸|系颈阙庭 係頸闕庭|系风捕影 繫風捕影|系风捕景 繫風捕景|系马 繫馬|素借 素藉|素发 素髮|素食面 素食麪|素餐尸位 素餐尸位',
+    '索尔兹伯里平原 索爾茲伯里平原|索尔兹伯里石环 索爾茲伯里石環|索福克里斯 索福克里斯|索里亚 索里亞|索里士 索里士|索马里亚 索馬里亞|紧系 緊繫|紧致 緊緻|紧追不舍 緊追不捨|紫姜 紫薑|紫微斗数 紫微斗數|絣扒吊拷 絣扒吊拷|綦溪利跂 綦谿利跂|縻系 縻繫|繁复 繁複|繁殖系数 繁殖係數|繁钟 繁鐘|纡回 紆迴|红丝暗系 紅絲暗繫|红冬冬 紅鼕鼕|红发 紅髮|红发女郎 紅髮女郎|红叶杯 紅葉盃|红头发 紅頭髮|红绳系足 紅繩繫足|红胡子 紅鬍子|红萝卜 紅蘿蔔|红萝卜炒辣椒 紅蘿蔔炒辣椒|红钟 紅鐘|红须绿眼 紅鬚綠眼|纤夫 縴夫|纤户 縴戶|纪元后 紀元後|纪历 紀曆|纪念周 紀念週|纪里谷 紀里谷|纳德阿里 納德阿里|纳波里塔诺 納波里塔諾|纳莉台风 納莉颱風|纳采 納采',
+    '纵梁 縱樑|纵横交布 縱橫交佈|纵欲 縱慾|纵欲主义 縱慾主義|纵欲无度 縱慾無度|纸制 紙製|纸扎 紙紮|纸扎店 紙紮店|纸烟 紙菸|细不容发 細不容髮|细咽 細嚥|细如发 細如髮|细炼 細鍊|细胞周期 細胞週期|细致 細緻|细致入微 細緻入微|细蒙蒙 細濛濛|细雨蒙蒙 細雨濛濛|细雨蒙蒙忆当年 細雨濛濛憶當年|细面 細麪|织席 織蓆|织里 織里|织锦回文 織錦回文|终端台 終端檯|经折 經摺|经折装 經摺裝|经有云 經有云|经济周期 經濟週期|经济杠杆 經濟槓桿|经贸关系 經貿關係|绑扎 綁紮|结发 結髮|结发事师 結髮事師|结发人 結髮人|结发夫妻 結髮夫妻|结彩 結綵|结扎 結紮|结扎手术 結紮手術|结扎术 結紮術|结扣 結釦',
+    '结晶岩 結晶岩|结核杆菌 結核桿菌|结梁子 結樑子|结采 結采|绕梁 繞樑|绕梁三日 繞樑三日|绕梁之音 繞樑之音|绕梁韵永 繞樑韻永|绘制 繪製|绘制图 繪製圖|绘里 繪里|给我干脆 給我乾脆|络腮胡 絡腮鬍|络腮胡子 絡腮鬍子|绝缘台 絕緣檯|绞干 絞乾|统计制图 統計製圖|绥棱 綏稜|续借手续 續借手續|续弦 續絃|续签 續簽|绳扣 繩釦|维多里欧 維多里歐|维斗 維斗|维系 維繫|维系人心 維繫人心|绷巴吊拷 繃巴吊拷|绷扒吊拷 繃扒吊拷|绷爬吊拷 繃爬吊拷|综合布线 綜合佈線|综合杂志 綜合雜誌|综核 綜覈|绾发 綰髮|绿发 綠髮|缓冲剂 緩衝劑|编制成 編製成|编制法 編制法|编发 編髮|编码表 編碼表|编钟 編鐘',
+    '缜致 縝緻|缝制 縫製|缝制成 縫製成|缩影微卷 縮影微捲|缩栗 縮慄|缱绻难舍 繾綣難捨|网上杂志 網上雜誌|网御 網禦|网志 網誌|网志上 網誌上|罗兴梁 羅興樑|罗德里奎兹 羅德里奎茲|罗德里格兹 羅德里格茲|罗德里格斯 羅德里格斯|罗德里盖兹 羅德里蓋茲|罗西里尼 羅西里尼|置信系数 置信係數|羁系 羈繫|羊肉面 羊肉麪|羊角面包 羊角麪包|羊须疮 羊鬚瘡|美仑 美崙|美仑美奂 美侖美奐|美制 美製|美发 美髮|美发业 美髮業|美发师 美髮師|美发店 美髮店|美后 美后|美国制 美國製|美国存托凭证 美國存託憑證|美日关系 美日關係|美洲杯 美洲盃|美苏关系 美蘇關係|美里 美里|美里达 美里達|羑里 羑里|羡叹 羨歎|群众关系 羣衆關係|群后 羣后',
+    '群谋咸同 羣謀咸同|群辟 羣辟|羽状复叶 羽狀複葉|翁干晃 翁乾晃|翁郁容 翁郁容|翡翠拉面小笼包 翡翠拉麪小籠包|翦彩 翦綵|翻台 翻檯|翻松 翻鬆|翻筋斗 翻筋斗|翻觔斗 翻觔斗|翻跟斗 翻跟斗|翻过筋斗 翻過筋斗|翻面皮 翻面皮|翾风回雪 翾風迴雪|老合儿 老合兒|老和尚撞钟 老和尚撞鐘|老妈拌面 老媽拌麪|老姜 老薑|老娘 老孃|老娘儿 老孃兒|老少咸宜 老少咸宜|老干妈 老乾媽|老幼咸宜 老幼咸宜|老斗 老斗|老板 老闆|老板人 老闆人|老板娘 老闆娘|老板家 老闆家|老爷钟 老爺鐘|老皇历 老皇曆|老蒙 老懞|老起面皮 老起面皮|老雕 老鵰|老面皮 老面皮|老骥伏枥志在千里 老驥伏櫪志在千里|考卷纸 考卷紙|考核 考覈|而云 而云|而克制 而剋制',
+    '耍笔杆 耍筆桿|耕前锄后 耕前耡後|耕获 耕穫|耘荡 耘盪|耳目之欲 耳目之欲|耶娘 耶孃|耶稣升天节 耶穌升天節|耻居王后 恥居王後|聊斋志异 聊齋志異|联系 聯繫|联系实际 聯繫實際|联系方式 聯繫方式|联系汇率 聯繫匯率|联系群众 聯繫羣衆|联赛杯 聯賽盃|聚药雄蕊 聚葯雄蕊|聪明了 聰明了|肉丝面 肉絲麪|肉干 肉乾|肉松 肉鬆|肉松罐头 肉鬆罐頭|肉欲 肉慾|肉欲主义 肉慾主義|肉毒杆菌 肉毒桿菌|肉毒杆菌毒素 肉毒桿菌毒素|肉毒梭状芽孢杆菌 肉毒梭狀芽孢桿菌|肉汤面 肉湯麪|肉羹面 肉羹麪|肉酱面 肉醬麪|肌肉松弛剂 肌肉鬆弛劑|肘手链足 肘手鍊足|肝脏 肝臟|肠系膜 腸繫膜|肠脏 腸臟|股栗 股慄|股栗肤粟 股栗膚粟|肤发 膚髮|肥皂 肥皂|肥皂丝 肥皂絲|肥皂剧 肥皂劇',
+    '肥皂泡 肥皂泡|肥皂粉 肥皂粉|肥皂荚 肥皂莢|肥筑方言 肥筑方言|肥肠面 肥腸麪|肺脏 肺臟|肾脏 腎臟|肾脏炎 腎臟炎|肾脏病 腎臟病|肾脏癌 腎臟癌|肾脏科 腎臟科|胃脏 胃臟|胄甲 冑甲|胄科 冑科|胆大如斗 膽大如斗|背人 揹人|背他 揹他|背你 揹你|背债 揹債|背出去 揹出去|背包袱 揹包袱|背回 揹回|背回家去 揹回家去|背她 揹她|背小孩 揹小孩|背带 揹帶|背我 揹我|背来 揹來|背梁骨 背樑骨|背榜 揹榜|背物 揹物|背着 揹着|背筐 揹筐|背篓 揹簍|背负 揹負|背走 揹走|背酸 背痠|背饥荒 揹饑荒|胎发 胎髮|胚胎发生 胚胎發生',
+    '胚胎发育 胚胎發育|胜肽 胜肽|胜迹 勝蹟|胜键 胜鍵|胡云 胡云|胡匪 鬍匪|胡同 衚衕|胡吣 胡唚|胡子 鬍子|胡子工程 鬍子工程|胡子拉碴 鬍子拉碴|胡子昂 胡子昂|胡子渣 鬍子渣|胡子阿姨 鬍子阿姨|胡杰 胡杰|胡梢 鬍梢|胡椒面 胡椒麪|胡渣 鬍渣|胡碴子 鬍碴子|胡耇 胡耈|胡萝卜 胡蘿蔔|胡萝卜就烧酒 胡蘿蔔就燒酒|胡萝卜汁 胡蘿蔔汁|胡萝卜素 胡蘿蔔素|胡里胡涂 胡里胡塗|胡须 鬍鬚|胡须渣 鬍鬚渣|胡髭 鬍髭|胡髯 鬍髯|胰脏 胰臟|胰脏炎 胰臟炎|胰脏癌 胰臟癌|胶卷 膠捲|能克制 能剋制|能干巴巴 能乾巴巴|能干扰 能干擾|能干杯 能乾杯|能干涉 能干涉|能干着急 能乾着急|能干耗 能乾耗',
+    '能干脆 能乾脆|能干预 能干預|能征善战 能征善戰|能征惯战 能征慣戰|能舍 能捨|脆谷乐 脆穀樂|脉岩 脈岩|脊梁 脊樑|脊梁背 脊樑背|脊梁骨 脊樑骨|脏发 髒髮|脏器 臟器|脏腑 臟腑|脑力激荡 腦力激盪|脑力激荡术 腦力激盪術|脑力激荡法 腦力激盪法|脑海里 腦海裏|脑震荡 腦震盪|脚划船 腳划船|脚夫 腳伕|脚扣 腳釦|脚注 腳註|脚炼 腳鍊|脚酸 腳痠|脱发 脫髮|脱发剂 脫髮劑|脱离关系 脫離關係|脱谷机 脫穀機|脺脏 脺臟|脾脏 脾臟|腊之以为饵 腊之以爲餌|腌䐶 腌䐶|腌制 醃製|腌臜 腌臢|腌里巴臜 腌裏巴臢|腐干 腐乾|腑脏 腑臟|腕表 腕錶|腮斗 腮斗|腰一卷 腰一捲',
+    '腰扣 腰釦|腰杆 腰桿|腰杆子 腰桿子|腰系 腰繫|腰花面 腰花麪|腰酸 腰痠|腰间系 腰間繫|腾升 騰昇|腾捷飞升 騰捷飛升|腾格里 騰格里|腾格里山 騰格里山|腾格里沙漠 騰格里沙漠|腾格里湖 騰格里湖|腿酸 腿痠|膨土岩 膨土岩|膨松 膨鬆|膨松剂 膨鬆劑|膨胀系数 膨脹係數|膻中 膻中|膻中穴 膻中穴|臂一卷 臂一捲|臊子面 臊子麪|臧谷亡羊 臧穀亡羊|自制炸弹 自製炸彈|自动表 自動錶|自干五 自乾五|自然卷 自然捲|自鸣钟 自鳴鐘|臭局 臭侷|臭气冲天 臭氣沖天|臭气熏天 臭氣熏天|臭熏熏 臭燻燻|致密 緻密|舂谷 舂穀|舄卤 舄鹵|舆地志 輿地志|舆尸 輿尸|舌一卷 舌一捲|舌叶音 舌葉音|舌干唇焦 舌乾脣焦',
+    '舍下他 捨下他|舍下你 捨下你|舍下她 捨下她|舍下我 捨下我|舍不得 捨不得|舍出 捨出|舍去 捨去|舍命 捨命|舍命救人 捨命救人|舍堕 捨墮|舍安就危 捨安就危|舍实 捨實|舍实求虚 捨實求虛|舍己 捨己|舍己为人 捨己爲人|舍己为公 捨己爲公|舍己为国 捨己爲國|舍己从人 捨己從人|舍己就人 捨己就人|舍己成人 捨己成人|舍己救人 捨己救人|舍己芸人 捨己芸人|舍弃 捨棄|舍得 捨得|舍我其谁 捨我其誰|舍我复谁 捨我復誰|舍旧迎新 捨舊迎新|舍本 捨本|舍本事末 捨本事末|舍本逐末 捨本逐末|舍本问末 捨本問末|舍正从邪 捨正從邪|舍死忘生 捨死忘生|舍生 捨生|舍生取义 捨生取義|舍生存义 舍生存義|舍生忘死 捨生忘死|舍短从长 捨短從長|舍短取长 捨短取長|舍短录长 捨短錄長',
+    '舍短用长 捨短用長|舍身 捨身|舍身为国 捨身爲國|舍身图报 捨身圖報|舍身报国 捨身報國|舍身救人 捨身救人|舍身求法 捨身求法|舍车保帅 捨車保帥|舍近务远 捨近務遠|舍近即远 捨近即遠|舍近求远 捨近求遠|舍近谋远 捨近謀遠|舒卷 舒捲|舒卷自如 舒捲自如|舔干净 舔乾淨|舞后 舞后|舞水端里 舞水端里|航海历 航海曆|航海历史 航海歷史|航海日志 航海日誌|舰只 艦隻|舳舻千里 舳艫千里|船只 船隻|船夫 船伕|船娘 船孃|船钟 船鐘|良价 良价|艰巨 艱鉅|艰苦备尝 艱苦備嚐|色情杂志 色情雜誌|色欲 色慾|艳后 豔后|艸木丰丰 艸木丰丰|艾回 艾迴|艾瑞里 艾瑞里|艾米里 艾米里|艾维斯普里斯莱 艾維斯普里斯萊|艾里亚森 艾里亞森|艾里斯 艾里斯|艾里森 艾里森',
+    '艾里西 艾里西|艾里西湖 艾里西湖|艾里西湖镇 艾里西湖鎮|艾里赛宫 艾里賽宮|节日里 節日裏|节欲 節慾|芒果干 芒果乾|芝柏表 芝柏錶|芦席 蘆蓆|花卷 花捲|花发老 花髮老|花哄 花鬨|花岗岩 花崗岩|花岗岩质层 花崗岩質層|花庵词选 花菴詞選|花心萝卜 花心蘿蔔|花样游泳 花樣游泳|花椒面 花椒麪|花胡同 花衚衕|花药 花葯|花药瓣 花葯瓣|花采 花采|花里活 花里活|花钟 花鐘|花马吊嘴 花馬弔嘴|芸苔 蕓薹|芸薹 蕓薹|芸辉 蕓輝|苇席 葦蓆|苇苕系巢 葦苕繫巢|苍发 蒼髮|苍术 蒼朮|苏公堤 蘇公隄|苏打饼干 蘇打餅乾|苏昆 蘇崑|苏杯 蘇盃|苏格兰折耳猫 蘇格蘭摺耳貓|苏醒 甦醒|苏醒剂 甦醒劑|苏醒过来 甦醒過來',
+    '苏里 蘇里|苏里南河 蘇里南河|苏里安提沙洛索 蘇里安提沙洛索|苜蓿长栏干 苜蓿長欄干|若干 若干|若干个 若干個|若干人 若干人|若干周 若干週|若干周围 若干周圍|若干周边 若干周邊|若干周遭 若干周遭|若干年 若干年|苦卤 苦鹵|苦参 苦蔘|苦瓜干 苦瓜乾|英王面包 英王麪包|英里 英里|苹果干 蘋果乾|苹萦 苹縈|范仲淹 范仲淹|范伦铁诺 范倫鐵諾|范佩西 范佩西|范光群 范光羣|范公 范公|范公偁 范公偁|范公堤 范公堤|范冰冰 范冰冰|范县 范縣|范叔 范叔|范可钦 范可欽|范各庄 范各莊|范哈能 范哈能|范嘉骅 范嘉驊|范国铨 范國銓|范坝 范壩|范增 范增|范士丹 范士丹|范太史 范太史|范姜 范姜|范家 范家',
+    '范宽 范寬|范寨 范寨|范小姐 范小姐|范尼斯特鲁伊 范尼斯特魯伊|范履霜 范履霜|范岗 范崗|范张鸡黍 范張雞黍|范德机 范德機|范德林特 范德林特|范德格拉夫 范德格拉夫|范德瓦耳斯 范德瓦耳斯|范德瓦耳斯力 范德瓦耳斯力|范德维德 范德維德|范德萨 范德薩|范志毅 范志毅|范忠宣 范忠宣|范戈德 范戈德|范成大 范成大|范文同 范文同|范文正 范文正|范文正公 范文正公|范文澜 范文瀾|范文照 范文照|范文程 范文程|范文芳 范文芳|范文藤 范文藤|范文虎 范文虎|范斯坦 范斯坦|范晓萱 范曉萱|范晔 范曄|范村 范村|范桥 范橋|范植伟 范植偉|范植谷 范植谷|范楼 范樓|范欣妤 范欣妤|范正祥 范正祥|范氏 范氏|范洪森 范洪森|范湘暄 范湘暄',
+    '范特尔 范特爾|范特西 范特西|范玮琪 范瑋琪|范琪斐 范琪斐|范甘迪 范甘迪|范登堡 范登堡|范皓阗 范皓闐|范筱梵 范筱梵|范纲武 范綱武|范织钦 范織欽|范绮馨 范綺馨|范罗山 范羅山|范范之辈 范範之輩|范营 范營|范蠡 范蠡|范进 范進|范逸臣 范逸臣|范里 范里|范镇 范鎮|范阳 范陽|范陈柏 范陳柏|范集 范集|范雎 范雎|范靖瑶 范靖瑤|茵借 茵藉|茶几 茶几|茶已干 茶已乾|茶面 茶麪|茶面子 茶麪子|荆尸 荊尸|草原千里 草原千里|草字汇 草字彙|草席 草蓆|草庵 草菴|草签 草簽|草荐 草荐|草莓干 草莓乾|荐居 荐居|荐臻 荐臻|荐饥 荐饑',
+    '荒年谷 荒年穀|荔枝干 荔枝乾|荞面 蕎麪|荞麦面 蕎麥麪|荡出 盪出|荡到 盪到|荡口 盪口|荡垢涤污 盪垢滌污|荡寒 盪寒|荡开 盪開|荡悠悠 盪悠悠|荡来荡去 盪來盪去|荡检逾闲 蕩檢逾閑|荡气回肠 蕩氣迴腸|荡气回阳 蕩氣迴陽|荡涤 盪滌|荡漾 盪漾|荡漾出 盪漾出|荡秋千 盪鞦韆|荡舟 盪舟|荡船 盪船|荡荡悠悠 盪盪悠悠|荡酒 盪酒|荡风 盪風|荣归故里 榮歸故里|荣登后座 榮登后座|荦确 犖确|荫庇 廕庇|荫生 廕生|荫监 廕監|荫袭 廕襲|药皂 藥皂|药而愈 藥而癒|药面儿 藥麪兒|荷里活 荷里活|莒光周 莒光週|莜面 莜麪|莫余毒也 莫余毒也|莫布里 莫布里|莫干山 莫干山',
+    '莫扎里拉 莫扎里拉|莫索里尼 莫索里尼|莫蹪于山而蹪于垤 莫蹪於山而蹪於垤|莫里 莫里|莫里叶 莫里葉|莫里哀 莫里哀|莫里尼奥 莫里尼奧|莫里希 莫里希|莫里斯 莫里斯|莫里森 莫里森|莫里纳 莫里納|莱彩北堂 萊綵北堂|莱里达 萊里達|莲须 蓮鬚|获准 獲准|莽卤 莽鹵|菁英杯 菁英盃|菜干 菜乾|菜苔 菜薹|菠菜面 菠菜麪|菠萝干 菠蘿乾|萝卜 蘿蔔|萝卜头 蘿蔔頭|萝卜干 蘿蔔乾|萝卜精 蘿蔔精|萝卜精头上青 蘿蔔精頭上青|萝卜糕 蘿蔔糕|萝卜腿 蘿蔔腿|萦回 縈迴|萦系 縈繫|萧参 蕭蔘|萧太后 蕭太后|萧行范篆 蕭行范篆|萨列里 薩列里|萨布里 薩布里|萨布里多 薩布里多|萨瓦里 薩瓦里|萨里 薩里|萨里郡 薩里郡|落发 落髮',
+    '落发为僧 落髮爲僧|落地签证 落地簽證|落月屋梁 落月屋樑|落腮胡 落腮鬍|葑菲之采 葑菲之采|葛拉斯里 葛拉斯里|葛斯范桑 葛斯范桑|葛里芬 葛里芬|葡萄干 葡萄乾|葡萄干儿 葡萄乾兒|董氏封发 董氏封髮|董里府 董里府|葱姜蒜 蔥薑蒜|葱油面 蔥油麪|葱胡子 蔥鬍子|葱葱郁郁 蔥蔥郁郁|葵涌 葵涌|蒋国梁 蔣國樑|蒋百里 蔣百里|蒙事 矇事|蒙住 矇住|蒙在鼓里 矇在鼓裏|蒙头 矇頭|蒙头大睡 矇頭大睡|蒙头衲被 矇頭衲被|蒙头转 矇頭轉|蒙头转向 矇頭轉向|蒙懂 懞懂|蒙昧 矇昧|蒙昧不清 濛昧不清|蒙昧无知 矇昧無知|蒙松雨 濛鬆雨|蒙汜 濛汜|蒙混 矇混|蒙混过关 矇混過關|蒙直 懞直|蒙眬 矇矓|蒙眼 矇眼|蒙瞍 矇瞍|蒙聩 矇聵',
+    '蒙蒙 濛濛|蒙蒙亮 矇矇亮|蒙蒙懂懂 懞懞懂懂|蒙蒙眬眬 矇矇矓矓|蒙蒙细雨 濛濛細雨|蒙蒙谷 濛濛谷|蒙蒙黑 矇矇黑|蒙蔽 矇蔽|蒙雾 濛霧|蒙雾露 濛霧露|蒙面人 蒙面人|蒙骗 矇騙|蒙鸿 濛鴻|蒜发 蒜髮|蒜苔 蒜薹|蒸发量 蒸發量|蒸干 蒸乾|蒸汽熨斗 蒸汽熨斗|蒸面 蒸麪|蒿里 蒿里|蓄发 蓄髮|蓄胡 蓄鬍|蓄长发 蓄長髮|蓄须 蓄鬚|蓄须明志 蓄鬚明志|蓝发 藍髮|蓝胡子 藍鬍子|蓝采和 藍采和|蓬发 蓬髮|蓬松 蓬鬆|蓬蓬松松 蓬蓬鬆鬆|蕴借 蘊藉|蕴借含蓄 蘊藉含蓄|薄幸 薄倖|薄幸人 薄倖人|薄松松 薄鬆鬆|薙发 薙髮|薙发令 薙髮令|薛松干 薛松乾|薝卜 薝蔔',
+    '薰修 薰脩|藏历 藏曆|藏蒙歌儿 藏矇歌兒|藤制 藤製|虎皮松 虎皮松|虎须 虎鬚|虚冲 虛沖|虚拟通道标志符 虛擬通道標誌符|虫部 虫部|虬须 虯鬚|虮虱相吊 蟣蝨相弔|虱目鱼 虱目魚|虾仁面 蝦仁麪|虾干 蝦乾|虾球面 蝦球麪|虾须 蝦鬚|蚁后 蟻后|蚝涌 蠔涌|蚵仔面线 蚵仔麪線|蛇发女妖 蛇髮女妖|蛇皮松 蛇皮松|蛇纹岩 蛇紋岩|蛇绿岩 蛇綠岩|蛇绿混杂岩 蛇綠混雜岩|蛇绿混杂岩带 蛇綠混雜岩帶|蛏干 蟶乾|蛮干净 蠻乾淨|蛮干爽 蠻乾爽|蜂后 蜂后|蜗杆 蝸桿|蜡月 蜡月|蜡祭 蜡祭|螺旋杆菌 螺旋桿菌|螺旋面 螺旋麪|螺杆 螺桿|蟠采 蟠采|蟹黄鲍鱼面 蟹黃鮑魚麪|蠹啄剖梁柱 蠹啄剖樑柱|血制品 血製品|血参 血蔘',
+    '血已干 血已乾|血才干 血纔乾|血缘关系 血緣關係|血胡同 血衚衕|衅钟 釁鐘|行万里路 行萬里路|行万里路胜读万卷书 行萬里路勝讀萬卷書|行万里路读万卷书 行萬里路讀萬卷書|行事历 行事曆|行事历史 行事歷史|行佣 行佣|行兵布阵 行兵佈陣|行千里路读万卷书 行千里路讀萬卷書|行成于思 行成於思|行李卷 行李捲|行百里 行百里|行百里者半于九十 行百里者半於九十|行针 行鍼|行针布线 行鍼佈線|行针走线 行鍼走線|衍声复词 衍聲複詞|街坊邻里 街坊鄰里|街里街坊 街里街坊|衣不兼采 衣不兼采|衣不完采 衣不完采|衣不重采 衣不重采|衣扣 衣釦|衣摆 衣襬|衣斗木 衣斗木|衣物已干 衣物已乾|衣物渐干 衣物漸乾|衣衫已干 衣衫已乾|衣锦夜游 衣錦夜游|衣锦昼游 衣錦晝游|补扣 補釦|补注 補註|表停 錶停|表冠 錶冠|表厂 錶廠|表壳 錶殼',
+    '表壳儿 錶殼兒|表带 錶帶|表店 錶店|表快 錶快|表慢 錶慢|表板 錶板|表款 錶款|表演欲 表演慾|表王 錶王|表的历史 錶的歷史|表的嘀嗒 錶的嘀嗒|表盘 錶盤|表蒙子 錶蒙子|表行 錶行|表转 錶轉|表速 錶速|表针 錶針|表链 錶鏈|衲被蒙头 衲被蒙頭|袁于令 袁于令|袁友范 袁友范|袅窕 裊窕|袅绕 裊繞|袅袅上升 裊裊上升|袅袅炊烟 裊裊炊煙|袋表 袋錶|袖一卷 袖一捲|袖扣 袖釦|被人背 被人揹|被动吸烟 被動吸菸|被动挨打 被動挨打|被发 被髮|被发佯狂 被髮佯狂|被发入山 被髮入山|被发左衽 被髮左衽|被发文身 被髮文身|被发现 被發現|被发缨冠 被髮纓冠|被发觉 被發覺|被发阳狂 被髮陽狂',
+    '被复 被複|被头散发 被頭散髮|袭卷 襲捲|裁制 裁製|裁并 裁併|装岩机 裝岩機|装折 裝摺|裒克 裒剋|裙带关系 裙帶關係|裙摆 裙襬|裤带面 褲帶麪|裤扣 褲釦|裴里诺 裴里諾|裸岩 裸岩|裹扎 裹紮|褒赞 褒讚|褒采一介 褒采一介|西利古里 西利古里|西历 西曆|西历纪元 西曆紀元|西发里亚条约 西發里亞條約|西后 西后|西周钟 西周鐘|西太后 西太后|西征 西征|西斗星君 西斗星君|西斗铺 西斗鋪|西梅干 西梅乾|西洋参 西洋參|西涌 西涌|西点面包 西點麪包|西米谷 西米谷|西西里 西西里|西西里岛 西西里島|西谷米 西谷米|西谷米冻 西谷米凍|西里 西里|西里尔 西里爾|西里尔字母 西里爾字母|西里西亚 西里西亞',
+    '要克制 要剋制|要占卜 要占卜|要干了 要乾了|要怎么收获先怎么栽 要怎麼收穫先怎麼栽|见之不取思之千里 見之不取思之千里|见复 見覆|见物不取失之千里 見物不取失之千里|见素抱朴 見素抱樸|见鉴 見鑒|见钟不打 見鐘不打|见钟不打更去炼铜 見鐘不打更去煉銅|观光周 觀光週|观光签证 觀光簽證|觊幸 覬倖|角砾岩 角礫岩|角里 角里|角页岩 角頁岩|觔斗 觔斗|觔斗云 觔斗雲|解发佯狂 解髮佯狂|解扣 解釦|解溪 解谿|解溪穴 解谿穴|解铃仍须系铃人 解鈴仍須繫鈴人|解铃系铃 解鈴繫鈴|解铃还是系铃人 解鈴還是繫鈴人|解铃还须系铃人 解鈴還須繫鈴人|触发式 觸發式|触须 觸鬚|言云 言云|言大而夸 言大而夸|言辩而确 言辯而确|詹志维 詹誌維|警世钟 警世鐘|警寤钟 警寤鐘|警报钟 警報鐘|警示钟 警示鐘|警钟 警鐘|计时表 計時錶|计算机制图 計算機製圖',
+    '计算机集成制造 計算機集成製造|订制 訂製|订制服 訂製服|订杂志 訂雜誌|认制修 認製修|讨面皮 討面皮|许人丰 許人丰|许圣杰 許聖杰|许愿起经 許愿起經|设鼓悬钟 設鼓懸鐘|证明了 證明了|评核 評覈|评注 評註|诋毁 詆譭|词汇 詞彙|词汇分解 詞彙分解|词汇判断 詞彙判斷|词汇判断任务 詞彙判斷任務|词汇判断作业 詞彙判斷作業|词汇判断法 詞彙判斷法|词汇学 詞彙學|词汇通路 詞彙通路|词语汇 詞語彙|词采 詞采|译制 譯製|译注 譯註|诔赞 誄讚|试制 試製|试验台 試驗檯|诗云 詩云|诗云子曰 詩云子曰|诗词曲语辞汇释 詩詞曲語辭匯釋|诗赞 詩讚|诗钟 詩鐘|诠注 詮註|该钟 該鐘|详注 詳註|诬蔑 誣衊|诬蔑性 誣衊性|语云 語云',
+    '语有云 語有云|语汇 語彙|诱发型 誘發型|诱发式 誘發式|诱奸 誘姦|说东斗 說東斗|说岳 說岳|说岳全传 說岳全傳|说明了 說明了|说西斗 說西斗|诵念 誦唸|请勿吸烟 請勿吸菸|请您回复 請您回覆|请托 請託|诺里 諾里|读万卷书行万里路 讀萬卷書行萬里路|读不舍手 讀不捨手|课后复习 課後複習|谁干净 誰乾淨|谁干的 誰幹的|调制 調製|调制出 調製出|调制法 調製法|调制波 調製波|调弦 調絃|调表 調錶|调钟表 調鐘錶|谢里 謝里|谢里夫 謝里夫|谦冲 謙沖|谦冲自牧 謙沖自牧|谬以千里 謬以千里|谬赞 謬讚|谷人 穀人|谷仓 穀倉|谷保家商 穀保家商|谷口耕岩 谷口耕岩|谷圭 穀圭|谷场 穀場|谷城 穀城',
+    '谷城县 穀城縣|谷壳 穀殼|谷子 穀子|谷日 穀日|谷旦 穀旦|谷梁 穀梁|谷梁传 穀梁傳|谷氨酰胺 穀氨酰胺|谷氨酸 穀氨酸|谷物 穀物|谷皮 穀皮|谷神星 穀神星|谷穗 穀穗|谷米 穀米|谷类 穀類|谷类作物 穀類作物|谷粉 穀粉|谷粒 穀粒|谷糠 穀糠|谷舱 穀艙|谷苗 穀苗|谷草 穀草|谷贱伤农 穀賤傷農|谷贵饿农 穀貴餓農|谷贵饿农谷贱伤农 穀貴餓農穀賤傷農|谷道 穀道|谷里 谷里|谷里街道 谷里街道|谷阳 穀陽|谷阳县 穀陽縣|谷阳竖 穀陽豎|谷阳街道 谷陽街道|谷阳郡 穀陽郡|谷阳镇 穀陽鎮|谷雨 穀雨|谷风 穀風|谷食 穀食|豆制品 豆製品|豆干 豆乾|豆干展 豆乾展',
+    '豆干肉丝 豆干肉絲|豆签 豆簽|豆腐干 豆腐乾|豆面 豆麪|豪厘千里 豪釐千里|豪情逸致 豪情逸致|豪气干云 豪氣干雲|贝他系数 貝他係數|贝胄 貝冑|贝里 貝里|贝里拉 貝里拉|贝里斯 貝里斯|负图之托 負圖之托|负笈千里 負笈千里|贡烟 貢菸|财产关系 財產關係|财布施 財佈施|贤后 賢后|贪欲 貪慾|贪欲无艺 貪慾無藝|购买欲 購買慾|购并 購併|购并案 購併案|购物欲 購物慾|贯斗 貫斗|贵价 貴价|贵筑 貴筑|贵筑县 貴筑縣|贸易伙伴 貿易伙伴|费尔干纳 費爾干納|费尔干纳槃地 費爾干納槃地|费尔干纳盆地 費爾干納盆地|费里克斯 費里克斯|费里克斯布朗 費里克斯布朗|费里尼 費里尼|费里斯特 費里斯特|贺后骂殿 賀后罵殿|贾后 賈后|贾里尔 賈里爾|资溪 資谿',
+    '赈饥 賑饑|赌台 賭檯|赏赞 賞讚|赐恤 賜卹|赛里木湖 賽里木湖|赞一句 讚一句|赞一声 讚一聲|赞一赞 讚一讚|赞不绝口 讚不絕口|赞两句 讚兩句|赞个不 讚個不|赞乐 讚樂|赞了 讚了|赞佩 讚佩|赞佩不已 讚佩不已|赞口不 讚口不|赞叹 讚歎|赞叹不已 讚歎不已|赞叹声 讚歎聲|赞呗 讚唄|赞我 讚我|赞扬 讚揚|赞歌 讚歌|赞的 讚的|赞美 讚美|赞美有加 讚美有加|赞美歌 讚美歌|赞美诗 讚美詩|赞羡 讚羨|赞自己 讚自己|赞誉 讚譽|赞誉为 讚譽爲|赞许 讚許|赞词 讚詞|赞语 讚語|赞赏 讚賞|赞赏不已 讚賞不已|赞辞 讚辭|赞道 讚道|赞颂 讚頌',
+    '赤地千里 赤地千里|赤术 赤朮|赤绳系足 赤繩繫足|赫弗里希 赫弗里希|赫里斯 赫里斯|赫里斯登科 赫里斯登科|走回路 走迴路|走娘家 走孃家|赵坤郁 趙坤郁|赶制 趕製|赶面棍 趕麪棍|起哄 起鬨|起扑杆 起撲桿|起根发脚 起根發腳|超友谊关系 超友誼關係|超基性岩 超基性岩|超大曲道赛 超大曲道賽|超级台风 超級颱風|超级杯 超級盃|超赞 超讚|趋吉避凶 趨吉避凶|足协杯 足協盃|足总杯 足總盃|跋涉千里 跋涉千里|跎纤 跎縴|跑台子 跑檯子|跖犬吠尧 跖犬吠堯|跖狗吠尧 跖狗吠堯|跖蹻 跖蹻|跛鳖千里 跛鱉千里|跟他一斗 跟他一鬥|跟斗 跟斗|跬步千里 跬步千里|路志 路誌|路码表 路碼表|路里 路里|跳只舞 跳隻舞|跳梁 跳樑|跳梁小丑 跳樑小丑|跳梁猖獗之小丑 跳樑猖獗之小丑',
+    '跳表 跳錶|踅门了户 踅門瞭戶|踬仆 躓仆|蹀里蹀斜 蹀里蹀斜|蹻跖 蹻跖|躏借 躪藉|身体发肤 身體髮膚|身系囹圄 身繫囹圄|躬擐甲胄 躬擐甲冑|车仔面 車仔麪|车夫 車伕|车斗 車斗|车载斗量 車載斗量|车里雅宾斯克 車里雅賓斯克|车马夫 車馬伕|轧制 軋製|转关系 轉關係|转台 轉檯|转向往 轉向往|转意回心 轉意回心|转战千里 轉戰千里|转托 轉託|转斗千里 轉鬥千里|转日回天 轉日回天|转注 轉註|转注字 轉註字|转游 轉游|转速表 轉速錶|轮回 輪迴|轮奸 輪姦|轮流干 輪流幹|软不叮当 軟不叮噹|软肥皂 軟肥皂|软软松松 軟軟鬆鬆|软面筋 軟麪筋|轴舻千里 軸艫千里|轻度台风 輕度颱風|轻扣 輕釦|轻松 輕鬆|轻松地 輕鬆地',
+    '轻松愉快 輕鬆愉快|轻松自在 輕鬆自在|轻松自如 輕鬆自如|轻轻松松 輕輕鬆鬆|轿夫 轎伕|辉绿岩 輝綠岩|辉长岩 輝長岩|辐射警告标志 輻射警告標誌|输征 輸征|辛丑 辛丑|辛丑和约 辛丑和約|辛丑条约 辛丑條約|辛辣面 辛辣麪|辛里希 辛里希|辞汇 辭彙|辞采 辭采|辟世 辟世|辟举 辟舉|辟书 辟書|辟人之士 辟人之士|辟匿 辟匿|辟历施鞭 辟歷施鞭|辟召 辟召|辟君三舍 辟君三舍|辟命 辟命|辟咡 辟咡|辟廱 辟廱|辟引 辟引|辟恶 辟惡|辟恶除患 辟惡除患|辟支佛 辟支佛|辟易 辟易|辟淫 辟淫|辟然 辟然|辟纑 辟纑|辟色 辟色|辟芷 辟芷|辟言 辟言|辟谷 辟穀|辟谷绝粒 辟穀絕粒',
+    '辟辟 闢辟|辟违 辟違|辟逻 辟邏|辟邪 辟邪|辟邪以律 闢邪以律|辟雍 辟雍|辟雍砚 辟雍硯|辣椒面 辣椒麪|辨奸论 辨姦論|辫发 辮髮|辰溪 辰谿|辱游 辱游|辽太后 遼太后|辽沈 遼瀋|达欣杯 達欣盃|迁思回虑 遷思迴慮|迂回 迂迴|迂回奔袭 迂回奔襲|迂回战术 迂迴戰術|迂回曲折 迂迴曲折|过冲 過沖|过几周 過幾週|过境签证 過境簽證|过家伙 過傢伙|过干瘾 過乾癮|过松 過鬆|过梁 過樑|过水面 過水麪|过滤嘴香烟 過濾嘴香菸|迈科里 邁科里|迎斗灯 迎斗燈|运筹千里 運籌千里|近日里 近日裏|返佣 返佣|返还占有 返還占有|返里 返里|还辟 還辟|这几周 這幾週|这出剧 這齣劇|这出好戏 這齣好戲',
+    '这出电影 這齣電影|这只 這隻|这只不 這只不|这只是 這只是|这周 這週|这周围 這周圍|这周边 這周邊|这周遭 這周遭|这钟 這鐘|进口加签权 進口加簽權|远县才至 遠縣纔至|远征 遠征|远征军 遠征軍|远端签入 遠端簽入|远隔千里 遠隔千里|连三并四 連三併四|连带关系 連帶關係|连杆 連桿|连杆机构 連桿機構|连系 連繫|连系词 連繫詞|连系起来 連繫起來|连须胡子 連鬚鬍子|连鬓胡子 連鬢鬍子|迟回 遲迴|迟回观望 遲回觀望|迢迢千里 迢迢千里|迥然回异 迥然迴異|迪拉萨布里 迪拉薩布里|迷奸 迷姦|迷蒙 迷濛|迷迷蒙蒙 迷迷濛濛|迹蹈 蹟蹈|送君千里 送君千里|送报夫 送報伕|逆钟 逆鐘|逆钟向 逆鐘向|选手表决 選手表決|选手表明 選手表明|选手表现 選手表現',
+    '选手表示 選手表示|选手表达 選手表達|选美皇后 選美皇后|逋发 逋髮|逐末舍本 逐末捨本|递回 遞迴|递回去 遞回去|递回来 遞回來|递推关系 遞推關係|通历 通曆|通奸 通姦|通奸罪 通姦罪|通布图 通佈圖|通心面 通心麪|通车里程 通車里程|速食面 速食麪|造岩矿物 造岩礦物|造曲 造麴|造钟 造鐘|造钟表 造鐘錶|逢凶化吉 逢凶化吉|逮系 逮繫|逸游自恣 逸游自恣|逸致 逸緻|逼上梁山 逼上梁山|逼并 逼併|逾闲荡检 逾閑蕩檢|遄征 遄征|遇风后 遇風後|遍布 遍佈|道冲 道沖|道咸 道咸|道里 道里|道里区 道里區|道鉴 道鑒|遗传钟 遺傳鐘|遗葑菲采 遺葑菲采|遗迹 遺蹟|避凶就吉 避凶就吉|避凶趋吉 避凶趨吉',
+    '邑里 邑里|那几周 那幾週|那出剧 那齣劇|那出好戏 那齣好戲|那出电影 那齣電影|那卷 那捲|那只 那隻|那只是 那只是|那只有 那只有|那周 那週|那周围 那周圍|那周边 那周邊|那周遭 那周遭|邪不干正 邪不干正|邪辟 邪辟|邱富郁 邱富郁|邱郁婷 邱郁婷|邵廷采 邵廷采|邻里 鄰里|邻里乡党 鄰里鄉黨|邻里长 鄰里長|郁哉 郁哉|郁多罗 郁多羅|郁朴 郁樸|郁李 郁李|郁烈 郁烈|郁离子 郁離子|郁穆 郁穆|郁达夫 郁達夫|郁迦罗越 郁迦羅越|郁郁 鬱郁|郁郁不乐 鬱鬱不樂|郁郁不平 鬱鬱不平|郁郁寡欢 鬱鬱寡歡|郁郁而终 鬱鬱而終|郁郁菲菲 郁郁菲菲|郁郁葱葱 鬱鬱蔥蔥|郁郁青青 郁郁青青|郁馥 郁馥|郎潜白发 郎潛白髮',
+    '郑余豪 鄭余豪|郑凯云 鄭凱云|郑家钟 鄭家鐘|郑易里 鄭易里|郑重宣布 鄭重宣佈|郘钟 郘鐘|郝铭鉴 郝銘鑒|郭台成 郭台成|郭台铭 郭台銘|郭子干 郭子乾|郭采洁 郭采潔|都俞吁咈 都俞吁咈|都舍下 都捨下|酉溪 酉谿|配制 配製|配制饲料 配制飼料|配水干管 配水幹管|配膳台 配膳檯|酒坛 酒罈|酒已干 酒已乾|酒帘 酒帘|酒帘子 酒帘子|酒干了 酒乾了|酒干尽 酒乾盡|酒干掉 酒乾掉|酒曲 酒麴|酒气冲天 酒氣沖天|酒气熏人 酒氣熏人|酒游花 酒游花|酒醴曲蘖 酒醴麴櫱|酝借 醞藉|酥松 酥鬆|酥松可口 酥鬆可口|酥松油脂 酥鬆油脂|酥签 酥簽|酱面 醬麪|酸懒 痠懶|酸疼 痠疼|酸痛 痠痛|酸菜鱼面 酸菜魚麪',
+    '酸软 痠軟|酸辣面 酸辣麪|酸麻 痠麻|酿制 釀製|醇郁 醇郁|醉熏熏 醉熏熏|醋坛 醋罈|醋坛子 醋罈子|采光剖璞 采光剖璞|采兰赠芍 采蘭贈芍|采制 採製|采及葑菲 采及葑菲|采地 采地|采声 采聲|采头 采頭|采女 采女|采椽不斫 采椽不斲|采椽不斲 采椽不斲|采烈 采烈|采石之役 采石之役|采石之战 采石之戰|采绿 采綠|采缉 采緝|采色 采色|采芑 采芑|采芹 采芹|采芹人 採芹人|采苓 采苓|采菽 采菽|采葛 采葛|采薇 采薇|采薪之忧 采薪之憂|采薪之疾 采薪之疾|采蘩 采蘩|采衣 采衣|采诗 采詩|采邑 采邑|采采 采采|采风录 采風錄|里乘 里乘',
+    '里亚 里亞|里人 里人|里仁 里仁|里仁为美 里仁爲美|里克特 里克特|里党 里黨|里兹 里茲|里加 里加|里包恩 里包恩|里名 里名|里君 里君|里咽 裏嚥|里士满 里士滿|里奇蒙 里奇蒙|里契蒙 里契蒙|里奥 里奧|里奥斯 里奧斯|里奥格兰德 里奧格蘭德|里宰 里宰|里尔 里爾|里尔队 里爾隊|里尼 里尼|里居 里居|里巷 里巷|里布 里布|里希特霍芬 里希特霍芬|里弄 里弄|里弗赛德 里弗賽德|里扣 里扣|里拉 里拉|里斯 里斯|里斯本 里斯本|里昂 里昂|里昂市 里昂市|里昂队 里昂隊|里望 里望|里望乡 里望鄉|里木店 里木店|里根 里根|里欧 里歐',
+    '里欧斯 里歐斯|里正 里正|里氏 里氏|里氏震级 里氏震級|里民 里民|里民大会 里民大會|里港 里港|里港乡 里港鄉|里漏社 里漏社|里漏部落 里漏部落|里特维宁科 里特維寧科|里瓦几亚条约 里瓦幾亞條約|里瓦尔多 里瓦爾多|里甲 里甲|里社 里社|里科 里科|里程 里程|里程碑 里程碑|里程碑式 里程碑式|里程表 里程錶|里程计 里程計|里约 里約|里约热内卢 里約熱內盧|里纳 里納|里维拉 里維拉|里美 里美|里老 里老|里耳 里耳|里肌 里肌|里胥 里胥|里舍 里舍|里蒙诺夫 里蒙諾夫|里语 里語|里谈巷议 里談巷議|里谚 里諺|里豪 里豪|里贝利 里貝利|里贾纳 里賈納|里路 里路|里邻长 里鄰長',
+    '里长 里長|里长伯 里長伯|里门 里門|里闬 里閈|里闾 里閭|重制 重製|重复 重複|重复使用 重複使用|重复启动效应 重複啓動效應|重复式 重複式|重复本 重複本|重复法 重複法|重复节 重複節|重复记录 重複記錄|重复语境 重複語境|重复课税 重複課稅|重庆小面 重慶小麪|重庆小面积 重慶小面積|重托 重託|重折 重摺|重生爷娘 重生爺孃|重罗面 重羅麪|重见复出 重見複出|野姜 野薑|野姜花 野薑花|野胡萝卜 野胡蘿蔔|金乌西坠玉兔东升 金烏西墜玉兔東昇|金仑溪 金崙溪|金伯利岩 金伯利岩|金升圭 金昇圭|金印如斗 金印如斗|金发 金髮|金发女郎 金髮女郎|金发碧眼 金髮碧眼|金属制 金屬製|金属杆 金屬桿|金布道 金布道|金斗 金斗|金杯 金盃|金桔干 金桔乾',
+    '金融杠杆 金融槓桿|金表 金錶|金表态 金表態|金表情 金表情|金表扬 金表揚|金表明 金表明|金表演 金表演|金表现 金表現|金表示 金表示|金表达 金表達|金表露 金表露|金表面 金表面|金装玉里 金裝玉裏|金里奇 金里奇|金钟 金鐘|金钟罩 金鐘罩|金钟铲 金鐘鏟|金链 金鍊|金马仑道 金馬崙道|金黄长发 金黃長髮|釜底游鱼 釜底游魚|针关 鍼關|针口 鍼口|针扣 針釦|针灸 鍼灸|针灸铜人 鍼灸銅人|针灸麻醉 鍼灸麻醉|针砭 鍼砭|针芒 鍼芒|针芥相投 鍼芥相投|针阳谷 鍼陽谷|钉扣 釘釦|钟上 鐘上|钟下 鐘下|钟不 鐘不|钟不扣不鸣 鐘不扣不鳴|钟不撞不鸣 鐘不撞不鳴|钟不敲不响 鐘不敲不響|钟不空则哑 鐘不空則啞|钟乐 鐘樂',
+    '钟乳洞 鐘乳洞|钟乳石 鐘乳石|钟体 鐘體|钟停 鐘停|钟关 鐘關|钟匠 鐘匠|钟发音 鐘發音|钟口 鐘口|钟响 鐘響|钟响声 鐘響聲|钟在寺里 鐘在寺裏|钟塔 鐘塔|钟壁 鐘壁|钟声 鐘聲|钟太 鐘太|钟头 鐘頭|钟好 鐘好|钟山 鐘山|钟山区 鐘山區|钟山县 鐘山縣|钟左右 鐘左右|钟差 鐘差|钟座 鐘座|钟形 鐘形|钟形虫 鐘形蟲|钟律 鐘律|钟快 鐘快|钟慢 鐘慢|钟摆 鐘擺|钟敲 鐘敲|钟有 鐘有|钟楚红 鐘楚紅|钟楼 鐘樓|钟楼区 鐘樓區|钟楼怪人 鐘樓怪人|钟模 鐘模|钟没 鐘沒|钟漏 鐘漏|钟点 鐘點|钟点房 鐘點房',
+    '钟点费 鐘點費|钟王 鐘王|钟珮瑄 鐘珮瑄|钟琴 鐘琴|钟的 鐘的|钟盘 鐘盤|钟相 鐘相|钟磬 鐘磬|钟福松 鐘福松|钟纽 鐘紐|钟罩 鐘罩|钟腰 鐘腰|钟螺 鐘螺|钟行 鐘行|钟表 鐘錶|钟表停 鐘錶停|钟表盘 鐘錶盤|钟被 鐘被|钟调 鐘調|钟身 鐘身|钟速 鐘速|钟面 鐘面|钟顶 鐘頂|钟鸣 鐘鳴|钟鸣漏尽 鐘鳴漏盡|钟鸣鼎食 鐘鳴鼎食|钟鼎 鐘鼎|钟鼎之家 鐘鼎之家|钟鼎人家 鐘鼎人家|钟鼎山林 鐘鼎山林|钟鼎文 鐘鼎文|钟鼎款识 鐘鼎款識|钟鼎高门 鐘鼎高門|钟鼓 鐘鼓|钟鼓齐鸣 鐘鼓齊鳴|钢制 鋼製|钢制品 鋼製品|钢扣 鋼釦|钢梁 鋼樑|钢笔杆 鋼筆桿',
+    '钧复 鈞覆|钧鉴 鈞鑒|钮扣 鈕釦|钱柜杂志 錢櫃雜誌|钱谷 錢穀|钱过北斗 錢過北斗|钻杆 鑽桿|钻石项链 鑽石項鍊|铁制 鐵製|铁扣 鐵釦|铁拐 鐵柺|铁杆 鐵桿|铁板注脚 鐵板註腳|铁板面 鐵板麪|铁钟 鐵鐘|铅制 鉛製|铜制 銅製|铜制品 銅製品|铜山西崩洛钟东应 銅山西崩洛鐘東應|铜扣 銅釦|铜斗儿 銅斗兒|铜斗儿家缘 銅斗兒家緣|铜钟 銅鐘|铝制 鋁製|铝制品 鋁製品|铠胄 鎧冑|铯钟 銫鐘|铲刈 剷刈|铲平 剷平|铲掉 剷掉|铲斗 鏟斗|铲草 剷草|铲铲 剷剷|铲除 剷除|银丝卷 銀絲捲|银丝面 銀絲麪|银制 銀製|银发 銀髮|银发产业 銀髮產業|银发族 銀髮族',
+    '银朱 銀硃|银杯 銀盃|银杯羽化 銀杯羽化|银行利害关系人 銀行利害關係人|银行存折 銀行存摺|银须 銀鬚|铸钟 鑄鐘|铺盖卷儿 鋪蓋捲兒|铺眉扇眼 鋪眉搧眼|铺眉蒙眼 鋪眉蒙眼|链坠 鍊墜|链形 鍊形|链扣 鏈釦|链甲 鍊甲|销毁 銷燬|锁扣 鎖釦|锅伙 鍋伙|锅烧面 鍋燒麪|错综复杂 錯綜複雜|锤炼 錘鍊|锦囊佳制 錦囊佳製|锦回文 錦迴文|锦熏笼 錦熏籠|锦胡同 錦衚衕|锦里 錦里|锲而不舍 鍥而不捨|锻炼 鍛鍊|锻炼出 鍛煉出|锻炼身体 鍛鍊身體|镂金错采 鏤金錯采|镇荣里 鎮榮里|镕岩 鎔岩|镰仓 鎌倉|长几 長几|长历 長曆|长发 長髮|长发屯 長發屯|长发镇 長發鎮|长吁 長吁|长吁短叹 長吁短嘆',
+    '长寿烟 長壽菸|长寿面 長壽麪|长干巷 長干巷|长干曲 長干曲|长干里 長干里|长征 長征|长征军 長征軍|长绳系日 長繩繫日|长绳系景 長繩繫景|长胡 長鬍|长须 長鬚|长须鲸 長鬚鯨|长风万里 長風萬里|门斗 門斗|门里人 門裏人|门里门外 門裏門外|闭一只眼 閉一隻眼|闯炼 闖鍊|闲情逸致 閒情逸致|间不容发 間不容髮|闵凶 閔凶|闵采尔 閔采爾|闷表 悶錶|闹别扭 鬧彆扭|闹哄 鬧鬨|闹哄哄 鬧鬨鬨|闹表 鬧錶|闹钟 鬧鐘|闹铃时钟 鬧鈴時鐘|闹饥荒 鬧饑荒|闻风后 聞風後|闾里 閭里|阑干 闌干|阙里 闕里|阮咸 阮咸|防制法 防制法|防台 防颱|防御 防禦|防御力 防禦力|防御工事 防禦工事',
+    '防御性 防禦性|防御战 防禦戰|防御术 防禦術|防御率 防禦率|防御率王 防禦率王|防御网 防禦網|防毒斗篷 防毒斗篷|防水表 防水錶|阳历 陽曆|阳历年 陽曆年|阳春面 陽春麪|阳溪穴 陽谿穴|阳谷 陽穀|阳谷县 陽穀縣|阳谷穴 陽谷穴|阴占 陰占|阴历 陰曆|阴历年 陰曆年|阴干 陰乾|阴阳历 陰陽曆|阴阳合历 陰陽合曆|阿加莎克里斯蒂 阿加莎克里斯蒂|阿卡提里 阿卡提里|阿咸 阿咸|阿奇里斯 阿奇里斯|阿娘 阿孃|阿尔梅里亚 阿爾梅里亞|阿布贾里布 阿布賈里布|阿布雷尤 阿布雷尤|阿扎伦卡 阿紮倫卡|阿拉干山脉 阿拉干山脈|阿斗 阿斗|阿斯图里亚斯 阿斯圖里亞斯|阿杰 阿杰|阿瓦里德 阿瓦里德|阿赫蒂萨里 阿赫蒂薩裏|阿里 阿里|阿里亚斯 阿里亞斯|阿里地区 阿里地區|阿里山 阿里山',
+    '阿里山之歌 阿里山之歌|阿里山乡 阿里山鄉|阿里山区 阿里山區|阿里山山脉 阿里山山脈|阿里巴巴 阿里巴巴|阿里巴巴与四十大盗 阿里巴巴與四十大盜|阿里斯托芬 阿里斯托芬|阿里斯托芳 阿里斯托芳|阿里曼 阿里曼|阿里桑那 阿里桑那|阿里郎 阿里郎|附注 附註|附膻逐秽 附膻逐穢|附膻逐腥 附膻逐腥|附膻逐臭 附膻逐臭|陆游 陸游|陆詟水栗 陸讋水慄|陈世杰 陳世杰|陈冲 陳沖|陈升 陳昇|陈尹杰 陳尹杰|陈布雷 陳布雷|陈幸嫚 陳倖嫚|陈杰 陳杰|陈汉升 陳漢昇|陈瀛钟 陳瀛鐘|陈炼 陳鍊|陈谷子烂芝麻 陳穀子爛芝麻|陈郁秀 陳郁秀|陈鼎击钟 陳鼎擊鐘|除旧布新 除舊佈新|陨获 隕穫|陪吊 陪弔|陵土未干 陵土未乾|陶制 陶製|陶土制品 陶土製品|隆准许 隆准許|隐几 隱几|隔周 隔週|隔年的皇历 隔年的皇曆',
+    '隔年皇历 隔年皇曆|难分难舍 難分難捨|难割难舍 難割難捨|难咽 難嚥|难挨 難捱|难舍 難捨|难舍难分 難捨難分|难舍难离 難捨難離|难荫 難廕|雄斗斗 雄斗斗|雅游 雅游|雅筑 雅筑|雅致 雅緻|雅鉴 雅鑒|集中托运 集中托運|集体强奸 集體強姦|集注 集註|雕具座 鵰具座|雕心雁爪 鵰心雁爪|雕悍 鵰悍|雕梁 雕樑|雕梁画柱 雕樑畫柱|雕梁画栋 雕樑畫棟|雕翎 鵰翎|雕翎扇 鵰翎扇|雕鹗 鵰鶚|雨露均沾 雨露均霑|雪窗萤几 雪窗螢几|零只 零隻|零周期 零週期|零多只 零多隻|零天后 零天後|零系数 零係數|雷夫范恩斯 雷夫范恩斯|雷德克里夫 雷德克里夫|雾蒙蒙 霧濛濛|震栗 震慄|震荡 震盪|震荡不安 震盪不安|震荡性 震盪性',
+    '霉干菜 黴乾菜|霉气冲天 黴氣沖天|霍乱杆菌 霍亂桿菌|霍里 霍里|青山一发 青山一髮|青帘 青帘|青苹 青苹|青苹果 青蘋果|青蝇吊客 青蠅弔客|非合并 非合併|非吸烟 非吸菸|非意相干 非意相干|非杠杆化 非槓桿化|非游离辐射伤害 非游離輻射傷害|非签不可 非簽不可|非词重复测验 非詞重複測驗|面人 麪人|面人儿 麪人兒|面价 麪價|面包 麪包|面包刀 麪包刀|面包屑 麪包屑|面包师 麪包師|面包师傅 麪包師傅|面包店 麪包店|面包心 麪包心|面包房 麪包房|面包树 麪包樹|面包渣 麪包渣|面包片 麪包片|面包皮 麪包皮|面包粉 麪包粉|面包花 麪包花|面包车 麪包車|面厂 麪廠|面团 麪糰|面团团 面團團|面坊 麪坊|面坯儿 麪坯兒|面塑 麪塑',
+    '面子药 麪子藥|面店 麪店|面恶心善 面惡心善|面房街 麪房街|面房里 麪房里|面摊 麪攤|面摊子 麪攤子|面杖 麪杖|面杖吹火 麪杖吹火|面条 麪條|面条儿 麪條兒|面汤 麪湯|面浆 麪漿|面灰 麪灰|面点 麪點|面点师 麪點師|面点王 麪點王|面疙瘩 麪疙瘩|面白无须 面白無鬚|面皂 面皂|面皮 麪皮|面皮厚 面皮厚|面皮失色 面皮失色|面皮焦黄 面皮焦黃|面皮薄 面皮薄|面皮铁青 面皮鐵青|面码儿 麪碼兒|面碗 麪碗|面票 麪票|面筋 麪筋|面粉 麪粉|面粉袋 麪粉袋|面糊 麪糊|面缸 麪缸|面肥 麪肥|面茶 麪茶|面酱 麪醬|面霸 麪霸|面食 麪食|面食类 麪食類',
+    '面饺 麪餃|面饼 麪餅|面馆 麪館|革制品 革製品|鞋扣 鞋釦|鞣制 鞣製|鞭辟入里 鞭辟入裏|鞭辟近里 鞭辟近裏|韦后 韋后|韩侂胄 韓侂冑|韩制 韓製|韩升洙 韓昇洙|韩国制 韓國製|韩复矩 韓復榘|韩巴里 韓巴里|音像制品 音像製品|音声如钟 音聲如鐘|韶山冲 韶山沖|页岩 頁岩|顶夸克 頂夸克|顶梁柱 頂樑柱|顶梁骨走了真魂 頂樑骨走了真魂|顶针挨住 頂針捱住|项链 項鍊|顺德者吉逆天者凶 順德者吉逆天者凶|顺时钟 順時鐘|顺朱儿 順硃兒|顺钟向 順鐘向|顺风后 順風後|须发 鬚髮|须发展 須發展|须发文 須發文|须发皆白 鬚髮皆白|须发表 須發表|须后水 鬚後水|须子 鬚子|须根 鬚根|须根据 須根據|须毛 鬚毛|须生 鬚生',
+    '须眉 鬚眉|须胡 鬚鬍|须须 鬚鬚|须髯 鬚髯|须髯如戟 鬚髯如戟|须鲨 鬚鯊|须鲸 鬚鯨|顽卤 頑鹵|顽筑舞笈 頑筑舞笈|顾借 顧藉|颁发奖杯 頒發獎盃|颁布 頒佈|颂系 頌繫|颂赞 頌讚|预制 預製|预制构件 預製構件|预托证券 預託證券|领台 領檯|领扣 領釦|领袖欲 領袖慾|颈链 頸鍊|颊须 頰鬚|频数分布 頻數分佈|频率调制 頻率調製|题签 題簽|额发 額髮|额我略历 額我略曆|额我略历史 額我略歷史|颟里颟顸 顢里顢頇|颠仆 顛仆|颠番面皮 顛番面皮|颠颠仆仆 顛顛仆仆|颤栗 顫慄|风刮 風颳|风卷 風捲|风卷残云 風捲殘雲|风后 風后|风土志 風土誌|风声一出 風聲一出|风干 風乾',
+    '风干机 風乾機|风成砂岩 風成砂岩|风斗 風斗|风流别致 風流別緻|风流标致 風流標致|风流蕴借 風流蘊藉|风流酝借 風流醞藉|风湿性心脏病 風溼性心臟病|风物志 風物誌|风胡子 風胡子|风采 風采|风采堂堂 風采堂堂|风里语 風裏語|风险与收益的关系 風險與收益的關係|风马牛不相干 風馬牛不相干|飞刍挽粒 飛芻輓粒|飞刍挽粟 飛芻輓粟|飞刍挽粮 飛芻輓糧|飞升 飛昇|飞征 飛征|飞必冲天 飛必沖天|飞扎 飛紮|飞梁 飛樑|飞燕游龙 飛燕游龍|飞粮挽秣 飛糧輓秣|飞行钟 飛行鐘|食不下咽 食不下咽|食不糊口 食不餬口|食欲 食慾|食欲不佳 食慾不佳|食欲不振 食慾不振|食野之苹 食野之苹|食面 食麪|餍于游乐 饜於游樂|餐台 餐檯|饥年 饑年|饥民 饑民|饥荒 饑荒|饥馑 饑饉|饥馑之岁 饑饉之歲',
+    '饥馑荐臻 饑饉薦臻|饭后钟 飯後鐘|饭团 飯糰|饮胄 飲冑|饰扣 飾釦|饱暖思淫欲 飽暖思淫慾|饱暖生淫欲 飽暖生淫慾|饲喂 飼餵|饼干 餅乾|饼干店 餅乾店|饼干盒 餅乾盒|饿殍枕借 餓殍枕藉|馄饨面 餛飩麪|馆谷 館穀|首只 首隻|首都杯 首都盃|香干 香乾|香斗 香斗|香格里拉 香格里拉|香格里拉县 香格里拉縣|香格里拉怡咖啡 香格里拉怡咖啡|香榭里大道 香榭里大道|香烟 香菸|香烟不绝 香煙不絕|香烟后代 香煙後代|香烟头 香菸頭|香烟盒 香菸盒|香熏 香薰|香熏疗法 香薰療法|香皂 香皂|香蕉干 香蕉乾|香郁 香郁|馥郁 馥郁|马丁杜里荷 馬丁杜里荷|马占山 馬占山|马后练服 馬后練服|马夫 馬伕|马干 馬乾|马德里 馬德里|马德里队 馬德里隊',
+    '马扎 馬紮|马扎尔 馬扎爾|马扎尔语 馬扎爾語|马托格罗索 馬託格羅索|马斯特里赫特 馬斯特里赫特|马来亚玻里尼西亚语系 馬來亞玻里尼西亞語系|马格里布 馬格里布|马苏里拉 馬蘇里拉|马表 馬錶|马车夫 馬車伕|马里亚纳 馬里亞納|马里亚纳海沟 馬里亞納海溝|马里亚纳群岛 馬里亞納羣島|马里克 馬里克|马里内斯科 馬里內斯科|马里奇 馬里奇|马里奥 馬里奧|马里安纳海沟 馬里安納海溝|马里布 馬里布|马里斯 馬里斯|驻扎 駐紮|驻扎地 駐紮地|骀借 駘藉|验核 驗覈|骨坛 骨罈|骨头里挣出来的钱才做得肉 骨頭裏掙出來的錢纔做得肉|骨灰坛 骨灰罈|骨质疏松 骨質疏鬆|骨质疏松症 骨質疏鬆症|骾朴 骾朴|高丽参 高麗蔘|高几 高几|高周波 高週波|高尔基复合体 高爾基複合體|高干扰 高干擾|高干预 高干預|高政升 高政昇|高清愿 高清愿|高筋面粉 高筋麪粉|高良姜 高良薑',
+    '高郁净 高郁淨|髡发 髡髮|髭胡 髭鬍|髭须 髭鬚|髯胡 髯鬍|髼松 髼鬆|鬅松 鬅鬆|鬈发 鬈髮|鬒发 鬒髮|鬓发 鬢髮|鬓发如银 鬢髮如銀|鬓发皆白 鬢髮皆白|鬓发皓然 鬢髮皓然|鬼气冲天 鬼氣沖天|鬼谷子 鬼谷子|鬼门上占卦 鬼門上占卦|魂牵梦系 魂牽夢繫|魏斯里史奈普 魏斯里史奈普|魏郁奇 魏郁奇|魔表 魔錶|鱼丸粗面 魚丸粗麪|鱼干 魚乾|鱼松 魚鬆|鱼梁 魚樑|鱼游釜中 魚游釜中|鱼游釜底 魚游釜底|鱼肉乡里 魚肉鄉里|鱼胄 魚冑|鲁肉面 魯肉麪|鲍德里亚 鮑德里亞|鲗鱼涌 鰂魚涌|鲜于 鮮于|鲜谷王 鮮穀王|鲸须 鯨鬚|鳝鱼面 鱔魚麪|鳞游 鱗游|鸡丝面 雞絲麪|鸡只 雞隻|鸡奸 雞姦|鸡尸牛从 雞尸牛從',
+    '鸡犬升天 雞犬升天|鸡皮鹤发 雞皮鶴髮|鸡肤鹤发 雞膚鶴髮|鸡腿面 雞腿麪|鸡蛋面 雞蛋麪|鸣钟 鳴鐘|鸣钟列鼎 鳴鐘列鼎|鸭子划水 鴨子划水|鸭跖草 鴨跖草|鸿篇巨制 鴻篇鉅製|鸿篇巨著 鴻篇鉅著|鹄发 鵠髮|鹏程万里 鵬程萬里|鹘仑吞枣 鶻崙吞棗|鹤发 鶴髮|鹤发童颜 鶴髮童顏|鹤吊 鶴弔|鹰嘴豆面粉 鷹嘴豆麪粉|鹰扬万里 鷹揚萬里|鹰雕 鷹鵰|鹿门采药 鹿門采藥|麦格里 麥格里|麦科里 麥科里|麸皮面包 麩皮麪包|麻杆 麻桿|麻涌 麻涌|麻辣面 麻辣麪|麻酱面 麻醬麪|麻雀虽小五脏俱全 麻雀雖小五臟俱全|黄东梁 黃東樑|黄仁杰 黃仁傑|黄俊杰 黃俊杰|黄历 黃曆|黄发 黃髮|黄发儿齿 黃髮兒齒|黄发垂髫 黃髮垂髫|黄发鲐背 黃髮鮐背|黄岩 黃岩|黄岩区 黃巖區|黄岩岛 黃巖島',
+    '黄干黑瘦 黃乾黑瘦|黄旭升 黃旭昇|黄曲毒素 黃麴毒素|黄曲霉 黃麴黴|黄曲霉毒素 黃麴黴毒素|黄曲霉菌 黃麴黴菌|黄果树瀑布 黃菓樹瀑布|黄珮筑 黃珮筑|黄育杰 黃育杰|黄郁涵 黃郁涵|黄郁茹 黃郁茹|黄金周 黃金週|黄金存折 黃金存摺|黄金表 黃金錶|黄钟 黃鐘|黄钟大吕 黃鐘大呂|黄钟毁弃 黃鐘毀棄|黄钟长弃 黃鐘長棄|黄钰筑 黃鈺筑|黄长发 黃長發|黄须 黃鬚|黄鱼面 黃魚麪|黎涌 黎涌|黑亮发 黑亮髮|黑发 黑髮|黑发人 黑髮人|黑曜岩 黑曜岩|黑气冲天 黑氣沖天|黑面 黑麪|黑面包 黑麪包|黑面琵鹭 黑面琵鷺|黑须 黑鬚|默念 默唸|黮暗 黮闇|鼇头独占 鼇頭獨占|鼎食鸣钟 鼎食鳴鐘|鼓不打不响钟不撞不鸣 鼓不打不響鐘不撞不鳴|鼓噪 鼓譟|鼓荡 鼓盪|鼠曲草 鼠麴草',
+    '鼠疫杆菌 鼠疫桿菌|鼠面人 鼠面人|鼻无梁柱 鼻無樑柱|鼻梁 鼻樑|鼻梁儿 鼻樑兒|鼻梁骨 鼻樑骨|鼻烟 鼻菸|鼻烟壶 鼻菸壺|鼻烟盒 鼻菸盒|齐发式 齊發式|齐后破环 齊后破環|齐心并力 齊心併力|齐王舍牛 齊王捨牛|齿危发秀 齒危髮秀|齿发 齒髮|齿落发白 齒落髮白|龙卷 龍捲|龙卷风 龍捲風|龙应台 龍應台|龙游 龍游|龙游县 龍游縣|龙游浅水 龍游淺水|龙眼干 龍眼乾|龙虾面 龍蝦麪|龙里 龍里|龙里县 龍里縣|龙须 龍鬚|龙须友 龍鬚友|龙须沟 龍鬚溝|龙须茶 龍鬚茶|龙须草 龍鬚草|龙须菜 龍鬚菜|龙须面 龍鬚麪|𣗊溪 樠谿|𣲘溪 潕谿'
+  ].join('|'),
+
+  // Traditional to Taiwan standard character forms
+  twVariants: [
+    '僞 偽|啓 啟|喫 吃|嫺 嫻|嬀 媯|峯 峰|幺 么|棱 稜|樑 梁|檐 簷|污 汙|泄 洩|潙 溈|潨 潀|爲 為|牀 床|痹 痺|癡 痴|皁 皂|着 著|睾 睪|祕 秘|竈 灶|糉 粽|繮 韁|纔 才|羣 群|脣 唇|蔘 參|蔿 蒍|衆 眾|裏 裡|覈 核|踊 踴|鉢 缽|鍼 針|鮎 鯰|麪 麵|齶 顎'
+  ].join('|'),
+
+  // Taiwan standard character forms back to Traditional
+  twVariantsRev: [
+    '么 幺|偽 僞|參 蔘|吃 喫|唇 脣|啟 啓|媯 嬀|嫻 嫺|峰 峯|床 牀|才 纔|核 覈|汙 污|洩 泄|溈 潙|潀 潨|灶 竈|為 爲|痴 癡|痺 痹|皂 皁|眾 衆|睪 睾|秘 祕|稜 棱|簷 檐|粽 糉|缽 鉢|群 羣|著 着|蒍 蔿|裡 裏|踴 踊|針 鍼|韁 繮|顎 齶|鯰 鮎|麵 麪'
+  ].join('|'),
+
+  // Taiwan standard forms back to Traditional, phrases
+  twVariantsRevPhrases: [
+    '一口吃個 一口喫個|一口吃成 一口喫成|一家三口 一家三口|一家五口 一家五口|一家六口 一家六口|一家四口 一家四口|一展長才 一展長才|一流人才 一流人才|一表人才 一表人才|一針 一針|一針見血 一針見血|七步之才 七步之才|七步奇才 七步奇才|三才 三才|三才圖會 三才圖會|三針 三針|上梁 上樑|上梁不正 上樑不正|上梁不正下梁歪 上樑不正下樑歪|上梁文 上樑文|下才 下才|下梁 下樑|不成才 不成才|不才 不才|不打不成才 不打不成才|不良才 不良才|丟巧針 丟巧針|中才 中才|中核 中核|丹稜 丹稜|主梁 主樑|之核 之核|九針 九針|乾奴才 乾奴才|亂針繡 亂針繡|二流人才 二流人才|亞核 亞核|人才 人才|人才出衆 人才出衆|人才外流 人才外流',
+    '人才庫 人才庫|人才流失 人才流失|人才濟濟 人才濟濟|人才輩出 人才輩出|人才難得 人才難得|人盡其才 人盡其才|什么 什麼|仙才 仙才|伊核 伊核|作育英才 作育英才|佳人才子 佳人才子|個核 個核|倒了核桃車子 倒了核桃車子|倒扣針兒 倒扣針兒|偏才 偏才|做針線 做針線|偷梁換柱 偷樑換柱|傲世輕才 傲世輕才|僅作參考 僅作參考|僅供參考 僅供參考|儲訓人才 儲訓人才|光脊梁 光脊樑|免參 免參|內參 內參|內核 內核|全才 全才|全程參加 全程參加|全面禁止核試驗條約 全面禁止核試驗條約|八字方針 八字方針|八斗之才 八斗之才|八斗才 八斗才|公才公望 公才公望|公衆參與 公衆參與|六才子書 六才子書|其核 其核|冠世之才 冠世之才|冰核 冰核|几案之才 几案之才|凡才 凡才|出倫之才 出倫之才',
+    '刀割針扎 刀割針扎|分針 分針|初露才華 初露才華|別針 別針|利弊參半 利弊參半|刺股懸梁 刺股懸樑|刺胳針 刺胳針|刺針 刺針|刺骨懸梁 刺骨懸樑|剋核 剋核|前核 前核|力薄才疏 力薄才疏|功過參半 功過參半|動如參商 動如參商|匡濟之才 匡濟之才|十針 十針|千噸級核武器 千噸級核武器|南針 南針|博學多才 博學多才|卯酉參辰 卯酉參辰|印核 印核|卵核 卵核|原子核 原子核|原核 原核|去核 去核|參予 參予|參事 參事|參伍 參伍|參佐 參佐|參假 參假|參兩院 參兩院|參前落後 參前落後|參加 參加|參加人 參加人|參加國 參加國|參加完 參加完|參加爲 參加爲|參加獎 參加獎|參加者 參加者|參劾 參劾',
+    '參半 參半|參合 參合|參同契 參同契|參商 參商|參團 參團|參堂 參堂|參場 參場|參天 參天|參奏 參奏|參孫 參孫|參宿 參宿|參宿七 參宿七|參將 參將|參展 參展|參展商 參展商|參展團 參展團|參差 參差|參差不齊 參差不齊|參差錯落 參差錯落|參度 參度|參悟 參悟|參戰 參戰|參戰國 參戰國|參拜 參拜|參拾壹 參拾壹|參拾陸 參拾陸|參政 參政|參政權 參政權|參數 參數|參數表 參數表|參會 參會|參朝 參朝|參本 參本|參校 參校|參演 參演|參照 參照|參照卡 參照卡|參照物 參照物|參照系 參照系|參看 參看',
+    '參知政事 參知政事|參破 參破|參禪 參禪|參綜 參綜|參考 參考|參考值 參考值|參考價 參考價|參考價值 參考價值|參考參考 參考參考|參考座標 參考座標|參考性 參考性|參考手冊 參考手冊|參考文獻 參考文獻|參考書 參考書|參考書目 參考書目|參考材料 參考材料|參考法 參考法|參考消息 參考消息|參考特藏 參考特藏|參考系 參考系|參考資料 參考資料|參股 參股|參與 參與|參與人員 參與人員|參與制 參與制|參與度 參與度|參與感 參與感|參與權 參與權|參與率 參與率|參與者 參與者|參衆兩院 參衆兩院|參見 參見|參見互照 參見互照|參見注 參見注|參觀 參觀|參觀券 參觀券|參觀參觀 參觀參觀|參觀團 參觀團|參觀團體 參觀團體|參觀完 參觀完',
+    '參觀者 參觀者|參訂 參訂|參訓 參訓|參訪 參訪|參訪團 參訪團|參評 參評|參話頭 參話頭|參請 參請|參謀 參謀|參謀總部 參謀總部|參謀總長 參謀總長|參謀長 參謀長|參謁 參謁|參譚 參譚|參議 參議|參議員 參議員|參議會 參議會|參議院 參議院|參賽 參賽|參賽國 參賽國|參賽權 參賽權|參賽片 參賽片|參賽者 參賽者|參贊 參贊|參軍 參軍|參辰 參辰|參辰卯酉 參辰卯酉|參辰日月 參辰日月|參透 參透|參道 參道|參選 參選|參選人 參選人|參酌 參酌|參量 參量|參量空間 參量空間|參錯 參錯|參閱 參閱|參院 參院|參雜 參雜|參靈 參靈',
+    '參革 參革|參預 參預|參頭 參頭|參驗 參驗|反時針 反時針|反核 反核|取才 取才|口吃 口吃|口才 口才|口才好 口才好|口才辨給 口才辨給|可供參考 可供參考|可憎才 可憎才|吃口 喫口|吃口令 吃口令|吃口飯 喫口飯|吃吃 喫喫|吃子 喫子|合著 合著|合著者 合著者|同參 同參|名著 名著|向風針 向風針|命世之才 命世之才|命世才 命世才|和核 和核|唐才常 唐才常|唱針 唱針|啄針兒 啄針兒|善才 善才|善才童子 善才童子|喜憂參半 喜憂參半|喝參 喝參|喫敲才 喫敲才|喬才 喬才|單核 單核|單核細胞增多症 單核細胞增多症|嗎啡針 嗎啡針|四才子 四才子|四核 四核',
+    '圈梁 圈樑|國家棟梁 國家棟樑|土參 土參|在橋梁工地上 在橋樑工地上|地核 地核|地面核爆炸 地面核爆炸|埋沒人才 埋沒人才|增量參數 增量參數|外才 外才|外核 外核|多么 多麼|多事逞才 多事逞才|多才 多才|多才多藝 多才多藝|多核 多核|大廈棟梁 大廈棟樑|大才 大才|大才小用 大才小用|大才槃槃 大才槃槃|大政方針 大政方針|大曆十才子 大曆十才子|大核 大核|大梁 大梁|大海撈針 大海撈針|大頭針 大頭針|天妒英才 天妒英才|天才 天才|天才兒童 天才兒童|天才出自勤奮 天才出自勤奮|天才型 天才型|天才教育 天才教育|天才橫溢 天才橫溢|天才論 天才論|天縱之才 天縱之才|太乙神針 太乙神針|奇才 奇才|奇才異能 奇才異能|女人心海底針 女人心海底針|女子參政主義 女子參政主義|女子參政權 女子參政權',
+    '女秀才 女秀才|女貌郎才 女貌郎才|奴才 奴才|好么 好麼|妙才 妙才|學優才贍 學優才贍|學淺才疏 學淺才疏|學疏才淺 學疏才淺|宏內核 宏內核|定南針 定南針|定風針 定風針|實才 實才|將才 將才|將遇良才 將遇良才|專才 專才|專業人才 專業人才|專門人才 專門人才|對針 對針|小丑跳梁 小丑跳樑|小才大用 小才大用|小才子 小才子|小秀才 小秀才|小秀才學堂 小秀才學堂|小醜跳梁 小醜跳樑|小針 小針|小針美容 小針美容|少年才俊 少年才俊|尺二秀才 尺二秀才|屈才 屈才|屋梁 屋樑|展才 展才|山梁 山樑|岑參 岑參|巨著 巨著|帶團參加 帶團參加|常用參考書 常用參考書|平梁 平樑|平針縫 平針縫|幹才 幹才|幾針 幾針',
+    '庸才 庸才|廩膳秀才 廩膳秀才|引線穿針 引線穿針|張口 張口|張飛穿針 張飛穿針|強心針 強心針|弼針 弼針|彈針 彈針|彗核 彗核|形名參同 形名參同|待著 待着|得失參半 得失參半|微核 微核|徵才 徵才|德才 德才|德才兼備 德才兼備|德薄才疏 德薄才疏|志大才疏 志大才疏|志大才短 志大才短|志廣才疏 志廣才疏|怎么 怎麼|恃才傲物 恃才傲物|恃才矜己 恃才矜己|恃才自專 恃才自專|惡名昭著 惡名昭著|意廣才疏 意廣才疏|愛才 愛才|愛才好士 愛才好士|愛才如命 愛才如命|愛才若渴 愛才若渴|憂喜參半 憂喜參半|憐才 憐才|懷才不遇 懷才不遇|懷才抱德 懷才抱德|懸梁 懸樑|懸梁刺股 懸樑刺股|懸梁自盡 懸樑自盡|懸臂梁 懸臂樑|懸針 懸針|懸針垂露 懸針垂露',
+    '成兆才 成兆才|成核 成核|戰術核武器 戰術核武器|戳脊梁 戳脊樑|戳脊梁骨 戳脊樑骨|手腕式指北針 手腕式指北針|才人 才人|才俊 才俊|才儲八斗 才儲八斗|才具 才具|才兼文武 才兼文武|才分 才分|才力 才力|才勇兼優 才勇兼優|才名 才名|才器 才器|才士 才士|才大難用 才大難用|才女 才女|才如史遷 才如史遷|才媛 才媛|才子 才子|才子佳人 才子佳人|才子書 才子書|才學 才學|才學兼優 才學兼優|才守 才守|才定 才定|才幹 才幹|才廣妨身 才廣妨身|才微智淺 才微智淺|才德 才德|才德兼備 才德兼備|才思 才思|才思敏捷 才思敏捷|才悟 才悟|才情 才情|才智 才智|才望 才望|才氣 才氣',
+    '才氣無雙 才氣無雙|才氣縱橫 才氣縱橫|才氣過人 才氣過人|才爲世出 才爲世出|才用 才用|才略 才略|才略過人 才略過人|才當曹斗 才當曹斗|才疏學淺 才疏學淺|才疏德薄 才疏德薄|才疏志大 才疏志大|才疏意廣 才疏意廣|才疏計拙 才疏計拙|才短氣粗 才短氣粗|才秀人微 才秀人微|才能 才能|才能幹濟 才能幹濟|才色 才色|才華 才華|才華出衆 才華出衆|才華橫溢 才華橫溢|才華洋溢 才華洋溢|才華蓋世 才華蓋世|才蔽識淺 才蔽識淺|才藝 才藝|才藝卓絕 才藝卓絕|才藝技能 才藝技能|才藝班 才藝班|才藝秀 才藝秀|才藻 才藻|才語 才語|才識 才識|才識過人 才識過人|才貌 才貌|才貌出衆 才貌出衆|才貌雙全 才貌雙全|才貫二酉 才貫二酉|才資 才資|才輕德薄 才輕德薄|才過子建 才過子建',
+    '才過屈宋 才過屈宋|才非玉潤 才非玉潤|才高八斗 才高八斗|才高意廣 才高意廣|才高氣傲 才高氣傲|才高行厚 才高行厚|才高行潔 才高行潔|扎針 扎針|打參 打參|打完針 打完針|打針 打針|扛大梁 扛大樑|披針形葉 披針形葉|抵針 抵針|拈針指 拈針指|拔地參天 拔地參天|指北針 指北針|指南針 指南針|指針 指針|指針式 指針式|挑大梁 挑大樑|挑正梁 挑正樑|捫參歷井 捫參歷井|捷才 捷才|掃眉才子 掃眉才子|探針 探針|提梁 提樑|插針 插針|揚己露才 揚己露才|搖針 搖針|搗針 搗針|撞針 撞針|撥亂之才 撥亂之才|撫梁易柱 撫樑易柱|擬核 擬核|擺針 擺針|收針 收針|放參 放參|教育方針 教育方針|敹一針 敹一針',
+    '文才 文才|文武全才 文武全才|文選爛秀才半 文選爛秀才半|斗筲之才 斗筲之才|斗轉參橫 斗轉參橫|方針 方針|日月參辰 日月參辰|早參 早參|昭著 昭著|時針 時針|晚參 晚參|晨參暮省 晨參暮省|晨參暮禮 晨參暮禮|晶核 晶核|暈針 暈針|暮禮晨參 暮禮晨參|曠世之才 曠世之才|曠世奇才 曠世奇才|曠世逸才 曠世逸才|曲別針 曲別針|曹參 曹參|曾參 曾參|曾參殺人 曾參殺人|月核 月核|月落參橫 月落參橫|有才 有才|有才幹 有才幹|有才無命 有才無命|有核 有核|朝參暮禮 朝參暮禮|朝核 朝核|木梁 木樑|未易才 未易才|朽木之才 朽木之才|杏核 杏核|東海撈針 東海撈針|松針 松針|板梁橋 板樑橋|林木參天 林木參天|果核 果核',
+    '枝針 枝針|架梁 架樑|架海金梁 架海金樑|柱梁 柱樑|核下 核下|核二廠 核二廠|核人 核人|核仁 核仁|核以 核以|核僵持 核僵持|核兒 核兒|核冬天 核冬天|核出口控制 核出口控制|核力 核力|核化 核化|核區 核區|核可 核可|核合成 核合成|核和 核和|核四 核四|核型 核型|核子 核子|核子廠 核子廠|核孔 核孔|核島 核島|核工 核工|核彈 核彈|核心 核心|核戰 核戰|核戰鬥部 核戰鬥部|核技術 核技術|核數 核數|核是 核是|核有 核有|核果 核果|核桃 核桃|核武 核武|核火箭發動機 核火箭發動機|核炫 核炫|核燃料後處理 核燃料後處理',
+    '核爆 核爆|核爆炸煙雲 核爆炸煙雲|核狀 核狀|核球 核球|核甘 核甘|核當量 核當量|核發 核發|核發電 核發電|核發電廠 核發電廠|核的 核的|核磁 核磁|核種 核種|核突 核突|核粒 核粒|核糖 核糖|核糖核酸 核糖核酸|核素 核素|核線 核線|核能 核能|核能技術 核能技術|核能發電 核能發電|核能發電廠 核能發電廠|核能電廠 核能電廠|核膜 核膜|核苷 核苷|核菌 核菌|核融合 核融合|核融合發電 核融合發電|核解 核解|核計劃 核計劃|核試 核試|核談 核談|核質 核質|核載 核載|核辦 核辦|核配 核配|核酪 核酪|核酶 核酶|核酸 核酸|核防禦 核防禦',
+    '核電 核電|核電廠 核電廠|核電磁脈衝 核電磁脈衝|核體 核體|核點 核點|桃核 桃核|桃核雕 桃核雕|桑針 桑針|梁上 樑上|梁上君子 樑上君子|梁子 樑子|梁木 梁木|梁木其壞 樑木其壞|梁架 樑架|梁柱 樑柱|梁棟 樑棟|梁龍 梁龍|梅核 梅核|棄核 棄核|棋逢對手將遇良才 棋逢對手將遇良才|棒針 棒針|棒針衫 棒針衫|棗核 棗核|棘針 棘針|棘針科 棘針科|棘針門 棘針門|棟梁 棟樑|棟梁之任 棟樑之任|棟梁之材 棟樑之材|棟梁之臣 棟樑之臣|椽梁 椽樑|極核 極核|槃才 槃才|槃槃大才 槃槃大才|樹梁 樹樑|橋梁 橋樑|橋梁工事 橋樑工事|橋梁工程 橋樑工程|橘核 橘核|橫打鼻梁兒 橫打鼻樑兒',
+    '橫梁 橫樑|檢核 檢核|檢核表 檢核表|歌聲繞梁 歌聲繞樑|正則參數 正則參數|正梁 正樑|步線行針 步線行針|歪才 歪才|歷練之才 歷練之才|殺才 殺才|毒針 毒針|比才 比才|毛線針 毛線針|毫針 毫針|氘核 氘核|水底撈針 水底撈針|求才 求才|求才若渴 求才若渴|江南四大才子 江南四大才子|江參 江參|江淹才盡 江淹才盡|江郎才盡 江郎才盡|沒梁桶 沒樑桶|沒脊梁 沒脊樑|河梁 河樑|沿才授職 沿才授職|注射針 注射針|注射針頭 注射針頭|泰山梁木 泰山樑木|洗面皂 洗面皂|洗髮皂 洗髮皂|洛陽才子 洛陽才子|津梁 津樑|派團參加 派團參加|海參威 海參威|海參崴 海參崴|海底撈針 海底撈針|滿腹才學 滿腹才學|漁梁 漁樑|漏針 漏針',
+    '潑才 潑才|澤梁 澤樑|濟世之才 濟世之才|濠梁 濠樑|無核 無核|無梁 無樑|無梁斗 無樑斗|無梁樓蓋 無樑樓蓋|無針不引線 無針不引線|無針注射器 無針注射器|煤核 煤核|熔核 熔核|熱核 熱核|燔針 燔針|片善小才 片善小才|物色人才 物色人才|特殊才能 特殊才能|狀態參數 狀態參數|狗才 狗才|獨挑大梁 獨挑大樑|率團參加 率團參加|玉參差 玉參差|玉尺量才 玉尺量才|王佐之才 王佐之才|玳梁 玳樑|玳瑁梁 玳瑁樑|瑣才 瑣才|甄才品能 甄才品能|甄選人才 甄選人才|甚么 甚麼|男才女貌 男才女貌|畎畝下才 畎畝下才|留針 留針|略無參商 略無參商|畫梁雕棟 畫樑雕棟|畫棟雕梁 畫棟雕樑|異才 異才|當世才度 當世才度|疑信參半 疑信參半|疑核 疑核',
+    '痔核 痔核|痛失英才 痛失英才|登庸人才 登庸人才|發展核武器 發展核武器|白鶴梁 白鶴梁|白鶴秀才 白鶴秀才|百萬噸級核武器 百萬噸級核武器|百里之才 百里之才|皂化 皂化|皂莢 皂莢|皂莢樹 皂莢樹|皂角 皂角|的核 的核|直接參與 直接參與|真才實學 真才實學|真核 真核|矜才使氣 矜才使氣|矜能負才 矜能負才|短針 短針|石梁 石樑|石針 石針|硬核 硬核|硬肥皂 硬肥皂|碌碌庸才 碌碌庸才|磁核 磁核|磁針 磁針|磨杵成針 磨杵成針|磨脊梁 磨脊樑|磨針溪 磨針溪|磨鐵成針 磨鐵成針|社交才能 社交才能|禁核 禁核|秀才 秀才|秀才不出門能知天下事 秀才不出門能知天下事|秀才人情 秀才人情|秀才作醫如菜作虀 秀才作醫如菜作虀|秀才造反 秀才造反|秒針 秒針|秧針 秧針|穆稜 穆稜',
+    '積極參加 積極參加|積極參與 積極參與|空梁落燕泥 空樑落燕泥|穿針 穿針|穿針引線 穿針引線|穿針走線 穿針走線|筆參造化 筆參造化|管理人才 管理人才|箱梁 箱樑|精核 精核|約核 約核|約翰參書 約翰參書|紋光針 紋光針|細針密縷 細針密縷|結核 結核|結核桿菌 結核桿菌|結梁子 結樑子|絕對參照 絕對參照|絕才 絕才|絞包針 絞包針|給個棒錘當針認 給個棒錘當針認|綏稜 綏稜|經世之才 經世之才|經國之才 經國之才|經濟之才 經濟之才|網羅人才 網羅人才|綿裏藏針 綿裏藏針|綿裏針 綿裏針|縫衣針 縫衣針|縫針 縫針|縫針補線 縫針補線|縫針跡 縫針跡|縱梁 縱樑|總參謀部 總參謀部|總參謀長 總參謀長|總方針 總方針|繃針 繃針|繞梁 繞樑|繞梁三日 繞樑三日|繞梁之音 繞樑之音',
+    '繞梁韻永 繞樑韻永|繡花針 繡花針|繡花針兒 繡花針兒|繡針 繡針|羅盤針 羅盤針|美國參議院 美國參議院|美才 美才|美白針 美白針|老奴才 老奴才|耐多藥結核病 耐多藥結核病|耳針 耳針|聯合參謀 聯合參謀|聰明才智 聰明才智|肥皂 肥皂|肥皂劇 肥皂劇|肥皂泡 肥皂泡|肥皂粉 肥皂粉|肥皂絲 肥皂絲|肥皂莢 肥皂莢|育才 育才|胃口 胃口|背梁骨 背樑骨|胡才勇 胡才勇|胸針 胸針|脊梁 脊樑|脊梁背 脊樑背|脊梁骨 脊樑骨|自學成才 自學成才|自核 自核|船不漏針漏針沒外人 船不漏針漏針沒外人|花兒針 花兒針|花旗參 花旗參|英才 英才|英才俊偉 英才俊偉|茂才 茂才|茂才異等 茂才異等|茅針 茅針|茲核 茲核|菌核 菌核|菲才寡學 菲才寡學',
+    '落月屋梁 落月屋樑|葉針 葉針|著作 著作|著名 著名|著式 著式|著志 著志|著於 著於|著書 著書|著白 著白|著稱 著稱|著稱於世 著稱於世|著者 著者|著述 著述|著錄 著錄|蓋世之才 蓋世之才|藏針縫 藏針縫|藥皂 藥皂|藥針 藥針|蘋果核 蘋果核|蛇口蜂針 蛇口蜂針|螫針 螫針|蠹啄剖梁柱 蠹啄剖樑柱|蠻針瞎灸 蠻針瞎灸|行短才喬 行短才喬|行短才高 行短才高|補血針 補血針|補針 補針|製麵 製麪|西洋參 西洋參|要么 要麼|見縫插針 見縫插針|討針線 討針線|詠雪之才 詠雪之才|詩才 詩才|誇才賣智 誇才賣智|說參請 說參請|請參閱 請參閱|謊敲才 謊敲才|謝絕參觀 謝絕參觀|識多才廣 識多才廣',
+    '識才 識才|識才尊賢 識才尊賢|譭譽參半 譭譽參半|豎柱上梁 豎柱上樑|豎起脊梁 豎起脊樑|象牙針尖 象牙針尖|豬八戒喫人參果 豬八戒喫人參果|負才 負才|負才任氣 負才任氣|負才使氣 負才使氣|賀爾蒙針 賀爾蒙針|賢才 賢才|賤才 賤才|超世之才 超世之才|趫才 趫才|跳梁 跳樑|跳梁小丑 跳樑小丑|跳梁小醜 跳樑小醜|跳梁猖獗之小丑 跳樑猖獗之小丑|跳梁猖獗之小醜 跳樑猖獗之小醜|跳針 跳針|蹇吃 蹇吃|身才 身才|軟肥皂 軟肥皂|輇才 輇才|輕核 輕核|辯才 辯才|辯才天 辯才天|辯才無礙 辯才無礙|这么 这麼|迴紋針 迴紋針|退針 退針|逆時針 逆時針|這么 這麼|通人達才 通人達才|通才 通才|通才教育 通才教育|通才練識 通才練識|造就人才 造就人才|逸才 逸才',
+    '逸羣之才 逸羣之才|過人才略 過人才略|過梁 過樑|違紀參選 違紀參選|適才 適才|選才 選才|選民參加率 選民參加率|遺才 遺才|避雷針 避雷針|邊核 邊核|那么 那麼|郎才女姿 郎才女姿|郎才女貌 郎才女貌|鄧艾吃 鄧艾吃|野無遺才 野無遺才|量才錄用 量才錄用|金針 金針|金針山 金針山|金針度人 金針度人|金針花 金針花|金針菇 金針菇|金針菜 金針菜|釘書針 釘書針|針具 針具|針刺 針刺|針刺麻醉 針刺麻醉|針劑 針劑|針孔 針孔|針孔攝影機 針孔攝影機|針孔照像 針孔照像|針孔照像機 針孔照像機|針孔現象 針孔現象|針對 針對|針對性 針對性|針對於 針對於|針尖 針尖|針尖兒 針尖兒|針工 針工|針布 針布|針形葉 針形葉',
+    '針指 針指|針挑刀挖 針挑刀挖|針梳機 針梳機|針氈 針氈|針法 針法|針炙 針炙|針狀 針狀|針狀物 針狀物|針盤 針盤|針眼 針眼|針眼子 針眼子|針神 針神|針筆 針筆|針筆匠 針筆匠|針筒 針筒|針箍 針箍|針箍兒 針箍兒|針線 針線|針線包 針線包|針線娘 針線娘|針線活 針線活|針線活計 針線活計|針線盒 針線盒|針線箔籬 針線箔籬|針織 針織|針織品 針織品|針織廠 針織廠|針織料 針織料|針腳 針腳|針葉 針葉|針葉林 針葉林|針葉植物 針葉植物|針葉樹 針葉樹|針針見血 針針見血|針釦 針釦|針鋒 針鋒|針鋒相對 針鋒相對|針鋒相投 針鋒相投|針鋩 針鋩|針頭 針頭',
+    '針餌莫減 針餌莫減|針骨 針骨|針魚 針魚|針黹 針黹|針黹紡績 針黹紡績|針鼴 針鼴|針鼻 針鼻|針鼻兒 針鼻兒|釦針 釦針|鉅著 鉅著|鉤針 鉤針|銀核 銀核|銀針 銀針|鋼梁 鋼樑|鋼針 鋼針|錶針 錶針|鐵針 鐵針|鑑核備查 鑑核備查|鑿壁懸梁 鑿壁懸樑|長才 長才|長針 長針|開口 開口|防疫針 防疫針|陰核 陰核|隨才器使 隨才器使|雄才 雄才|雄才大略 雄才大略|雌核 雌核|雕梁 雕樑|雕梁畫柱 雕樑畫柱|雕梁畫棟 雕樑畫棟|雙核 雙核|雙鏈核酸 雙鏈核酸|電唱針 電唱針|電針 電針|電針麻醉 電針麻醉|需才孔亟 需才孔亟|露才 露才|露才揚己 露才揚己|霸才 霸才',
+    '非才 非才|非核 非核|面皂 面皂|頂核 頂核|頂梁柱 頂樑柱|頂梁骨走了真魂 頂樑骨走了真魂|頂針 頂針|頂針兒 頂針兒|頂針捱住 頂針捱住|頂門針 頂門針|順時針 順時針|預防針 預防針|領帶針 領帶針|頭懸梁錐刺股 頭懸樑錐刺股|顯著 顯著|顯著標志 顯著標志|風向針 風向針|風流才子 風流才子|飛梁 飛樑|飛針走線 飛針走線|飽學秀才 飽學秀才|餘音繞梁 餘音繞樑|餘響繞梁 餘響繞樑|香皂 香皂|馮驥才 馮驥才|驚才絕豔 驚才絕豔|骨針 骨針|高參 高參|高才 高才|高才生 高才生|高級管理人才 高級管理人才|髮針 髮針|鬼才 鬼才|鬼針草 鬼針草|魚梁 魚樑|魚頭參政 魚頭參政|鴻篇鉅著 鴻篇鉅著|鹽水針 鹽水針|麴秀才 麴秀才|麻醉針 麻醉針',
+    '黃有才 黃有才|點核 點核|鼻梁 鼻樑|鼻梁兒 鼻樑兒|鼻梁骨 鼻樑骨|鼻無梁柱 鼻無樑柱|鼻針療法 鼻針療法|齧蘗吞針 齧蘗吞針'
+  ].join('|'),
+
+  // Traditional to Simplified, single characters
+  tsCharacters: [
+    '㑯 㑔|㑳 㑇|㑶 㐹|㓨 刾|㗲 𠵾|㘚 㘎|㜄 㚯|㜏 㛣|㜢 𡞱|㠏 㟆|㠣 𫵷|㥮 㤘|㩜 㨫|㩳 㧐|㩵 擜|㺏 𤠋|䁪 𥇢|䁻 䀥|䃮 鿎|䊷 䌶|䋙 䌺|䋚 䌻|䋹 䌿|䋻 䌾|䍦 䍠|䎱 䎬|䓣 𬜯|䙡 䙌|䜀 䜧|䝼 䞍|䡵 𫟦|䥇 䦂|䥑 鿏|䥕 𬭯|䥱 䥾|䦛 䦶|䦟 䦷|䧢 𨸟|䮄 𫠊|䯀 䯅',
+    '䰾 鲃|䱷 䲣|䱽 䲝|䲁 鳚|䲘 鳤|䴉 鹮|丟 丢|並 并|乾 干|亂 乱|亙 亘|亞 亚|佇 伫|佈 布|佔 占|併 并|來 来|侖 仑|侶 侣|侷 局|俁 俣|係 系|俔 伣|俠 侠|俥 伡|俬 私|倀 伥|倆 俩|倈 俫|倉 仓|個 个|們 们|倖 幸|倫 伦|倲 㑈|偉 伟|偑 㐽|側 侧|偵 侦|偽 伪',
+    '傌 㐷|傑 杰|傖 伧|傘 伞|備 备|傢 家|傭 佣|傯 偬|傳 传|傴 伛|債 债|傷 伤|傾 倾|僂 偻|僅 仅|僉 佥|僑 侨|僕 仆|僞 伪|僤 𫢸|僥 侥|僨 偾|僱 雇|價 价|儀 仪|儁 俊|儂 侬|億 亿|儈 侩|儉 俭|儎 傤|儐 傧|儔 俦|儕 侪|儘 尽|償 偿|優 优|儲 储|儷 俪|儸 㑩',
+    '儺 傩|儻 傥|儼 俨|兇 凶|兌 兑|兒 儿|兗 兖|內 内|兩 两|冊 册|冑 胄|冪 幂|凈 净|凍 冻|凜 凛|凱 凯|別 别|刪 删|剄 刭|則 则|剋 克|剎 刹|剗 刬|剛 刚|剝 剥|剮 剐|剴 剀|創 创|剷 铲|劃 划|劄 札|劇 剧|劉 刘|劊 刽|劌 刿|劍 剑|劏 㓥|劑 剂|劚 㔉|勁 劲',
+    '動 动|務 务|勛 勋|勝 胜|勞 劳|勢 势|勣 𪟝|勩 勚|勱 劢|勳 勋|勵 励|勸 劝|勻 匀|匭 匦|匯 汇|匱 匮|區 区|協 协|卹 恤|卻 却|卽 即|厙 厍|厠 厕|厤 历|厭 厌|厲 厉|厴 厣|參 参|叄 叁|叢 丛|吒 咤|吳 吴|吶 呐|呂 吕|咼 呙|員 员|唄 呗|唸 念|問 问|啓 启',
+    '啞 哑|啟 启|啢 唡|喎 㖞|喚 唤|喪 丧|喫 吃|喬 乔|單 单|喲 哟|嗆 呛|嗇 啬|嗊 唝|嗎 吗|嗚 呜|嗩 唢|嗰 𠮶|嗶 哔|嘆 叹|嘍 喽|嘓 啯|嘔 呕|嘖 啧|嘗 尝|嘜 唛|嘩 哗|嘮 唠|嘯 啸|嘰 叽|嘵 哓|嘸 呒|嘽 啴|噁 恶|噓 嘘|噚 㖊|噝 咝|噠 哒|噥 哝|噦 哕|噯 嗳',
+    '噲 哙|噴 喷|噸 吨|噹 当|嚀 咛|嚇 吓|嚌 哜|嚐 尝|嚕 噜|嚙 啮|嚥 咽|嚦 呖|嚧 𠰷|嚨 咙|嚮 向|嚲 亸|嚳 喾|嚴 严|嚶 嘤|囀 啭|囁 嗫|囂 嚣|囅 冁|囈 呓|囉 啰|囌 苏|囑 嘱|囪 囱|圇 囵|國 国|圍 围|園 园|圓 圆|圖 图|團 团|垻 坝|埡 垭|埨 𫭢|埰 采|執 执',
+    '堅 坚|堊 垩|堖 垴|堝 埚|堯 尧|報 报|場 场|塊 块|塋 茔|塏 垲|塒 埘|塗 涂|塚 冢|塢 坞|塤 埙|塵 尘|塸 𫭟|塹 堑|塿 𪣻|墊 垫|墜 坠|墠 𫮃|墮 堕|墰 坛|墳 坟|墶 垯|墻 墙|墾 垦|壇 坛|壋 垱|壎 埙|壓 压|壗 𡋤|壘 垒|壙 圹|壚 垆|壜 坛|壞 坏|壟 垄|壠 垅',
+    '壢 坜|壩 坝|壪 塆|壯 壮|壺 壶|壼 壸|壽 寿|夠 够|夢 梦|夥 伙|夾 夹|奐 奂|奧 奥|奩 奁|奪 夺|奬 奖|奮 奋|奼 姹|妝 妆|姍 姗|姦 奸|娙 𫰛|娛 娱|婁 娄|婦 妇|婭 娅|媧 娲|媯 妫|媰 㛀|媼 媪|媽 妈|嫋 袅|嫗 妪|嫵 妩|嫺 娴|嫻 娴|嫿 婳|嬀 妫|嬃 媭|嬈 娆',
+    '嬋 婵|嬌 娇|嬙 嫱|嬡 嫒|嬤 嬷|嬪 嫔|嬰 婴|嬸 婶|孃 娘|孋 㛤|孌 娈|孫 孙|學 学|孻 𡥧|孿 孪|宮 宫|寀 采|寢 寝|實 实|寧 宁|審 审|寫 写|寬 宽|寵 宠|寶 宝|將 将|專 专|尋 寻|對 对|導 导|尷 尴|屆 届|屍 尸|屓 屃|屜 屉|屢 屡|層 层|屨 屦|屬 属|岡 冈',
+    '峯 峰|峴 岘|島 岛|峽 峡|崍 崃|崑 昆|崗 岗|崙 仑|崢 峥|崬 岽|嵐 岚|嵗 岁|嵽 𫶇|嵾 㟥|嶁 嵝|嶄 崭|嶇 岖|嶔 嵚|嶗 崂|嶠 峤|嶢 峣|嶧 峄|嶨 峃|嶮 崄|嶸 嵘|嶺 岭|嶼 屿|嶽 岳|巋 岿|巒 峦|巔 巅|巖 岩|巘 𪩘|巰 巯|巹 卺|帥 帅|師 师|帳 帐|帶 带|幀 帧',
+    '幃 帏|幓 㡎|幗 帼|幘 帻|幟 帜|幣 币|幫 帮|幬 帱|幷 并|幹 干|幾 几|庫 库|廁 厕|廂 厢|廄 厩|廈 厦|廎 庼|廕 荫|廚 厨|廝 厮|廞 𫷷|廟 庙|廠 厂|廡 庑|廢 废|廣 广|廩 廪|廬 庐|廳 厅|弒 弑|弔 吊|弳 弪|張 张|強 强|彄 𫸩|彆 别|彈 弹|彌 弥|彎 弯|彔 录',
+    '彙 汇|彠 彟|彥 彦|彫 雕|彲 彨|彿 佛|後 后|徑 径|從 从|徠 徕|復 复|徵 征|徹 彻|恆 恒|恥 耻|悅 悦|悞 悮|悵 怅|悶 闷|悽 凄|惡 恶|惱 恼|惲 恽|惻 恻|愛 爱|愜 惬|愨 悫|愴 怆|愷 恺|愾 忾|慄 栗|態 态|慍 愠|慘 惨|慚 惭|慟 恸|慣 惯|慤 悫|慪 怄|慫 怂',
+    '慮 虑|慳 悭|慶 庆|慺 㥪|慼 戚|慾 欲|憂 忧|憊 惫|憐 怜|憑 凭|憒 愦|憖 慭|憚 惮|憤 愤|憫 悯|憮 怃|憲 宪|憶 忆|懇 恳|應 应|懌 怿|懍 懔|懞 蒙|懟 怼|懣 懑|懤 㤽|懨 恹|懲 惩|懶 懒|懷 怀|懸 悬|懺 忏|懼 惧|懾 慑|戀 恋|戇 戆|戔 戋|戧 戗|戩 戬|戰 战',
+    '戱 戯|戲 戏|戶 户|扞 捍|拋 抛|拚 拼|挩 捝|挱 挲|挾 挟|捨 舍|捫 扪|捱 挨|捲 卷|掃 扫|掄 抡|掆 㧏|掗 挜|掙 挣|掛 挂|採 采|揀 拣|揚 扬|換 换|揮 挥|揯 搄|損 损|搖 摇|搗 捣|搧 扇|搵 揾|搶 抢|摑 掴|摜 掼|摟 搂|摯 挚|摳 抠|摶 抟|摺 折|摻 掺|撈 捞',
+    '撏 挦|撐 撑|撓 挠|撝 㧑|撟 挢|撣 掸|撥 拨|撫 抚|撲 扑|撳 揿|撻 挞|撾 挝|撿 捡|擁 拥|擄 掳|擇 择|擊 击|擋 挡|擓 㧟|擔 担|據 据|擠 挤|擡 抬|擣 捣|擬 拟|擯 摈|擰 拧|擱 搁|擲 掷|擴 扩|擷 撷|擺 摆|擻 擞|擼 撸|擽 㧰|擾 扰|攄 摅|攆 撵|攏 拢|攔 拦',
+    '攖 撄|攙 搀|攛 撺|攜 携|攝 摄|攢 攒|攣 挛|攤 摊|攪 搅|攬 揽|敎 教|敓 敚|敗 败|敘 叙|敵 敌|數 数|斂 敛|斃 毙|斆 敩|斕 斓|斬 斩|斷 断|於 于|旂 旗|旣 既|昇 升|時 时|晉 晋|晛 𬀪|晝 昼|暈 晕|暉 晖|暐 𬀩|暘 旸|暢 畅|暫 暂|曄 晔|曆 历|曇 昙|曉 晓',
+    '曏 向|曖 暧|曠 旷|曥 𣆐|曨 昽|曬 晒|書 书|會 会|朥 𦛨|朧 胧|朮 术|東 东|枴 拐|柵 栅|柺 拐|査 查|桱 𣐕|桿 杆|梔 栀|梘 枧|梜 𬂩|條 条|梟 枭|梲 棁|棄 弃|棊 棋|棖 枨|棗 枣|棟 栋|棡 㭎|棧 栈|棲 栖|棶 梾|椏 桠|椲 㭏|楊 杨|楓 枫|楨 桢|業 业|極 极',
+    '榘 矩|榦 干|榪 杩|榮 荣|榲 榅|榿 桤|構 构|槍 枪|槓 杠|槤 梿|槧 椠|槨 椁|槮 椮|槳 桨|槶 椢|槼 椝|樁 桩|樂 乐|樅 枞|樑 梁|樓 楼|標 标|樞 枢|樢 㭤|樣 样|樧 榝|樫 㭴|樳 桪|樸 朴|樹 树|樺 桦|樿 椫|橈 桡|橋 桥|機 机|橢 椭|橫 横|橯 𣓿|檁 檩|檉 柽',
+    '檔 档|檜 桧|檟 槚|檢 检|檣 樯|檮 梼|檯 台|檳 槟|檸 柠|檻 槛|櫃 柜|櫍 𬃊|櫓 橹|櫚 榈|櫛 栉|櫝 椟|櫞 橼|櫟 栎|櫥 橱|櫧 槠|櫨 栌|櫪 枥|櫫 橥|櫬 榇|櫱 蘖|櫳 栊|櫸 榉|櫻 樱|欄 栏|欅 榉|權 权|欏 椤|欒 栾|欓 𣗋|欖 榄|欞 棂|欽 钦|歎 叹|歐 欧|歟 欤',
+    '歡 欢|歲 岁|歷 历|歸 归|歿 殁|殘 残|殞 殒|殤 殇|殨 㱮|殫 殚|殭 僵|殮 殓|殯 殡|殰 㱩|殲 歼|殺 杀|殻 壳|殼 壳|毀 毁|毆 殴|毿 毵|氂 牦|氈 毡|氌 氇|氣 气|氫 氢|氬 氩|氳 氲|氾 泛|汎 泛|汙 污|決 决|沒 没|沖 冲|況 况|泝 溯|洩 泄|洶 汹|浹 浃|浿 𬇙',
+    '涇 泾|涗 涚|涼 凉|淒 凄|淚 泪|淥 渌|淨 净|淩 凌|淪 沦|淵 渊|淶 涞|淺 浅|渙 涣|減 减|渢 沨|渦 涡|測 测|渾 浑|湊 凑|湋 𣲗|湞 浈|湧 涌|湯 汤|溈 沩|準 准|溝 沟|溫 温|溮 浉|溳 涢|溼 湿|滄 沧|滅 灭|滌 涤|滎 荥|滙 汇|滬 沪|滯 滞|滲 渗|滷 卤|滸 浒',
+    '滻 浐|滾 滚|滿 满|漁 渔|漊 溇|漍 𬇹|漚 沤|漢 汉|漣 涟|漬 渍|漲 涨|漵 溆|漸 渐|漿 浆|潁 颍|潑 泼|潔 洁|潕 𣲘|潙 沩|潚 㴋|潛 潜|潤 润|潯 浔|潰 溃|潷 滗|潿 涠|澀 涩|澆 浇|澇 涝|澐 沄|澗 涧|澠 渑|澤 泽|澦 滪|澩 泶|澫 𬇕|澮 浍|澱 淀|澾 㳠|濁 浊',
+    '濃 浓|濄 㳡|濆 𣸣|濕 湿|濘 泞|濚 溁|濛 蒙|濜 浕|濟 济|濤 涛|濧 㳔|濫 滥|濰 潍|濱 滨|濺 溅|濼 泺|濾 滤|瀂 澛|瀅 滢|瀆 渎|瀇 㲿|瀉 泻|瀋 沈|瀏 浏|瀕 濒|瀘 泸|瀝 沥|瀟 潇|瀠 潆|瀦 潴|瀧 泷|瀨 濑|瀰 弥|瀲 潋|瀾 澜|灃 沣|灄 滠|灑 洒|灒 𪷽|灕 漓',
+    '灘 滩|灙 𣺼|灝 灏|灡 㳕|灣 湾|灤 滦|灧 滟|灩 滟|災 灾|為 为|烏 乌|烴 烃|無 无|煉 炼|煒 炜|煙 烟|煢 茕|煥 焕|煩 烦|煬 炀|煱 㶽|熅 煴|熒 荧|熗 炝|熰 𬉼|熱 热|熲 颎|熾 炽|燀 𬊤|燁 烨|燈 灯|燉 炖|燒 烧|燖 𬊈|燙 烫|燜 焖|營 营|燦 灿|燬 毁|燭 烛',
+    '燴 烩|燶 㶶|燻 熏|燼 烬|燾 焘|爍 烁|爐 炉|爛 烂|爭 争|爲 为|爺 爷|爾 尔|牀 床|牆 墙|牘 牍|牴 抵|牽 牵|犖 荦|犛 牦|犢 犊|犧 牺|狀 状|狹 狭|狽 狈|猙 狰|猶 犹|猻 狲|獁 犸|獃 呆|獄 狱|獅 狮|獎 奖|獨 独|獪 狯|獫 猃|獮 狝|獰 狞|獱 㺍|獲 获|獵 猎',
+    '獷 犷|獸 兽|獺 獭|獻 献|獼 猕|玀 猡|現 现|琱 雕|琺 珐|琿 珲|瑋 玮|瑒 玚|瑣 琐|瑤 瑶|瑩 莹|瑪 玛|瑲 玱|璉 琏|璊 𫞩|璕 𬍤|璗 𬍡|璡 琎|璣 玑|璦 瑷|璫 珰|璯 㻅|環 环|璵 玙|璸 瑸|璽 玺|璿 璇|瓅 𬍛|瓊 琼|瓏 珑|瓔 璎|瓚 瓒|瓛 𤩽|甌 瓯|甕 瓮|產 产',
+    '産 产|畝 亩|畢 毕|畫 画|異 异|畵 画|當 当|疇 畴|疊 叠|痙 痉|痠 酸|痾 疴|瘂 痖|瘋 疯|瘍 疡|瘓 痪|瘞 瘗|瘡 疮|瘧 疟|瘮 瘆|瘲 疭|瘺 瘘|瘻 瘘|療 疗|癆 痨|癇 痫|癉 瘅|癒 愈|癘 疠|癟 瘪|癡 痴|癢 痒|癤 疖|癥 症|癧 疬|癩 癞|癬 癣|癭 瘿|癮 瘾|癰 痈',
+    '癱 瘫|癲 癫|發 发|皁 皂|皚 皑|皰 疱|皸 皲|皺 皱|盃 杯|盜 盗|盞 盏|盡 尽|監 监|盤 盘|盧 卢|盪 荡|眞 真|眥 眦|眾 众|睍 𪾢|睏 困|睜 睁|睞 睐|瞘 眍|瞜 䁖|瞞 瞒|瞶 瞆|瞼 睑|矇 蒙|矓 眬|矚 瞩|矯 矫|硃 朱|硜 硁|硤 硖|硨 砗|硯 砚|碕 埼|碩 硕|碭 砀',
+    '碸 砜|確 确|碼 码|碽 䂵|磑 硙|磚 砖|磠 硵|磣 碜|磧 碛|磯 矶|磽 硗|磾 䃅|礄 硚|礎 础|礐 𬒈|礙 碍|礦 矿|礪 砺|礫 砾|礬 矾|礱 砻|祕 秘|祿 禄|禍 祸|禎 祯|禕 祎|禡 祃|禦 御|禪 禅|禮 礼|禰 祢|禱 祷|禿 秃|秈 籼|稅 税|稈 秆|稏 䅉|稜 棱|稟 禀|種 种',
+    '稱 称|穀 谷|穇 䅟|穌 稣|積 积|穎 颖|穠 秾|穡 穑|穢 秽|穩 稳|穫 获|穭 穞|窩 窝|窪 洼|窮 穷|窯 窑|窵 窎|窶 窭|窺 窥|竄 窜|竅 窍|竇 窦|竈 灶|竊 窃|竪 竖|競 竞|筆 笔|筍 笋|筧 笕|筴 䇲|箇 个|箋 笺|箏 筝|箚 札|節 节|範 范|築 筑|篋 箧|篔 筼|篠 筿',
+    '篢 𬕂|篤 笃|篩 筛|篳 筚|篸 𥮾|簀 箦|簍 篓|簑 蓑|簞 箪|簡 简|簣 篑|簫 箫|簹 筜|簽 签|簾 帘|籃 篮|籅 𥫣|籌 筹|籔 䉤|籙 箓|籛 篯|籜 箨|籟 籁|籠 笼|籤 签|籩 笾|籪 簖|籬 篱|籮 箩|籲 吁|粵 粤|糉 粽|糝 糁|糞 粪|糧 粮|糰 团|糲 粝|糴 籴|糶 粜|糹 纟',
+    '糾 纠|紀 纪|紂 纣|紃 𬘓|約 约|紅 红|紆 纡|紇 纥|紈 纨|紉 纫|紋 纹|納 纳|紐 纽|紓 纾|純 纯|紕 纰|紖 纼|紗 纱|紘 纮|紙 纸|級 级|紛 纷|紜 纭|紝 纴|紞 𬘘|紡 纺|紬 䌷|紮 扎|細 细|紱 绂|紲 绁|紳 绅|紵 纻|紹 绍|紺 绀|紼 绋|紿 绐|絀 绌|終 终|絃 弦',
+    '組 组|絅 䌹|絆 绊|絎 绗|結 结|絕 绝|絛 绦|絝 绔|絞 绞|絡 络|絢 绚|給 给|絨 绒|絪 𬘡|絰 绖|統 统|絲 丝|絳 绛|絶 绝|絹 绢|絺 𫄨|綁 绑|綃 绡|綄 𬘫|綆 绠|綈 绨|綉 绣|綌 绤|綎 𬘩|綏 绥|綐 䌼|綑 捆|經 经|綖 𫄧|綜 综|綝 𬘭|綞 缍|綠 绿|綡 𫟅|綢 绸',
+    '綣 绻|綧 𬘯|綪 𬘬|綫 线|綬 绶|維 维|綯 绹|綰 绾|綱 纲|網 网|綳 绷|綴 缀|綵 彩|綸 纶|綹 绺|綺 绮|綻 绽|綽 绰|綾 绫|綿 绵|緄 绲|緇 缁|緊 紧|緋 绯|緑 绿|緒 绪|緓 绬|緔 绱|緗 缃|緘 缄|緙 缂|線 线|緝 缉|緞 缎|締 缔|緡 缗|緣 缘|緦 缌|編 编|緩 缓',
+    '緬 缅|緯 纬|緱 缑|緲 缈|練 练|緶 缏|緹 缇|緻 致|緼 缊|縈 萦|縉 缙|縊 缢|縋 缒|縐 绉|縑 缣|縕 缊|縗 缞|縛 缚|縝 缜|縞 缟|縟 缛|縣 县|縧 绦|縫 缝|縭 缡|縮 缩|縯 𬙂|縱 纵|縲 缧|縳 䌸|縴 纤|縵 缦|縶 絷|縷 缕|縹 缥|總 总|績 绩|繃 绷|繅 缫|繆 缪',
+    '繒 缯|織 织|繕 缮|繚 缭|繞 绕|繡 绣|繢 缋|繩 绳|繪 绘|繫 系|繭 茧|繮 缰|繯 缳|繰 缲|繳 缴|繶 𫄷|繸 䍁|繹 绎|繻 𦈡|繼 继|繽 缤|繾 缱|繿 䍀|纁 𫄸|纆 𬙊|纇 颣|纈 缬|纊 纩|續 续|纍 累|纏 缠|纓 缨|纔 才|纕 𬙋|纖 纤|纘 缵|纜 缆|缽 钵|罃 䓨|罈 坛',
+    '罌 罂|罎 坛|罰 罚|罵 骂|罷 罢|羅 罗|羆 罴|羈 羁|羋 芈|羣 群|羥 羟|羨 羡|義 义|羶 膻|習 习|翫 玩|翬 翚|翹 翘|翽 翙|耬 耧|耮 耢|聖 圣|聞 闻|聯 联|聰 聪|聲 声|聳 耸|聵 聩|聶 聂|職 职|聹 聍|聽 听|聾 聋|肅 肃|脅 胁|脈 脉|脛 胫|脣 唇|脩 修|脫 脱',
+    '脹 胀|腎 肾|腖 胨|腡 脶|腦 脑|腫 肿|腳 脚|腸 肠|膃 腽|膕 腘|膚 肤|膞 䏝|膠 胶|膢 𦝼|膩 腻|膽 胆|膾 脍|膿 脓|臉 脸|臍 脐|臏 膑|臘 腊|臚 胪|臟 脏|臠 脔|臢 臜|臥 卧|臨 临|臺 台|與 与|興 兴|舉 举|舊 旧|舖 铺|舘 馆|艙 舱|艤 舣|艦 舰|艫 舻|艱 艰',
+    '艷 艳|芻 刍|苧 苎|茲 兹|荊 荆|莊 庄|莖 茎|莢 荚|莧 苋|華 华|菴 庵|菸 烟|萇 苌|萊 莱|萬 万|萴 荝|萵 莴|葉 叶|葒 荭|葤 荮|葦 苇|葯 药|葷 荤|蒍 𫇭|蒐 搜|蒓 莼|蒔 莳|蒕 蒀|蒞 莅|蒼 苍|蓀 荪|蓆 席|蓋 盖|蓮 莲|蓯 苁|蓴 莼|蓽 荜|蔄 𬜬|蔔 卜|蔘 参',
+    '蔞 蒌|蔣 蒋|蔥 葱|蔦 茑|蔭 荫|蔯 𫈟|蔿 𫇭|蕁 荨|蕆 蒇|蕎 荞|蕒 荬|蕓 芸|蕕 莸|蕘 荛|蕢 蒉|蕩 荡|蕪 芜|蕭 萧|蕷 蓣|薀 蕰|薈 荟|薊 蓟|薌 芗|薑 姜|薔 蔷|薘 荙|薟 莶|薦 荐|薩 萨|薳 䓕|薴 苧|薵 䓓|薹 苔|薺 荠|藍 蓝|藎 荩|藝 艺|藥 药|藪 薮|藭 䓖',
+    '藴 蕴|藶 苈|藹 蔼|藺 蔺|蘀 萚|蘄 蕲|蘆 芦|蘇 苏|蘊 蕴|蘋 苹|蘚 藓|蘞 蔹|蘟 𦻕|蘢 茏|蘭 兰|蘺 蓠|蘿 萝|虆 蔂|虉 𬟁|處 处|虛 虚|虜 虏|號 号|虧 亏|虯 虬|蛺 蛱|蛻 蜕|蜆 蚬|蝀 𬟽|蝕 蚀|蝟 猬|蝦 虾|蝨 虱|蝸 蜗|螄 蛳|螞 蚂|螢 萤|螮 䗖|螻 蝼|螿 螀',
+    '蟄 蛰|蟈 蝈|蟎 螨|蟣 虮|蟬 蝉|蟯 蛲|蟲 虫|蟳 𫊻|蟶 蛏|蟻 蚁|蠁 蚃|蠅 蝇|蠆 虿|蠍 蝎|蠐 蛴|蠑 蝾|蠔 蚝|蠟 蜡|蠣 蛎|蠨 蟏|蠱 蛊|蠶 蚕|蠻 蛮|衆 众|衊 蔑|術 术|衕 同|衚 胡|衛 卫|衝 冲|袞 衮|袷 夹|裊 袅|裏 里|補 补|裝 装|裡 里|製 制|複 复|褌 裈',
+    '褘 袆|褲 裤|褳 裢|褸 褛|褻 亵|襀 𫌀|襇 裥|襉 裥|襏 袯|襖 袄|襝 裣|襠 裆|襤 褴|襪 袜|襬 摆|襯 衬|襲 袭|襴 襕|覈 核|見 见|覎 觃|規 规|覓 觅|視 视|覘 觇|覡 觋|覥 觍|覦 觎|親 亲|覬 觊|覯 觏|覲 觐|覷 觑|覺 觉|覽 览|覿 觌|觀 观|觴 觞|觶 觯|觸 触',
+    '訁 讠|訂 订|訃 讣|計 计|訊 讯|訌 讧|討 讨|訏 𬣙|訐 讦|訒 讱|訓 训|訕 讪|訖 讫|託 托|記 记|訛 讹|訝 讶|訟 讼|訢 䜣|訣 诀|訥 讷|訩 讻|訪 访|設 设|許 许|訴 诉|訶 诃|診 诊|註 注|証 证|詀 𧮪|詁 诂|詆 诋|詎 讵|詐 诈|詒 诒|詔 诏|評 评|詖 诐|詗 诇',
+    '詘 诎|詛 诅|詝 𬣞|詞 词|詠 咏|詡 诩|詢 询|詣 诣|試 试|詩 诗|詪 𬣳|詫 诧|詬 诟|詭 诡|詮 诠|詰 诘|話 话|該 该|詳 详|詵 诜|詷 𫍣|詼 诙|詿 诖|誄 诔|誅 诛|誆 诓|誇 夸|誌 志|認 认|誑 诳|誒 诶|誕 诞|誘 诱|誚 诮|語 语|誠 诚|誡 诫|誣 诬|誤 误|誥 诰',
+    '誦 诵|誨 诲|說 说|説 说|誰 谁|課 课|誶 谇|誹 诽|誼 谊|誾 訚|調 调|諂 谄|諄 谆|談 谈|諉 诿|請 请|諍 诤|諏 诹|諑 诼|諒 谅|諓 𬣡|論 论|諗 谂|諛 谀|諜 谍|諝 谞|諞 谝|諟 𬤊|諡 谥|諢 诨|諤 谔|諦 谛|諧 谐|諫 谏|諭 谕|諮 咨|諱 讳|諲 𬤇|諳 谙|諴 𫍯',
+    '諶 谌|諷 讽|諸 诸|諺 谚|諼 谖|諾 诺|謀 谋|謁 谒|謂 谓|謄 誊|謅 诌|謊 谎|謎 谜|謏 𫍲|謐 谧|謔 谑|謖 谡|謗 谤|謙 谦|謚 谥|講 讲|謝 谢|謠 谣|謡 谣|謨 谟|謫 谪|謬 谬|謭 谫|謳 讴|謹 谨|謾 谩|譁 哗|證 证|譎 谲|譏 讥|譓 𬤝|譖 谮|識 识|譙 谯|譚 谭',
+    '譜 谱|譞 𫍽|譟 噪|譫 谵|譭 毁|譯 译|議 议|譴 谴|護 护|譸 诪|譽 誉|譾 谫|讀 读|讅 谉|變 变|讋 詟|讌 䜩|讎 雠|讒 谗|讓 让|讕 谰|讖 谶|讚 赞|讜 谠|讞 谳|谿 溪|豈 岂|豎 竖|豐 丰|豔 艳|豬 猪|豶 豮|貍 狸|貓 猫|貙 䝙|貝 贝|貞 贞|貟 贠|負 负|財 财',
+    '貢 贡|貧 贫|貨 货|販 贩|貪 贪|貫 贯|責 责|貯 贮|貰 贳|貲 赀|貳 贰|貴 贵|貶 贬|買 买|貸 贷|貺 贶|費 费|貼 贴|貽 贻|貿 贸|賀 贺|賁 贲|賂 赂|賃 赁|賄 贿|賅 赅|資 资|賈 贾|賊 贼|賑 赈|賒 赊|賓 宾|賕 赇|賙 赒|賚 赉|賜 赐|賞 赏|賠 赔|賡 赓|賢 贤',
+    '賣 卖|賤 贱|賦 赋|賧 赕|質 质|賫 赍|賬 账|賭 赌|賰 䞐|賴 赖|賵 赗|賺 赚|賻 赙|購 购|賽 赛|賾 赜|贄 贽|贅 赘|贇 赟|贈 赠|贊 赞|贋 赝|贍 赡|贏 赢|贐 赆|贓 赃|贔 赑|贖 赎|贗 赝|贛 赣|贜 赃|赬 赪|趕 赶|趙 赵|趨 趋|趲 趱|跡 迹|踐 践|踰 逾|踴 踊',
+    '蹌 跄|蹕 跸|蹟 迹|蹠 跖|蹣 蹒|蹤 踪|蹺 跷|躂 跶|躉 趸|躊 踌|躋 跻|躍 跃|躎 䟢|躑 踯|躒 跞|躓 踬|躕 蹰|躚 跹|躡 蹑|躥 蹿|躦 躜|躪 躏|軀 躯|車 车|軋 轧|軌 轨|軍 军|軏 𫐄|軑 轪|軒 轩|軔 轫|軛 轭|軝 𬨂|軟 软|軤 轷|軫 轸|軲 轱|軸 轴|軹 轵|軺 轺',
+    '軻 轲|軼 轶|軾 轼|較 较|輄 𨐈|輅 辂|輇 辁|輈 辀|載 载|輊 轾|輋 𪨶|輒 辄|輓 挽|輔 辅|輕 轻|輗 𫐐|輛 辆|輜 辎|輝 辉|輞 辋|輟 辍|輥 辊|輦 辇|輩 辈|輪 轮|輬 辌|輮 𫐓|輯 辑|輳 辏|輶 𬨎|輸 输|輻 辐|輼 辒|輾 辗|輿 舆|轀 辒|轂 毂|轄 辖|轅 辕|轆 辘',
+    '轉 转|轍 辙|轎 轿|轔 辚|轟 轰|轡 辔|轢 轹|轤 轳|辦 办|辭 辞|辮 辫|辯 辩|農 农|迴 回|逕 径|這 这|連 连|週 周|進 进|遊 游|運 运|過 过|達 达|違 违|遙 遥|遜 逊|遞 递|遠 远|遡 溯|適 适|遲 迟|遶 绕|遷 迁|選 选|遺 遗|遼 辽|邁 迈|還 还|邇 迩|邊 边',
+    '邏 逻|邐 逦|郟 郏|郵 邮|鄆 郓|鄉 乡|鄒 邹|鄔 邬|鄖 郧|鄧 邓|鄩 𬩽|鄭 郑|鄰 邻|鄲 郸|鄳 𫑡|鄴 邺|鄶 郐|鄺 邝|酇 酂|酈 郦|醃 腌|醖 酝|醜 丑|醞 酝|醟 蒏|醣 糖|醫 医|醬 酱|醱 酦|醲 𬪩|釀 酿|釁 衅|釃 酾|釅 酽|釋 释|釐 厘|釒 钅|釓 钆|釔 钇|釕 钌',
+    '釗 钊|釘 钉|釙 钋|針 针|釣 钓|釤 钐|釦 扣|釧 钏|釩 钒|釴 𬬩|釵 钗|釷 钍|釹 钕|釺 钎|釾 䥺|釿 𬬱|鈀 钯|鈁 钫|鈃 钘|鈄 钭|鈅 钥|鈇 𫓧|鈈 钚|鈉 钠|鈍 钝|鈎 钩|鈐 钤|鈑 钣|鈒 钑|鈔 钞|鈕 钮|鈞 钧|鈡 钟|鈣 钙|鈥 钬|鈦 钛|鈧 钪|鈮 铌|鈰 铈|鈳 钶',
+    '鈴 铃|鈷 钴|鈸 钹|鈹 铍|鈺 钰|鈽 钸|鈾 铀|鈿 钿|鉀 钾|鉅 巨|鉆 钻|鉈 铊|鉉 铉|鉊 𬬿|鉋 铇|鉍 铋|鉑 铂|鉕 钷|鉗 钳|鉚 铆|鉛 铅|鉝 𫟷|鉞 钺|鉢 钵|鉤 钩|鉥 𬬸|鉦 钲|鉧 𬭁|鉬 钼|鉭 钽|鉮 𬬹|鉳 锫|鉶 铏|鉷 𫟹|鉸 铰|鉺 铒|鉻 铬|鉿 铪|銀 银|銃 铳',
+    '銅 铜|銈 𫓯|銍 铚|銑 铣|銓 铨|銖 铢|銘 铭|銚 铫|銛 铦|銜 衔|銠 铑|銣 铷|銥 铱|銦 铟|銨 铵|銩 铥|銪 铕|銫 铯|銬 铐|銱 铞|銳 锐|銶 𨱇|銷 销|銹 锈|銻 锑|銼 锉|鋁 铝|鋃 锒|鋅 锌|鋇 钡|鋌 铤|鋏 铗|鋐 𬭎|鋒 锋|鋗 𫓶|鋙 铻|鋝 锊|鋟 锓|鋣 铘|鋤 锄',
+    '鋥 锃|鋦 锔|鋨 锇|鋩 铓|鋪 铺|鋭 锐|鋮 铖|鋯 锆|鋰 锂|鋱 铽|鋶 锍|鋸 锯|鋹 𬬮|鋼 钢|錀 𬬭|錁 锞|錄 录|錆 锖|錇 锫|錈 锩|錏 铔|錐 锥|錒 锕|錕 锟|錘 锤|錙 锱|錚 铮|錛 锛|錞 𬭚|錟 锬|錠 锭|錡 锜|錢 钱|錤 𫓹|錦 锦|錨 锚|錩 锠|錫 锡|錮 锢|錯 错',
+    '録 录|錳 锰|錶 表|錸 铼|錼 镎|鍀 锝|鍁 锨|鍃 锪|鍅 钫|鍆 钔|鍇 锴|鍈 锳|鍊 炼|鍋 锅|鍍 镀|鍔 锷|鍘 铡|鍚 钖|鍛 锻|鍠 锽|鍤 锸|鍥 锲|鍩 锘|鍬 锹|鍭 𬭤|鍰 锾|鍵 键|鍶 锶|鍺 锗|鍼 针|鍾 钟|鎂 镁|鎄 锿|鎇 镅|鎊 镑|鎌 镰|鎓 𬭩|鎔 镕|鎖 锁|鎘 镉',
+    '鎚 锤|鎛 镈|鎝 𨱏|鎡 镃|鎢 钨|鎣 蓥|鎦 镏|鎧 铠|鎩 铩|鎪 锼|鎬 镐|鎭 镇|鎮 镇|鎰 镒|鎲 镋|鎳 镍|鎵 镓|鎶 鿔|鎸 镌|鎿 镎|鏃 镞|鏇 旋|鏈 链|鏌 镆|鏍 镙|鏏 𬭬|鏐 镠|鏑 镝|鏗 铿|鏘 锵|鏜 镗|鏝 镘|鏞 镛|鏟 铲|鏡 镜|鏢 镖|鏤 镂|鏨 錾|鏰 镚|鏵 铧',
+    '鏷 镤|鏹 镪|鏺 䥽|鏻 𬭸|鏽 锈|鐃 铙|鐄 𨱑|鐇 𫔍|鐋 铴|鐍 𫔎|鐏 𨱔|鐐 镣|鐒 铹|鐓 镦|鐔 镡|鐘 钟|鐙 镫|鐝 镢|鐠 镨|鐥 䦅|鐦 锎|鐧 锏|鐨 镄|鐩 𬭼|鐫 镌|鐮 镰|鐯 䦃|鐲 镯|鐳 镭|鐵 铁|鐶 镮|鐸 铎|鐺 铛|鐽 𫟼|鐿 镱|鑄 铸|鑊 镬|鑌 镔|鑑 鉴|鑒 鉴',
+    '鑔 镲|鑕 锧|鑞 镴|鑠 铄|鑣 镳|鑥 镥|鑪 𬬻|鑭 镧|鑰 钥|鑱 镵|鑲 镶|鑷 镊|鑹 镩|鑼 锣|鑽 钻|鑾 銮|鑿 凿|钁 镢|钂 镋|長 长|門 门|閂 闩|閃 闪|閆 闫|閈 闬|閉 闭|開 开|閌 闶|閎 闳|閏 闰|閑 闲|閒 闲|間 间|閔 闵|閘 闸|閡 阂|閣 阁|閤 合|閥 阀|閨 闺',
+    '閩 闽|閫 阃|閬 阆|閭 闾|閱 阅|閲 阅|閶 阊|閹 阉|閻 阎|閼 阏|閽 阍|閾 阈|閿 阌|闃 阒|闆 板|闇 暗|闈 闱|闉 𬮱|闊 阔|闋 阕|闌 阑|闍 阇|闐 阗|闑 𫔶|闒 阘|闓 闿|闔 阖|闕 阙|闖 闯|關 关|闞 阚|闠 阓|闡 阐|闢 辟|闤 阛|闥 闼|陘 陉|陝 陕|陞 升|陣 阵',
+    '陰 阴|陳 陈|陸 陆|陽 阳|隉 陧|隊 队|階 阶|隑 𬮿|隕 陨|際 际|隤 𬯎|隨 随|險 险|隮 𬯀|隯 陦|隱 隐|隴 陇|隸 隶|隻 只|雋 隽|雖 虽|雙 双|雛 雏|雜 杂|雞 鸡|離 离|難 难|雲 云|電 电|霑 沾|霢 霡|霧 雾|霽 霁|靂 雳|靄 霭|靆 叇|靈 灵|靉 叆|靚 靓|靜 静',
+    '靝 靔|靦 腼|靨 靥|鞏 巩|鞝 绱|鞦 秋|鞽 鞒|韁 缰|韃 鞑|韆 千|韉 鞯|韋 韦|韌 韧|韍 韨|韓 韩|韙 韪|韜 韬|韝 鞲|韞 韫|韻 韵|響 响|頁 页|頂 顶|頃 顷|項 项|順 顺|頇 顸|須 须|頊 顼|頌 颂|頍 𫠆|頎 颀|頏 颃|預 预|頑 顽|頒 颁|頓 顿|頔 𬱖|頗 颇|領 领',
+    '頜 颌|頠 𬱟|頡 颉|頤 颐|頦 颏|頫 𫖯|頭 头|頮 颒|頰 颊|頲 颋|頴 颕|頵 𫖳|頷 颔|頸 颈|頹 颓|頻 频|頽 颓|顆 颗|題 题|額 额|顎 颚|顏 颜|顒 颙|顓 颛|顔 颜|顗 𫖮|願 愿|顙 颡|顛 颠|類 类|顢 颟|顥 颢|顧 顾|顫 颤|顬 颥|顯 显|顰 颦|顱 颅|顳 颞|顴 颧',
+    '風 风|颭 飐|颮 飑|颯 飒|颱 台|颳 刮|颶 飓|颸 飔|颺 飏|颻 飖|颼 飕|飀 飗|飄 飘|飆 飙|飈 飚|飛 飞|飠 饣|飢 饥|飣 饤|飥 饦|飩 饨|飪 饪|飫 饫|飭 饬|飯 饭|飱 飧|飲 饮|飴 饴|飼 饲|飽 饱|飾 饰|飿 饳|餃 饺|餄 饸|餅 饼|餈 糍|餉 饷|養 养|餌 饵|餎 饹',
+    '餏 饻|餑 饽|餒 馁|餓 饿|餕 馂|餖 饾|餗 𫗧|餘 余|餚 肴|餛 馄|餜 馃|餞 饯|餡 馅|館 馆|餬 糊|餱 糇|餳 饧|餵 喂|餶 馉|餷 馇|餸 𩠌|餺 馎|餼 饩|餾 馏|餿 馊|饁 馌|饃 馍|饅 馒|饈 馐|饉 馑|饊 馓|饋 馈|饌 馔|饑 饥|饒 饶|饗 飨|饘 𫗴|饜 餍|饞 馋|饢 馕',
+    '馬 马|馭 驭|馮 冯|馱 驮|馳 驰|馴 驯|馹 驲|馼 𫘜|駁 驳|駃 𫘝|駉 𬳶|駐 驻|駑 驽|駒 驹|駓 𬳵|駔 驵|駕 驾|駘 骀|駙 驸|駛 驶|駝 驼|駟 驷|駡 骂|駢 骈|駪 𬳽|駭 骇|駰 骃|駱 骆|駸 骎|駼 𬳿|駿 骏|騁 骋|騂 骍|騄 𫘧|騅 骓|騊 𫘦|騌 骔|騍 骒|騎 骑|騏 骐',
+    '騑 𬴂|騖 骛|騙 骗|騞 𬴃|騠 𫘨|騤 骙|騧 䯄|騫 骞|騭 骘|騮 骝|騰 腾|騱 𫘬|騵 𫘪|騶 驺|騷 骚|騸 骟|騾 骡|驀 蓦|驁 骜|驂 骖|驃 骠|驄 骢|驅 驱|驊 骅|驌 骕|驍 骁|驎 𬴊|驏 骣|驕 骄|驗 验|驚 惊|驛 驿|驟 骤|驢 驴|驤 骧|驥 骥|驦 骦|驪 骊|驫 骉|骯 肮',
+    '髏 髅|髒 脏|體 体|髕 髌|髖 髋|髮 发|鬆 松|鬍 胡|鬚 须|鬢 鬓|鬥 斗|鬧 闹|鬨 哄|鬩 阋|鬮 阄|鬱 郁|鬹 鬶|魎 魉|魘 魇|魚 鱼|魛 鱽|魟 𫚉|魢 鱾|魨 鲀|魯 鲁|魴 鲂|魷 鱿|魺 鲄|鮀 𬶍|鮁 鲅|鮃 鲆|鮆 𫚖|鮈 𬶋|鮊 鲌|鮋 鲉|鮍 鲏|鮎 鲇|鮐 鲐|鮑 鲍|鮒 鲋',
+    '鮓 鲊|鮚 鲒|鮜 鲘|鮝 鲞|鮞 鲕|鮟 𩽾|鮠 𬶏|鮡 𬶐|鮣 䲟|鮦 鲖|鮪 鲔|鮫 鲛|鮭 鲑|鮮 鲜|鮳 鲓|鮶 鲪|鮸 𩾃|鮺 鲝|鯀 鲧|鯁 鲠|鯇 鲩|鯉 鲤|鯊 鲨|鯒 鲬|鯔 鲻|鯕 鲯|鯖 鲭|鯗 鲞|鯛 鲷|鯝 鲴|鯡 鲱|鯢 鲵|鯤 鲲|鯧 鲳|鯨 鲸|鯪 鲮|鯫 鲰|鯰 鲶|鯴 鲺|鯷 鳀',
+    '鯻 𬶟|鯽 鲫|鯿 鳊|鰁 鳈|鰂 鲗|鰃 鳂|鰆 䲠|鰈 鲽|鰉 鳇|鰊 𬶠|鰌 䲡|鰍 鳅|鰏 鲾|鰐 鳄|鰒 鳆|鰓 鳃|鰛 鳁|鰜 鳒|鰟 鳑|鰠 鳋|鰣 鲥|鰤 𫚕|鰥 鳏|鰧 䲢|鰨 鳎|鰩 鳐|鰭 鳍|鰮 鳁|鰱 鲢|鰲 鳌|鰳 鳓|鰵 鳘|鰶 𬶭|鰷 鲦|鰹 鲣|鰺 鲹|鰻 鳗|鰼 鳛|鰾 鳔|鱀 𬶨',
+    '鱂 鳉|鱅 鳙|鱇 𩾌|鱈 鳕|鱉 鳖|鱒 鳟|鱔 鳝|鱖 鳜|鱗 鳞|鱘 鲟|鱚 𬶮|鱝 鲼|鱟 鲎|鱠 鲙|鱣 鳣|鱤 鳡|鱧 鳢|鱨 鲿|鱭 鲚|鱯 鳠|鱲 𫚭|鱷 鳄|鱸 鲈|鱺 鲡|鳥 鸟|鳧 凫|鳩 鸠|鳬 凫|鳲 鸤|鳳 凤|鳴 鸣|鳶 鸢|鳾 䴓|鴆 鸩|鴇 鸨|鴉 鸦|鴒 鸰|鴕 鸵|鴛 鸳|鴝 鸲',
+    '鴞 鸮|鴟 鸱|鴣 鸪|鴦 鸯|鴨 鸭|鴯 鸸|鴰 鸹|鴴 鸻|鴷 䴕|鴻 鸿|鴿 鸽|鵁 䴔|鵂 鸺|鵃 鸼|鵏 𬷕|鵐 鹀|鵑 鹃|鵒 鹆|鵓 鹁|鵜 鹈|鵝 鹅|鵟 𫛭|鵠 鹄|鵡 鹉|鵪 鹌|鵬 鹏|鵮 鹐|鵯 鹎|鵰 雕|鵲 鹊|鵷 鹓|鵾 鹍|鶄 䴖|鶇 鸫|鶉 鹑|鶊 鹒|鶓 鹋|鶖 鹙|鶘 鹕|鶚 鹗',
+    '鶠 𬸘|鶡 鹖|鶥 鹛|鶩 鹜|鶪 䴗|鶬 鸧|鶯 莺|鶱 𬸣|鶲 鹟|鶴 鹤|鶹 鹠|鶺 鹡|鶻 鹘|鶼 鹣|鶿 鹚|鷀 鹚|鷁 鹢|鷂 鹞|鷄 鸡|鷉 䴘|鷊 鹝|鷓 鹧|鷖 鹥|鷗 鸥|鷙 鸷|鷚 鹨|鷟 𬸦|鷥 鸶|鷦 鹪|鷫 鹔|鷭 𬸪|鷯 鹩|鷲 鹫|鷳 鹇|鷴 鹇|鷸 鹬|鷹 鹰|鷺 鹭|鷽 鸴|鸂 㶉',
+    '鸇 鹯|鸊 䴙|鸌 鹱|鸏 鹲|鸑 𬸚|鸕 鸬|鸘 鹴|鸚 鹦|鸛 鹳|鸝 鹂|鸞 鸾|鹵 卤|鹹 咸|鹺 鹾|鹼 碱|鹽 盐|麗 丽|麥 麦|麩 麸|麪 面|麫 面|麬 𤿲|麯 曲|麳 𪎌|麴 曲|麵 面|麼 么|麽 么|黃 黄|黌 黉|點 点|黨 党|黲 黪|黴 霉|黶 黡|黷 黩|黽 黾|黿 鼋|鼂 鼌|鼉 鼍',
+    '鼕 冬|鼴 鼹|齊 齐|齋 斋|齎 赍|齏 齑|齒 齿|齔 龀|齕 龁|齗 龂|齘 𬹼|齙 龅|齜 龇|齟 龃|齠 龆|齡 龄|齣 出|齦 龈|齧 啮|齪 龊|齬 龉|齮 𬺈|齯 𫠜|齲 龋|齶 腭|齷 龌|齼 𬺓|龍 龙|龎 厐|龐 庞|龑 䶮|龔 龚|龕 龛|龜 龟|鿁 䜤|鿓 鿒|𠁞 𠀾|𠗣 㓆|𡃕 𠴛|𡅏 𠲥',
+    '𡑍 𫭼|𡑭 𡋗|𡓾 𡋀|𡔖 𡍣|𡞵 㛟|𡠹 㛿|𡢃 㛠|𡮉 𡭜|𡮣 𡭬|𡳳 𡳃|𡻕 岁|𡾱 㟜|𢣚 𢘝|𢶫 𢫞|𢹿 𢬦|𣈶 暅|𣙎 㭣|𣞻 𣘓|𣠩 𣞎|𣠲 𣑶|𣯶 毶|𣾷 㳢|𤁣 𣺽|𤅶 𣷷|𤓩 𤊰|𤪺 㻘|𤫩 㻏|𤳸 𤳄|𥊝 𥅿|𥌃 𥅘|𥕥 𥐰|𥖅 𥐯|𥗽 𬒗|𥢢 䅪|𥸠 𥮋|𥼽 𥹥|𦘧 𡳒|𦣎 𦟗|𦪙 䑽|𧜗 䘞',
+    '𧜵 䙊|𧝞 䘛|𧟀 𧝧|𧩙 䜥|𧵳 䞌|𧶧 䞎|𨊰 䢀|𨊸 䢁|𨋢 䢂|𨤻 𨤰|𨦫 䦀|𨧀 𬭊|𨧜 䦁|𨨏 𬭛|𨭆 𬭶|𨭎 𬭳|𨯅 䥿|𩞯 䭪|𩠴 𩠠|𩣑 䯃|𩶘 䲞|𰻞 𰻝'
+  ].join('|'),
+
+  // Traditional to Simplified, phrases the characters alone get wrong
+  tsPhrases: [
+    '一坏 一坯|一目瞭然 一目了然|七逕 七迳|上逕 上迳|上鍊 上链|不可貲計 不可赀計|不瞭解 不了解|么麼 幺麽|么麽 幺麽|九逕山 九迳山|乾佑縣 乾佑县|乾元 乾元|乾卦 乾卦|乾嘉 乾嘉|乾圖 乾图|乾坤 乾坤|乾坤一擲 乾坤一掷|乾坤再造 乾坤再造|乾坤大挪移 乾坤大挪移|乾宅 乾宅|乾安縣 乾安县|乾安鎮 乾安镇|乾州 乾州|乾斷 乾断|乾旦 乾旦|乾曜 乾曜|乾清宮 乾清宫|乾盛世 乾盛世|乾綱 乾纲|乾縣 乾县|乾象 乾象|乾造 乾造|乾道 乾道|乾闥婆 乾闼婆|乾陵 乾陵|乾隆 乾隆|乾隆年間 乾隆年间|乾隆皇帝 乾隆皇帝|二噁英 二𫫇英|以免藉口 以免借口',
+    '傢俱 家具|允祕 允祕|八濛山 八濛山|其陰多蒐 其阴多蒐|凌藉 凌借|函覆 函复|剋架 剋架|剋毒 剋毒|千鍾粟 千锺粟|南氾 南氾|南逕 南迳|反反覆覆 反反复复|反覆 反复|反覆思維 反复思维|反覆思量 反复思量|反覆性 反复性|名覆金甌 名复金瓯|吳祕 吴祕|吳育昇 吴育昇|哪吒 哪吒|回覆 回复|土坏 土坯|坏土 坯土|坏子 坯子|坏布 坯布|坏戶 坯户|墨沈沈 墨沉沉|壺裏乾坤 壶里乾坤|大目乾連冥間救母變文 大目乾连冥间救母变文|宫商角徵羽 宫商角徵羽|尼乾子 尼乾子|尼乾陀 尼乾陀|年釐 年釐|幺麼 幺麽|幺麼小丑 幺麽小丑|幺麼小醜 幺麽小丑|康乾 康乾|張昇 张昇|張法乾 张法乾|彷彿 仿佛',
+    '徐胤昇 徐胤昇|復甦 复苏|徵弦 徵弦|徵絃 徵弦|徵羽摩柯 徵羽摩柯|徵聲 徵声|徵調 徵调|徵音 徵音|意志消沈 意志消沉|憑藉 凭借|憑藉着 凭借着|懷釐 怀釐|手鍊 手链|打坏 打坯|扞格 扞格|扭轉乾坤 扭转乾坤|批覆 批复|找藉口 找借口|折戟沈沙 折戟沉沙|折戟沈河 折戟沉河|拉坏 拉坯|拉鍊 拉链|拉鍊工程 拉链工程|拜覆 拜复|挨剋 挨剋|捏坏 捏坯|擊沈 击沉|據瞭解 据了解|於世成 於世成|於乎 於乎|於仲完 於仲完|於倫 於伦|於其一 於其一|於則 於则|於勇明 於勇明|於呼哀哉 於呼哀哉|於單 於单|於坦 於坦|於崇文 於崇文|於忠祥 於忠祥',
+    '於惟一 於惟一|於戲 於戏|於敖 於敖|於梨華 於梨华|於清言 於清言|於潛 於潜|於琳 於琳|於穆 於穆|於竹屋 於竹屋|於菟 於菟|於邑 於邑|於陵子 於陵子|旋乾轉坤 旋乾转坤|旋轉乾坤 旋转乾坤|旋轉乾坤之力 旋转乾坤之力|明瞭 明了|明覆 明复|昏沈 昏沉|春蒐 春蒐|春釐 春釐|暗沈沈 暗沉沉|書中自有千鍾粟 书中自有千锺粟|朝乾夕惕 朝乾夕惕|木吒 木吒|李乾德 李乾德|李昇 李昇|李昇勳 李昇勋|李澤鉅 李泽钜|李祕 李祕|李鍊福 李链福|李鍾郁 李锺郁|束脩 束脩|東氾 东氾|梁昇卿 梁昇卿|梁章鉅 梁章钜|楊聯陞 杨联陞|樊於期 樊於期|死氣沈沈 死气沉沉|段脩 段脩|毛坏 毛坯',
+    '水逕 水迳|氾勝之 氾胜之|氾南 氾南|氾國 氾国|氾水 氾水|沈下 沉下|沈不住氣 沉不住气|沈住氣 沉住气|沈冤 沉冤|沈厚 沉厚|沈吟 沉吟|沈寂 沉寂|沈得住氣 沉得住气|沈思 沉思|沈思往事 沉思往事|沈悶 沉闷|沈沒 沉没|沈沒成本 沉没成本|沈浮 沉浮|沈浸 沉浸|沈浸於 沉浸于|沈淪 沉沦|沈湎 沉湎|沈湎酒色 沉湎酒色|沈溺 沉溺|沈滯 沉滞|沈滯性 沉滞性|沈澱 沉淀|沈澱出來 沉淀出来|沈澱劑 沉淀剂|沈澱法 沉淀法|沈澱物 沉淀物|沈濁 沉浊|沈甸甸 沉甸甸|沈痛 沉痛|沈痼 沉痼|沈痾 沉疴|沈睡 沉睡|沈睡不醒 沉睡不醒|沈砂池 沉砂池',
+    '沈積 沉积|沈積岩 沉积岩|沈積石 沉积石|沈筒 沉筒|沈船 沉船|沈落 沉落|沈迷 沉迷|沈迷不醒 沉迷不醒|沈醉 沉醉|沈重 沉重|沈降 沉降|沈陷 沉陷|沈靜 沉静|沈靜下來 沉静下来|沈香 沉香|沈鬱 沉郁|沈魚落雁 沉鱼落雁|沈默 沉默|沈默不語 沉默不语|沈默寡言 沉默寡言|沙逕 沙迳|河逕 河迳|流徵 流徵|浪蕩乾坤 浪荡乾坤|浮沈 浮沉|海哩 海里|深沈 深沉|深沈不露 深沉不露|溫昇豪 温昇豪|滑藉 滑借|烏昇 乌昇|烏沈沈 乌沉沉|烏逕 乌迳|狐藉虎威 狐借虎威|王彥昇 王彦昇|珍珠項鍊 珍珠项链|甚鉅 甚钜|甦生 苏生|甦醒 苏醒|申昇勳 申昇勋',
+    '申覆 申复|畢昇 毕昇|盧象昇 卢象昇|目劄 目劄|瞭如 了如|瞭如指掌 了如指掌|瞭然 了然|瞭然於心 了然于心|瞭若指掌 了若指掌|瞭解 了解|瞭解到 了解到|破釜沈舟 破釜沉舟|磚坏 砖坯|示覆 示复|社逕 社迳|祕丕笈 祕丕笈|祕彭祖 祕彭祖|祕瓊 祕琼|祝釐 祝釐|稟覆 禀复|竺乾 竺乾|答覆 答复|篤麼 笃麽|簡單明瞭 简单明了|籌畫 筹划|素藉 素借|耳沈 耳沉|肉脩 肉脩|肘手鍊足 肘手链足|胤祕 胤祕|脩敬 脩敬|脩炳 脩炳|脩脡 脩脡|脩脯 脩脯|脩金 脩金|脫坏 脱坯|腶脩 腶脩|英哩 英里|茅蒐 茅蒐|茵藉 茵借',
+    '萬鍾 万锺|落雁沈魚 落雁沉鱼|蒐于紅 蒐于红|蒐於紅 蒐于红|蒐狩 蒐狩|蒐獮 蒐狝|蒐獵 蒐猎|蒐田 蒐田|蒐畋 蒐畋|蒐苗 蒐苗|蒜薹 蒜薹|蔣昇 蒋昇|蕓薹 芸薹|蕭乾 萧乾|藉代 借代|藉以 借以|藉助 借助|藉助於 借助于|藉卉 借卉|藉口 借口|藉喻 借喻|藉寇兵 借寇兵|藉寇兵齎盜糧 借寇兵赍盗粮|藉手 借手|藉據 借据|藉故 借故|藉故推辭 借故推辞|藉方 借方|藉條 借条|藉槁 借槁|藉機 借机|藉此 借此|藉此機會 借此机会|藉甚 借甚|藉由 借由|藉着 借着|藉端 借端|藉端生事 借端生事|藉箸代籌 借箸代筹|藉草枕塊 借草枕块',
+    '藉詞 借词|藉讀 借读|藉資 借资|衹得 只得|衹見樹木 只见树木|衹見樹木不見森林 只见树木不见森林|袁祕 袁祕|袖裏乾坤 袖里乾坤|袷袢 袷袢|製坏 制坯|覆信 复信|覆呈 复呈|覆命 复命|覆墓 复墓|覆帳 复帐|覆按 复按|覆文 复文|覆校 复校|覆電 复电|見覆 见复|角徵 角徵|角徵羽 角徵羽|計畫 计划|變徵 变徵|變徵之聲 变徵之声|變徵之音 变徵之音|谿工 谿工|赤石逕 赤石迳|踅門瞭戶 踅门了户|躪藉 躏借|載沈載浮 载沉载浮|載浮載沈 载浮载沉|辛祕 辛祕|逆釐 逆釐|逕口 迳口|逕聯 迳联|逕頭 迳头|郭子乾 郭子乾|酒逢知己千鍾少 酒逢知己千锺少|醞藉 酝借',
+    '重覆 重复|金吒 金吒|金昇玟 金昇玟|金鍊 金链|鈞覆 钧复|鉅子 钜子|鉅萬 钜万|鉅防 钜防|鉸鍊 铰链|銀鍊 银链|鋼坏 钢坯|錢鍾書 钱锺书|鍊墜 链坠|鍊子 链子|鍊形 链形|鍊條 链条|鍊錘 链锤|鍊鎖 链锁|鍛鍾 锻锺|鍾繇 锺繇|鍾萬梅 锺万梅|鍾重發 锺重发|鍾鍛 锺锻|鍾馗 锺馗|鎖鍊 锁链|鐵鍊 铁链|鑽石項鍊 钻石项链|鑿坏 凿坯|閻鶴昇 阎鹤昇|陰沈 阴沉|陰沈沈 阴沉沉|陰陰沈沈 阴阴沉沉|陳志昇 陈志昇|陳昇 陈昇|陶坏 陶坯|雁杳魚沈 雁杳鱼沉|電覆 电复|韓昇延 韩昇延|項鍊 项链|頸鍊 颈链',
+    '顛乾倒坤 颠乾倒坤|顛倒乾坤 颠倒乾坤|顧藉 顾借|魏徵 魏徵|魚沈雁杳 鱼沉雁杳|麪坏兒 面坯儿|麼些族 麽些族|黃鍾公 黄锺公|黑沈沈 黑沉沉|龔昇 龚昇'
+  ].join('|')
+};
+
+// Export for use in other modules
+window.ChineseTables = ChineseTables;
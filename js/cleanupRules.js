@@ -0,0 +1,233 @@
+/**
+ * Cleanup Rules for Text Reader Application
+ * Removes the junk of pirated-source text files (site watermarks, ad URLs,
+ * "本章未完" notices, runs of blank lines) before chapters are detected
+ * Saved globally in localStorage for new imports, or per book on the book
+ * record (book.cleanupRules) to be re-applied to its stories
+ *
+ * Rules are { stripUrls, collapseBlankLines, normalizePunctuation, removeLines }
+ * where removeLines is a list of { pattern, flags, enabled }; a line whose
+ * trimmed text matches an enabled pattern is dropped
+ */
+
+class CleanupRules {
+  static get STORAGE_KEY() {
+    return 'cleanupRules';
+  }
+
+  /**
+   * Built-in cleanups that can be switched on and off
+   */
+  static get BUILT_INS() {
+    return {
+      stripUrls: { label: 'Strip URLs', description: 'Remove web addresses such as www.example.com; lines left empty are dropped' },
+      collapseBlankLines: { label: 'Collapse blank lines', description: 'Keep at most one blank line in a row' },
+      normalizePunctuation: { label: 'Normalize punctuation width', description: 'Full-width punctuation in Chinese text, half-width letters and digits' }
+    };
+  }
+
+  /**
+   * Web addresses: with a scheme, starting with www., or a bare domain
+   * under a common top-level domain
+   */
+  static get URL_PATTERN() {
+    return /(?:https?:\/\/|www\.)[^\s\u3000-\u303F\u4E00-\u9FFF\uFF00-\uFFEF]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|cc|la|info|me|co|tv|tw|cn|io|xyz|top|vip)\b(?:\/[^\s\u3000-\u303F\u4E00-\u9FFF\uFF00-\uFFEF]*)?/gi;
+  }
+
+  /**
+   * Half-width punctuation and its full-width form, used next to CJK text
+   */
+  static get FULL_WIDTH_PUNCTUATION() {
+    return { ',': '，', '!': '！', '?': '？', ':': '：', ';': '；', '(': '（', ')': '）' };
+  }
+
+  static defaultRules() {
+    return {
+      stripUrls: true,
+      collapseBlankLines: true,
+      normalizePunctuation: false,
+      removeLines: [
+        { pattern: '本章未完', flags: '', enabled: true },
+        { pattern: '^(手机|电脑|最新|最快).{0,10}(阅读|章节|更新)', flags: '', enabled: true }
+      ]
+    };
+  }
+
+  /**
+   * Global rules, or the built-in defaults if the user never saved any
+   */
+  static loadGlobal() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CleanupRules.STORAGE_KEY));
+      if (saved && typeof saved === 'object') {
+        return CleanupRules.normalize(saved);
+      }
+    } catch (e) {
+      // Corrupt setting, fall back to the defaults
+    }
+    return CleanupRules.defaultRules();
+  }
+
+  static saveGlobal(rules) {
+    localStorage.setItem(CleanupRules.STORAGE_KEY, JSON.stringify(CleanupRules.normalize(rules)));
+  }
+
+  static resetGlobal() {
+    localStorage.removeItem(CleanupRules.STORAGE_KEY);
+  }
+
+  /**
+   * Rules that apply to a book: its own rules if it has any, else the global ones
+   */
+  static forBook(book) {
+    if (book && book.cleanupRules) {
+      return CleanupRules.normalize(book.cleanupRules);
+    }
+    return CleanupRules.loadGlobal();
+  }
+
+  /**
+   * Keep only the stored fields, dropping empty line patterns
+   */
+  static normalize(rules) {
+    const source = rules || {};
+    const normalized = {};
+    Object.keys(CleanupRules.BUILT_INS).forEach(key => {
+      normalized[key] = source[key] === true;
+    });
+    normalized.removeLines = ChapterRules.normalize(Array.isArray(source.removeLines) ? source.removeLines : []);
+    return normalized;
+  }
+
+  /**
+   * Return an error message for an invalid line pattern, or null if it is valid
+   * Patterns follow the chapter rule syntax (see ChapterRules.validate)
+   */
+  static validate(rule) {
+    const error = ChapterRules.validate(rule);
+    return error === 'Pattern matches empty lines' ? 'Pattern matches every line' : error;
+  }
+
+  /**
+   * Whether the rules change anything at all
+   */
+  static isActive(rules) {
+    const normalized = CleanupRules.normalize(rules);
+    return Object.keys(CleanupRules.BUILT_INS).some(key => normalized[key]) ||
+      normalized.removeLines.some(rule => rule.enabled);
+  }
+
+  static isCjk(char) {
+    return /[\u2E80-\u9FFF\uF900-\uFAFF\u3000-\u303F\uFF00-\uFFEF]/.test(char || '');
+  }
+
+  /**
+   * Full-width punctuation next to CJK text, half-width letters and digits
+   * Leading indentation (full-width spaces) is left alone
+   */
+  static normalizePunctuationWidth(line) {
+    const punctuation = CleanupRules.FULL_WIDTH_PUNCTUATION;
+    let result = line
+      .replace(/[０-９Ａ-Ｚａ-ｚ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+      .replace(/\.{3,}|。{2,}/g, (dots, offset, text) =>
+        CleanupRules.isCjk(text.charAt(offset - 1)) ? '……' : dots);
+
+    result = result.replace(/[,!?:;()]/g, (char, offset, text) => {
+      const before = text.charAt(offset - 1);
+      const after = text.charAt(offset + 1);
+      // Keep times (12:30) and anything between Latin characters
+      if (/\d/.test(before) && /\d/.test(after)) return char;
+      return CleanupRules.isCjk(before) || CleanupRules.isCjk(after) ? punctuation[char] : char;
+    });
+    return result;
+  }
+
+  /**
+   * Clean a text
+   * @param {string} text
+   * @param {Object} rules
+   * @param {Object} options
+   * @param {Set<number>} options.keepLines - Lines that are left exactly as they
+   *   are, e.g. the chapter headings of an existing story
+   * @param {number} options.changeLimit - Also list up to this many removed or
+   *   changed lines, as changes: [{ lineIndex, before, after }] (after is null
+   *   for a removed line), e.g. for a preview
+   * @returns {{text: string, lineMap: number[], linesRemoved: number, linesChanged: number, changes: Array}}
+   *   - lineMap gives, for each original line, its index in the cleaned text
+   *   (for a removed line, the index of the line that now follows it)
+   */
+  static apply(text, rules, options = {}) {
+    const normalized = CleanupRules.normalize(rules);
+    const keepLines = options.keepLines || new Set();
+    const removePatterns = normalized.removeLines
+      .filter(rule => rule.enabled && CleanupRules.validate(rule) === null)
+      .map(rule => new RegExp(rule.pattern, ChapterRules.sanitizeFlags(rule.flags)));
+
+    const lines = text.split('\n');
+    const output = [];
+    const lineMap = new Array(lines.length);
+    const changeLimit = options.changeLimit || 0;
+    const changes = [];
+    let linesRemoved = 0;
+    let linesChanged = 0;
+
+    const remove = (lineIndex) => {
+      linesRemoved++;
+      // Dropped blank lines are not worth listing
+      if (changes.length < changeLimit && lines[lineIndex].trim() !== '') {
+        changes.push({ lineIndex, before: lines[lineIndex], after: null });
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const kept = keepLines.has(i);
+      let line = lines[i];
+      lineMap[i] = output.length;
+
+      if (!kept && line.trim() !== '' && removePatterns.some(pattern => pattern.test(line.trim()))) {
+        remove(i);
+        continue;
+      }
+
+      if (normalized.stripUrls && !kept) {
+        const stripped = line.replace(CleanupRules.URL_PATTERN, '');
+        if (stripped !== line && stripped.trim() === '') {
+          remove(i);
+          continue;
+        }
+        // Close the gap a URL leaves between words
+        line = stripped === line ? line : stripped.replace(/(\S)[ \t]{2,}(?=\S)/g, '$1 ').replace(/[ \t]+$/, '');
+      }
+
+      if (normalized.normalizePunctuation && !kept) {
+        line = CleanupRules.normalizePunctuationWidth(line);
+      }
+
+      if (normalized.collapseBlankLines && !kept && line.trim() === '' &&
+        (output.length === 0 || output[output.length - 1].trim() === '')) {
+        // Blank lines at the start are dropped too
+        remove(i);
+        continue;
+      }
+
+      if (line !== lines[i]) {
+        linesChanged++;
+        if (changes.length < changeLimit) {
+          changes.push({ lineIndex: i, before: lines[i], after: line });
+        }
+      }
+      output.push(line);
+    }
+
+    // Removed lines at the end map onto the last line
+    const lastLine = Math.max(output.length - 1, 0);
+    for (let i = 0; i < lineMap.length; i++) {
+      if (lineMap[i] > lastLine) lineMap[i] = lastLine;
+    }
+
+    return { text: output.join('\n'), lineMap, linesRemoved, linesChanged, changes };
+  }
+}
+
+// Export for use in other modules
+window.CleanupRules = CleanupRules;
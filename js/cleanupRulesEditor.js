@@ -0,0 +1,200 @@
+/**
+ * Cleanup Rules Editor for Text Reader Application
+ * Dialog for switching the built-in cleanups on and off and editing the
+ * patterns of lines to remove, with a live preview of what changes in a
+ * sample of the text
+ */
+
+class CleanupRulesEditor {
+  /**
+   * Maximum number of removed or changed lines listed in the preview
+   */
+  static get PREVIEW_LIMIT() {
+    return 300;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.rules - Rules to edit (see CleanupRules)
+   * @param {string} options.sampleText - Text the preview runs against
+   * @param {string} options.sampleLabel - Where the sample comes from, shown above the preview
+   */
+  constructor(options = {}) {
+    const rules = CleanupRules.normalize(options.rules);
+    this.rules = { ...rules, removeLines: rules.removeLines.map(rule => ({ ...rule })) };
+    this.sampleText = options.sampleText || '';
+    this.sampleLabel = options.sampleLabel || '';
+    this.element = null;
+    this.refreshPreview = window.debounce(() => this.renderPreview(), 250);
+  }
+
+  /**
+   * Show the editor in a dialog
+   * @param {Object} options - Constructor options plus title, message and buttons
+   *   for iosModal.dialog
+   * @returns {Promise<{action: *, rules: Object}>} - action is the clicked button's
+   *   value (null when dismissed), rules the edited rules
+   */
+  static async open(options = {}) {
+    const editor = new CleanupRulesEditor(options);
+    const action = await window.iosModal.dialog({
+      title: options.title || 'Cleanup Rules',
+      message: options.message || '',
+      content: editor.render(),
+      buttons: options.buttons,
+      wide: true
+    });
+    return { action, rules: CleanupRules.normalize(editor.rules) };
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'chapter-rules-editor cleanup-rules-editor';
+    this.element.innerHTML = `
+      <div class="cleanup-built-ins">
+        ${Object.entries(CleanupRules.BUILT_INS).map(([key, info]) => `
+          <div class="form-check form-switch" title="${window.escapeHtml(info.description)}">
+            <input type="checkbox" class="form-check-input cleanup-built-in" id="cleanup-${key}" data-key="${key}"
+              ${this.rules[key] ? 'checked' : ''}>
+            <label for="cleanup-${key}" class="form-check-label">${window.escapeHtml(info.label)}</label>
+          </div>
+        `).join('')}
+      </div>
+      <div class="cleanup-rules-heading">Remove lines matching</div>
+      <div class="chapter-rules-list"></div>
+      <div class="chapter-rules-toolbar">
+        <button type="button" class="btn btn-sm btn-outline-primary chapter-rules-add">
+          <i class="fas fa-plus"></i> Add Pattern
+        </button>
+        <button type="button" class="btn btn-sm btn-link chapter-rules-restore">Restore Defaults</button>
+      </div>
+      <textarea class="form-control form-control-sm chapter-rules-sample" rows="4"
+        placeholder="Paste some text here to test the rules"></textarea>
+      <div class="chapter-rules-preview-header"></div>
+      <ol class="chapter-rules-preview cleanup-rules-preview"></ol>
+    `;
+
+    this.element.querySelectorAll('.cleanup-built-in').forEach(input => {
+      input.addEventListener('change', () => {
+        this.rules[input.dataset.key] = input.checked;
+        this.refreshPreview();
+      });
+    });
+
+    const sample = this.element.querySelector('.chapter-rules-sample');
+    sample.style.display = this.sampleLabel ? 'none' : 'block';
+    sample.addEventListener('input', () => {
+      this.sampleText = sample.value;
+      this.refreshPreview();
+    });
+
+    this.element.querySelector('.chapter-rules-add').addEventListener('click', () => {
+      this.rules.removeLines.push({ pattern: '', flags: '', enabled: true });
+      this.renderRules();
+      const inputs = this.element.querySelectorAll('.chapter-rule-pattern');
+      inputs[inputs.length - 1].focus();
+    });
+
+    this.element.querySelector('.chapter-rules-restore').addEventListener('click', () => {
+      this.rules = CleanupRules.defaultRules();
+      this.element.querySelectorAll('.cleanup-built-in').forEach(input => {
+        input.checked = this.rules[input.dataset.key];
+      });
+      this.renderRules();
+      this.renderPreview();
+    });
+
+    this.renderRules();
+    this.renderPreview();
+    return this.element;
+  }
+
+  /**
+   * Rebuild the pattern rows (after adding or removing one)
+   */
+  renderRules() {
+    const list = this.element.querySelector('.chapter-rules-list');
+    list.innerHTML = '';
+
+    this.rules.removeLines.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'chapter-rule-row';
+      row.innerHTML = `
+        <div class="chapter-rule-fields">
+          <input type="checkbox" class="form-check-input chapter-rule-enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+          <input type="text" class="form-control form-control-sm chapter-rule-pattern" spellcheck="false"
+            placeholder="本站网址" value="${window.escapeHtml(rule.pattern)}">
+          <input type="text" class="form-control form-control-sm chapter-rule-flags" spellcheck="false"
+            placeholder="flags" maxlength="4" title="Flags, e.g. i for case-insensitive" value="${window.escapeHtml(rule.flags || '')}">
+          <button type="button" class="btn btn-sm btn-link text-danger chapter-rule-remove" title="Remove">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="chapter-rule-error"></div>
+      `;
+
+      row.querySelector('.chapter-rule-enabled').addEventListener('change', (e) => {
+        rule.enabled = e.target.checked;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-pattern').addEventListener('input', (e) => {
+        rule.pattern = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-flags').addEventListener('input', (e) => {
+        rule.flags = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.chapter-rule-remove').addEventListener('click', () => {
+        this.rules.removeLines.splice(index, 1);
+        this.renderRules();
+        this.renderPreview();
+      });
+
+      list.appendChild(row);
+    });
+
+    this.renderRuleStatus();
+  }
+
+  /**
+   * Show validation errors on the pattern rows
+   */
+  renderRuleStatus() {
+    const rows = this.element.querySelectorAll('.chapter-rule-row');
+    this.rules.removeLines.forEach((rule, index) => {
+      const row = rows[index];
+      if (!row) return;
+
+      const error = rule.pattern ? CleanupRules.validate(rule) : null;
+      row.classList.toggle('is-invalid', error !== null);
+      row.querySelector('.chapter-rule-error').textContent = error || '';
+    });
+  }
+
+  /**
+   * Run the rules over the sample and list the lines they remove or change
+   */
+  renderPreview() {
+    this.renderRuleStatus();
+
+    const result = CleanupRules.apply(this.sampleText, this.rules, {
+      changeLimit: CleanupRulesEditor.PREVIEW_LIMIT
+    });
+
+    const header = this.element.querySelector('.chapter-rules-preview-header');
+    const source = this.sampleLabel ? ` in ${this.sampleLabel}` : '';
+    header.textContent = `${result.linesRemoved} lines removed, ${result.linesChanged} changed${source}`;
+
+    this.element.querySelector('.cleanup-rules-preview').innerHTML = result.changes.map(change => `
+      <li class="${change.after === null ? 'cleanup-removed' : 'cleanup-changed'}">
+        <span class="chapter-rules-preview-line">${change.lineIndex + 1}</span>${change.after === null
+          ? `<del>${window.escapeHtml(change.before.trim())}</del>`
+          : window.escapeHtml(change.after.trim())}
+      </li>
+    `).join('');
+  }
+}
+
+// Export for use in other modules
+window.CleanupRulesEditor = CleanupRulesEditor;
@@ -97,10 +97,13 @@ class TextReaderDB {
     const book = {
       id: bookData.id || Date.now().toString(),
       bookName: bookData.bookName,
+      author: bookData.author || '',
       uploadTime: bookData.uploadTime || new Date().toISOString(),
       originalFileName: bookData.originalFileName || '',
-      lastReadStory: bookData.lastReadStory || null
+      lastReadStory: bookData.lastReadStory || null,
+      splitStrategy: bookData.splitStrategy || null
     };
+    book.updatedAt = bookData.updatedAt || book.uploadTime;
 
     await this.executeDBOperation('books', 'readwrite', store => store.add(book));
     return book;
@@ -121,10 +124,24 @@ class TextReaderDB {
   }
 
   /**
-   * Update a book
+   * Book fields the user edits, timed by a book's updatedAt
+   */
+  static get DETAIL_FIELDS() {
+    return ['bookName', 'author', 'chapterRules', 'cleanupRules', 'chineseConversion'];
+  }
+
+  /**
+   * Update a book, timing what changed for LibrarySync: updatedAt when its
+   * details (DETAIL_FIELDS) change and lastReadAt when its last read story
+   * does, so reading a book does not make its details the newer copy
    */
   async updateBook(book) {
     try {
+      const stored = await this.getBookById(book.id);
+      const changed = field => !stored || JSON.stringify(book[field]) !== JSON.stringify(stored[field]);
+      const now = new Date().toISOString();
+      if (TextReaderDB.DETAIL_FIELDS.some(changed)) book.updatedAt = now;
+      if (changed('lastReadStory')) book.lastReadAt = now;
       await this.executeDBOperation('books', 'readwrite', store => store.put(book));
       return book;
     } catch (error) {
@@ -280,7 +297,8 @@ class TextReaderDB {
         isSplitFile: storyData.isSplitFile || false,
         splitParentFile: storyData.splitParentFile || null,
         splitIndex: storyData.splitIndex || null,
-        totalChunks: storyData.totalChunks || null
+        totalChunks: storyData.totalChunks || null,
+        format: storyData.format || null
       };
 
       const request = store.add(story);
@@ -324,9 +342,13 @@ class TextReaderDB {
   }
 
   /**
-   * Add or update reading history
+   * Add or update reading history, timed now (or at readTime)
+   * lastRowOffset counts the paragraphs (non-blank lines) of the chapter read
+   * past its heading, or past the top of the story when the heading is in an
+   * earlier story, so the position can be found again in another story
+   * holding the same chapter
    */
-  async saveReadingHistory(historyData) {
+  async saveReadingHistory(historyData, readTime = new Date()) {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
@@ -338,7 +360,8 @@ class TextReaderDB {
         storyId: historyData.storyId,
         lastChapterTitle: historyData.lastChapterTitle,
         lastScrollPosition: historyData.lastScrollPosition || 0,
-        lastReadTime: new Date().toISOString(),
+        lastRowOffset: historyData.lastRowOffset || 0,
+        lastReadTime: readTime.toISOString(),
         totalTimeRead: historyData.totalTimeRead || 0
       };
 
@@ -383,6 +406,116 @@ class TextReaderDB {
     });
   }
 
+  /**
+   * Delete every reading history record of a story
+   */
+  async deleteReadingHistories(storyId) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['histories'], 'readwrite');
+      const store = transaction.objectStore('histories');
+      const request = store.index('storyId').getAllKeys(storyId);
+
+      request.onsuccess = () => {
+        request.result.forEach(key => store.delete(key));
+      };
+
+      transaction.oncomplete = () => {
+        resolve(true);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Get every record of a store (for backups)
+   */
+  async getAllRecords(storeName) {
+    return this.executeDBOperation(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Get the IDs of the reading history records of a story
+   */
+  async getReadingHistoryKeys(storyId) {
+    return this.executeDBOperation('histories', 'readonly', store => store.index('storyId').getAllKeys(storyId));
+  }
+
+  /**
+   * Get the IDs of every record of a store
+   */
+  async getAllKeys(storeName) {
+    return this.executeDBOperation(storeName, 'readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Write records to a store exactly as given, replacing any with the same ID,
+   * in one transaction (for restoring backups)
+   */
+  async putRecords(storeName, records) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => {
+        resolve(records.length);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Change several stores in one transaction: if any record cannot be
+   * written, nothing is cleared or deleted either (for restoring backups)
+   * @param {Object<string, {clear: boolean, deleteKeys: Array, records: Object[]}>} changes -
+   *   Store name -> whether to clear it, keys to delete and records to put, in
+   *   that order
+   */
+  async writeRecords(changes) {
+    if (!this.db) await this.init();
+
+    const storeNames = Object.keys(changes);
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+
+      transaction.onabort = () => {
+        reject(transaction.error || new Error('Restore was cancelled'));
+      };
+
+      try {
+        for (const storeName of storeNames) {
+          const store = transaction.objectStore(storeName);
+          const { clear = false, deleteKeys = [], records = [] } = changes[storeName];
+          if (clear) store.clear();
+          deleteKeys.forEach(key => store.delete(key));
+          records.forEach(record => store.put(record));
+        }
+      } catch (error) {
+        // put throws at once for a record without a valid key
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Clear all data (for testing/debugging)
    */
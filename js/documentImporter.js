@@ -0,0 +1,198 @@
+/**
+ * Document Importer for Text Reader Application
+ * Converts FictionBook (.fb2) and saved HTML/XHTML novels into the same
+ * structured document as EpubImporter, { title, author, blocks }, so
+ * LocalFileProcessor stores them like any other book
+ *
+ * FB2 chapters come from <section><title>; HTML chapters from <h1>-<h3>
+ */
+
+class DocumentImporter {
+  /**
+   * HTML headings that start a chapter; deeper headings stay paragraphs
+   */
+  static get HEADING_TAGS() {
+    return new Set(['h1', 'h2', 'h3']);
+  }
+
+  /**
+   * Page furniture of saved web pages that is never part of the novel
+   */
+  static get HTML_SKIPPED_TAGS() {
+    return new Set(['nav', 'form', 'button', 'select', 'iframe', 'template']);
+  }
+
+  /**
+   * FB2 elements holding one paragraph of text
+   */
+  static get FB2_PARAGRAPH_TAGS() {
+    return new Set(['p', 'v', 'subtitle', 'text-author']);
+  }
+
+  static isFb2(fileName) {
+    return /\.fb2$/i.test(fileName);
+  }
+
+  static isHtml(fileName) {
+    return /\.(html?|xhtml)$/i.test(fileName);
+  }
+
+  /**
+   * Read a markup file as text, honouring the encoding it declares
+   * (<?xml encoding?> or <meta charset>) and detecting it otherwise
+   * Bytes that are clearly UTF-8 win over the declaration, as pages are often
+   * re-saved as UTF-8 without updating their <meta>
+   */
+  static async readText(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+    const declared = head.match(/<\?xml[^>]*encoding\s*=\s*["']([\w-]+)["']/i) ||
+      head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+
+    const detection = EncodingDetector.detect(bytes);
+    const isClearlyUtf8 = detection.encoding === 'utf-8' && detection.confidence >= EncodingDetector.LOW_CONFIDENCE;
+    if (declared && !isClearlyUtf8) {
+      try {
+        return new TextDecoder(declared[1].toLowerCase()).decode(bytes);
+      } catch (e) {
+        // Unknown label, fall back to detection
+      }
+    }
+    return EncodingDetector.decode(bytes, detection.encoding);
+  }
+
+  /**
+   * Parse an .fb2 file into { title, author, blocks }
+   */
+  static async parseFb2(file) {
+    const doc = EpubImporter.parseXml(await DocumentImporter.readText(file));
+    if (!EpubImporter.findFirst(doc, 'FictionBook')) {
+      throw new Error('Invalid FB2: FictionBook element not found');
+    }
+
+    const titleInfo = EpubImporter.findFirst(doc, 'title-info');
+    const bookTitle = titleInfo ? EpubImporter.findFirst(titleInfo, 'book-title') : null;
+    const authorEl = titleInfo ? EpubImporter.findFirst(titleInfo, 'author') : null;
+    const author = authorEl
+      ? ['first-name', 'middle-name', 'last-name']
+        .map(name => EpubImporter.findFirst(authorEl, name))
+        .filter(Boolean)
+        .map(el => EpubImporter.normalizeText(el.textContent))
+        .join(' ') || EpubImporter.normalizeText(authorEl.textContent)
+      : '';
+
+    const blocks = [];
+    // Bodies named "notes" or "comments" hold footnotes, not the story
+    EpubImporter.findAll(doc, 'body')
+      .filter(body => !body.getAttribute('name'))
+      .forEach(body => DocumentImporter.extractFb2Blocks(body, 0, blocks));
+
+    return {
+      title: bookTitle ? EpubImporter.normalizeText(bookTitle.textContent) : '',
+      author,
+      blocks
+    };
+  }
+
+  /**
+   * Walk an FB2 body or section: section titles become headings one level
+   * deeper than their parent, paragraphs and verses become paragraphs
+   */
+  static extractFb2Blocks(element, level, blocks) {
+    for (const child of Array.from(element.children)) {
+      const tag = child.localName;
+
+      if (tag === 'title') {
+        // The body's own title repeats the book title and author from the metadata
+        if (level === 0) continue;
+        const text = Array.from(child.children)
+          .map(line => EpubImporter.normalizeText(line.textContent))
+          .filter(Boolean)
+          .join(' ') || EpubImporter.normalizeText(child.textContent);
+        if (text) blocks.push({ type: 'heading', text, level });
+      } else if (tag === 'section') {
+        DocumentImporter.extractFb2Blocks(child, level + 1, blocks);
+      } else if (DocumentImporter.FB2_PARAGRAPH_TAGS.has(tag)) {
+        const text = EpubImporter.normalizeText(child.textContent);
+        if (text) blocks.push({ type: 'paragraph', text });
+      } else if (tag !== 'binary' && tag !== 'image' && tag !== 'empty-line') {
+        // epigraph, cite, poem, stanza, annotation: containers of paragraphs
+        DocumentImporter.extractFb2Blocks(child, level, blocks);
+      }
+    }
+  }
+
+  /**
+   * Parse a saved .html/.xhtml page into { title, author, blocks }
+   */
+  static async parseHtml(file) {
+    const text = await DocumentImporter.readText(file);
+    const doc = /\.xhtml$/i.test(file.name) || /^\s*<\?xml/.test(text)
+      ? EpubImporter.parseXml(text, 'application/xhtml+xml')
+      : new DOMParser().parseFromString(text, 'text/html');
+
+    const titleEl = EpubImporter.findFirst(doc, 'title');
+    const authorMeta = EpubImporter.findAll(doc, 'meta')
+      .find(meta => (meta.getAttribute('name') || '').toLowerCase() === 'author');
+
+    const blocks = [];
+    DocumentImporter.extractHtmlBlocks(EpubImporter.findFirst(doc, 'body') || doc.documentElement, blocks);
+
+    return {
+      title: titleEl ? EpubImporter.normalizeText(titleEl.textContent) : '',
+      author: authorMeta ? EpubImporter.normalizeText(authorMeta.getAttribute('content') || '') : '',
+      blocks
+    };
+  }
+
+  /**
+   * Walk an HTML body in reading order: <h1>-<h3> become headings, block
+   * elements and <br> separate paragraphs, scripts and styles are dropped
+   */
+  static extractHtmlBlocks(root, blocks) {
+    if (!root) return;
+
+    let buffer = '';
+    const flush = () => {
+      const text = EpubImporter.normalizeText(buffer);
+      buffer = '';
+      if (text) blocks.push({ type: 'paragraph', text });
+    };
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+        buffer += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.localName.toLowerCase();
+      if (EpubImporter.SKIPPED_TAGS.has(tag) || DocumentImporter.HTML_SKIPPED_TAGS.has(tag)) return;
+
+      if (DocumentImporter.HEADING_TAGS.has(tag)) {
+        flush();
+        const text = EpubImporter.normalizeText(node.textContent);
+        if (text) blocks.push({ type: 'heading', text, level: parseInt(tag.substring(1), 10) });
+        return;
+      }
+
+      if (tag === 'br') {
+        flush();
+        return;
+      }
+
+      const isBlock = EpubImporter.BLOCK_TAGS.has(tag);
+      if (isBlock) flush();
+      for (const child of Array.from(node.childNodes)) {
+        walk(child);
+      }
+      if (isBlock) flush();
+    };
+
+    walk(root);
+    flush();
+  }
+}
+
+// Export for use in other modules
+window.DocumentImporter = DocumentImporter;
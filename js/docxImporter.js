@@ -0,0 +1,212 @@
+/**
+ * DOCX Importer for Text Reader Application
+ * Unzips a Word document and converts word/document.xml into the same
+ * structured document as EpubImporter, { title, author, blocks }, so
+ * LocalFileProcessor stores it like an e-book
+ *
+ * Paragraphs styled Heading 1 and Heading 2 are chapters; bold and italic runs
+ * are kept as the paragraph's html, next to its plain text
+ */
+
+class DocxImporter {
+  /**
+   * Deepest heading level that still starts a chapter
+   */
+  static get CHAPTER_LEVEL() {
+    return 2;
+  }
+
+  static isDocx(fileName) {
+    return /\.docx$/i.test(fileName);
+  }
+
+  /**
+   * Whether a w:b / w:i style property is switched on (w:val="0" or "false" turns it off)
+   */
+  static isOn(property) {
+    if (!property) return false;
+    const value = property.getAttribute('w:val');
+    return value === null || !['0', 'false', 'off'].includes(value.toLowerCase());
+  }
+
+  /**
+   * Direct child of an element by local name
+   */
+  static child(element, localName) {
+    return element ? Array.from(element.children).find(el => el.localName === localName) || null : null;
+  }
+
+  /**
+   * Read word/styles.xml into a Map of styleId -> { level, bold, italic }
+   * A style is a heading when it is named "heading N" (the built-in names,
+   * whatever the display language) or declares an outline level
+   */
+  static parseStyles(text) {
+    const styles = new Map();
+    if (!text) return styles;
+
+    const doc = EpubImporter.parseXml(text);
+    for (const style of EpubImporter.findAll(doc, 'style')) {
+      const nameEl = DocxImporter.child(style, 'name');
+      const name = nameEl ? nameEl.getAttribute('w:val') || '' : '';
+      const pPr = DocxImporter.child(style, 'pPr');
+      const rPr = DocxImporter.child(style, 'rPr');
+      const outline = DocxImporter.child(pPr, 'outlineLvl');
+      const headingMatch = name.match(/^heading\s*(\d)$/i);
+
+      styles.set(style.getAttribute('w:styleId'), {
+        level: headingMatch
+          ? parseInt(headingMatch[1], 10)
+          : (outline ? parseInt(outline.getAttribute('w:val'), 10) + 1 : null),
+        bold: DocxImporter.isOn(DocxImporter.child(rPr, 'b')),
+        italic: DocxImporter.isOn(DocxImporter.child(rPr, 'i'))
+      });
+    }
+    return styles;
+  }
+
+  /**
+   * Parse a .docx file into { title, author, blocks, format: 'docx' }
+   * Paragraph blocks carry html (escaped text with <strong>/<em>) besides text
+   */
+  static async parse(file) {
+    const zip = await ZipReader.fromFile(file);
+    if (!zip.has('word/document.xml')) {
+      throw new Error('Invalid DOCX: word/document.xml is missing');
+    }
+
+    const styles = DocxImporter.parseStyles(zip.has('word/styles.xml') ? await zip.readText('word/styles.xml') : '');
+    const doc = EpubImporter.parseXml(await zip.readText('word/document.xml'));
+    const body = EpubImporter.findFirst(doc, 'body');
+    if (!body) {
+      throw new Error('Invalid DOCX: document body not found');
+    }
+
+    let title = '';
+    let author = '';
+    if (zip.has('docProps/core.xml')) {
+      const core = EpubImporter.parseXml(await zip.readText('docProps/core.xml'));
+      const titleEl = EpubImporter.findFirst(core, 'title');
+      const creatorEl = EpubImporter.findFirst(core, 'creator');
+      title = titleEl ? EpubImporter.normalizeText(titleEl.textContent) : '';
+      author = creatorEl ? EpubImporter.normalizeText(creatorEl.textContent) : '';
+    }
+
+    const blocks = [];
+    // Text boxes are written twice (mc:Choice and mc:Fallback); keep one copy
+    const paragraphs = EpubImporter.findAll(body, 'p')
+      .filter(p => !DocxImporter.hasAncestor(p, 'Fallback', body));
+
+    for (const paragraph of paragraphs) {
+      const pPr = DocxImporter.child(paragraph, 'pPr');
+      const styleEl = DocxImporter.child(pPr, 'pStyle');
+      const style = (styleEl && styles.get(styleEl.getAttribute('w:val'))) || null;
+      const outline = DocxImporter.child(pPr, 'outlineLvl');
+      const level = outline ? parseInt(outline.getAttribute('w:val'), 10) + 1 : (style ? style.level : null);
+
+      const { text, html } = DocxImporter.renderRuns(paragraph, style, styles);
+      if (!text) continue;
+
+      if (level && level <= DocxImporter.CHAPTER_LEVEL) {
+        blocks.push({ type: 'heading', text, level });
+      } else {
+        blocks.push({ type: 'paragraph', text, html });
+      }
+    }
+
+    return { title, author, blocks, format: 'docx' };
+  }
+
+  static hasAncestor(element, localName, root) {
+    for (let node = element.parentNode; node && node !== root; node = node.parentNode) {
+      if (node.localName === localName) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Text of a paragraph's runs, in order, with the runs' bold and italic
+   * (direct, from their character style or from the paragraph style)
+   * Deleted revisions, field codes and nested text boxes are left out
+   * @returns {{text: string, html: string}}
+   */
+  static renderRuns(paragraph, paragraphStyle, styles) {
+    const segments = [];
+
+    const walk = (element) => {
+      for (const node of Array.from(element.children)) {
+        const tag = node.localName;
+        if (tag === 'r') {
+          segments.push(DocxImporter.readRun(node, paragraphStyle, styles));
+        } else if (tag !== 'pPr' && tag !== 'del' && tag !== 'moveFrom') {
+          // Hyperlinks, insertions, smart tags and content controls hold runs
+          walk(node);
+        }
+      }
+    };
+    walk(paragraph);
+
+    // Collapse whitespace across runs, then drop it at the ends
+    let previousEndsWithSpace = true;
+    for (const segment of segments) {
+      segment.text = segment.text.replace(/[\s ]+/g, ' ');
+      if (previousEndsWithSpace) segment.text = segment.text.replace(/^ /, '');
+      if (segment.text) previousEndsWithSpace = segment.text.endsWith(' ');
+    }
+    for (let i = segments.length - 1; i >= 0; i--) {
+      segments[i].text = segments[i].text.replace(/ $/, '');
+      if (segments[i].text) break;
+    }
+
+    let text = '';
+    let html = '';
+    for (const segment of segments) {
+      if (!segment.text) continue;
+      text += segment.text;
+      let part = window.escapeHtml(segment.text);
+      if (segment.italic) part = `<em>${part}</em>`;
+      if (segment.bold) part = `<strong>${part}</strong>`;
+      html += part;
+    }
+    // Adjacent runs with the same formatting become one element
+    html = html.replace(/<\/strong><strong>/g, '').replace(/<\/em><em>/g, '');
+    return { text, html };
+  }
+
+  /**
+   * Read one w:r run into { text, bold, italic }
+   */
+  static readRun(run, paragraphStyle, styles) {
+    const rPr = DocxImporter.child(run, 'rPr');
+    const rStyleEl = DocxImporter.child(rPr, 'rStyle');
+    const runStyle = (rStyleEl && styles.get(rStyleEl.getAttribute('w:val'))) || null;
+
+    const formatting = (property) => {
+      const direct = DocxImporter.child(rPr, property === 'bold' ? 'b' : 'i');
+      if (direct) return DocxImporter.isOn(direct);
+      return Boolean((runStyle && runStyle[property]) || (paragraphStyle && paragraphStyle[property]));
+    };
+
+    let text = '';
+    for (const node of Array.from(run.children)) {
+      switch (node.localName) {
+        case 't':
+          text += node.textContent;
+          break;
+        case 'tab':
+        case 'br':
+        case 'cr':
+          text += ' ';
+          break;
+        case 'noBreakHyphen':
+          text += '-';
+          break;
+      }
+    }
+
+    return { text, bold: formatting('bold'), italic: formatting('italic') };
+  }
+}
+
+// Export for use in other modules
+window.DocxImporter = DocxImporter;
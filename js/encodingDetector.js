@@ -0,0 +1,248 @@
+/**
+ * Encoding Detector for Text Reader Application
+ * Guesses the character encoding of uploaded text files using BOM sniffing,
+ * UTF-8 validation and character-frequency scoring for legacy CJK encodings
+ */
+
+class EncodingDetector {
+  /**
+   * Detections below this confidence should be confirmed by the user
+   */
+  static get LOW_CONFIDENCE() {
+    return 0.6;
+  }
+
+  /**
+   * Number of bytes sampled from the start of the file
+   */
+  static get SAMPLE_SIZE() {
+    return 64 * 1024;
+  }
+
+  /**
+   * Supported encodings (TextDecoder labels) with display names
+   */
+  static get ENCODINGS() {
+    return {
+      'utf-8': 'UTF-8',
+      'utf-16le': 'UTF-16 LE',
+      'utf-16be': 'UTF-16 BE',
+      'gb18030': 'GBK / GB18030',
+      'big5': 'Big5',
+      'shift_jis': 'Shift_JIS',
+      'euc-kr': 'EUC-KR'
+    };
+  }
+
+  /**
+   * Most frequent characters in Simplified Chinese prose
+   */
+  static get COMMON_SIMPLIFIED() {
+    return '的一是不了人我在有他这中大来上个国到说们为子和你地出道也时年得就那要下以生会自着去之过家学对可她里后小么心多天而能好都然没日于起还发成事只作当想看文无开手十用主行方又如前所本见经头面公同三已老从动两长知民样现分将外但身些与高意进把法此实回二理美点月明其种声全工己话儿者向情部正名定女问力机给等几很业最间新什打便位因重被走电四第门相次东政海口使教西再平真听世气信北少关并内加化由却代军产入先山五太水万市眼体别处总才场师书比住员九笑性通目华报立马命张活难神数件安表原车白应路期叫死常提感金何更反合放做系计或司利受光王果亲界及今京务制解各任至清物台象记边共风战干接它许八特觉望直服毛林题建南度统色字请交爱让认算论百吃义科怎元社术结六功指思非流每青管夫连远资队跟带花快条院变联言权往展该领传近留红治决周保达办运武半候七必城父强步完革深区即求品士转量空甚众技轻程告江语英基派满式李息写呢识极令黄德收脸钱党倒未持音设始片米刻县';
+  }
+
+  /**
+   * Most frequent characters in Traditional Chinese prose
+   */
+  static get COMMON_TRADITIONAL() {
+    return '的一是不了人我在有他這中大來上個國到說們為子和你地出道也時年得就那要下以生會自著去之過家學對可她裡裏後小麼心多天而能好都然沒日於起還發成事只作當想看文無開手十用主行方又如前所本見經頭面公同三已老從動兩長知民樣現分將外但身些與高意進把法此實回二理美點月明其種聲全工己話兒者向情部正名定女問力機給等幾很業最間新什打便位因重被走電四第門相次東政海口使教西再平真聽世氣信北少關並內加化由卻代軍產入先山五太水萬市眼體別處總才場師書比住員九笑性通目華報立馬命張活難神數件安表原車白應路期叫死常提感金何更反合放做系計或司利受光王果親界及今京務制解各任至清物臺台象記邊共風戰幹接它許八特覺望直服毛林題建南度統色字請交愛讓認算論百吃義科怎元社術結六功指思非流每青管夫連遠資隊跟帶花快條院變聯言權往展該領傳近留紅治決周保達辦運武半候七必城父強步完革深區即求品士轉量空甚眾技輕程告江語英基派滿式李息寫呢識極令黃德收臉錢黨倒未持音設始片米刻縣';
+  }
+
+  /**
+   * Most frequent Hangul syllables in Korean prose
+   */
+  static get COMMON_HANGUL() {
+    return '이다는의에고하을가지기서로한사리자도나수대아있인어정시게라해일들그니스부보주것전국만상제요면우여성물동계위적원내으거오장구과신개할되터소생없까말세때르음무학경실연중관후각문분방화발당선조용모공와결미영년저비회또통교현진법행본체심명최마든간속를은';
+  }
+
+  static get _charSets() {
+    if (!EncodingDetector._cachedCharSets) {
+      EncodingDetector._cachedCharSets = {
+        simplified: new Set(EncodingDetector.COMMON_SIMPLIFIED),
+        traditional: new Set(EncodingDetector.COMMON_TRADITIONAL),
+        hangul: new Set(EncodingDetector.COMMON_HANGUL)
+      };
+    }
+    return EncodingDetector._cachedCharSets;
+  }
+
+  /**
+   * CJK and full-width punctuation (excludes half-width katakana)
+   */
+  static isCjkPunctuation(code) {
+    return (code >= 0x3000 && code <= 0x303F) ||
+      (code >= 0xFF01 && code <= 0xFF5E) ||
+      code === 0x2014 || code === 0x2026 ||
+      (code >= 0x2018 && code <= 0x201D);
+  }
+
+  /**
+   * Characters that plausibly appear in real text of any supported language
+   */
+  static isPlausibleChar(code) {
+    return (code >= 0x20 && code < 0x7F) || code === 0x09 || code === 0x0A || code === 0x0D ||
+      (code >= 0xA0 && code <= 0x24F) ||
+      EncodingDetector.isCjkPunctuation(code) ||
+      (code >= 0x3040 && code <= 0x30FF) ||
+      (code >= 0x4E00 && code <= 0x9FFF) ||
+      (code >= 0xAC00 && code <= 0xD7A3);
+  }
+
+  /**
+   * Score decoded text for a given encoding: the share of non-ASCII
+   * characters that are frequent in the language the encoding implies,
+   * penalized by replacement characters from invalid byte sequences
+   */
+  static scoreDecodedText(text, encoding) {
+    const sets = EncodingDetector._charSets;
+    let nonAscii = 0;
+    let replacements = 0;
+    let hits = 0;
+
+    for (const ch of text) {
+      const code = ch.codePointAt(0);
+      if (code < 0x80) continue;
+
+      nonAscii++;
+      if (code === 0xFFFD) {
+        replacements++;
+        continue;
+      }
+
+      let isHit = EncodingDetector.isCjkPunctuation(code);
+      switch (encoding) {
+        case 'gb18030':
+          isHit = isHit || sets.simplified.has(ch) || sets.traditional.has(ch);
+          break;
+        case 'big5':
+          isHit = isHit || sets.traditional.has(ch);
+          break;
+        case 'shift_jis':
+          isHit = isHit || (code >= 0x3040 && code <= 0x30FF) || sets.simplified.has(ch) || sets.traditional.has(ch);
+          break;
+        case 'euc-kr':
+          isHit = isHit || sets.hangul.has(ch);
+          break;
+        default:
+          isHit = EncodingDetector.isPlausibleChar(code);
+      }
+      if (isHit) hits++;
+    }
+
+    if (nonAscii === 0) return 0;
+
+    // Frequent characters cover roughly 60-70% of real CJK prose, so scale accordingly
+    const hitRatio = Math.min(1, (hits / nonAscii) / 0.6);
+    const invalidPenalty = Math.min(1, (replacements / nonAscii) * 20);
+    return hitRatio * (1 - invalidPenalty);
+  }
+
+  /**
+   * Score a UTF-16 interpretation by how many code units are plausible characters
+   */
+  static scoreUtf16(bytes, encoding) {
+    const text = EncodingDetector.decode(bytes, encoding);
+    if (text.length === 0) return 0;
+
+    let plausible = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (EncodingDetector.isPlausibleChar(text.charCodeAt(i))) plausible++;
+    }
+    return plausible / text.length;
+  }
+
+  /**
+   * Decode bytes with the given encoding (non-fatal)
+   */
+  static decode(bytes, encoding) {
+    return new TextDecoder(encoding, { fatal: false }).decode(bytes);
+  }
+
+  /**
+   * Decode the beginning of a file for preview in the encoding picker
+   */
+  static preview(bytes, encoding, maxChars = 200) {
+    const sample = bytes.subarray(0, Math.min(bytes.length, maxChars * 4));
+    const decoder = new TextDecoder(encoding, { fatal: false });
+    return decoder.decode(sample, { stream: true }).substring(0, maxChars);
+  }
+
+  /**
+   * Detect the encoding of a byte array
+   * Returns { encoding, confidence, bom, candidates: [{ encoding, confidence }] }
+   */
+  static detect(bytes) {
+    // Byte order marks are authoritative
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return EncodingDetector._result('utf-8', 1, true, []);
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return EncodingDetector._result('utf-16le', 1, true, []);
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return EncodingDetector._result('utf-16be', 1, true, []);
+    }
+
+    const sample = bytes.subarray(0, Math.min(bytes.length, EncodingDetector.SAMPLE_SIZE));
+
+    let hasHighBytes = false;
+    let zeroBytes = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] >= 0x80) hasHighBytes = true;
+      if (sample[i] === 0) zeroBytes++;
+    }
+
+    // Pure ASCII is valid in every supported encoding
+    if (!hasHighBytes && zeroBytes === 0) {
+      return EncodingDetector._result('utf-8', 1, false, []);
+    }
+
+    // Strictly valid UTF-8 with multi-byte sequences is almost never accidental
+    if (zeroBytes === 0) {
+      try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return EncodingDetector._result('utf-8', 0.99, false, []);
+      } catch (e) {
+        // Not valid UTF-8, score the alternatives
+      }
+    }
+
+    const scores = [];
+    if (zeroBytes > 0) {
+      scores.push({ encoding: 'utf-16le', confidence: EncodingDetector.scoreUtf16(sample, 'utf-16le') });
+      scores.push({ encoding: 'utf-16be', confidence: EncodingDetector.scoreUtf16(sample, 'utf-16be') });
+    }
+    for (const encoding of ['utf-8', 'gb18030', 'big5', 'shift_jis', 'euc-kr']) {
+      try {
+        const text = EncodingDetector.decode(sample, encoding);
+        scores.push({ encoding, confidence: EncodingDetector.scoreDecodedText(text, encoding) });
+      } catch (e) {
+        // Encoding not supported by this browser
+      }
+    }
+
+    scores.sort((a, b) => b.confidence - a.confidence);
+    const best = scores[0];
+    const runnerUp = scores[1];
+
+    // A close runner-up means the guess is ambiguous
+    let confidence = best.confidence;
+    if (runnerUp) {
+      confidence -= Math.max(0, 0.2 - (best.confidence - runnerUp.confidence));
+    }
+
+    return EncodingDetector._result(best.encoding, Math.max(0, Math.min(1, confidence)), false, scores);
+  }
+
+  static _result(encoding, confidence, bom, candidates) {
+    return {
+      encoding,
+      confidence,
+      bom,
+      candidates: candidates.length > 0 ? candidates : [{ encoding, confidence }]
+    };
+  }
+}
+
+// Export for use in other modules
+window.EncodingDetector = EncodingDetector;
@@ -0,0 +1,495 @@
+/**
+ * EPUB Exporter for Text Reader Application
+ * Writes a book as an EPUB 3 file for e-ink readers: one XHTML file per
+ * chapter from the stories' chapters (in splitIndex order), a navigation
+ * document and an NCX for older readers built from the same chapters, the
+ * book's metadata and optionally a generated cover
+ *
+ * Formatted stories (Markdown, DOCX) keep their formatting; the stylesheet
+ * follows the reader's typography, without theme colors, so it reads well on
+ * e-ink screens
+ */
+
+class EpubExporter {
+  /**
+   * @param {TextReaderDB} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  static get COVER_WIDTH() {
+    return 1200;
+  }
+
+  static get COVER_HEIGHT() {
+    return 1600;
+  }
+
+  /**
+   * Escape text for XHTML, dropping control characters XML does not allow
+   */
+  static escapeXml(text) {
+    return window.escapeHtml(String(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+  }
+
+  /**
+   * Rewrite an HTML fragment (a formatted row) as XHTML
+   */
+  static toXhtml(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const serializer = new XMLSerializer();
+    return Array.from(doc.body.childNodes)
+      .map(node => node.nodeType === Node.TEXT_NODE
+        ? EpubExporter.escapeXml(node.nodeValue)
+        : serializer.serializeToString(node).replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, ''))
+      .join('');
+  }
+
+  /**
+   * Language of a book for its metadata: Chinese when its text has CJK ideographs
+   */
+  static detectLanguage(stories) {
+    const sample = stories.map(story => (story.content || '').slice(0, 2000)).join('');
+    return /[\u4e00-\u9fff]/.test(sample) ? 'zh' : 'en';
+  }
+
+  /**
+   * Split a book into sections, one per chapter
+   * Text before a story's first chapter continues the previous chapter (the
+   * story was split from it); text before the book's first chapter becomes a
+   * section named after the book
+   * @returns {Array<{title: string, heading: string, depth: number, blocks: Array}>} -
+   *   title labels the chapter in the table of contents, heading is its line as
+   *   written (titles may be cut short at punctuation); depth is the nesting of the
+   *   chapter in the table of contents (0 for top level); blocks are { text } for
+   *   plain lines or { html, className } for formatted rows
+   */
+  static buildSections(book, stories) {
+    const sorted = stories.slice().sort((a, b) => (a.splitIndex || 0) - (b.splitIndex || 0));
+    const levels = sorted.flatMap(story => (story.chapters || []).map(chapter => chapter.level).filter(Boolean));
+    const minLevel = levels.length > 0 ? Math.min(...levels) : 1;
+    const sections = [];
+    let current = null;
+
+    for (const story of sorted) {
+      const headings = new Map((story.chapters || []).map(chapter => [chapter.lineNumber, chapter]));
+      const { rows } = LocalFileProcessor.readFormatting(story);
+
+      (story.content || '').split('\n').forEach((line, lineIndex) => {
+        const chapter = headings.get(lineIndex);
+        if (chapter) {
+          current = {
+            title: chapter.title,
+            heading: line.trim() || chapter.title,
+            depth: chapter.level ? chapter.level - minLevel : 0,
+            blocks: []
+          };
+          sections.push(current);
+          return;
+        }
+        if (line.trim() === '') return;
+
+        if (!current) {
+          current = { title: book.bookName, heading: book.bookName, depth: 0, blocks: [] };
+          sections.push(current);
+        }
+        const row = rows && rows.get(lineIndex);
+        current.blocks.push(row ? { html: row.html, className: row.className } : { text: line.trim() });
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Arrange sections into a tree for the table of contents; a chapter can
+   * only be one level deeper than the one before it
+   * @returns {Array<{index: number, section: Object, children: Array}>}
+   */
+  static buildToc(sections) {
+    const roots = [];
+    const stack = [];
+
+    sections.forEach((section, index) => {
+      while (stack.length > section.depth) {
+        stack.pop();
+      }
+      const node = { index, section, children: [] };
+      (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+      stack.push(node);
+    });
+
+    return roots;
+  }
+
+  static chapterFileName(index) {
+    return `chapter-${String(index + 1).padStart(4, '0')}.xhtml`;
+  }
+
+  static xhtmlDocument(title, language, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${EpubExporter.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  }
+
+  static chapterDocument(section, language) {
+    const headingLevel = Math.min(section.depth + 1, 6);
+    const blocks = section.blocks.map(block => {
+      if (block.html !== undefined) {
+        const className = block.className ? ` class="${EpubExporter.escapeXml(block.className)}"` : '';
+        return `<p${className}>${EpubExporter.toXhtml(block.html)}</p>`;
+      }
+      return `<p>${EpubExporter.escapeXml(block.text)}</p>`;
+    });
+
+    return EpubExporter.xhtmlDocument(section.title, language, `<section epub:type="chapter">
+<h${headingLevel} class="chapter-heading">${EpubExporter.escapeXml(section.heading)}</h${headingLevel}>
+${blocks.join('\n')}
+</section>`);
+  }
+
+  static navDocument(book, toc, language) {
+    const renderList = (nodes) => `<ol>
+${nodes.map(node => `<li><a href="${EpubExporter.chapterFileName(node.index)}">${EpubExporter.escapeXml(node.section.title)}</a>${
+      node.children.length > 0 ? renderList(node.children) : ''}</li>`).join('\n')}
+</ol>`;
+
+    return EpubExporter.xhtmlDocument(book.bookName, language, `<nav epub:type="toc" id="toc">
+<h1>${EpubExporter.escapeXml(book.bookName)}</h1>
+${renderList(toc)}
+</nav>`);
+  }
+
+  static ncxDocument(book, toc, identifier) {
+    let playOrder = 0;
+    let maxDepth = 1;
+    const renderPoints = (nodes, depth) => nodes.map(node => {
+      playOrder++;
+      maxDepth = Math.max(maxDepth, depth);
+      return `<navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
+<navLabel><text>${EpubExporter.escapeXml(node.section.title)}</text></navLabel>
+<content src="${EpubExporter.chapterFileName(node.index)}"/>
+${renderPoints(node.children, depth + 1)}</navPoint>
+`;
+    }).join('');
+    const navMap = renderPoints(toc, 1);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${EpubExporter.escapeXml(identifier)}"/>
+<meta name="dtb:depth" content="${maxDepth}"/>
+<meta name="dtb:totalPageCount" content="0"/>
+<meta name="dtb:maxPageNumber" content="0"/>
+</head>
+<docTitle><text>${EpubExporter.escapeXml(book.bookName)}</text></docTitle>
+<navMap>
+${navMap}</navMap>
+</ncx>
+`;
+  }
+
+  /**
+   * Package document: metadata, manifest and reading order
+   */
+  static packageDocument(book, sections, options) {
+    const { identifier, language, hasCover } = options;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const metadata = [
+      `<dc:identifier id="book-id">${EpubExporter.escapeXml(identifier)}</dc:identifier>`,
+      `<dc:title>${EpubExporter.escapeXml(book.bookName)}</dc:title>`,
+      `<dc:language>${language}</dc:language>`,
+      `<meta property="dcterms:modified">${modified}</meta>`
+    ];
+    if (book.author) {
+      metadata.push(`<dc:creator>${EpubExporter.escapeXml(book.author)}</dc:creator>`);
+    }
+    if (book.uploadTime) {
+      metadata.push(`<dc:date>${EpubExporter.escapeXml(book.uploadTime.slice(0, 10))}</dc:date>`);
+    }
+    if (hasCover) {
+      metadata.push('<meta name="cover" content="cover-image"/>');
+    }
+
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+      '<item id="style" href="style.css" media-type="text/css"/>'
+    ];
+    const spine = [];
+    if (hasCover) {
+      manifest.push('<item id="cover-image" href="cover.png" media-type="image/png" properties="cover-image"/>');
+      manifest.push('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+      spine.push('<itemref idref="cover"/>');
+    }
+    sections.forEach((section, index) => {
+      manifest.push(`<item id="chapter-${index + 1}" href="${EpubExporter.chapterFileName(index)}" media-type="application/xhtml+xml"/>`);
+      spine.push(`<itemref idref="chapter-${index + 1}"/>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`;
+  }
+
+  /**
+   * Stylesheet following the reader's typography (.chapter-heading,
+   * .chapter-content-row and the Markdown row classes in viewer.css)
+   * Chinese books get CJK fonts and first-line indents instead of gaps
+   * between paragraphs
+   */
+  static stylesheet(language) {
+    const cjk = language === 'zh';
+    return `body {
+  font-family: ${cjk ? '"Songti SC", "Noto Serif CJK SC", "Source Han Serif SC", SimSun, ' : ''}serif;
+  line-height: 1.65;
+  margin: 0 0.5em;
+  text-align: justify;
+  line-break: strict;
+  word-wrap: break-word;
+}
+
+h1, h2, h3, h4, h5, h6 {
+  font-weight: bold;
+  line-height: 1.4;
+  margin: 1.5em 0 1em 0;
+  padding-bottom: 0.3em;
+  border-bottom: 1px solid currentColor;
+  text-align: left;
+  page-break-after: avoid;
+}
+
+h1 { font-size: 1.4em; }
+h2 { font-size: 1.2em; }
+h3, h4, h5, h6 { font-size: 1.1em; }
+
+p {
+  margin: ${cjk ? '0 0 0.3em 0' : '0 0 0.8em 0'};
+  text-indent: ${cjk ? '2em' : '0'};
+}
+
+p.md-heading {
+  font-weight: bold;
+  text-indent: 0;
+}
+
+p.md-h1 { font-size: 1.3em; }
+p.md-h2 { font-size: 1.2em; }
+p.md-h3 { font-size: 1.1em; }
+
+p.md-quote {
+  border-left: 3px solid #999999;
+  padding-left: 1em;
+  font-style: italic;
+  text-indent: 0;
+}
+
+p.md-list {
+  margin: 0.25em 0;
+  padding-left: 1em;
+  text-indent: 0;
+}
+
+p.md-indent-1 { padding-left: 2.5em; }
+p.md-indent-2 { padding-left: 4em; }
+p.md-indent-3 { padding-left: 5.5em; }
+
+p.md-hr {
+  border-top: 1px solid #999999;
+  margin: 1.5em 20%;
+}
+
+p.md-code {
+  font-family: monospace;
+  font-size: 0.85em;
+  white-space: pre-wrap;
+  text-indent: 0;
+  margin: 0;
+}
+
+code {
+  font-family: monospace;
+  font-size: 0.9em;
+}
+
+nav ol {
+  list-style: none;
+  padding-left: 1em;
+}
+
+.cover {
+  margin: 0;
+  padding: 0;
+  text-align: center;
+}
+
+.cover img {
+  height: 100%;
+  max-width: 100%;
+}
+`;
+  }
+
+  /**
+   * Colors of the reader's current theme, for the generated cover
+   */
+  static themeColors() {
+    const colors = { background: '#f8f4e9', heading: '#8b6914', text: '#3a3a3a' };
+    const probe = document.createElement('div');
+    probe.className = `theme-${localStorage.getItem('preferredViewerTheme') || 'maize-yello'}`;
+    document.body.appendChild(probe);
+    const style = getComputedStyle(probe);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    const result = {
+      background: read('--bg-primary', colors.background),
+      heading: read('--heading-color', colors.heading),
+      text: read('--text-primary', colors.text)
+    };
+    probe.remove();
+    return result;
+  }
+
+  /**
+   * Break text into lines that fit a width; CJK text may break between any
+   * two characters, other text between words
+   */
+  static wrapText(context, text, maxWidth) {
+    const tokens = text.match(/[\u3000-\u9fff\uff00-\uffef]|[^\s\u3000-\u9fff\uff00-\uffef]+|\s+/g) || [];
+    const lines = [];
+    let line = '';
+
+    for (const token of tokens) {
+      const candidate = line + token;
+      if (line.trim() !== '' && context.measureText(candidate).width > maxWidth) {
+        lines.push(line.trim());
+        line = token.trim() === '' ? '' : token;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line.trim() !== '') {
+      lines.push(line.trim());
+    }
+    return lines;
+  }
+
+  /**
+   * Draw a cover with the book's title and author in the current theme's colors
+   * @returns {Promise<Uint8Array|null>} - PNG bytes, null if the browser cannot draw one
+   */
+  static async generateCover(book) {
+    const canvas = document.createElement('canvas');
+    canvas.width = EpubExporter.COVER_WIDTH;
+    canvas.height = EpubExporter.COVER_HEIGHT;
+    const context = canvas.getContext ? canvas.getContext('2d') : null;
+    if (!context) return null;
+
+    const { width, height } = canvas;
+    const colors = EpubExporter.themeColors();
+    const fontFamily = '"Songti SC", "Noto Serif CJK SC", "Source Han Serif SC", SimSun, serif';
+
+    context.fillStyle = colors.background;
+    context.fillRect(0, 0, width, height);
+    context.strokeStyle = colors.heading;
+    context.lineWidth = 6;
+    context.strokeRect(60, 60, width - 120, height - 120);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = colors.heading;
+    context.font = `bold 96px ${fontFamily}`;
+    const titleLines = EpubExporter.wrapText(context, book.bookName || '', width - 280).slice(0, 6);
+    const lineHeight = 130;
+    const titleTop = height * 0.4 - ((titleLines.length - 1) * lineHeight) / 2;
+    titleLines.forEach((line, index) => {
+      context.fillText(line, width / 2, titleTop + index * lineHeight);
+    });
+
+    if (book.author) {
+      context.fillStyle = colors.text;
+      context.font = `56px ${fontFamily}`;
+      context.fillText(book.author, width / 2, height * 0.75);
+    }
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+  }
+
+  /**
+   * Export a book as an .epub file
+   * @param {string} bookId
+   * @param {Object} options
+   * @param {boolean} options.cover - Generate a cover (true by default)
+   * @returns {Promise<{blob: Blob, fileName: string, chapters: number}>}
+   */
+  async exportEpub(bookId, options = {}) {
+    const book = await this.db.getBookById(bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    const stories = await this.db.getStoriesByBookId(bookId);
+    const sections = EpubExporter.buildSections(book, stories);
+    if (sections.length === 0) {
+      throw new Error('The book has no text to export');
+    }
+
+    const language = EpubExporter.detectLanguage(stories);
+    const identifier = `urn:text-reader:${book.id}`;
+    const toc = EpubExporter.buildToc(sections);
+    const cover = options.cover !== false ? await EpubExporter.generateCover(book) : null;
+
+    const zip = new ZipWriter();
+    zip.addFile('mimetype', 'application/epub+zip', { store: true });
+    zip.addFile('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`);
+    zip.addFile('OEBPS/content.opf', EpubExporter.packageDocument(book, sections, { identifier, language, hasCover: Boolean(cover) }));
+    zip.addFile('OEBPS/nav.xhtml', EpubExporter.navDocument(book, toc, language));
+    zip.addFile('OEBPS/toc.ncx', EpubExporter.ncxDocument(book, toc, identifier));
+    zip.addFile('OEBPS/style.css', EpubExporter.stylesheet(language));
+    if (cover) {
+      zip.addFile('OEBPS/cover.png', cover, { store: true });
+      zip.addFile('OEBPS/cover.xhtml', EpubExporter.xhtmlDocument(book.bookName, language,
+        `<div class="cover"><img src="cover.png" alt="${EpubExporter.escapeXml(book.bookName)}"/></div>`));
+    }
+    sections.forEach((section, index) => {
+      zip.addFile(`OEBPS/${EpubExporter.chapterFileName(index)}`, EpubExporter.chapterDocument(section, language));
+    });
+
+    return {
+      blob: await zip.toBlob('application/epub+zip'),
+      fileName: BookExporter.fileName(book.bookName, 'epub'),
+      chapters: sections.length
+    };
+  }
+}
+
+// Export for use in other modules
+window.EpubExporter = EpubExporter;
@@ -0,0 +1,326 @@
+/**
+ * EPUB Importer for Text Reader Application
+ * Unzips an EPUB in the browser and converts its spine and TOC into
+ * a structured document that LocalFileProcessor can store as stories
+ */
+
+class EpubImporter {
+  /**
+   * Block-level elements that start a new paragraph
+   */
+  static get BLOCK_TAGS() {
+    return new Set([
+      'p', 'div', 'section', 'article', 'aside', 'header', 'footer',
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre',
+      'tr', 'dt', 'dd', 'figcaption', 'hr'
+    ]);
+  }
+
+  /**
+   * Elements whose content is never part of the readable text
+   */
+  static get SKIPPED_TAGS() {
+    return new Set(['script', 'style', 'head', 'title', 'svg', 'math', 'noscript']);
+  }
+
+  /**
+   * Resolve a relative href against the directory of the referencing file
+   */
+  static resolvePath(baseDir, href) {
+    let path = href.split('#')[0];
+    try {
+      path = decodeURIComponent(path);
+    } catch (e) {
+      // Keep the raw path
+    }
+
+    const parts = (path.startsWith('/') ? path.substring(1) : baseDir + path).split('/');
+    const resolved = [];
+    for (const part of parts) {
+      if (part === '..') {
+        resolved.pop();
+      } else if (part !== '.' && part !== '') {
+        resolved.push(part);
+      }
+    }
+    return resolved.join('/');
+  }
+
+  /**
+   * Directory part of a path, including the trailing slash
+   */
+  static dirName(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.substring(0, index + 1);
+  }
+
+  /**
+   * Collapse whitespace the way a browser would render it
+   */
+  static normalizeText(text) {
+    return text.replace(/[\s ]+/g, ' ').trim();
+  }
+
+  /**
+   * Parse an XML document, falling back to HTML parsing for malformed XHTML
+   */
+  static parseXml(text, mimeType = 'application/xml') {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(text, mimeType);
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      return parser.parseFromString(text, 'text/html');
+    }
+    return doc;
+  }
+
+  /**
+   * Find elements by local name regardless of namespace prefix
+   */
+  static findAll(root, localName) {
+    return Array.from(root.getElementsByTagName('*')).filter(el => el.localName === localName);
+  }
+
+  static findFirst(root, localName) {
+    return EpubImporter.findAll(root, localName)[0] || null;
+  }
+
+  /**
+   * Parse an EPUB file into { title, author, blocks }
+   * Blocks are { type: 'heading', text, level } or { type: 'paragraph', text }
+   */
+  static async parse(file) {
+    const zip = await ZipReader.fromFile(file);
+
+    // Locate the package document via META-INF/container.xml
+    if (!zip.has('META-INF/container.xml')) {
+      throw new Error('Invalid EPUB: META-INF/container.xml is missing');
+    }
+    const containerDoc = EpubImporter.parseXml(await zip.readText('META-INF/container.xml'));
+    const rootFile = EpubImporter.findFirst(containerDoc, 'rootfile');
+    const opfPath = rootFile ? rootFile.getAttribute('full-path') : null;
+    if (!opfPath || !zip.has(opfPath)) {
+      throw new Error('Invalid EPUB: package document not found');
+    }
+
+    const opfDir = EpubImporter.dirName(opfPath);
+    const opfDoc = EpubImporter.parseXml(await zip.readText(opfPath));
+
+    // Metadata
+    const titleEl = EpubImporter.findFirst(opfDoc, 'title');
+    const creatorEl = EpubImporter.findFirst(opfDoc, 'creator');
+    const title = titleEl ? EpubImporter.normalizeText(titleEl.textContent) : '';
+    const author = creatorEl ? EpubImporter.normalizeText(creatorEl.textContent) : '';
+
+    // Manifest
+    const manifest = new Map();
+    for (const item of EpubImporter.findAll(opfDoc, 'item')) {
+      manifest.set(item.getAttribute('id'), {
+        href: EpubImporter.resolvePath(opfDir, item.getAttribute('href') || ''),
+        mediaType: item.getAttribute('media-type') || '',
+        properties: (item.getAttribute('properties') || '').split(/\s+/)
+      });
+    }
+
+    // Spine
+    const spineEl = EpubImporter.findFirst(opfDoc, 'spine');
+    const spinePaths = EpubImporter.findAll(opfDoc, 'itemref')
+      .filter(ref => ref.getAttribute('linear') !== 'no')
+      .map(ref => manifest.get(ref.getAttribute('idref')))
+      .filter(item => item && /html|xml/.test(item.mediaType))
+      .map(item => item.href);
+
+    if (spinePaths.length === 0) {
+      throw new Error('Invalid EPUB: spine is empty');
+    }
+
+    // Table of contents: prefer the EPUB 3 nav document, fall back to NCX
+    let tocEntries = [];
+    const navItem = Array.from(manifest.values()).find(item => item.properties.includes('nav'));
+    if (navItem && zip.has(navItem.href)) {
+      tocEntries = EpubImporter.parseNav(await zip.readText(navItem.href), navItem.href);
+    }
+    if (tocEntries.length === 0) {
+      const ncxId = spineEl ? spineEl.getAttribute('toc') : null;
+      const ncxItem = (ncxId && manifest.get(ncxId)) ||
+        Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+      if (ncxItem && zip.has(ncxItem.href)) {
+        tocEntries = EpubImporter.parseNcx(await zip.readText(ncxItem.href), ncxItem.href);
+      }
+    }
+
+    // Group TOC entries by the spine document they point into
+    const tocByPath = new Map();
+    for (const entry of tocEntries) {
+      if (!tocByPath.has(entry.path)) {
+        tocByPath.set(entry.path, []);
+      }
+      tocByPath.get(entry.path).push(entry);
+    }
+
+    const blocks = [];
+    for (const path of spinePaths) {
+      if (!zip.has(path)) continue;
+      const html = await zip.readText(path);
+      const doc = EpubImporter.parseXml(html, 'application/xhtml+xml');
+      EpubImporter.extractBlocks(doc, tocByPath.get(path) || [], blocks);
+    }
+
+    return { title, author, blocks };
+  }
+
+  /**
+   * Parse an EPUB 3 navigation document into flat TOC entries
+   */
+  static parseNav(text, navPath) {
+    const doc = EpubImporter.parseXml(text, 'application/xhtml+xml');
+    const navs = EpubImporter.findAll(doc, 'nav');
+    const tocNav = navs.find(nav =>
+      (nav.getAttribute('epub:type') || nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || '') === 'toc'
+    ) || navs[0];
+    if (!tocNav) return [];
+
+    const baseDir = EpubImporter.dirName(navPath);
+    const entries = [];
+
+    const walkList = (list, level) => {
+      for (const li of Array.from(list.children).filter(el => el.localName === 'li')) {
+        const link = Array.from(li.children).find(el => el.localName === 'a');
+        if (link && link.getAttribute('href')) {
+          const href = link.getAttribute('href');
+          entries.push({
+            title: EpubImporter.normalizeText(link.textContent),
+            path: EpubImporter.resolvePath(baseDir, href),
+            fragment: href.includes('#') ? href.split('#')[1] : null,
+            level
+          });
+        }
+        const subList = Array.from(li.children).find(el => el.localName === 'ol' || el.localName === 'ul');
+        if (subList) walkList(subList, level + 1);
+      }
+    };
+
+    const rootList = Array.from(tocNav.children).find(el => el.localName === 'ol' || el.localName === 'ul');
+    if (rootList) walkList(rootList, 1);
+
+    return entries.filter(entry => entry.title);
+  }
+
+  /**
+   * Parse an EPUB 2 NCX document into flat TOC entries
+   */
+  static parseNcx(text, ncxPath) {
+    const doc = EpubImporter.parseXml(text);
+    const navMap = EpubImporter.findFirst(doc, 'navMap');
+    if (!navMap) return [];
+
+    const baseDir = EpubImporter.dirName(ncxPath);
+    const entries = [];
+
+    const walkPoints = (parent, level) => {
+      for (const point of Array.from(parent.children).filter(el => el.localName === 'navPoint')) {
+        const label = EpubImporter.findFirst(point, 'text');
+        const content = Array.from(point.children).find(el => el.localName === 'content');
+        const src = content ? content.getAttribute('src') : null;
+        if (label && src) {
+          entries.push({
+            title: EpubImporter.normalizeText(label.textContent),
+            path: EpubImporter.resolvePath(baseDir, src),
+            fragment: src.includes('#') ? src.split('#')[1] : null,
+            level
+          });
+        }
+        walkPoints(point, level + 1);
+      }
+    };
+
+    walkPoints(navMap, 1);
+    return entries.filter(entry => entry.title);
+  }
+
+  /**
+   * Walk a content document in reading order, emitting paragraph blocks
+   * and inserting heading blocks where TOC entries point
+   */
+  static extractBlocks(doc, tocEntries, blocks) {
+    const body = EpubImporter.findFirst(doc, 'body') || doc.documentElement;
+    if (!body) return;
+
+    const entriesByFragment = new Map();
+    const pendingHeadings = [];
+    for (const entry of tocEntries) {
+      if (entry.fragment) {
+        if (!entriesByFragment.has(entry.fragment)) {
+          entriesByFragment.set(entry.fragment, []);
+        }
+        entriesByFragment.get(entry.fragment).push(entry);
+      } else {
+        pendingHeadings.push(entry);
+      }
+    }
+
+    // Entries without a fragment start at the top of the document
+    let lastHeading = null;
+    const pushHeading = (entry) => {
+      flush();
+      blocks.push({ type: 'heading', text: entry.title, level: entry.level });
+      lastHeading = entry.title;
+    };
+
+    let buffer = '';
+    const flush = () => {
+      const text = EpubImporter.normalizeText(buffer);
+      buffer = '';
+      if (!text) return;
+
+      // Skip the in-document heading that repeats the TOC title
+      if (lastHeading !== null && text === lastHeading) {
+        lastHeading = null;
+        return;
+      }
+      lastHeading = null;
+      blocks.push({ type: 'paragraph', text });
+    };
+
+    pendingHeadings.forEach(pushHeading);
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+        buffer += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.localName.toLowerCase();
+      if (EpubImporter.SKIPPED_TAGS.has(tag)) return;
+
+      const id = node.getAttribute('id');
+      if (id && entriesByFragment.has(id)) {
+        entriesByFragment.get(id).forEach(pushHeading);
+        entriesByFragment.delete(id);
+      }
+
+      if (tag === 'br') {
+        flush();
+        return;
+      }
+
+      const isBlock = EpubImporter.BLOCK_TAGS.has(tag);
+      if (isBlock) flush();
+      for (const child of Array.from(node.childNodes)) {
+        walk(child);
+      }
+      if (isBlock) flush();
+    };
+
+    walk(body);
+    flush();
+
+    // Fragments that were never found still get a heading at the end
+    for (const entries of entriesByFragment.values()) {
+      entries.forEach(pushHeading);
+    }
+  }
+}
+
+// Export for use in other modules
+window.EpubImporter = EpubImporter;
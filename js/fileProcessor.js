@@ -71,55 +71,25 @@ class LocalFileProcessor {
   }
 
   /**
-   * Validate if file content is UTF-8 encoded
+   * Validate that file content was decoded correctly
+   * Text decoded with the wrong encoding is full of U+FFFD replacement characters
    */
   static isUtf8Encoded(content) {
-    const sample = content.substring(0, 512);
-    return /[，。,.]/.test(sample);
+    const sample = content.substring(0, 64 * 1024);
+    if (sample.length === 0) return true;
+
+    const replacements = (sample.match(/\uFFFD/g) || []).length;
+    return replacements / sample.length < 0.01;
   }
 
   /**
    * Convert text to UTF-8 encoding
+   * Uses EncodingDetector unless an encoding is given explicitly
    */
-  static async convertToUtf8(arrayBuffer, fileName) {
+  static async convertToUtf8(arrayBuffer, fileName, encoding = null) {
     const bytes = new Uint8Array(arrayBuffer);
-
-    // Try UTF-8 first
-    try {
-      const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
-      const utf8Text = utf8Decoder.decode(bytes);
-      if (LocalFileProcessor.isValidUtf8(utf8Text)) {
-        return utf8Text;
-      }
-    } catch (e) {
-      // Not valid UTF-8
-    }
-
-    // Try GBK
-    try {
-      const gbkDecoder = new TextDecoder('gbk', { fatal: false });
-      const gbkText = gbkDecoder.decode(bytes);
-      if (/[\u4e00-\u9fa5]/.test(gbkText) && !gbkText.includes('\uFFFD')) {
-        return gbkText;
-      }
-    } catch (e) {
-      // GBK failed
-    }
-
-    // Try Big5
-    try {
-      const big5Decoder = new TextDecoder('big5', { fatal: false });
-      const big5Text = big5Decoder.decode(bytes);
-      if (/[\u4e00-\u9fa5]/.test(big5Text) && !big5Text.includes('\uFFFD')) {
-        return big5Text;
-      }
-    } catch (e) {
-      // Big5 failed
-    }
-
-    // Fallback
-    const fallbackDecoder = new TextDecoder('utf-8', { fatal: false });
-    return fallbackDecoder.decode(bytes);
+    const targetEncoding = encoding || EncodingDetector.detect(bytes).encoding;
+    return EncodingDetector.decode(bytes, targetEncoding);
   }
 
   /**
@@ -127,7 +97,7 @@ class LocalFileProcessor {
    * @private
    */
   async _createEncodingErrorEntry(file) {
-    const errorMessage = "上传的文本文件编码必须为UTF-8格式";
+    const errorMessage = "无法识别上传文本文件的编码，请将文件转换为UTF-8格式后重新上传";
     const bookId = this.generateStoryId();
     const bookName = LocalFileProcessor.extractBookNameFromFileName(file.name);
 
@@ -164,12 +134,523 @@ class LocalFileProcessor {
     return { bookId, storyIds: [storyId] };
   }
 
+  /**
+   * Files larger than this are imported with importTextFileStreaming
+   */
+  static get STREAMING_THRESHOLD() {
+    return 64 * 1024 * 1024;
+  }
+
+  /**
+   * Lines per story when no chapter headings are found (same as processFile)
+   */
+  static get LINES_PER_CHUNK() {
+    return 5000;
+  }
+
+  /**
+   * Upper bound on lines held in memory for one story while streaming,
+   * even when chapters are too long or too sparse to split on; a story that
+   * reaches it ends before its last chapter unless that chapter alone is longer
+   */
+  static get MAX_STREAMING_CHUNK_LINES() {
+    return 20000;
+  }
+
+  /**
+   * Create the error used for cancelled imports
+   */
+  static createAbortError() {
+    const error = new Error('Import cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Throw an AbortError if the import was cancelled
+   */
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw LocalFileProcessor.createAbortError();
+    }
+  }
+
+  /**
+   * Decode bytes in slices so progress can be reported and the import
+   * cancelled between slices
+   */
+  static async decodeInChunks(bytes, encoding, options = {}) {
+    const { onProgress = () => {}, signal = null, chunkSize = 4 * 1024 * 1024 } = options;
+    const decoder = new TextDecoder(encoding, { fatal: false });
+    const parts = [];
+
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      LocalFileProcessor.throwIfAborted(signal);
+      const end = Math.min(offset + chunkSize, bytes.length);
+      parts.push(decoder.decode(bytes.subarray(offset, end), { stream: end < bytes.length }));
+      onProgress({ stage: 'decoding', bytesDecoded: end, totalBytes: bytes.length });
+
+      // Yield so cancel messages and UI updates get a chance to run
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Pick the encoding for an import: options.encoding if given, otherwise the
+   * detected one, asking options.chooseEncoding(detection, previews) when unsure
+   * Only the leading bytes are needed, so this works on a streamed sample too
+   */
+  static async resolveEncoding(bytes, options = {}) {
+    if (options.encoding) return options.encoding;
+
+    const detection = EncodingDetector.detect(bytes);
+    if (detection.confidence >= EncodingDetector.LOW_CONFIDENCE || !options.chooseEncoding) {
+      return detection.encoding;
+    }
+
+    const previews = {};
+    for (const candidate of Object.keys(EncodingDetector.ENCODINGS)) {
+      previews[candidate] = EncodingDetector.preview(bytes, candidate);
+    }
+    const encoding = await options.chooseEncoding(detection, previews);
+    if (!encoding) {
+      throw LocalFileProcessor.createAbortError();
+    }
+    return encoding;
+  }
+
+  /**
+   * Import a text file end to end: detect the encoding, decode, detect chapters,
+   * then save it either split by chapter numbers or by lines
+   * Files over STREAMING_THRESHOLD go through importTextFileStreaming instead
+   * options.chooseEncoding(detection, previews) is asked when detection is uncertain
+   * and resolves to an encoding, or null to cancel
+   * options.onProgress receives { stage, bytesDecoded, totalBytes, chaptersFound,
+   * storiesWritten, totalStories }; options.signal cancels the import
+   * options.patterns (RegExp[]) replaces CHAPTER_PATTERNS, e.g. from ChapterRules
+   * options.reviewChapters(chapters, content) lets the user correct the detected
+   * headings before anything is saved; it resolves to the final
+   * [{ lineIndex, title }] list, or null to cancel
+   * options.splitStrategy ({ type, value }, see SplitStrategy) chooses how the
+   * text is cut into stories and is saved on the book; 'auto' by default
+   * options.updateBookId makes the file a newer copy of that book: only its new
+   * chapters are appended (see appendNewChapters) instead of adding a book
+   * options.reflow (a TextReflow mode, 'auto' by default) rejoins hard-wrapped
+   * lines into paragraphs and options.cleanupRules (see CleanupRules) removes
+   * junk lines first; streamed files are cleaned and reflowed one story at a time
+   * .zip archives of text files are handed to importZipFile and Markdown
+   * files to importMarkdownFile
+   */
+  async importTextFile(file, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+
+    if (LocalFileProcessor.isZipFile(file) && !options.updateBookId) {
+      return await this.importZipFile(file, options);
+    }
+
+    if (LocalFileProcessor.isMarkdownFile(file) && !options.updateBookId) {
+      return await this.importMarkdownFile(file, options);
+    }
+
+    if (options.updateBookId && file.size > LocalFileProcessor.STREAMING_THRESHOLD) {
+      throw new Error('This file is too large to update a book from');
+    }
+
+    if (file.size > LocalFileProcessor.STREAMING_THRESHOLD) {
+      return await this.importTextFileStreaming(file, options);
+    }
+
+    onProgress({ stage: 'reading', bytesDecoded: 0, totalBytes: file.size });
+    const bytes = new Uint8Array(await this.readFileAsArrayBuffer(file));
+    LocalFileProcessor.throwIfAborted(signal);
+
+    const encoding = await LocalFileProcessor.resolveEncoding(bytes, options);
+    const decodedContent = await LocalFileProcessor.decodeInChunks(bytes, encoding, { onProgress, signal });
+
+    if (!LocalFileProcessor.isUtf8Encoded(decodedContent)) {
+      throw new Error('无法识别上传文本文件的编码。请将文件转换为UTF-8编码后重新上传。');
+    }
+
+    // Clean up and rejoin hard-wrapped lines first so chapter line numbers refer to the final text
+    const patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+    const fileContent = TextReflow.apply(LocalFileProcessor.cleanText(decodedContent, options.cleanupRules), {
+      mode: options.reflow,
+      patterns
+    }).text;
+
+    // Detect chapters to decide if splitting is needed
+    let chapterBoundaries = this.detectChapters(fileContent, patterns);
+    onProgress({ stage: 'detecting', chaptersFound: chapterBoundaries.length });
+    LocalFileProcessor.throwIfAborted(signal);
+
+    // Reviewed headings are used as-is instead of being detected again
+    let headings = null;
+    if (options.reviewChapters) {
+      const reviewed = await options.reviewChapters(chapterBoundaries, fileContent);
+      if (!reviewed) {
+        throw LocalFileProcessor.createAbortError();
+      }
+      LocalFileProcessor.throwIfAborted(signal);
+      chapterBoundaries = reviewed.slice().sort((a, b) => a.lineIndex - b.lineIndex);
+      headings = new Map(chapterBoundaries.map(chapter => [chapter.lineIndex, chapter.title]));
+    }
+
+    if (options.updateBookId) {
+      return await this.appendNewChapters(options.updateBookId, fileContent, {
+        chapterBoundaries,
+        patterns,
+        splitStrategy: options.splitStrategy,
+        signal,
+        onProgress
+      });
+    }
+
+    // Split by chapter numbers if the last chapter number is greater than 50
+    const splitStrategy = SplitStrategy.normalize(options.splitStrategy);
+    let shouldSplitByChapter = false;
+    if (chapterBoundaries.length > 0) {
+      const lastChapterTitle = chapterBoundaries[chapterBoundaries.length - 1].title;
+      const endChapterNum = window.extractChapterNumber(lastChapterTitle);
+      if (endChapterNum !== null) {
+        shouldSplitByChapter = endChapterNum > 50;
+      }
+    }
+
+    // Remember the book being written so a cancelled import can be rolled back
+    let bookId = null;
+    const processOptions = {
+      encoding,
+      content: fileContent,
+      patterns,
+      headings,
+      splitStrategy,
+      signal,
+      onProgress: (progress) => {
+        if (progress.bookId) bookId = progress.bookId;
+        onProgress({ ...progress, chaptersFound: chapterBoundaries.length });
+      }
+    };
+
+    try {
+      if (splitStrategy.type !== 'auto') {
+        const result = await this.processWithSplitStrategy(file, processOptions);
+        return { ...result, splitByChapter: result.storyIds.length > 1 };
+      }
+
+      const result = shouldSplitByChapter
+        ? await this.processAndSplitFile(file, true, processOptions)
+        : await this.processFile(file, processOptions);
+      return { ...result, splitByChapter: shouldSplitByChapter };
+    } catch (error) {
+      if (bookId) {
+        await this.db.deleteBook(bookId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Import several text files, e.g. one per chapter from a folder, as a single
+   * book: each file is decoded with its own encoding and the texts are joined in
+   * the given order, then imported like one file named options.bookName
+   * Takes the same options as importTextFile
+   */
+  async importTextFileGroup(files, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+    const totalBytes = files.reduce((total, file) => total + file.size, 0);
+    const texts = [];
+    let bytesDecoded = 0;
+
+    for (const file of files) {
+      LocalFileProcessor.throwIfAborted(signal);
+      const bytes = new Uint8Array(await this.readFileAsArrayBuffer(file));
+      const encoding = await LocalFileProcessor.resolveEncoding(bytes, options);
+      const text = await LocalFileProcessor.decodeInChunks(bytes, encoding, { signal });
+      texts.push(text.replace(/\n+$/, ''));
+
+      bytesDecoded += file.size;
+      onProgress({ stage: 'decoding', bytesDecoded, totalBytes });
+    }
+
+    const bookName = options.bookName || LocalFileProcessor.extractBookNameFromFileName(files[0].name);
+    const joined = new File([texts.join('\n\n')], `${bookName}.txt`, { type: 'text/plain' });
+    return await this.importTextFile(joined, options);
+  }
+
+  /**
+   * Import a text file without ever holding all of it in memory: the File is read
+   * with Blob.stream(), decoded incrementally, chapters are detected line by line
+   * and each story is written to IndexedDB as soon as it is complete
+   * With the 'auto' split strategy, stories end after chapters numbered at multiples
+   * of chaptersPerFile (like processAndSplitFile), or every LINES_PER_CHUNK lines when
+   * there are no headings; other strategies are applied as the lines arrive, except
+   * that no story grows past MAX_STREAMING_CHUNK_LINES
+   * Each story is cleaned up and reflowed on its own before it is written
+   * Takes the same options as importTextFile except reviewChapters, since the text
+   * is never held in full; progress uses the 'streaming' stage
+   */
+  async importTextFileStreaming(file, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+    const patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+    const splitStrategy = SplitStrategy.normalize(options.splitStrategy);
+    const bookId = this.generateStoryId();
+    const bookName = LocalFileProcessor.extractBookNameFromFileName(file.name);
+    const reader = file.stream().getReader();
+
+    const storyIds = [];
+    let bookCreated = false;
+    let bytesDecoded = 0;
+    let chaptersFound = 0;
+    let lastReportTime = 0;
+
+    // The story currently being collected; headings are { title, chapterIndex,
+    // lineIndex (in chunkLines) }
+    let chunkLines = [];
+    let chunkHeadings = [];
+    let chunkStartLine = 0;
+    let chunkBytes = 0;
+    let lastChapterNum = null;
+
+    const report = (force = false) => {
+      const now = Date.now();
+      if (!force && now - lastReportTime < 100) return;
+      lastReportTime = now;
+      onProgress({
+        stage: 'streaming',
+        bookId,
+        bytesDecoded,
+        totalBytes: file.size,
+        chaptersFound,
+        storiesWritten: storyIds.length
+      });
+    };
+
+    // Write the first splitAt lines as a story; the rest start the next one
+    const flushChunk = async (splitAt = chunkLines.length) => {
+      if (splitAt === 0) return;
+      LocalFileProcessor.throwIfAborted(signal);
+
+      const storyHeadings = chunkHeadings.filter(heading => heading.lineIndex < splitAt);
+      const chunkTitle = SplitStrategy.partTitle({
+        bookName,
+        headings: storyHeadings,
+        startLine: chunkStartLine,
+        endLine: chunkStartLine + splitAt,
+        strategy: splitStrategy
+      });
+
+      const chunkIndex = storyIds.length;
+      const chunkContent = TextReflow.apply(
+        LocalFileProcessor.cleanText(chunkLines.slice(0, splitAt).join('\n'), options.cleanupRules),
+        { mode: options.reflow, patterns }
+      ).text;
+      const paddedIndex = (chunkIndex + 1).toString().padStart(3, '0');
+      const storyId = this.generateStoryId();
+      const processingResult = this.processContentWithChapters(chunkContent, { patterns });
+
+      // totalChunks is unknown until the end of the stream and filled in afterwards
+      await this.db.addStory({
+        id: storyId,
+        bookId: bookId,
+        fileName: `${bookName}-${paddedIndex}.txt`,
+        originalFileName: file.name,
+        fileSize: new Blob([chunkContent]).size,
+        content: chunkContent,
+        processedContent: processingResult.htmlContent,
+        chapters: processingResult.chapters,
+        extractedTitle: chunkTitle,
+        isSplitFile: true,
+        splitParentFile: file.name,
+        splitIndex: chunkIndex + 1,
+        totalChunks: null
+      });
+
+      storyIds.push(storyId);
+      chunkStartLine += splitAt;
+      chunkLines = chunkLines.slice(splitAt);
+      chunkHeadings = chunkHeadings
+        .filter(heading => heading.lineIndex >= splitAt)
+        .map(heading => ({ ...heading, lineIndex: heading.lineIndex - splitAt }));
+      chunkBytes = splitStrategy.type === 'size'
+        ? chunkLines.reduce((total, line) => total + SplitStrategy.utf8Length(line) + 1, 0)
+        : 0;
+      report(true);
+    };
+
+    // Whether a heading should start a new story under the split strategy
+    const headingStartsStory = (title) => {
+      if (chunkLines.length === 0) return false;
+      switch (splitStrategy.type) {
+        case 'chapters':
+          return chunkHeadings.length >= splitStrategy.value;
+        case 'size':
+          return chunkBytes >= splitStrategy.value * 1024;
+        case 'volume':
+          return chunkHeadings.length > 0 && SplitStrategy.isVolumeHeading(title);
+        case 'auto':
+          // Start a new story after chapter 50, 100, ...; headings without numbers
+          // still end a story once it holds twice the usual number of chapters
+          return chunkHeadings.length > 0 && (chunkHeadings.length >= this.chaptersPerFile * 2 ||
+            (lastChapterNum !== null && lastChapterNum % this.chaptersPerFile === 0));
+        default:
+          return false;
+      }
+    };
+
+    // Lines a story may hold before it is cut regardless of headings
+    const maxChunkLines = () => {
+      if (splitStrategy.type === 'lines') {
+        return Math.min(splitStrategy.value, LocalFileProcessor.MAX_STREAMING_CHUNK_LINES);
+      }
+      if (splitStrategy.type === 'auto' && chunkHeadings.length === 0) {
+        return LocalFileProcessor.LINES_PER_CHUNK;
+      }
+      return LocalFileProcessor.MAX_STREAMING_CHUNK_LINES;
+    };
+
+    // Where a story that reached maxChunkLines is cut: before its last heading,
+    // so the chapter being read moves whole to the next story, unless the
+    // strategy counts lines or that chapter started the story
+    const cutLine = () => {
+      if (splitStrategy.type === 'lines' || chunkHeadings.length === 0) return chunkLines.length;
+      return chunkHeadings[chunkHeadings.length - 1].lineIndex || chunkLines.length;
+    };
+
+    let pendingText = '';
+    const consumeText = async (text) => {
+      const lines = (pendingText + text).split('\n');
+      pendingText = lines.pop();
+
+      for (const line of lines) {
+        const trimmedLine = line.trim();
+        const isChapterHeading = patterns.some(pattern => pattern.test(trimmedLine));
+
+        if (isChapterHeading) {
+          const title = LocalFileProcessor.truncateTitleAtPunctuation(trimmedLine);
+          if (headingStartsStory(title) || chunkLines.length >= maxChunkLines()) {
+            await flushChunk();
+          }
+
+          chunkHeadings.push({ title, chapterIndex: chaptersFound, lineIndex: chunkLines.length });
+          lastChapterNum = window.extractChapterNumber(title);
+          chaptersFound++;
+        } else if (chunkLines.length >= maxChunkLines() ||
+          (splitStrategy.type === 'size' && chunkHeadings.length === 0 && chunkBytes >= splitStrategy.value * 1024)) {
+          await flushChunk(cutLine());
+        }
+
+        chunkLines.push(line);
+        if (splitStrategy.type === 'size') {
+          chunkBytes += SplitStrategy.utf8Length(line) + 1;
+        }
+      }
+    };
+
+    try {
+      onProgress({ stage: 'reading', bytesDecoded: 0, totalBytes: file.size });
+
+      // Buffer just enough of the stream to detect the encoding
+      const headParts = [];
+      let headSize = 0;
+      let streamDone = false;
+      while (headSize < EncodingDetector.SAMPLE_SIZE) {
+        const { value, done } = await reader.read();
+        if (done) {
+          streamDone = true;
+          break;
+        }
+        headParts.push(value);
+        headSize += value.length;
+      }
+      const head = new Uint8Array(headSize);
+      let offset = 0;
+      for (const part of headParts) {
+        head.set(part, offset);
+        offset += part.length;
+      }
+
+      const encoding = await LocalFileProcessor.resolveEncoding(head, options);
+      LocalFileProcessor.throwIfAborted(signal);
+
+      const decoder = new TextDecoder(encoding, { fatal: false });
+      const headText = decoder.decode(head, { stream: true });
+      if (!LocalFileProcessor.isUtf8Encoded(headText)) {
+        throw new Error('无法识别上传文本文件的编码。请将文件转换为UTF-8编码后重新上传。');
+      }
+
+      await this.db.addBook({
+        id: bookId,
+        bookName: bookName,
+        originalFileName: file.name,
+        uploadTime: new Date().toISOString(),
+        splitStrategy
+      });
+      bookCreated = true;
+
+      bytesDecoded = headSize;
+      await consumeText(headText);
+      report(true);
+
+      while (!streamDone) {
+        LocalFileProcessor.throwIfAborted(signal);
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        bytesDecoded += value.length;
+        await consumeText(decoder.decode(value, { stream: true }));
+        report();
+      }
+
+      // Whatever follows the last newline is the final line
+      await consumeText(decoder.decode() + '\n');
+      if (chunkLines.length > 0 && chunkLines[chunkLines.length - 1] === '') {
+        chunkLines.pop();
+      }
+      await flushChunk();
+
+      // Now that the number of stories is known, fill in totalChunks
+      LocalFileProcessor.throwIfAborted(signal);
+      for (const storyId of storyIds) {
+        const story = await this.db.getStoryById(storyId);
+        if (storyIds.length === 1) {
+          story.fileName = `${bookName}.txt`;
+          story.extractedTitle = bookName;
+          story.isSplitFile = false;
+          story.splitParentFile = null;
+          story.splitIndex = null;
+        } else {
+          story.totalChunks = storyIds.length;
+        }
+        await this.db.updateStory(story);
+      }
+
+      return { bookId, storyIds, splitByChapter: chaptersFound > 0 && storyIds.length > 1 };
+    } catch (error) {
+      reader.cancel().catch(() => {});
+      if (bookCreated) {
+        await this.db.deleteBook(bookId);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Process file - creates a book and saves stories
    * Splits file by every 5000 lines
+   * options.encoding overrides automatic encoding detection,
+   * options.content skips reading the file again when it is already decoded,
+   * options.onProgress and options.signal report progress and allow cancelling,
+   * options.patterns replaces CHAPTER_PATTERNS, options.headings (Map of
+   * line index -> title for the whole file) replaces detection altogether,
+   * and options.splitStrategy is recorded on the book
    */
-  async processFile(file) {
-    const fileContent = await this.readFileAsText(file);
+  async processFile(file, options = {}) {
+    const { onProgress = () => {}, signal = null, patterns = null, headings = null } = options;
+    const fileContent = options.content !== undefined
+      ? options.content
+      : await this.readFileAsText(file, options.encoding);
 
     if (!LocalFileProcessor.isUtf8Encoded(fileContent)) {
       return await this._createEncodingErrorEntry(file);
@@ -182,7 +663,8 @@ class LocalFileProcessor {
       id: bookId,
       bookName: bookName,
       originalFileName: file.name,
-      uploadTime: new Date().toISOString()
+      uploadTime: new Date().toISOString(),
+      splitStrategy: options.splitStrategy || null
     };
 
     await this.db.addBook(bookData);
@@ -192,14 +674,15 @@ class LocalFileProcessor {
     if (lines.length > 0 && lines[lines.length - 1] === '') {
       lines.pop();
     }
-    const linesPerChunk = 5000;
+    const linesPerChunk = LocalFileProcessor.LINES_PER_CHUNK;
     const totalChunks = Math.ceil(lines.length / linesPerChunk);
+    onProgress({ stage: 'writing', bookId, storiesWritten: 0, totalStories: Math.max(totalChunks, 1) });
 
     // If file has 5000 lines or less, don't split
     if (totalChunks === 1) {
       const storyId = this.generateStoryId();
       const generatedFileName = `${bookName}.txt`;
-      const processingResult = this.processContentWithChapters(fileContent);
+      const processingResult = this.processContentWithChapters(fileContent, { patterns, headings });
 
       const storyData = {
         id: storyId,
@@ -217,7 +700,9 @@ class LocalFileProcessor {
         totalChunks: null
       };
 
+      LocalFileProcessor.throwIfAborted(signal);
       await this.db.addStory(storyData);
+      onProgress({ stage: 'writing', bookId, storiesWritten: 1, totalStories: 1 });
       return { bookId, storyIds: [storyId] };
     }
 
@@ -233,7 +718,10 @@ class LocalFileProcessor {
       const paddedIndex = (chunkIndex + 1).toString().padStart(3, '0');
       const chunkFileName = `${bookName}-${paddedIndex}.txt`;
       const chunkTitle = `${bookName} (${startLine + 1} ~ ${endLine})`;
-      const processingResult = this.processContentWithChapters(chunkContent);
+      const processingResult = this.processContentWithChapters(chunkContent, {
+        patterns,
+        headings: headings ? LocalFileProcessor.sliceHeadings(headings, startLine, endLine) : null
+      });
 
       const storyData = {
         id: storyId,
@@ -251,8 +739,10 @@ class LocalFileProcessor {
         totalChunks: totalChunks
       };
 
+      LocalFileProcessor.throwIfAborted(signal);
       await this.db.addStory(storyData);
       storyIds.push(storyId);
+      onProgress({ stage: 'writing', bookId, storiesWritten: storyIds.length, totalStories: totalChunks });
     }
 
     return { bookId, storyIds };
@@ -260,9 +750,13 @@ class LocalFileProcessor {
 
   /**
    * Process and split large file into chunks
+   * Accepts the same options as processFile
    */
-  async processAndSplitFile(file, forceSplit = false) {
-    const fileContent = await this.readFileAsText(file);
+  async processAndSplitFile(file, forceSplit = false, options = {}) {
+    const { onProgress = () => {}, signal = null, patterns = null, headings = null } = options;
+    const fileContent = options.content !== undefined
+      ? options.content
+      : await this.readFileAsText(file, options.encoding);
 
     // Check for UTF-8 encoding
     if (!LocalFileProcessor.isUtf8Encoded(fileContent)) {
@@ -270,7 +764,9 @@ class LocalFileProcessor {
     }
 
     const lines = fileContent.split('\n');
-    const chapterBoundaries = this.detectChapterBoundaries(lines);
+    const chapterBoundaries = headings
+      ? Array.from(headings, ([lineIndex, title]) => ({ lineIndex, title })).sort((a, b) => a.lineIndex - b.lineIndex)
+      : this.detectChapterBoundaries(lines, patterns || LocalFileProcessor.CHAPTER_PATTERNS);
 
     const bookId = this.generateStoryId();
     const bookName = LocalFileProcessor.extractBookNameFromFileName(file.name);
@@ -279,13 +775,17 @@ class LocalFileProcessor {
       id: bookId,
       bookName: bookName,
       originalFileName: file.name,
-      uploadTime: new Date().toISOString()
+      uploadTime: new Date().toISOString(),
+      splitStrategy: options.splitStrategy || null
     };
 
     await this.db.addBook(bookData);
 
     if (!forceSplit && chapterBoundaries.length <= this.chaptersPerFile) {
-      const result = await this.processSingleStory(file, bookId, fileContent);
+      onProgress({ stage: 'writing', bookId, storiesWritten: 0, totalStories: 1 });
+      LocalFileProcessor.throwIfAborted(signal);
+      const result = await this.processSingleStory(file, bookId, fileContent, { patterns, headings });
+      onProgress({ stage: 'writing', bookId, storiesWritten: 1, totalStories: 1 });
       return { bookId, storyIds: [result.storyId] };
     }
 
@@ -309,8 +809,10 @@ class LocalFileProcessor {
     const storyIds = [];
     const baseFileName = bookName;
     let startIdx = 0;
+    onProgress({ stage: 'writing', bookId, storiesWritten: 0, totalStories: splitPoints.length });
 
     for (let chunkIndex = 0; chunkIndex < splitPoints.length; chunkIndex++) {
+      LocalFileProcessor.throwIfAborted(signal);
       const endIdx = splitPoints[chunkIndex];
       const chunkData = this.createChunkDataByRange({
         lines,
@@ -321,25 +823,177 @@ class LocalFileProcessor {
         totalChunks: splitPoints.length,
         baseFileName,
         originalFileName: file.name,
-        bookId
+        bookId,
+        patterns,
+        explicitHeadings: headings !== null
       });
 
       await this.db.addStory(chunkData.storyData);
       storyIds.push(chunkData.storyId);
+      onProgress({ stage: 'writing', bookId, storiesWritten: storyIds.length, totalStories: splitPoints.length });
       startIdx = endIdx;
     }
 
     return { bookId, storyIds };
   }
 
+  /**
+   * Save a text as a book cut into stories by options.splitStrategy
+   * (any SplitStrategy type except 'auto'); takes the same options as processFile
+   */
+  async processWithSplitStrategy(file, options = {}) {
+    const { onProgress = () => {}, signal = null, patterns = null, headings = null } = options;
+    const splitStrategy = SplitStrategy.normalize(options.splitStrategy);
+    const fileContent = options.content !== undefined
+      ? options.content
+      : await this.readFileAsText(file, options.encoding);
+
+    if (!LocalFileProcessor.isUtf8Encoded(fileContent)) {
+      return await this._createEncodingErrorEntry(file);
+    }
+
+    const lines = fileContent.split('\n');
+    // Remove trailing empty line if exists
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    const chapterBoundaries = headings
+      ? Array.from(headings, ([lineIndex, title]) => ({ lineIndex, title })).sort((a, b) => a.lineIndex - b.lineIndex)
+      : this.detectChapterBoundaries(lines, patterns || LocalFileProcessor.CHAPTER_PATTERNS);
+    const parts = SplitStrategy.computeParts(lines, chapterBoundaries, splitStrategy);
+
+    const bookId = this.generateStoryId();
+    const bookName = LocalFileProcessor.extractBookNameFromFileName(file.name);
+
+    await this.db.addBook({
+      id: bookId,
+      bookName: bookName,
+      originalFileName: file.name,
+      uploadTime: new Date().toISOString(),
+      splitStrategy
+    });
+
+    return await this.writeParts({
+      lines,
+      content: fileContent,
+      parts,
+      chapterBoundaries,
+      headings,
+      patterns,
+      bookId,
+      bookName,
+      originalFileName: file.name,
+      fileSize: file.size,
+      splitStrategy,
+      signal,
+      onProgress
+    });
+  }
+
+  /**
+   * Save one story per part of a text (parts from SplitStrategy.computeParts)
+   * A single part is saved as an unsplit story named after the book
+   * options: { lines, content, parts, chapterBoundaries, headings, patterns, bookId,
+   * bookName, originalFileName, fileSize, splitStrategy, signal, onProgress } where
+   * content and fileSize describe the whole text and are used for a single part
+   * When the parts continue an existing book, options.splitIndexOffset,
+   * options.lineOffset and options.chapterIndexOffset place them after its stories
+   * and options.totalChunks is the book's new number of stories
+   * Formatted text passes options.levels and options.rows (by line of the whole
+   * text, see processContentWithChapters) and options.format, saved on each story
+   * ('markdown', or null for plain text)
+   */
+  async writeParts(options) {
+    const {
+      lines,
+      parts,
+      chapterBoundaries,
+      headings = null,
+      patterns = null,
+      levels = null,
+      rows = null,
+      format = null,
+      bookId,
+      bookName,
+      originalFileName,
+      splitStrategy,
+      splitIndexOffset = 0,
+      lineOffset = 0,
+      chapterIndexOffset = 0,
+      totalChunks = parts.length,
+      signal = null,
+      onProgress = () => {}
+    } = options;
+
+    const storyIds = [];
+    const isSplit = totalChunks > 1;
+    let chapterIndex = 0;
+    onProgress({ stage: 'writing', bookId, storiesWritten: 0, totalStories: parts.length });
+
+    for (let partIndex = 0; partIndex < parts.length; partIndex++) {
+      LocalFileProcessor.throwIfAborted(signal);
+      const { startLine, endLine } = parts[partIndex];
+      const chunkContent = !isSplit && options.content !== undefined
+        ? options.content
+        : lines.slice(startLine, endLine).join('\n');
+
+      const partHeadings = [];
+      while (chapterIndex < chapterBoundaries.length && chapterBoundaries[chapterIndex].lineIndex < endLine) {
+        partHeadings.push({ title: chapterBoundaries[chapterIndex].title, chapterIndex: chapterIndexOffset + chapterIndex });
+        chapterIndex++;
+      }
+
+      const storyId = this.generateStoryId();
+      const splitIndex = splitIndexOffset + partIndex + 1;
+      const paddedIndex = splitIndex.toString().padStart(3, '0');
+      const processingResult = this.processContentWithChapters(chunkContent, {
+        patterns,
+        headings: headings ? LocalFileProcessor.sliceHeadings(headings, startLine, endLine) : null,
+        levels: levels ? LocalFileProcessor.sliceHeadings(levels, startLine, endLine) : null,
+        rows: rows ? LocalFileProcessor.sliceHeadings(rows, startLine, endLine) : null
+      });
+
+      await this.db.addStory({
+        id: storyId,
+        bookId: bookId,
+        fileName: isSplit ? `${bookName}-${paddedIndex}.txt` : `${bookName}.txt`,
+        originalFileName,
+        fileSize: isSplit || !options.fileSize ? new Blob([chunkContent]).size : options.fileSize,
+        content: chunkContent,
+        processedContent: processingResult.htmlContent,
+        chapters: processingResult.chapters,
+        extractedTitle: isSplit
+          ? SplitStrategy.partTitle({
+            bookName,
+            headings: partHeadings,
+            startLine: lineOffset + startLine,
+            endLine: lineOffset + endLine,
+            strategy: splitStrategy
+          })
+          : bookName,
+        isSplitFile: isSplit,
+        splitParentFile: isSplit ? originalFileName : null,
+        splitIndex: isSplit ? splitIndex : null,
+        totalChunks: isSplit ? totalChunks : null,
+        format
+      });
+
+      storyIds.push(storyId);
+      onProgress({ stage: 'writing', bookId, storiesWritten: storyIds.length, totalStories: parts.length });
+    }
+
+    return { bookId, storyIds };
+  }
+
   /**
    * Process single story for book
+   * options ({ patterns, headings }) are passed on to processContentWithChapters
    */
-  async processSingleStory(file, bookId, fileContent) {
+  async processSingleStory(file, bookId, fileContent, options = {}) {
     const storyId = this.generateStoryId();
     const storyTitle = LocalFileProcessor.extractTitle(fileContent);
     const generatedFileName = `${storyTitle}.txt`;
-    const processingResult = this.processContentWithChapters(fileContent);
+    const processingResult = this.processContentWithChapters(fileContent, options);
 
     const storyData = {
       id: storyId,
@@ -363,6 +1017,10 @@ class LocalFileProcessor {
 
   /**
    * Create chunk data for split files by chapter range
+   * With explicitHeadings, chapterBoundaries are used as the chunk's headings
+   * instead of re-detecting them with CHAPTER_PATTERNS
+   * Formatted documents pass rows (by line of the whole text, see
+   * processContentWithChapters) and format, saved on the story
    */
   createChunkDataByRange(options) {
     const {
@@ -374,7 +1032,11 @@ class LocalFileProcessor {
       totalChunks,
       baseFileName,
       originalFileName,
-      bookId
+      bookId,
+      explicitHeadings = false,
+      patterns = null,
+      rows = null,
+      format = null
     } = options;
 
     const startLineIdx = chapterBoundaries[startIdx].lineIndex;
@@ -398,8 +1060,20 @@ class LocalFileProcessor {
     const paddedIndex = (chunkIndex + 1).toString().padStart(3, '0');
     const chunkFileName = `${baseFileName}-${paddedIndex}.txt`;
 
+    let headings = null;
+    if (explicitHeadings) {
+      headings = new Map();
+      for (let i = startIdx; i < endIdx; i++) {
+        headings.set(chapterBoundaries[i].lineIndex - startLineIdx, chapterBoundaries[i].title);
+      }
+    }
+
     const storyId = this.generateStoryId();
-    const processingResult = this.processContentWithChapters(chunkContent);
+    const processingResult = this.processContentWithChapters(chunkContent, {
+      headings,
+      patterns,
+      rows: rows ? LocalFileProcessor.sliceHeadings(rows, startLineIdx, endLineIdx) : null
+    });
 
     const storyData = {
       id: storyId,
@@ -475,22 +1149,399 @@ class LocalFileProcessor {
       isSplitFile: true,
       splitParentFile: originalFileName,
       splitIndex: chunkIndex + 1,
-      totalChunks
+      totalChunks,
+      format
     };
 
     return { storyId, storyData };
   }
 
+  /**
+   * Take the headings that fall in lines [startLine, endLine) and make
+   * their line indexes relative to startLine
+   */
+  static sliceHeadings(headings, startLine, endLine) {
+    const sliced = new Map();
+    for (const [lineIndex, title] of headings) {
+      if (lineIndex >= startLine && lineIndex < endLine) {
+        sliced.set(lineIndex - startLine, title);
+      }
+    }
+    return sliced;
+  }
+
+  /**
+   * Recover the formatting of a formatted story (Markdown, DOCX) from its
+   * processedContent, so that rebuilding its HTML after an edit keeps it
+   * Rows are matched to lines like ChapterEditor.lineIndexOfRow: one row per
+   * non-blank line that is not a heading
+   * @returns {{rows: Map<number, {html: string, className: string}>|null, levels: Map<number, number>|null}}
+   *   - By line index; null for plain text stories
+   */
+  static readFormatting(story) {
+    if (!story.format || typeof DOMParser === 'undefined') {
+      return { rows: null, levels: null };
+    }
+
+    const chapters = story.chapters || [];
+    const headingLines = new Set(chapters.map(chapter => chapter.lineNumber));
+    const levels = new Map(chapters.filter(chapter => chapter.level).map(chapter => [chapter.lineNumber, chapter.level]));
+
+    const doc = new DOMParser().parseFromString(story.processedContent || '', 'text/html');
+    const rowElements = doc.querySelectorAll('.chapter-content-row');
+    const lines = (story.content || '').split('\n');
+    const rows = new Map();
+    let row = 0;
+    for (let i = 0; i < lines.length && row < rowElements.length; i++) {
+      if (headingLines.has(i) || lines[i].trim() === '') continue;
+      const element = rowElements[row++];
+      element.classList.remove('chapter-content-row');
+      rows.set(i, { html: element.innerHTML, className: element.className });
+    }
+    return { rows, levels };
+  }
+
+  /**
+   * Flatten a structured document (from EpubImporter) into lines
+   * Returns the lines, a Map of heading line index -> chapter title and a Map
+   * of line index -> row for paragraphs carrying formatted html (DocxImporter)
+   */
+  static structuredDocumentToLines(doc, bookName) {
+    const lines = [];
+    const headings = new Map();
+    const rows = new Map();
+
+    const blocks = doc.blocks
+      .map(block => ({ ...block, text: block.text.replace(/\s*\n\s*/g, ' ').trim() }))
+      .filter(block => block.text !== '');
+
+    // Front matter before the first TOC entry becomes a chapter named after the book
+    if (blocks.length > 0 && blocks[0].type !== 'heading') {
+      headings.set(0, bookName);
+      lines.push(bookName);
+    }
+
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        headings.set(lines.length, block.text);
+      } else if (block.html) {
+        rows.set(lines.length, { html: block.html, className: '' });
+      }
+      lines.push(block.text);
+    }
+
+    return { lines, headings, rows };
+  }
+
+  /**
+   * Process a structured document whose chapters come from a real TOC
+   * Splits into parts of chaptersPerFile chapters when needed
+   */
+  async processStructuredDocument(doc, originalFileName) {
+    const bookId = this.generateStoryId();
+    const bookName = doc.title || LocalFileProcessor.extractBookNameFromFileName(originalFileName);
+
+    const bookData = {
+      id: bookId,
+      bookName: bookName,
+      author: doc.author || '',
+      originalFileName: originalFileName,
+      uploadTime: new Date().toISOString()
+    };
+
+    await this.db.addBook(bookData);
+
+    const { lines, headings, rows } = LocalFileProcessor.structuredDocumentToLines(doc, bookName);
+    const chapterBoundaries = Array.from(headings, ([lineIndex, title]) => ({ lineIndex, title }));
+    const format = doc.format || null;
+
+    if (chapterBoundaries.length <= this.chaptersPerFile) {
+      const content = lines.join('\n');
+      const storyId = this.generateStoryId();
+      const processingResult = this.processContentWithChapters(content, { headings, rows });
+
+      const storyData = {
+        id: storyId,
+        bookId: bookId,
+        fileName: `${bookName}.txt`,
+        originalFileName: originalFileName,
+        fileSize: new Blob([content]).size,
+        content: content,
+        processedContent: processingResult.htmlContent,
+        chapters: processingResult.chapters,
+        extractedTitle: bookName,
+        isSplitFile: false,
+        splitParentFile: null,
+        splitIndex: null,
+        totalChunks: null,
+        format
+      };
+
+      await this.db.addStory(storyData);
+      return { bookId, storyIds: [storyId] };
+    }
+
+    const totalChunks = Math.ceil(chapterBoundaries.length / this.chaptersPerFile);
+    const storyIds = [];
+
+    for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+      const chunkData = this.createChunkDataByRange({
+        lines,
+        chapterBoundaries,
+        startIdx: chunkIndex * this.chaptersPerFile,
+        endIdx: Math.min((chunkIndex + 1) * this.chaptersPerFile, chapterBoundaries.length),
+        chunkIndex,
+        totalChunks,
+        baseFileName: bookName,
+        originalFileName,
+        bookId,
+        explicitHeadings: true,
+        rows,
+        format
+      });
+
+      await this.db.addStory(chunkData.storyData);
+      storyIds.push(chunkData.storyId);
+    }
+
+    return { bookId, storyIds };
+  }
+
+  /**
+   * Process an EPUB file - chapters come from the book's own TOC
+   */
+  async processEpubFile(file) {
+    const doc = await EpubImporter.parse(file);
+    return await this.processStructuredDocument(doc, file.name);
+  }
+
+  /**
+   * Process a FictionBook file - chapters come from its section titles
+   */
+  async processFb2File(file) {
+    const doc = await DocumentImporter.parseFb2(file);
+    return await this.processStructuredDocument(doc, file.name);
+  }
+
+  /**
+   * Process a Word document - chapters come from its Heading 1/2 paragraphs
+   */
+  async processDocxFile(file) {
+    const doc = await DocxImporter.parse(file);
+    return await this.processStructuredDocument(doc, file.name);
+  }
+
+  /**
+   * Process a saved HTML/XHTML page - chapters come from its h1-h3 headings
+   */
+  async processHtmlFile(file) {
+    const doc = await DocumentImporter.parseHtml(file);
+    return await this.processStructuredDocument(doc, file.name);
+  }
+
+  /**
+   * Whether a file is a structured document (EPUB, FB2, HTML, DOCX) whose own
+   * markup gives its chapters, rather than a text file needing chapter detection
+   */
+  static isStructuredDocument(file) {
+    return /\.epub$/i.test(file.name) || DocumentImporter.isFb2(file.name) ||
+      DocumentImporter.isHtml(file.name) || DocxImporter.isDocx(file.name);
+  }
+
+  /**
+   * Process any structured document by its file extension
+   */
+  async processDocumentFile(file) {
+    if (DocumentImporter.isFb2(file.name)) {
+      return await this.processFb2File(file);
+    }
+    if (DocumentImporter.isHtml(file.name)) {
+      return await this.processHtmlFile(file);
+    }
+    if (DocxImporter.isDocx(file.name)) {
+      return await this.processDocxFile(file);
+    }
+    return await this.processEpubFile(file);
+  }
+
+  static isZipFile(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+  }
+
+  /**
+   * Import a .zip archive of text files: each .txt entry becomes one story,
+   * ordered by natural path sort, with its own encoding detection and chapters
+   * The whole archive is one book, or with options.bookPerFolder one book per
+   * top-level folder (entries at the top level form a book named after the archive)
+   * Takes the same options as importTextFile except reviewChapters and splitStrategy
+   * @returns {Promise<{bookId: string, bookIds: string[], storyIds: string[], splitByChapter: boolean}>}
+   */
+  async importZipFile(file, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+    const patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+
+    onProgress({ stage: 'reading', bytesDecoded: 0, totalBytes: file.size });
+    const zip = await ZipReader.fromFile(file);
+    const archiveName = LocalFileProcessor.extractBookNameFromFileName(file.name);
+
+    // Skip macOS resource forks and hidden files
+    const entries = zip.entries
+      .filter(entry => !entry.isDirectory && /\.txt$/i.test(entry.name))
+      .filter(entry => !entry.name.split('/').some(part => part === '__MACOSX' || part.startsWith('.')))
+      .sort((a, b) => window.naturalCompare(a.name, b.name));
+    if (entries.length === 0) {
+      throw new Error('The archive contains no .txt files');
+    }
+
+    const groups = new Map();
+    entries.forEach(entry => {
+      const slash = entry.name.indexOf('/');
+      const bookName = options.bookPerFolder && slash > 0 ? entry.name.substring(0, slash) : archiveName;
+      if (!groups.has(bookName)) groups.set(bookName, []);
+      groups.get(bookName).push(entry);
+    });
+
+    const bookIds = [];
+    const storyIds = [];
+    try {
+      for (const [bookName, groupEntries] of groups) {
+        const bookId = this.generateStoryId();
+        await this.db.addBook({
+          id: bookId,
+          bookName,
+          originalFileName: file.name,
+          uploadTime: new Date().toISOString()
+        });
+        bookIds.push(bookId);
+
+        const isSplit = groupEntries.length > 1;
+        for (let index = 0; index < groupEntries.length; index++) {
+          LocalFileProcessor.throwIfAborted(signal);
+          const entry = groupEntries[index];
+          const entryFileName = entry.name.substring(entry.name.lastIndexOf('/') + 1);
+
+          const bytes = await zip.readBytes(entry);
+          const encoding = await LocalFileProcessor.resolveEncoding(bytes, options);
+          const decoded = (await LocalFileProcessor.decodeInChunks(bytes, encoding, { signal })).replace(/\n$/, '');
+          const content = TextReflow.apply(LocalFileProcessor.cleanText(decoded, options.cleanupRules), {
+            mode: options.reflow,
+            patterns
+          }).text;
+          const processingResult = this.processContentWithChapters(content, { patterns });
+
+          const storyId = this.generateStoryId();
+          await this.db.addStory({
+            id: storyId,
+            bookId,
+            fileName: isSplit ? entryFileName : `${bookName}.txt`,
+            originalFileName: file.name,
+            fileSize: bytes.length,
+            content,
+            processedContent: processingResult.htmlContent,
+            chapters: processingResult.chapters,
+            extractedTitle: isSplit ? LocalFileProcessor.extractBookNameFromFileName(entryFileName) : bookName,
+            isSplitFile: isSplit,
+            splitParentFile: isSplit ? file.name : null,
+            splitIndex: isSplit ? index + 1 : null,
+            totalChunks: isSplit ? groupEntries.length : null
+          });
+
+          storyIds.push(storyId);
+          onProgress({ stage: 'writing', storiesWritten: storyIds.length, totalStories: entries.length });
+        }
+      }
+    } catch (error) {
+      for (const bookId of bookIds) {
+        await this.db.deleteBook(bookId);
+      }
+      throw error;
+    }
+
+    return { bookId: bookIds[0], bookIds, storyIds, splitByChapter: false };
+  }
+
+  static isMarkdownFile(file) {
+    return MarkdownImporter.isMarkdown(file.name);
+  }
+
+  /**
+   * Import a Markdown file: # and ## headings are the chapters, and the other
+   * formatting is rendered into processedContent while content keeps the plain
+   * text (see MarkdownImporter); stories are marked format: 'markdown'
+   * The book is named after the first # heading, else the file name
+   * Takes the same options as importTextFile except reviewChapters and patterns
+   */
+  async importMarkdownFile(file, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+
+    onProgress({ stage: 'reading', bytesDecoded: 0, totalBytes: file.size });
+    const bytes = new Uint8Array(await this.readFileAsArrayBuffer(file));
+    LocalFileProcessor.throwIfAborted(signal);
+
+    const encoding = await LocalFileProcessor.resolveEncoding(bytes, options);
+    const text = await LocalFileProcessor.decodeInChunks(bytes, encoding, { onProgress, signal });
+    const { title, lines, headings, levels, rows } = MarkdownImporter.parse(text);
+    if (lines.length === 0) {
+      throw new Error('The Markdown file is empty');
+    }
+
+    const chapterBoundaries = Array.from(headings, ([lineIndex, chapterTitle]) => ({ lineIndex, title: chapterTitle }));
+    onProgress({ stage: 'detecting', chaptersFound: chapterBoundaries.length });
+
+    const splitStrategy = SplitStrategy.normalize(options.splitStrategy);
+    const bookId = this.generateStoryId();
+    const bookName = title || LocalFileProcessor.extractBookNameFromFileName(file.name);
+    await this.db.addBook({
+      id: bookId,
+      bookName,
+      originalFileName: file.name,
+      uploadTime: new Date().toISOString(),
+      splitStrategy
+    });
+
+    try {
+      const result = await this.writeParts({
+        lines,
+        content: lines.join('\n'),
+        parts: SplitStrategy.computeParts(lines, chapterBoundaries, splitStrategy),
+        chapterBoundaries,
+        headings,
+        levels,
+        rows,
+        format: 'markdown',
+        bookId,
+        bookName,
+        originalFileName: file.name,
+        splitStrategy,
+        signal,
+        onProgress: (progress) => onProgress({ ...progress, chaptersFound: chapterBoundaries.length })
+      });
+      return { ...result, splitByChapter: result.storyIds.length > 1 };
+    } catch (error) {
+      await this.db.deleteBook(bookId);
+      throw error;
+    }
+  }
+
   /**
    * Process text content from textarea
+   * options.title and options.author name the book (the title defaults to the
+   * first line), options.patterns replaces CHAPTER_PATTERNS, options.cleanupRules
+   * (see CleanupRules) removes junk lines and options.reflow (a TextReflow mode)
+   * rejoins hard-wrapped lines
    */
-  async processTextContent(content, fileName = 'pasted_content.txt') {
+  async processTextContent(text, fileName = 'pasted_content.txt', options = {}) {
+    const content = TextReflow.apply(LocalFileProcessor.cleanText(text, options.cleanupRules), {
+      mode: options.reflow,
+      patterns: options.patterns || null
+    }).text;
     const bookId = this.generateStoryId();
-    const bookName = LocalFileProcessor.extractTitle(content);
+    const bookName = (options.title || '').trim() || LocalFileProcessor.extractTitle(content);
 
     const bookData = {
       id: bookId,
       bookName: bookName,
+      author: (options.author || '').trim(),
       originalFileName: fileName,
       uploadTime: new Date().toISOString()
     };
@@ -499,7 +1550,7 @@ class LocalFileProcessor {
 
     const storyId = this.generateStoryId();
     const generatedFileName = `${bookName}.txt`;
-    const processingResult = this.processContentWithChapters(content);
+    const processingResult = this.processContentWithChapters(content, { patterns: options.patterns || null });
 
     const storyData = {
       id: storyId,
@@ -525,9 +1576,8 @@ class LocalFileProcessor {
   /**
    * Detect chapter boundaries in the content
    */
-  detectChapterBoundaries(lines) {
+  detectChapterBoundaries(lines, patterns = LocalFileProcessor.CHAPTER_PATTERNS) {
     const chapterBoundaries = [];
-    const patterns = LocalFileProcessor.CHAPTER_PATTERNS;
 
     for (let i = 0; i < lines.length; i++) {
       const trimmedLine = lines[i].trim();
@@ -549,17 +1599,25 @@ class LocalFileProcessor {
   /**
    * Public method to detect chapter boundaries from file content
    */
-  detectChapters(content) {
-    return this.detectChapterBoundaries(content.split('\n'));
+  detectChapters(content, patterns = LocalFileProcessor.CHAPTER_PATTERNS) {
+    return this.detectChapterBoundaries(content.split('\n'), patterns);
   }
 
   /**
    * Process content by detecting chapters and extracting chapter list
    * Uses line numbers as anchor IDs for more reliable navigation
+   * options.headings (Map of line index -> title) replaces pattern detection,
+   * options.patterns (RegExp[]) replaces CHAPTER_PATTERNS,
+   * options.levels (Map of line index -> heading level) is kept on the chapters
+   * and options.rows (Map of line index -> { html, className }) gives lines
+   * formatted HTML, already escaped, in place of their plain text (see MarkdownImporter, DocxImporter)
    */
-  processContentWithChapters(content) {
+  processContentWithChapters(content, options = {}) {
     const lines = content.split('\n');
-    const patterns = LocalFileProcessor.CHAPTER_PATTERNS;
+    const patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+    const headings = options.headings || null;
+    const levels = options.levels || null;
+    const rows = options.rows || null;
 
     let htmlContent = '';
     let chapters = [];
@@ -571,7 +1629,9 @@ class LocalFileProcessor {
 
       if (i === 0 && trimmedLine === '') continue;
 
-      const isChapterHeading = patterns.some(pattern => pattern.test(trimmedLine));
+      const isChapterHeading = headings
+        ? headings.has(i)
+        : patterns.some(pattern => pattern.test(trimmedLine));
 
       if (isChapterHeading) {
         if (inChapterContent) {
@@ -582,11 +1642,15 @@ class LocalFileProcessor {
         // Use line number as anchor ID for reliable navigation
         const anchorId = `line-${i}`;
 
-        chapters.push({
-          title: LocalFileProcessor.truncateTitleAtPunctuation(trimmedLine),
+        const chapter = {
+          title: (headings && headings.get(i)) || LocalFileProcessor.truncateTitleAtPunctuation(trimmedLine),
           anchorId: anchorId,
           lineNumber: i
-        });
+        };
+        if (levels && levels.has(i)) {
+          chapter.level = levels.get(i);
+        }
+        chapters.push(chapter);
 
         htmlContent += `<div id="${anchorId}" class="chapter-anchor"></div>\n`;
         htmlContent += `<div class="chapter-heading">${window.escapeHtml(trimmedLine)}</div>\n`;
@@ -598,7 +1662,10 @@ class LocalFileProcessor {
           inChapterContent = true;
         }
         if (line.trim() !== '') {
-          htmlContent += `<div class="chapter-content-row">${window.escapeHtml(line)}</div>`;
+          const row = rows && rows.get(i);
+          htmlContent += row
+            ? `<div class="chapter-content-row${row.className ? ' ' + row.className : ''}">${row.html}</div>`
+            : `<div class="chapter-content-row">${window.escapeHtml(line)}</div>`;
         }
       }
     }
@@ -611,17 +1678,431 @@ class LocalFileProcessor {
   }
 
   /**
-   * Read file as text with automatic encoding detection and conversion to UTF-8
+   * Apply cleanup rules to a text being imported; without rules it is returned as is
+   */
+  static cleanText(text, cleanupRules) {
+    return cleanupRules ? CleanupRules.apply(text, cleanupRules).text : text;
+  }
+
+  /**
+   * Apply cleanup rules to every story of an existing book
+   * Chapter headings are kept as they are and chapters (with any edits made in
+   * the reader) move to their new line numbers, through CleanupRules' lineMap
+   * Formatted rows keep their HTML unless cleanup changed their text
+   * @returns {Promise<{storyIds: string[], linesRemoved: number, linesChanged: number}>}
+   */
+  async cleanupBook(bookId, cleanupRules) {
+    const stories = await this.db.getStoriesByBookId(bookId);
+    let linesRemoved = 0;
+    let linesChanged = 0;
+
+    for (const story of stories) {
+      const chapters = story.chapters || [];
+      const result = CleanupRules.apply(story.content || '', cleanupRules, {
+        keepLines: new Set(chapters.map(chapter => chapter.lineNumber))
+      });
+      linesRemoved += result.linesRemoved;
+      linesChanged += result.linesChanged;
+      if (result.linesRemoved === 0 && result.linesChanged === 0) continue;
+
+      const oldLines = (story.content || '').split('\n');
+      const newLines = result.text.split('\n');
+      const headings = new Map(chapters.map(chapter => [result.lineMap[chapter.lineNumber], chapter.title]));
+      const levels = new Map(chapters.filter(chapter => chapter.level)
+        .map(chapter => [result.lineMap[chapter.lineNumber], chapter.level]));
+
+      const formatting = LocalFileProcessor.readFormatting(story);
+      let rows = null;
+      if (formatting.rows) {
+        rows = new Map();
+        formatting.rows.forEach((row, lineIndex) => {
+          const newIndex = result.lineMap[lineIndex];
+          if (newLines[newIndex] === oldLines[lineIndex]) rows.set(newIndex, row);
+        });
+      }
+
+      const processingResult = this.processContentWithChapters(result.text, { headings, levels, rows });
+      story.content = result.text;
+      story.fileSize = new Blob([result.text]).size;
+      story.processedContent = processingResult.htmlContent;
+      story.chapters = processingResult.chapters;
+      await this.db.updateStory(story);
+    }
+
+    return { storyIds: stories.map(story => story.id), linesRemoved, linesChanged };
+  }
+
+  /**
+   * Whether a book's chapters come from its source's own structure (a TOC,
+   * headings or Markdown/DOCX styles) rather than from chapter detection, so
+   * re-running the detection would replace them with worse ones
+   * @param {Object} book
+   * @param {Array} stories - The book's stories
+   */
+  static hasSourceChapters(book, stories = []) {
+    const source = { name: book.originalFileName || '' };
+    return stories.some(story => story.format) ||
+      LocalFileProcessor.isStructuredDocument(source) || LocalFileProcessor.isMarkdownFile(source);
+  }
+
+  /**
+   * Re-run chapter detection on every story of an existing book with new patterns
+   * Story content and splitting stay as they are; only chapters and HTML are
+   * rebuilt, keeping Markdown and DOCX formatting
+   */
+  async redetectChapters(bookId, patterns) {
+    const stories = await this.db.getStoriesByBookId(bookId);
+    let chaptersFound = 0;
+
+    for (const story of stories) {
+      const { rows } = LocalFileProcessor.readFormatting(story);
+      const processingResult = this.processContentWithChapters(story.content || '', { patterns, rows });
+      story.processedContent = processingResult.htmlContent;
+      story.chapters = processingResult.chapters;
+      await this.db.updateStory(story);
+      chaptersFound += processingResult.chapters.length;
+    }
+
+    return { storyIds: stories.map(story => story.id), chaptersFound };
+  }
+
+  /**
+   * Cut an existing book into parts again with another split strategy
+   * The stories are joined in splitIndex order and split anew, keeping their
+   * current chapters (including any edited in the reader); reading histories and
+   * the book's lastReadStory move to the new stories by chapter title and the
+   * paragraph offset from its heading (lastRowOffset), keeping their lastReadTime
+   * @returns {Promise<{bookId: string, storyIds: string[]}>}
+   */
+  async resplitBook(bookId, splitStrategy, options = {}) {
+    const { onProgress = () => {} } = options;
+    const book = await this.db.getBookById(bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    const strategy = SplitStrategy.normalize(splitStrategy);
+    const oldStories = (await this.db.getStoriesByBookId(bookId))
+      .sort((a, b) => (a.splitIndex || 0) - (b.splitIndex || 0));
+
+    // Join the stories, placing each story and its chapters in the joined text
+    // (with the formatting of Markdown and DOCX stories)
+    const lines = [];
+    const headings = new Map();
+    const storyStartLines = new Map();
+    const format = oldStories.length > 0 ? oldStories[0].format || null : null;
+    const levels = format ? new Map() : null;
+    const rows = format ? new Map() : null;
+    for (const story of oldStories) {
+      storyStartLines.set(story.id, lines.length);
+      (story.chapters || []).forEach(chapter => {
+        headings.set(lines.length + chapter.lineNumber, chapter.title);
+      });
+      if (format) {
+        const formatting = LocalFileProcessor.readFormatting(story);
+        (formatting.levels || []).forEach((level, lineIndex) => levels.set(lines.length + lineIndex, level));
+        (formatting.rows || []).forEach((row, lineIndex) => rows.set(lines.length + lineIndex, row));
+      }
+      for (const line of (story.content || '').split('\n')) {
+        lines.push(line);
+      }
+    }
+
+    const chapterBoundaries = Array.from(headings, ([lineIndex, title]) => ({ lineIndex, title }))
+      .sort((a, b) => a.lineIndex - b.lineIndex);
+    const parts = SplitStrategy.computeParts(lines, chapterBoundaries, strategy);
+
+    // Line in the joined text where each old story was being read: the
+    // chapter's heading, moved down past the paragraphs already read
+    const positions = [];
+    for (const story of oldStories) {
+      const history = await this.db.getReadingHistory(story.id);
+      const startLine = storyStartLines.get(story.id);
+      const chapter = history && history.lastChapterTitle
+        ? (story.chapters || []).find(ch => ch.title === history.lastChapterTitle)
+        : null;
+      const headingLine = chapter ? startLine + chapter.lineNumber : null;
+      let line = chapter ? headingLine : startLine;
+      if (chapter && history.lastRowOffset > 0) {
+        let rowsLeft = history.lastRowOffset;
+        for (let i = line + 1; i < lines.length && !headings.has(i) && rowsLeft >= 0; i++) {
+          if (lines[i].trim() === '') continue;
+          line = i;
+          rowsLeft--;
+        }
+      }
+      positions.push({ storyId: story.id, history, startLine, headingLine, line });
+    }
+
+    let storyIds;
+    try {
+      ({ storyIds } = await this.writeParts({
+        lines,
+        parts,
+        chapterBoundaries,
+        headings,
+        levels,
+        rows,
+        format,
+        bookId,
+        bookName: book.bookName,
+        originalFileName: book.originalFileName || `${book.bookName}.txt`,
+        splitStrategy: strategy,
+        onProgress
+      }));
+    } catch (error) {
+      // Roll back to the old stories
+      const oldIds = new Set(oldStories.map(story => story.id));
+      for (const story of await this.db.getStoriesByBookId(bookId)) {
+        if (!oldIds.has(story.id)) await this.db.deleteStory(story.id);
+      }
+      throw error;
+    }
+
+    const partIndexOf = (line) => {
+      const index = parts.findIndex(part => line >= part.startLine && line < part.endLine);
+      return index === -1 ? parts.length - 1 : index;
+    };
+
+    // Keep the most recent history landing in each new story; the scroll
+    // position only still applies if the story starts where the old one did,
+    // while the paragraph offset applies in any story holding the chapter.
+    // The histories keep their lastReadTime, so a re-split does not make them
+    // newer than positions synced from other devices
+    const newHistories = new Map();
+    for (const position of positions) {
+      if (!position.history) continue;
+      const partIndex = partIndexOf(position.line);
+      const existing = newHistories.get(partIndex);
+      if (existing && existing.lastReadTime > position.history.lastReadTime) continue;
+
+      // A part can start inside the chapter, leaving its heading in the part
+      // before; the offset then counts from the top of the part
+      let rowOffset = position.history.lastRowOffset || 0;
+      if (position.headingLine !== null && position.headingLine < parts[partIndex].startLine) {
+        rowOffset = lines.slice(parts[partIndex].startLine, position.line)
+          .filter(line => line.trim() !== '').length;
+      }
+
+      newHistories.set(partIndex, {
+        id: `${storyIds[partIndex]}_${Date.parse(position.history.lastReadTime) || 0}`,
+        storyId: storyIds[partIndex],
+        lastChapterTitle: position.history.lastChapterTitle,
+        lastScrollPosition: parts[partIndex].startLine === position.startLine ? position.history.lastScrollPosition : 0,
+        lastRowOffset: rowOffset,
+        lastReadTime: position.history.lastReadTime,
+        totalTimeRead: position.history.totalTimeRead || 0
+      });
+    }
+    await this.db.putRecords('histories', Array.from(newHistories.values()));
+
+    const lastRead = positions.find(position => position.storyId === book.lastReadStory);
+    book.lastReadStory = lastRead ? storyIds[partIndexOf(lastRead.line)] : null;
+    book.splitStrategy = strategy;
+    await this.db.updateBook(book);
+
+    for (const story of oldStories) {
+      await this.db.deleteStory(story.id);
+      await this.db.deleteReadingHistories(story.id);
+    }
+
+    return { bookId, storyIds };
+  }
+
+  /**
+   * Append the chapters of a newer copy of a serialized book that the book does
+   * not have yet
+   * The book's last chapter is looked up in the new text by title, then by
+   * chapter number (extractChapterNumber); everything after it is added to the
+   * last story, and to new stories once the book's split strategy would start one
+   * Existing text, anchors, heading levels and reading histories are left as
+   * they are; books of formatted stories (Markdown, DOCX) cannot be updated
+   * @param {string} content - Decoded text of the newer copy
+   * @param {Object} options - { chapterBoundaries, patterns, splitStrategy, signal,
+   *   onProgress } where chapterBoundaries are the headings of content (detected
+   *   with patterns when missing) and splitStrategy defaults to the book's own
+   * @returns {Promise<{bookId: string, storyIds: string[], updatedStoryId: string|null,
+   *   chaptersAdded: number}>} - storyIds are the new stories only
    */
-  async readFileAsText(file) {
-    const arrayBuffer = await new Promise((resolve, reject) => {
+  async appendNewChapters(bookId, content, options = {}) {
+    const { signal = null, onProgress = () => {} } = options;
+    const book = await this.db.getBookById(bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    const stories = (await this.db.getStoriesByBookId(bookId))
+      .sort((a, b) => (a.splitIndex || 0) - (b.splitIndex || 0));
+    const existingChapters = stories.reduce((all, story) => all.concat(story.chapters || []), []);
+    if (existingChapters.length === 0) {
+      throw new Error('This book has no chapters to compare the new file with');
+    }
+    // A formatted story's rows can only be read back from its HTML with a
+    // DOMParser, which the import worker lacks, so plain text cannot be added
+    if (stories.some(story => story.format)) {
+      throw new Error('Books imported from Markdown or Word files cannot be updated from a text file');
+    }
+
+    const lines = content.split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const boundaries = options.chapterBoundaries
+      || this.detectChapterBoundaries(lines, options.patterns || LocalFileProcessor.CHAPTER_PATTERNS);
+
+    // Find where the book currently ends in the new text, searching from the end
+    const lastChapter = existingChapters[existingChapters.length - 1];
+    const normalizeTitle = (title) => title.replace(/\s+/g, '');
+    const lastTitle = normalizeTitle(lastChapter.title);
+    const lastNumber = window.extractChapterNumber(lastChapter.title);
+    let lastIndex = -1;
+    for (let i = boundaries.length - 1; i >= 0 && lastIndex === -1; i--) {
+      if (normalizeTitle(boundaries[i].title) === lastTitle) lastIndex = i;
+    }
+    for (let i = boundaries.length - 1; i >= 0 && lastIndex === -1 && lastNumber !== null; i--) {
+      if (window.extractChapterNumber(boundaries[i].title) === lastNumber) lastIndex = i;
+    }
+    if (lastIndex === -1) {
+      throw new Error(`The file does not contain the book's last chapter "${lastChapter.title}"`);
+    }
+
+    const newBoundaries = boundaries.slice(lastIndex + 1);
+    if (newBoundaries.length === 0) {
+      return { bookId, storyIds: [], updatedStoryId: null, chaptersAdded: 0 };
+    }
+    LocalFileProcessor.throwIfAborted(signal);
+
+    // The last story followed by the new chapters, keeping the story's own headings
+    const lastStory = stories[stories.length - 1];
+    const originalLastStory = { ...lastStory };
+    const storyLines = (lastStory.content || '').split('\n');
+    if (storyLines.length > 1 && storyLines[storyLines.length - 1] === '') storyLines.pop();
+    const existingLineCount = storyLines.length;
+    const firstNewLine = newBoundaries[0].lineIndex;
+    const combinedLines = storyLines.concat(lines.slice(firstNewLine));
+
+    const headings = new Map((lastStory.chapters || []).map(chapter => [chapter.lineNumber, chapter.title]));
+    const levels = new Map((lastStory.chapters || [])
+      .filter(chapter => chapter.level)
+      .map(chapter => [chapter.lineNumber, chapter.level]));
+    newBoundaries.forEach(chapter => {
+      headings.set(existingLineCount + chapter.lineIndex - firstNewLine, chapter.title);
+    });
+    const chapterBoundaries = Array.from(headings, ([lineIndex, title]) => ({ lineIndex, title }))
+      .sort((a, b) => a.lineIndex - b.lineIndex);
+
+    // Cuts inside the existing text are dropped so it stays in the last story
+    const strategy = SplitStrategy.normalize(options.splitStrategy || book.splitStrategy);
+    const cuts = SplitStrategy.computeParts(combinedLines, chapterBoundaries, strategy)
+      .slice(1)
+      .map(part => part.startLine)
+      .filter(line => line >= existingLineCount);
+    const parts = [0, ...cuts].map((startLine, index) => ({
+      startLine,
+      endLine: index < cuts.length ? cuts[index] : combinedLines.length
+    }));
+
+    const lineOffset = stories.slice(0, -1)
+      .reduce((total, story) => total + (story.content || '').split('\n').length, 0);
+    const chapterIndexOffset = existingChapters.length - (lastStory.chapters || []).length;
+    const totalChunks = stories.length - 1 + parts.length;
+    const isSplit = totalChunks > 1;
+    const originalFileName = book.originalFileName || `${book.bookName}.txt`;
+
+    const lastStoryEnd = parts[0].endLine;
+    const lastStoryHeadings = chapterBoundaries.filter(chapter => chapter.lineIndex < lastStoryEnd);
+    const newPartBoundaries = chapterBoundaries.filter(chapter => chapter.lineIndex >= lastStoryEnd);
+
+    let storyIds = [];
+    let updatedStoryId = null;
+    try {
+      if (lastStoryEnd > existingLineCount || (isSplit && !lastStory.isSplitFile)) {
+        const storyContent = combinedLines.slice(0, lastStoryEnd).join('\n');
+        const processingResult = this.processContentWithChapters(storyContent, {
+          headings: LocalFileProcessor.sliceHeadings(headings, 0, lastStoryEnd),
+          levels
+        });
+        const splitIndex = stories.length;
+
+        lastStory.content = storyContent;
+        lastStory.processedContent = processingResult.htmlContent;
+        lastStory.chapters = processingResult.chapters;
+        lastStory.fileSize = new Blob([storyContent]).size;
+        if (isSplit) {
+          // A book that was one story becomes the first of several
+          lastStory.fileName = `${book.bookName}-${splitIndex.toString().padStart(3, '0')}.txt`;
+          lastStory.extractedTitle = SplitStrategy.partTitle({
+            bookName: book.bookName,
+            headings: lastStoryHeadings.map((chapter, index) => ({
+              title: chapter.title,
+              chapterIndex: chapterIndexOffset + index
+            })),
+            startLine: lineOffset,
+            endLine: lineOffset + lastStoryEnd,
+            strategy
+          });
+          lastStory.isSplitFile = true;
+          lastStory.splitParentFile = lastStory.splitParentFile || originalFileName;
+          lastStory.splitIndex = splitIndex;
+        }
+        lastStory.totalChunks = isSplit ? totalChunks : null;
+        await this.db.updateStory(lastStory);
+        updatedStoryId = lastStory.id;
+      }
+
+      if (parts.length > 1) {
+        ({ storyIds } = await this.writeParts({
+          lines: combinedLines,
+          parts: parts.slice(1),
+          chapterBoundaries: newPartBoundaries,
+          headings,
+          bookId,
+          bookName: book.bookName,
+          originalFileName,
+          splitStrategy: strategy,
+          splitIndexOffset: stories.length,
+          lineOffset,
+          chapterIndexOffset: chapterIndexOffset + lastStoryHeadings.length,
+          totalChunks,
+          signal,
+          onProgress
+        }));
+
+        for (const story of stories.slice(0, -1)) {
+          story.totalChunks = totalChunks;
+          await this.db.updateStory(story);
+        }
+      }
+    } catch (error) {
+      // Put the last story back and drop any new ones
+      await this.db.updateStory(originalLastStory);
+      const oldIds = new Set(stories.map(story => story.id));
+      for (const story of await this.db.getStoriesByBookId(bookId)) {
+        if (!oldIds.has(story.id)) await this.db.deleteStory(story.id);
+      }
+      throw error;
+    }
+
+    return { bookId, storyIds, updatedStoryId, chaptersAdded: newBoundaries.length };
+  }
+
+  /**
+   * Read file into an ArrayBuffer
+   */
+  async readFileAsArrayBuffer(file) {
+    return await new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onload = (event) => resolve(event.target.result);
       reader.onerror = (error) => reject(error);
       reader.readAsArrayBuffer(file);
     });
+  }
 
-    return await LocalFileProcessor.convertToUtf8(arrayBuffer, file.name);
+  /**
+   * Read file as text with automatic encoding detection and conversion to UTF-8
+   * Pass an encoding to skip detection (e.g. after the user picked one)
+   */
+  async readFileAsText(file, encoding = null) {
+    const arrayBuffer = await this.readFileAsArrayBuffer(file);
+    return await LocalFileProcessor.convertToUtf8(arrayBuffer, file.name, encoding);
   }
 
   /**
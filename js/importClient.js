@@ -0,0 +1,230 @@
+/**
+ * Import Client for Text Reader Application
+ * Runs text imports in js/importWorker.js and relays progress back to the page
+ * Falls back to the UI thread when workers are unavailable (e.g. index.html opened from file://)
+ */
+
+class ImportClient {
+  constructor(processor) {
+    this.processor = processor;
+    this.worker = null;
+    this.workerReady = false;
+    this.workerFailed = false;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Lazily start the worker; returns null when workers cannot be used
+   */
+  getWorker() {
+    if (this.workerFailed) return null;
+    if (this.worker) return this.worker;
+
+    try {
+      this.worker = new Worker('js/importWorker.js');
+    } catch (error) {
+      console.warn('Import worker unavailable, importing on the UI thread:', error.message);
+      this.workerFailed = true;
+      return null;
+    }
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleWorkerError(event);
+    return this.worker;
+  }
+
+  /**
+   * Import a text file
+   * @param {File} file - Text file to import
+   * @param {Object} options - { onProgress(progress), chooseEncoding(detection, previews),
+   *   reviewChapters(chapters, content), patterns, splitStrategy, updateBookId,
+   *   bookPerFolder, reflow, cleanupRules } where patterns are chapter RegExps replacing the built-in ones,
+   *   splitStrategy a SplitStrategy, updateBookId a book to append the file's new
+   *   chapters to, bookPerFolder makes each folder of a .zip archive its own book
+   *   reflow is a TextReflow mode and cleanupRules are CleanupRules applied before
+   *   chapter detection
+   * @returns {{promise: Promise<Object>, cancel: Function}} - The promise resolves to
+   *   { bookId, storyIds, splitByChapter } ({ bookId, storyIds, updatedStoryId,
+   *   chaptersAdded } when updating) and rejects with an AbortError when cancelled
+   */
+  importTextFile(file, options = {}) {
+    return this.startJob({ file, files: null, bookName: null }, options);
+  }
+
+  /**
+   * Import several text files as one book, joined in the given order
+   * @param {File[]} files
+   * @param {Object} options - As for importTextFile, plus bookName
+   * @returns {{promise: Promise<Object>, cancel: Function}}
+   */
+  importTextFileGroup(files, options = {}) {
+    return this.startJob({ file: null, files, bookName: options.bookName || null }, options);
+  }
+
+  /**
+   * Start a job for a file or a group of files, in the worker when possible
+   */
+  startJob(source, options) {
+    const jobId = this.nextJobId++;
+    const job = {
+      ...source,
+      jobId,
+      onProgress: options.onProgress || (() => {}),
+      chooseEncoding: options.chooseEncoding || null,
+      reviewChapters: options.reviewChapters || null,
+      patterns: options.patterns || null,
+      splitStrategy: options.splitStrategy || null,
+      updateBookId: options.updateBookId || null,
+      bookPerFolder: options.bookPerFolder || false,
+      reflow: options.reflow || null,
+      cleanupRules: options.cleanupRules || null,
+      inWorker: false,
+      controller: null
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    this.jobs.set(jobId, job);
+
+    const worker = this.getWorker();
+    if (worker) {
+      job.inWorker = true;
+      worker.postMessage({
+        type: 'import',
+        jobId,
+        file: job.file,
+        files: job.files,
+        bookName: job.bookName,
+        patterns: job.patterns,
+        review: job.reviewChapters !== null,
+        splitStrategy: job.splitStrategy,
+        updateBookId: job.updateBookId,
+        bookPerFolder: job.bookPerFolder,
+        reflow: job.reflow,
+        cleanupRules: job.cleanupRules
+      });
+    } else {
+      this.runInThread(job);
+    }
+
+    return {
+      promise: job.promise,
+      cancel: () => this.cancel(jobId)
+    };
+  }
+
+  /**
+   * Run a job with the page's own processor
+   */
+  runInThread(job) {
+    job.inWorker = false;
+    job.controller = new AbortController();
+
+    const options = {
+      bookName: job.bookName,
+      patterns: job.patterns,
+      splitStrategy: job.splitStrategy,
+      updateBookId: job.updateBookId,
+      bookPerFolder: job.bookPerFolder,
+      reflow: job.reflow,
+      cleanupRules: job.cleanupRules,
+      signal: job.controller.signal,
+      onProgress: job.onProgress,
+      chooseEncoding: job.chooseEncoding,
+      reviewChapters: job.reviewChapters
+    };
+    const promise = job.files
+      ? this.processor.importTextFileGroup(job.files, options)
+      : this.processor.importTextFile(job.file, options);
+
+    promise
+      .then(job.resolve, job.reject)
+      .finally(() => this.jobs.delete(job.jobId));
+  }
+
+  /**
+   * Cancel an in-flight import; its promise rejects with an AbortError
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    if (job.inWorker && this.worker) {
+      this.worker.postMessage({ type: 'cancel', jobId });
+    } else if (job.controller) {
+      job.controller.abort();
+    }
+  }
+
+  async handleMessage(message) {
+    if (message.type === 'ready') {
+      this.workerReady = true;
+      return;
+    }
+
+    const job = this.jobs.get(message.jobId);
+    if (!job) return;
+
+    switch (message.type) {
+      case 'progress':
+        job.onProgress(message.progress);
+        break;
+
+      case 'chooseEncoding': {
+        const encoding = job.chooseEncoding
+          ? await job.chooseEncoding(message.detection, message.previews)
+          : message.detection.encoding;
+        this.worker.postMessage({ type: 'encoding', jobId: job.jobId, encoding });
+        break;
+      }
+
+      case 'reviewChapters': {
+        const chapters = await job.reviewChapters(message.chapters, message.content);
+        this.worker.postMessage({ type: 'chapters', jobId: job.jobId, chapters });
+        break;
+      }
+
+      case 'done':
+        this.jobs.delete(job.jobId);
+        job.resolve(message.result);
+        break;
+
+      case 'error': {
+        this.jobs.delete(job.jobId);
+        const error = new Error(message.message);
+        error.name = message.name;
+        job.reject(error);
+        break;
+      }
+    }
+  }
+
+  handleWorkerError(event) {
+    const pendingJobs = Array.from(this.jobs.values()).filter(job => job.inWorker);
+
+    this.worker.terminate();
+    this.worker = null;
+
+    // The worker script could not load: retry everything on the UI thread
+    if (!this.workerReady) {
+      event.preventDefault();
+      console.warn('Import worker failed to start, importing on the UI thread');
+      this.workerFailed = true;
+      pendingJobs.forEach(job => this.runInThread(job));
+      return;
+    }
+
+    // The worker crashed mid-import: fail its jobs and start a fresh worker next time
+    console.error('Import worker error:', event.message);
+    this.workerReady = false;
+    pendingJobs.forEach(job => {
+      this.jobs.delete(job.jobId);
+      job.reject(new Error(event.message || 'Import worker crashed'));
+    });
+  }
+}
+
+// Export for use in other modules
+window.ImportClient = ImportClient;
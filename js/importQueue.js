@@ -0,0 +1,216 @@
+/**
+ * Import Queue for Text Reader Application
+ * Lists the files of a batch import with their status and imports them one at
+ * a time, carrying on past files that fail
+ *
+ * An item is { label, files, bookName, status, detail } where files holds one
+ * File, or several when a folder is imported as a single book
+ */
+
+class ImportQueue {
+  static get STATUS_LABELS() {
+    return {
+      pending: 'Pending',
+      decoding: 'Decoding',
+      detecting: 'Chapters found',
+      saving: 'Saving',
+      done: 'Done',
+      failed: 'Failed',
+      cancelled: 'Cancelled'
+    };
+  }
+
+  static get STATUS_ICONS() {
+    return {
+      pending: 'fa-clock',
+      decoding: 'fa-spinner fa-spin',
+      detecting: 'fa-spinner fa-spin',
+      saving: 'fa-spinner fa-spin',
+      done: 'fa-check-circle',
+      failed: 'fa-exclamation-circle',
+      cancelled: 'fa-ban'
+    };
+  }
+
+  /**
+   * @param {HTMLElement} container - Element the queue is rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.items = [];
+    this.current = null;
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Add items to the end of the queue
+   * @param {Array<{label: string, files: File[], bookName: string, status: string, detail: string}>}
+   *   entries - status and detail may be preset, e.g. for files that cannot be imported
+   */
+  add(entries) {
+    entries.forEach(entry => {
+      this.items.push({
+        bookName: null,
+        status: 'pending',
+        detail: '',
+        ...entry,
+        cancel: null
+      });
+    });
+    this.render();
+  }
+
+  /**
+   * Import pending items in order
+   * @param {Function} task - async (item) => summary; set item.cancel to make
+   *   the item cancellable, throw to mark it failed
+   * @returns {Promise<{done: number, failed: number, cancelled: number}>}
+   */
+  async run(task) {
+    if (this.running) return null;
+    this.running = true;
+    this.cancelled = false;
+    this.render();
+
+    for (const item of this.items) {
+      if (item.status !== 'pending') continue;
+      if (this.cancelled) {
+        this.update(item, 'cancelled');
+        continue;
+      }
+
+      this.current = item;
+      try {
+        const summary = await task(item);
+        this.update(item, 'done', summary || '');
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          this.update(item, 'cancelled');
+        } else {
+          this.update(item, 'failed', error.message);
+        }
+      }
+      item.cancel = null;
+    }
+
+    this.current = null;
+    this.running = false;
+    this.render();
+    return this.countByStatus();
+  }
+
+  /**
+   * Stop after the current item; pending items are marked cancelled
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.current && this.current.cancel) {
+      this.current.cancel();
+    }
+    this.render();
+  }
+
+  countByStatus() {
+    const counts = { done: 0, failed: 0, cancelled: 0 };
+    this.items.forEach(item => {
+      if (counts[item.status] !== undefined) counts[item.status]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Show import progress (as reported by LocalFileProcessor) on an item
+   */
+  progress(item, progress) {
+    switch (progress.stage) {
+      case 'reading':
+        this.update(item, 'decoding');
+        break;
+      case 'decoding':
+      case 'streaming':
+        this.update(item, 'decoding', progress.totalBytes
+          ? `${Math.round(progress.bytesDecoded / progress.totalBytes * 100)}%`
+          : '');
+        break;
+      case 'detecting':
+        this.update(item, 'detecting', `${progress.chaptersFound}`);
+        break;
+      case 'writing':
+        this.update(item, 'saving', `${progress.storiesWritten} / ${progress.totalStories}`);
+        break;
+    }
+  }
+
+  update(item, status, detail = '') {
+    item.status = status;
+    item.detail = detail;
+
+    const row = this.container.querySelector(`.import-queue-item[data-index="${this.items.indexOf(item)}"]`);
+    if (row) {
+      row.outerHTML = this.renderItem(item);
+    } else {
+      this.render();
+    }
+    this.renderSummary();
+  }
+
+  /**
+   * Drop finished items from the list
+   */
+  clearFinished() {
+    this.items = this.items.filter(item => item.status === 'pending' || item === this.current);
+    this.render();
+  }
+
+  render() {
+    if (this.items.length === 0) {
+      this.container.style.display = 'none';
+      this.container.innerHTML = '';
+      return;
+    }
+
+    this.container.style.display = 'block';
+    this.container.innerHTML = `
+      <div class="import-queue-header">
+        <span class="import-queue-summary"></span>
+        ${this.running
+          ? `<button type="button" class="btn btn-sm btn-link import-queue-cancel"${this.cancelled ? ' disabled' : ''}>Cancel</button>`
+          : '<button type="button" class="btn btn-sm btn-link import-queue-clear">Clear</button>'}
+      </div>
+      <div class="import-queue-list">
+        ${this.items.map(item => this.renderItem(item)).join('')}
+      </div>
+    `;
+
+    const cancelBtn = this.container.querySelector('.import-queue-cancel');
+    if (cancelBtn) cancelBtn.addEventListener('click', () => this.cancel());
+    const clearBtn = this.container.querySelector('.import-queue-clear');
+    if (clearBtn) clearBtn.addEventListener('click', () => this.clearFinished());
+
+    this.renderSummary();
+  }
+
+  renderItem(item) {
+    const label = ImportQueue.STATUS_LABELS[item.status];
+    const detail = item.detail ? (item.status === 'failed' ? `: ${item.detail}` : ` ${item.detail}`) : '';
+    return `
+      <div class="import-queue-item status-${item.status}" data-index="${this.items.indexOf(item)}">
+        <i class="fas ${ImportQueue.STATUS_ICONS[item.status]} import-queue-icon"></i>
+        <span class="import-queue-name">${window.escapeHtml(item.label)}</span>
+        <span class="import-queue-status">${window.escapeHtml(label + detail)}</span>
+      </div>
+    `;
+  }
+
+  renderSummary() {
+    const summary = this.container.querySelector('.import-queue-summary');
+    if (!summary) return;
+
+    const { done, failed } = this.countByStatus();
+    summary.textContent = `Imported ${done} of ${this.items.length}` + (failed ? `, ${failed} failed` : '');
+  }
+}
+
+// Export for use in other modules
+window.ImportQueue = ImportQueue;
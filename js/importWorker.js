@@ -0,0 +1,119 @@
+/**
+ * Import Worker for Text Reader Application
+ * Runs decoding, chapter detection, splitting and HTML generation off the UI thread
+ *
+ * Messages from the page:
+ *   { type: 'import', jobId, file, patterns, review, splitStrategy, updateBookId }
+ *                                 - start importing a text, Markdown or .zip File
+ *                                   (patterns: optional chapter RegExps,
+ *                                    review: ask the page to review chapters,
+ *                                    splitStrategy: how to cut it into stories,
+ *                                    updateBookId: append its new chapters to this book,
+ *                                    bookPerFolder: one book per folder of a .zip,
+ *                                    reflow: TextReflow mode for hard-wrapped lines,
+ *                                    cleanupRules: CleanupRules applied before detection)
+ *   { type: 'import', jobId, files, bookName, patterns, review, splitStrategy }
+ *                                 - import several text Files as one book named bookName
+ *   { type: 'cancel', jobId }               - cancel an in-flight import
+ *   { type: 'encoding', jobId, encoding }   - answer to chooseEncoding (null cancels)
+ *   { type: 'chapters', jobId, chapters }   - answer to reviewChapters (null cancels)
+ *
+ * Messages to the page:
+ *   { type: 'ready' }
+ *   { type: 'progress', jobId, progress }
+ *   { type: 'chooseEncoding', jobId, detection, previews }
+ *   { type: 'reviewChapters', jobId, chapters, content }
+ *   { type: 'done', jobId, result }
+ *   { type: 'error', jobId, name, message }
+ */
+
+// Shared modules export themselves on window
+self.window = self;
+importScripts(
+  'utils.js', 'database.js', 'encodingDetector.js', 'zip.js', 'markdownImporter.js', 'fileProcessor.js',
+  'splitStrategy.js', 'textReflow.js', 'chapterRules.js', 'cleanupRules.js'
+);
+
+const processor = new LocalFileProcessor();
+const jobs = new Map();
+
+self.onmessage = function (event) {
+  const message = event.data;
+  const job = jobs.get(message.jobId);
+
+  switch (message.type) {
+    case 'import':
+      runImport(message.jobId, message.files || message.file, message);
+      break;
+
+    case 'cancel':
+      if (job) {
+        job.controller.abort();
+        // A pending question is answered with "cancel"
+        if (job.resolveEncoding) {
+          job.resolveEncoding(null);
+          job.resolveEncoding = null;
+        }
+        if (job.resolveChapters) {
+          job.resolveChapters(null);
+          job.resolveChapters = null;
+        }
+      }
+      break;
+
+    case 'encoding':
+      if (job && job.resolveEncoding) {
+        job.resolveEncoding(message.encoding);
+        job.resolveEncoding = null;
+      }
+      break;
+
+    case 'chapters':
+      if (job && job.resolveChapters) {
+        job.resolveChapters(message.chapters);
+        job.resolveChapters = null;
+      }
+      break;
+  }
+};
+
+async function runImport(jobId, source, { bookName, patterns, review, splitStrategy, updateBookId, bookPerFolder, reflow, cleanupRules }) {
+  const job = { controller: new AbortController(), resolveEncoding: null, resolveChapters: null };
+  jobs.set(jobId, job);
+
+  try {
+    const importOptions = {
+      bookName,
+      patterns,
+      splitStrategy,
+      updateBookId,
+      bookPerFolder,
+      reflow,
+      cleanupRules,
+      signal: job.controller.signal,
+      onProgress: (progress) => {
+        self.postMessage({ type: 'progress', jobId, progress });
+      },
+      chooseEncoding: (detection, previews) => new Promise((resolve) => {
+        job.resolveEncoding = resolve;
+        self.postMessage({ type: 'chooseEncoding', jobId, detection, previews });
+      }),
+      reviewChapters: review ? (chapters, content) => new Promise((resolve) => {
+        job.resolveChapters = resolve;
+        self.postMessage({ type: 'reviewChapters', jobId, chapters, content });
+      }) : null
+    };
+    // source is a File, or an array of Files for a grouped import
+    const result = Array.isArray(source)
+      ? await processor.importTextFileGroup(source, importOptions)
+      : await processor.importTextFile(source, importOptions);
+
+    self.postMessage({ type: 'done', jobId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, name: error.name, message: error.message });
+  } finally {
+    jobs.delete(jobId);
+  }
+}
+
+self.postMessage({ type: 'ready' });
@@ -21,6 +21,8 @@ const appState = {
   allBooks: [],
   expandedBooks: new Set(),
   processor: null,
+  importClient: null,
+  importQueue: null,
   db: null,
   isProcessing: false
 };
@@ -31,6 +33,11 @@ document.addEventListener('DOMContentLoaded', async function () {
     appState.db = new TextReaderDB();
     await appState.db.init();
     appState.processor = new LocalFileProcessor();
+    appState.importClient = new ImportClient(appState.processor);
+    const importQueueEl = document.getElementById('importQueue');
+    if (importQueueEl) {
+      appState.importQueue = new ImportQueue(importQueueEl);
+    }
 
     // Setup event listeners
     setupEventListeners();
@@ -38,6 +45,10 @@ document.addEventListener('DOMContentLoaded', async function () {
     // Load initial data
     await loadBooks();
 
+    // Note settings changed since the last visit (e.g. the theme in the
+    // reader), so syncing knows when they changed
+    LibrarySync.settingsState();
+
   } catch (error) {
     console.error('Failed to initialize application:', error);
     showError('Failed to initialize application: ' + error.message);
@@ -60,6 +71,114 @@ function setupEventListeners() {
     processFileBtn.addEventListener('click', processSelectedFile);
   }
 
+  // Folder import
+  const folderImportBtn = document.getElementById('folderImportBtn');
+  const folderInput = document.getElementById('folderInput');
+  if (folderImportBtn && folderInput) {
+    folderImportBtn.addEventListener('click', () => folderInput.click());
+    folderInput.addEventListener('change', function () {
+      const files = Array.from(this.files || []);
+      this.value = '';
+      if (files.length > 0) {
+        importFiles(files);
+      }
+    });
+  }
+
+  // Paste text
+  const pasteTextBtn = document.getElementById('pasteTextBtn');
+  if (pasteTextBtn) {
+    pasteTextBtn.addEventListener('click', () => openPasteText());
+  }
+
+  setupDropZone();
+
+  // Import each folder as one book (off unless turned on)
+  const groupFolderToggle = document.getElementById('groupFolderToggle');
+  if (groupFolderToggle) {
+    groupFolderToggle.checked = localStorage.getItem('groupFolderImports') === 'true';
+    groupFolderToggle.addEventListener('change', function () {
+      localStorage.setItem('groupFolderImports', this.checked ? 'true' : 'false');
+    });
+  }
+
+  // Import each top-level folder of a .zip archive as one book (off unless turned on)
+  const archiveFolderToggle = document.getElementById('archiveFolderToggle');
+  if (archiveFolderToggle) {
+    archiveFolderToggle.checked = localStorage.getItem('archiveBookPerFolder') === 'true';
+    archiveFolderToggle.addEventListener('change', function () {
+      localStorage.setItem('archiveBookPerFolder', this.checked ? 'true' : 'false');
+    });
+  }
+
+  // Rejoining hard-wrapped lines of imported text
+  const reflowModeSelect = document.getElementById('reflowModeSelect');
+  if (reflowModeSelect) {
+    reflowModeSelect.value = TextReflow.loadMode();
+    reflowModeSelect.addEventListener('change', function () {
+      TextReflow.saveMode(this.value);
+    });
+  }
+
+  // Chapter review preference (on unless turned off)
+  const reviewChaptersToggle = document.getElementById('reviewChaptersToggle');
+  if (reviewChaptersToggle) {
+    reviewChaptersToggle.checked = localStorage.getItem('reviewChaptersBeforeImport') !== 'false';
+    reviewChaptersToggle.addEventListener('change', function () {
+      localStorage.setItem('reviewChaptersBeforeImport', this.checked ? 'true' : 'false');
+    });
+  }
+
+  // Global chapter rules
+  const chapterRulesBtn = document.getElementById('chapterRulesBtn');
+  if (chapterRulesBtn) {
+    chapterRulesBtn.addEventListener('click', openGlobalChapterRules);
+  }
+
+  // Global cleanup rules
+  const cleanupRulesBtn = document.getElementById('cleanupRulesBtn');
+  if (cleanupRulesBtn) {
+    cleanupRulesBtn.addEventListener('click', openGlobalCleanupRules);
+  }
+
+  // Default split strategy for new imports
+  const splitStrategyBtn = document.getElementById('splitStrategyBtn');
+  if (splitStrategyBtn) {
+    splitStrategyBtn.addEventListener('click', openSplitStrategy);
+  }
+
+  // Library backup and restore
+  const backupLibraryBtn = document.getElementById('backupLibraryBtn');
+  if (backupLibraryBtn) {
+    backupLibraryBtn.addEventListener('click', backupLibrary);
+  }
+
+  const restoreLibraryBtn = document.getElementById('restoreLibraryBtn');
+  const restoreFileInput = document.getElementById('restoreFileInput');
+  if (restoreLibraryBtn && restoreFileInput) {
+    restoreLibraryBtn.addEventListener('click', () => restoreFileInput.click());
+    restoreFileInput.addEventListener('change', function () {
+      const file = this.files && this.files[0];
+      this.value = '';
+      if (file) {
+        restoreLibrary(file);
+      }
+    });
+  }
+
+  const syncLibraryBtn = document.getElementById('syncLibraryBtn');
+  const syncFileInput = document.getElementById('syncFileInput');
+  if (syncLibraryBtn && syncFileInput) {
+    syncLibraryBtn.addEventListener('click', () => openSyncLibrary(syncFileInput));
+    syncFileInput.addEventListener('change', function () {
+      const file = this.files && this.files[0];
+      this.value = '';
+      if (file) {
+        importSyncFile(file);
+      }
+    });
+  }
+
   // Navigation buttons
   const prevPageBtn = document.getElementById('prevPageBtn');
   const nextPageBtn = document.getElementById('nextPageBtn');
@@ -104,16 +223,23 @@ async function processSelectedFile() {
     return;
   }
 
-  const file = fileInput.files[0];
-
-  // Validate file
-  if (file.type !== 'text/plain' && !file.name.toLowerCase().endsWith('.txt')) {
-    showError('Only text files (.txt) are allowed!');
+  // Several files go through the import queue
+  if (fileInput.files.length > 1) {
+    const files = Array.from(fileInput.files);
+    fileInput.value = '';
+    if (processFileBtn) processFileBtn.disabled = true;
+    await importFiles(files);
     return;
   }
 
-  if (file.size > 100 * 1024 * 1024) {
-    showError('File size exceeds 100MB limit!');
+  const file = fileInput.files[0];
+  const isDocument = LocalFileProcessor.isStructuredDocument(file);
+  const isZip = LocalFileProcessor.isZipFile(file);
+  const isMarkdown = LocalFileProcessor.isMarkdownFile(file);
+
+  // Validate file
+  if (!isImportableFile(file)) {
+    showError('Only text files (.txt, .md), e-books (.epub, .fb2, .html), Word documents (.docx) and ZIP archives (.zip) are allowed!');
     return;
   }
 
@@ -123,44 +249,58 @@ async function processSelectedFile() {
   try {
     showLoading(`Processing file: ${file.name}...`);
 
-    // Read file content with automatic encoding detection to check chapter count
-    const fileContent = await appState.processor.readFileAsText(file);
-
-    // Validate UTF-8 encoding
-    if (!LocalFileProcessor.isUtf8Encoded(fileContent)) {
+    // EPUB, FB2, HTML and DOCX books carry their own chapters, so detection and splitting heuristics don't apply
+    if (isDocument) {
+      const result = await appState.processor.processDocumentFile(file);
       hideLoading();
-      showError('上传的文本文件编码必须为UTF-8格式。请将文件转换为UTF-8编码后重新上传。');
-      if (processFileBtn) processFileBtn.disabled = false;
+      showSuccess(`Book "${file.name}" imported with ${result.storyIds.length} part(s)!`);
+      fileInput.value = '';
+      await loadBooks();
       return;
     }
 
-    // Detect chapters to decide if splitting is needed
-    const chapterBoundaries = appState.processor.detectChapters(fileContent);
-    let result;
-
-    // Check if we need to split based on chapter numbers or based line numbers
-    let shouldSplitByChapter = false;
-    if (chapterBoundaries.length > 0) {
-      const lastChapterTitle = chapterBoundaries[chapterBoundaries.length - 1].title;
-      const endChapterNum = window.extractChapterNumber(lastChapterTitle);
+    // Streamed files are never held in full, so they cannot be reviewed; nor are
+    // archives, and Markdown chapters come from its headings
+    const reviewChaptersToggle = document.getElementById('reviewChaptersToggle');
+    const reviewWanted = reviewChaptersToggle && reviewChaptersToggle.checked && !isZip && !isMarkdown;
+    const reviewChapters = reviewWanted && file.size <= LocalFileProcessor.STREAMING_THRESHOLD;
+
+    // Decode, detect chapters and save stories in the import worker
+    const importJob = appState.importClient.importTextFile(file, {
+      patterns: ChapterRules.hasCustomGlobal() ? ChapterRules.compile(ChapterRules.loadGlobal()) : null,
+      splitStrategy: SplitStrategy.load(),
+      bookPerFolder: localStorage.getItem('archiveBookPerFolder') === 'true',
+      reflow: TextReflow.loadMode(),
+      cleanupRules: CleanupRules.loadGlobal(),
+      onProgress: updateLoadingProgress,
+      chooseEncoding: async (detection, previews) => {
+        hideLoading();
+        const encoding = await promptForEncoding(file, detection, previews);
+        showLoading(`Processing file: ${file.name}...`, importJob.cancel);
+        return encoding;
+      },
+      reviewChapters: reviewChapters ? async (chapters, content) => {
+        hideLoading();
+        const reviewed = await ChapterReviewDialog.open({ fileName: file.name, chapters, content });
+        showLoading(`Saving ${file.name}...`, importJob.cancel);
+        return reviewed;
+      } : null
+    });
+    showLoading(`Processing file: ${file.name}...`, importJob.cancel);
 
-      // Split if the last chapter number is greater than 50 (50, 100, 150, etc.)
-      if (endChapterNum !== null) {
-        shouldSplitByChapter = endChapterNum > 50;
-      }
-    }
+    const result = await importJob.promise;
+    hideLoading();
 
-    if (shouldSplitByChapter) {
-      // Use splitting functionality for files that end at chapter 49, 99, 149, etc.
-      result = await appState.processor.processAndSplitFile(file, true);
-      hideLoading();
+    if (isZip) {
+      showSuccess(`Archive "${file.name}" imported as ${result.bookIds.length} book(s)`);
+    } else if (result.splitByChapter) {
       showSuccess(`File "${file.name}" split into ${result.storyIds.length} parts successfully!`);
     } else {
-      // Process normally
-      result = await appState.processor.processFile(file);
-      hideLoading();
       showSuccess(`File "${file.name}" processed successfully!`);
     }
+    if (reviewWanted && !reviewChapters) {
+      window.iosModal.toast({ message: streamedReviewNotice(), type: 'info' });
+    }
 
     // Clear input
     fileInput.value = '';
@@ -170,13 +310,266 @@ async function processSelectedFile() {
 
   } catch (error) {
     hideLoading();
-    showError('Failed to process file: ' + error.message);
+    if (error.name === 'AbortError') {
+      window.iosModal.toast({ message: 'Import cancelled', type: 'info' });
+    } else {
+      showError('Failed to process file: ' + error.message);
+    }
     if (processFileBtn) processFileBtn.disabled = false;
   } finally {
     appState.isProcessing = false;
   }
 }
 
+/**
+ * Import files dropped on the library; dropped text opens the paste sheet
+ */
+function setupDropZone() {
+  const dropZone = document.getElementById('libraryDropZone');
+  if (!dropZone) return;
+
+  // dragenter/dragleave also fire for children, so count them
+  let dragDepth = 0;
+  const isFileOrTextDrag = (e) => Array.from(e.dataTransfer.types).some(type => type === 'Files' || type === 'text/plain');
+
+  dropZone.addEventListener('dragenter', function (e) {
+    if (!isFileOrTextDrag(e)) return;
+    e.preventDefault();
+    dragDepth++;
+    dropZone.classList.add('drag-over');
+  });
+
+  dropZone.addEventListener('dragover', function (e) {
+    if (!isFileOrTextDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  dropZone.addEventListener('dragleave', function () {
+    dragDepth = Math.max(dragDepth - 1, 0);
+    if (dragDepth === 0) dropZone.classList.remove('drag-over');
+  });
+
+  dropZone.addEventListener('drop', function (e) {
+    e.preventDefault();
+    dragDepth = 0;
+    dropZone.classList.remove('drag-over');
+
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length > 0) {
+      importFiles(files);
+      return;
+    }
+
+    const text = e.dataTransfer.getData('text/plain');
+    if (text && text.trim()) {
+      openPasteText(text);
+    }
+  });
+}
+
+/**
+ * Save pasted text as a book after the user names it and checks its chapters
+ */
+async function openPasteText(initialContent = '') {
+  const patterns = ChapterRules.hasCustomGlobal() ? ChapterRules.compile(ChapterRules.loadGlobal()) : null;
+  const values = await PasteTextSheet.open({ content: initialContent, patterns, processor: appState.processor });
+  if (!values) return;
+
+  if (!values.content.trim()) {
+    showError('There is no text to save');
+    return;
+  }
+
+  try {
+    showLoading('Saving text...');
+    await appState.processor.processTextContent(values.content, 'pasted_content.txt', {
+      title: values.title,
+      author: values.author,
+      patterns,
+      reflow: TextReflow.loadMode(),
+      cleanupRules: CleanupRules.loadGlobal()
+    });
+    hideLoading();
+    showSuccess(`Book "${values.title || LocalFileProcessor.extractTitle(values.content)}" saved`);
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to save text: ' + error.message);
+  }
+}
+
+function isImportableFile(file) {
+  const name = file.name.toLowerCase();
+  return name.endsWith('.txt') || name.endsWith('.zip') || file.type === 'text/plain' ||
+    LocalFileProcessor.isMarkdownFile(file) || LocalFileProcessor.isStructuredDocument(file);
+}
+
+/**
+ * Turn selected files into import queue entries, natural-sorted by path
+ * With "Import each folder as one book" on, the text files of each folder
+ * holding more than one become a single entry named after the folder
+ */
+function buildImportEntries(files) {
+  const pathOf = (file) => file.webkitRelativePath || file.name;
+  const sorted = files.slice().sort((a, b) => window.naturalCompare(pathOf(a), pathOf(b)));
+  const groupFolders = localStorage.getItem('groupFolderImports') === 'true';
+
+  const folders = new Map();
+  if (groupFolders) {
+    sorted.forEach(file => {
+      const path = pathOf(file);
+      const isText = file.name.toLowerCase().endsWith('.txt') || file.type === 'text/plain';
+      if (!path.includes('/') || !isText) return;
+      const folder = path.substring(0, path.lastIndexOf('/'));
+      if (!folders.has(folder)) folders.set(folder, []);
+      folders.get(folder).push(file);
+    });
+  }
+
+  const entries = [];
+  const added = new Set();
+  sorted.forEach(file => {
+    if (added.has(file)) return;
+    const path = pathOf(file);
+    const folder = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : null;
+    const group = folder !== null ? folders.get(folder) : null;
+
+    if (group && group.length > 1) {
+      const bookName = folder.substring(folder.lastIndexOf('/') + 1);
+      entries.push({ label: `${bookName}/ (${group.length} files)`, files: group, bookName });
+      group.forEach(groupFile => added.add(groupFile));
+    } else if (isImportableFile(file)) {
+      entries.push({ label: path, files: [file] });
+    } else {
+      entries.push({ label: path, files: [file], status: 'failed', detail: 'Only text, e-book, Word and .zip files can be imported' });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Import several files, or a folder, through the import queue
+ */
+async function importFiles(files) {
+  const queue = appState.importQueue;
+  if (!queue) return;
+
+  queue.add(buildImportEntries(files));
+  if (queue.running) return;
+
+  appState.isProcessing = true;
+  try {
+    const counts = await queue.run(importQueueItem);
+    await loadBooks();
+    if (counts.failed > 0) {
+      showError(`Imported ${counts.done} book(s), ${counts.failed} failed`);
+    } else if (counts.done > 0) {
+      showSuccess(`Imported ${counts.done} book(s)`);
+    }
+  } finally {
+    appState.isProcessing = false;
+  }
+}
+
+/**
+ * Import one queue entry: an e-book, a text file, a .zip or a folder's text files as one book
+ */
+async function importQueueItem(item) {
+  const file = item.files[0];
+
+  if (item.files.length === 1 && LocalFileProcessor.isStructuredDocument(file)) {
+    appState.importQueue.update(item, 'decoding');
+    const result = await appState.processor.processDocumentFile(file);
+    return `${result.storyIds.length} part(s)`;
+  }
+
+  const totalSize = item.files.reduce((total, f) => total + f.size, 0);
+  const reviewChaptersToggle = document.getElementById('reviewChaptersToggle');
+  const reviewWanted = reviewChaptersToggle && reviewChaptersToggle.checked &&
+    !LocalFileProcessor.isZipFile(file) && !LocalFileProcessor.isMarkdownFile(file);
+  const reviewChapters = reviewWanted && totalSize <= LocalFileProcessor.STREAMING_THRESHOLD;
+
+  const options = {
+    bookName: item.bookName,
+    patterns: ChapterRules.hasCustomGlobal() ? ChapterRules.compile(ChapterRules.loadGlobal()) : null,
+    splitStrategy: SplitStrategy.load(),
+    bookPerFolder: localStorage.getItem('archiveBookPerFolder') === 'true',
+    reflow: TextReflow.loadMode(),
+    cleanupRules: CleanupRules.loadGlobal(),
+    onProgress: (progress) => appState.importQueue.progress(item, progress),
+    chooseEncoding: (detection, previews) => promptForEncoding({ name: item.label }, detection, previews),
+    reviewChapters: reviewChapters
+      ? (chapters, content) => ChapterReviewDialog.open({ fileName: item.label, chapters, content })
+      : null
+  };
+  const importJob = item.files.length > 1
+    ? appState.importClient.importTextFileGroup(item.files, options)
+    : appState.importClient.importTextFile(file, options);
+  item.cancel = importJob.cancel;
+
+  const result = await importJob.promise;
+  if (reviewWanted && !reviewChapters) {
+    return `${result.storyIds.length} part(s), chapters not reviewed (over ${streamingThresholdLabel()})`;
+  }
+  return `${result.storyIds.length} part(s)`;
+}
+
+function streamingThresholdLabel() {
+  return `${LocalFileProcessor.STREAMING_THRESHOLD / (1024 * 1024)} MB`;
+}
+
+/**
+ * Tell the user why the chapter review they asked for did not appear
+ */
+function streamedReviewNotice() {
+  return `Chapters were not reviewed: files over ${streamingThresholdLabel()} are saved as they are read`;
+}
+
+/**
+ * Ask the user to pick an encoding, previewing the file under each candidate
+ * Resolves to the chosen TextDecoder label, or null if cancelled
+ */
+async function promptForEncoding(file, detection, previews) {
+  const confidenceByEncoding = new Map(detection.candidates.map(c => [c.encoding, c.confidence]));
+  const encodings = Object.keys(EncodingDetector.ENCODINGS).sort((a, b) =>
+    (confidenceByEncoding.get(b) || 0) - (confidenceByEncoding.get(a) || 0)
+  );
+
+  const container = document.createElement('div');
+  container.className = 'encoding-options';
+
+  encodings.forEach(encoding => {
+    const confidence = confidenceByEncoding.get(encoding);
+    const label = document.createElement('label');
+    label.className = 'encoding-option';
+    label.innerHTML = `
+      <div class="encoding-option-header">
+        <input type="radio" name="encodingChoice" value="${encoding}" ${encoding === detection.encoding ? 'checked' : ''}>
+        <span class="encoding-name">${EncodingDetector.ENCODINGS[encoding]}</span>
+        <span class="encoding-confidence">${confidence !== undefined ? Math.round(confidence * 100) + '%' : ''}</span>
+      </div>
+      <div class="encoding-preview">${window.escapeHtml(previews[encoding] || '')}</div>
+    `;
+    container.appendChild(label);
+  });
+
+  const confirmed = await window.iosModal.dialog({
+    title: 'Choose Encoding',
+    message: `Could not reliably detect the encoding of "${file.name}". Pick the preview that reads correctly.`,
+    content: container,
+    wide: true,
+    buttons: [
+      { text: 'Cancel', value: false, role: 'cancel' },
+      { text: 'Import', value: true, role: 'primary' }
+    ]
+  });
+
+  if (!confirmed) return null;
+  const selected = container.querySelector('input[name="encodingChoice"]:checked');
+  return selected ? selected.value : null;
+}
+
 async function loadBooks() {
   try {
     showLoading('Loading books...');
@@ -257,6 +650,22 @@ function displayBooks() {
             </h5>
           </div>
           <div class="btn-group" role="group">
+            ${LocalFileProcessor.hasSourceChapters(book, book.stories) ? '' : `
+            <button class="btn btn-sm btn-link chapter-rules-btn" data-book-id="${book.id}" title="Chapter rules">
+              <i class="fas fa-list-ol"></i>
+            </button>`}
+            <button class="btn btn-sm btn-link cleanup-rules-btn" data-book-id="${book.id}" title="Cleanup rules">
+              <i class="fas fa-broom"></i>
+            </button>
+            <button class="btn btn-sm btn-link resplit-book-btn" data-book-id="${book.id}" title="Re-split book">
+              <i class="fas fa-cut"></i>
+            </button>
+            <button class="btn btn-sm btn-link update-book-btn" data-book-id="${book.id}" title="Add new chapters from an updated file">
+              <i class="fas fa-sync-alt"></i>
+            </button>
+            <button class="btn btn-sm btn-link export-book-btn" data-book-id="${book.id}" title="Export as text or EPUB">
+              <i class="fas fa-file-export"></i>
+            </button>
             <button class="btn btn-sm btn-link text-danger delete-book-btn" data-book-id="${book.id}">
               <i class="fas fa-trash"></i>
             </button>
@@ -294,6 +703,11 @@ function displayBooks() {
 
   // Attach event listeners to delete buttons
   attachDeleteListeners();
+  attachChapterRulesListeners();
+  attachCleanupRulesListeners();
+  attachResplitListeners();
+  attachUpdateBookListeners();
+  attachExportListeners();
 }
 
 // Toggle book expand/collapse
@@ -330,6 +744,759 @@ function attachDeleteListeners() {
   });
 }
 
+function attachChapterRulesListeners() {
+  const booksList = document.getElementById('storiesList');
+  if (!booksList || booksList.dataset.rulesDelegated) return;
+
+  booksList.dataset.rulesDelegated = 'true';
+  booksList.addEventListener('click', function (e) {
+    const rulesBtn = e.target.closest('.chapter-rules-btn');
+    if (!rulesBtn) return;
+
+    e.stopPropagation();
+    openBookChapterRules(rulesBtn.dataset.bookId);
+  });
+}
+
+function attachCleanupRulesListeners() {
+  const booksList = document.getElementById('storiesList');
+  if (!booksList || booksList.dataset.cleanupDelegated) return;
+
+  booksList.dataset.cleanupDelegated = 'true';
+  booksList.addEventListener('click', function (e) {
+    const cleanupBtn = e.target.closest('.cleanup-rules-btn');
+    if (!cleanupBtn) return;
+
+    e.stopPropagation();
+    openBookCleanupRules(cleanupBtn.dataset.bookId);
+  });
+}
+
+function attachResplitListeners() {
+  const booksList = document.getElementById('storiesList');
+  if (!booksList || booksList.dataset.resplitDelegated) return;
+
+  booksList.dataset.resplitDelegated = 'true';
+  booksList.addEventListener('click', function (e) {
+    const resplitBtn = e.target.closest('.resplit-book-btn');
+    if (!resplitBtn) return;
+
+    e.stopPropagation();
+    openResplitBook(resplitBtn.dataset.bookId);
+  });
+}
+
+function attachUpdateBookListeners() {
+  const booksList = document.getElementById('storiesList');
+  const updateFileInput = document.getElementById('updateFileInput');
+  if (!booksList || !updateFileInput || booksList.dataset.updateDelegated) return;
+
+  booksList.dataset.updateDelegated = 'true';
+  booksList.addEventListener('click', function (e) {
+    const updateBtn = e.target.closest('.update-book-btn');
+    if (!updateBtn) return;
+
+    e.stopPropagation();
+    updateFileInput.dataset.bookId = updateBtn.dataset.bookId;
+    updateFileInput.click();
+  });
+
+  updateFileInput.addEventListener('change', function () {
+    const file = this.files && this.files[0];
+    const bookId = this.dataset.bookId;
+    this.value = '';
+    if (file && bookId) {
+      updateBookFromFile(bookId, file);
+    }
+  });
+}
+
+function attachExportListeners() {
+  const booksList = document.getElementById('storiesList');
+  if (!booksList || booksList.dataset.exportDelegated) return;
+
+  booksList.dataset.exportDelegated = 'true';
+  booksList.addEventListener('click', function (e) {
+    const exportBtn = e.target.closest('.export-book-btn');
+    if (!exportBtn) return;
+
+    e.stopPropagation();
+    openExportBook(exportBtn.dataset.bookId);
+  });
+}
+
+/**
+ * Text of the file currently selected for upload, for previewing rules
+ * @returns {Promise<{sampleText: string, sampleLabel: string}>}
+ */
+async function readSelectedFileSample() {
+  const fileInput = document.getElementById('fileInput');
+  const file = fileInput && fileInput.files && fileInput.files[0];
+
+  if (file && !LocalFileProcessor.isStructuredDocument(file) && !LocalFileProcessor.isZipFile(file)) {
+    try {
+      // The first megabyte is plenty to check the rules and keeps the preview fast
+      const bytes = new Uint8Array(await file.slice(0, 1024 * 1024).arrayBuffer());
+      return {
+        sampleText: EncodingDetector.decode(bytes, EncodingDetector.detect(bytes).encoding),
+        sampleLabel: `"${file.name}"`
+      };
+    } catch (error) {
+      console.error('Failed to read file for rules preview:', error);
+    }
+  }
+  return { sampleText: '', sampleLabel: '' };
+}
+
+/**
+ * Text of a book's stories, for previewing rules, capped so huge books stay responsive
+ */
+function readBookSample(bookId) {
+  const loadedBook = appState.allBooks.find(b => b.id === bookId);
+  const stories = loadedBook ? loadedBook.stories : [];
+  const sampleParts = [];
+  let sampleLength = 0;
+  for (const story of stories) {
+    if (sampleLength >= 2 * 1024 * 1024) break;
+    sampleParts.push(story.content || '');
+    sampleLength += (story.content || '').length;
+  }
+  return sampleParts.join('\n');
+}
+
+/**
+ * Edit the global chapter rules used for new imports,
+ * previewing them against the file currently selected for upload
+ */
+async function openGlobalChapterRules() {
+  const { sampleText, sampleLabel } = await readSelectedFileSample();
+
+  const { action, rules } = await ChapterRulesEditor.open({
+    title: 'Chapter Rules',
+    message: 'Lines matching any enabled rule become chapter headings in new imports.',
+    rules: ChapterRules.loadGlobal(),
+    sampleText,
+    sampleLabel,
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'Save', value: 'save', role: 'primary' }
+    ]
+  });
+
+  if (action !== 'save') return;
+
+  if (rules.length === 0) {
+    ChapterRules.resetGlobal();
+    showSuccess('Chapter rules reset to defaults');
+  } else {
+    ChapterRules.saveGlobal(rules);
+    showSuccess('Chapter rules saved');
+  }
+}
+
+/**
+ * Edit the global cleanup rules applied to new imports,
+ * previewing them against the file currently selected for upload
+ */
+async function openGlobalCleanupRules() {
+  const { sampleText, sampleLabel } = await readSelectedFileSample();
+
+  const { action, rules } = await CleanupRulesEditor.open({
+    title: 'Cleanup Rules',
+    message: 'Applied to text files before chapters are detected in new imports.',
+    rules: CleanupRules.loadGlobal(),
+    sampleText,
+    sampleLabel,
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'Save', value: 'save', role: 'primary' }
+    ]
+  });
+
+  if (action !== 'save') return;
+
+  CleanupRules.saveGlobal(rules);
+  showSuccess('Cleanup rules saved');
+}
+
+/**
+ * Edit a book's own cleanup rules and apply them to its stories
+ */
+async function openBookCleanupRules(bookId) {
+  const book = await appState.db.getBookById(bookId);
+  if (!book) {
+    showError('Book not found');
+    return;
+  }
+
+  const hasOwnRules = Boolean(book.cleanupRules);
+  const buttons = [{ text: 'Cancel', value: null, role: 'cancel' }];
+  if (hasOwnRules) {
+    buttons.push({ text: 'Use Global Rules', value: 'clear', role: 'destructive' });
+  }
+  buttons.push({ text: 'Save & Apply', value: 'save', role: 'primary' });
+
+  const { action, rules } = await CleanupRulesEditor.open({
+    title: `Cleanup Rules: ${book.bookName}`,
+    message: hasOwnRules
+      ? 'This book uses its own rules. Chapter headings are never changed.'
+      : 'This book uses the global rules. Saving gives it its own copy. Chapter headings are never changed.',
+    rules: CleanupRules.forBook(book),
+    sampleText: readBookSample(bookId),
+    sampleLabel: 'this book',
+    buttons
+  });
+
+  if (action !== 'save' && action !== 'clear') return;
+
+  if (action === 'clear') {
+    delete book.cleanupRules;
+  } else {
+    book.cleanupRules = rules;
+  }
+
+  try {
+    showLoading('Cleaning up text...');
+    await appState.db.updateBook(book);
+    const result = await appState.processor.cleanupBook(bookId, CleanupRules.forBook(book));
+    hideLoading();
+    showSuccess(`${result.linesRemoved} lines removed, ${result.linesChanged} changed`);
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to clean up book: ' + error.message);
+  }
+}
+
+/**
+ * Choose how new imports are cut into parts
+ */
+async function openSplitStrategy() {
+  const { action, strategy } = await SplitStrategyPanel.open({
+    title: 'Splitting',
+    message: 'How new text imports are cut into parts. Each book remembers the strategy it was imported with.',
+    strategy: SplitStrategy.load(),
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'Save', value: 'save', role: 'primary' }
+    ]
+  });
+
+  if (action !== 'save') return;
+
+  SplitStrategy.save(strategy);
+  showSuccess(`Splitting: ${SplitStrategy.describe(strategy)}`);
+}
+
+/**
+ * Edit a book's own chapter rules and re-run chapter detection on it
+ */
+async function openBookChapterRules(bookId) {
+  const book = await appState.db.getBookById(bookId);
+  if (!book) {
+    showError('Book not found');
+    return;
+  }
+
+  const hasOwnRules = Array.isArray(book.chapterRules) && book.chapterRules.length > 0;
+  const buttons = [{ text: 'Cancel', value: null, role: 'cancel' }];
+  if (hasOwnRules) {
+    buttons.push({ text: 'Use Global Rules', value: 'clear', role: 'destructive' });
+  }
+  buttons.push({ text: 'Save & Re-detect', value: 'save', role: 'primary' });
+
+  const { action, rules } = await ChapterRulesEditor.open({
+    title: `Chapter Rules: ${book.bookName}`,
+    message: (hasOwnRules
+      ? 'This book uses its own rules.'
+      : 'This book uses the global rules. Saving gives it its own copy.') +
+      ' Re-detecting replaces all of its chapters, including any edited in the reader.',
+    rules: ChapterRules.forBook(book),
+    sampleText: readBookSample(bookId),
+    sampleLabel: 'this book',
+    buttons
+  });
+
+  if (action !== 'save' && action !== 'clear') return;
+
+  if (action === 'clear' || rules.length === 0) {
+    delete book.chapterRules;
+  } else {
+    book.chapterRules = rules;
+  }
+
+  try {
+    showLoading('Detecting chapters...');
+    await appState.db.updateBook(book);
+    const result = await appState.processor.redetectChapters(bookId, ChapterRules.compile(ChapterRules.forBook(book)));
+    hideLoading();
+    showSuccess(`Found ${result.chaptersFound} chapters`);
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to re-detect chapters: ' + error.message);
+  }
+}
+
+/**
+ * Cut a book into parts again with another split strategy, keeping its reading positions
+ */
+async function openResplitBook(bookId) {
+  const book = await appState.db.getBookById(bookId);
+  if (!book) {
+    showError('Book not found');
+    return;
+  }
+
+  const { action, strategy } = await SplitStrategyPanel.open({
+    title: `Re-split: ${book.bookName}`,
+    message: book.splitStrategy
+      ? `Currently split by: ${SplitStrategy.describe(book.splitStrategy)}. Reading positions are kept.`
+      : 'Reading positions are kept.',
+    strategy: SplitStrategy.forBook(book),
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'Re-split', value: 'resplit', role: 'primary' }
+    ]
+  });
+
+  if (action !== 'resplit') return;
+
+  try {
+    showLoading('Re-splitting book...');
+    const result = await appState.processor.resplitBook(bookId, strategy, { onProgress: updateLoadingProgress });
+    hideLoading();
+    showSuccess(`Book re-split into ${result.storyIds.length} part(s)`);
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to re-split book: ' + error.message);
+  }
+}
+
+/**
+ * Append the chapters of a newer copy of a serialized book that the book does
+ * not have yet; existing stories and reading positions are left alone
+ */
+async function updateBookFromFile(bookId, file) {
+  const book = await appState.db.getBookById(bookId);
+  if (!book) {
+    showError('Book not found');
+    return;
+  }
+
+  if (file.type !== 'text/plain' && !file.name.toLowerCase().endsWith('.txt')) {
+    showError('Only text files (.txt) can be used to update a book');
+    return;
+  }
+
+  if (appState.isProcessing) return;
+  appState.isProcessing = true;
+
+  try {
+    const reviewChaptersToggle = document.getElementById('reviewChaptersToggle');
+    const reviewChapters = reviewChaptersToggle && reviewChaptersToggle.checked;
+
+    const importJob = appState.importClient.importTextFile(file, {
+      patterns: ChapterRules.compile(ChapterRules.forBook(book)),
+      updateBookId: bookId,
+      reflow: TextReflow.loadMode(),
+      cleanupRules: CleanupRules.forBook(book),
+      onProgress: updateLoadingProgress,
+      chooseEncoding: async (detection, previews) => {
+        hideLoading();
+        const encoding = await promptForEncoding(file, detection, previews);
+        showLoading(`Updating ${book.bookName}...`, importJob.cancel);
+        return encoding;
+      },
+      reviewChapters: reviewChapters ? async (chapters, content) => {
+        hideLoading();
+        const reviewed = await ChapterReviewDialog.open({ fileName: file.name, chapters, content });
+        showLoading(`Updating ${book.bookName}...`, importJob.cancel);
+        return reviewed;
+      } : null
+    });
+    showLoading(`Updating ${book.bookName}...`, importJob.cancel);
+
+    const result = await importJob.promise;
+    hideLoading();
+
+    if (result.chaptersAdded === 0) {
+      window.iosModal.toast({ message: `"${book.bookName}" is already up to date`, type: 'info' });
+      return;
+    }
+
+    const newParts = result.storyIds.length > 0 ? ` (${result.storyIds.length} new part(s))` : '';
+    showSuccess(`Added ${result.chaptersAdded} new chapters to "${book.bookName}"${newParts}`);
+    appState.expandedBooks.add(bookId);
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    if (error.name === 'AbortError') {
+      window.iosModal.toast({ message: 'Update cancelled', type: 'info' });
+    } else {
+      showError('Failed to update book: ' + error.message);
+    }
+  } finally {
+    appState.isProcessing = false;
+  }
+}
+
+/**
+ * Save a generated file through the browser's download
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export a book as one .txt file (in the chosen encoding and line endings)
+ * or as an EPUB
+ */
+async function openExportBook(bookId) {
+  const book = await appState.db.getBookById(bookId);
+  if (!book) {
+    showError('Book not found');
+    return;
+  }
+
+  const options = (values) => Object.entries(values)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  const container = document.createElement('div');
+  container.className = 'export-options';
+  container.innerHTML = `
+    <label for="exportFormatSelect" class="form-label">Format</label>
+    <select id="exportFormatSelect" class="form-select form-select-sm">${options({ txt: 'Text (.txt)', epub: 'EPUB (.epub)' })}</select>
+    <div class="export-text-options">
+      <label for="exportEncodingSelect" class="form-label">Encoding</label>
+      <select id="exportEncodingSelect" class="form-select form-select-sm">${options(BookExporter.ENCODINGS)}</select>
+      <label for="exportLineEndingSelect" class="form-label">Line endings</label>
+      <select id="exportLineEndingSelect" class="form-select form-select-sm">${options(BookExporter.LINE_ENDINGS)}</select>
+    </div>
+    <div class="export-epub-options" style="display: none;">
+      <div class="form-check">
+        <input class="form-check-input" type="checkbox" id="exportCoverCheck" checked>
+        <label class="form-check-label" for="exportCoverCheck">Generate a cover</label>
+      </div>
+    </div>
+  `;
+  const formatSelect = container.querySelector('#exportFormatSelect');
+  formatSelect.addEventListener('change', () => {
+    const epub = formatSelect.value === 'epub';
+    container.querySelector('.export-text-options').style.display = epub ? 'none' : '';
+    container.querySelector('.export-epub-options').style.display = epub ? '' : 'none';
+  });
+
+  const confirmed = await window.iosModal.dialog({
+    title: `Export: ${book.bookName}`,
+    message: 'All parts are joined into one file with the current chapter titles.',
+    content: container,
+    buttons: [
+      { text: 'Cancel', value: false, role: 'cancel' },
+      { text: 'Export', value: true, role: 'primary' }
+    ]
+  });
+  if (!confirmed) return;
+
+  try {
+    showLoading(`Exporting ${book.bookName}...`);
+    if (formatSelect.value === 'epub') {
+      const { blob, fileName } = await new EpubExporter(appState.db).exportEpub(bookId, {
+        cover: container.querySelector('#exportCoverCheck').checked
+      });
+      hideLoading();
+      downloadBlob(blob, fileName);
+      showSuccess(`Exported "${fileName}"`);
+      return;
+    }
+
+    const exporter = new BookExporter(appState.db);
+    const { blob, fileName, unencodable } = await exporter.exportText(bookId, {
+      encoding: container.querySelector('#exportEncodingSelect').value,
+      lineEnding: container.querySelector('#exportLineEndingSelect').value
+    });
+    hideLoading();
+
+    downloadBlob(blob, fileName);
+    if (unencodable > 0) {
+      window.iosModal.toast({
+        message: `${unencodable} characters have no GBK code and were written as "${BookExporter.REPLACEMENT_CHAR}"`,
+        type: 'info',
+        duration: 4000
+      });
+    } else {
+      showSuccess(`Exported "${fileName}"`);
+    }
+  } catch (error) {
+    hideLoading();
+    showError('Failed to export book: ' + error.message);
+  }
+}
+
+/**
+ * Download the whole library and settings as one backup file
+ */
+async function backupLibrary() {
+  try {
+    showLoading('Creating backup...');
+    const backup = new LibraryBackup(appState.db);
+    const { blob, fileName, counts } = await backup.createBackup();
+    hideLoading();
+
+    downloadBlob(blob, fileName);
+    showSuccess(`Backed up ${counts.books} books`);
+  } catch (error) {
+    hideLoading();
+    showError('Failed to create backup: ' + error.message);
+  }
+}
+
+/**
+ * Restore a backup file, merged into the library or replacing it
+ */
+async function restoreLibrary(file) {
+  let backup;
+  try {
+    showLoading('Reading backup...');
+    backup = await LibraryBackup.readFile(file);
+    hideLoading();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to read backup: ' + error.message);
+    return;
+  }
+
+  const container = document.createElement('div');
+  container.className = 'restore-options';
+  container.innerHTML = `
+    <label class="restore-option">
+      <input type="radio" name="restoreMode" value="merge" checked>
+      <span>Merge into the current library</span>
+    </label>
+    <div class="restore-conflict">
+      <label for="restoreConflictSelect" class="form-label">Books that are already in the library</label>
+      <select id="restoreConflictSelect" class="form-select form-select-sm">
+        ${Object.entries(LibraryBackup.CONFLICT_MODES).map(([mode, label]) =>
+          `<option value="${mode}">${label}</option>`).join('')}
+      </select>
+    </div>
+    <label class="restore-option">
+      <input type="radio" name="restoreMode" value="replace">
+      <span>Replace the current library and settings</span>
+    </label>
+  `;
+  const conflictSelect = container.querySelector('#restoreConflictSelect');
+  container.querySelectorAll('input[name="restoreMode"]').forEach(input => {
+    input.addEventListener('change', () => {
+      conflictSelect.disabled = container.querySelector('input[name="restoreMode"]:checked').value !== 'merge';
+    });
+  });
+
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'an unknown date';
+  const confirmed = await window.iosModal.dialog({
+    title: 'Restore Backup',
+    message: `${backup.books.length} books from ${exportedAt}.`,
+    content: container,
+    buttons: [
+      { text: 'Cancel', value: false, role: 'cancel' },
+      { text: 'Restore', value: true, role: 'primary' }
+    ]
+  });
+  if (!confirmed) return;
+
+  const mode = container.querySelector('input[name="restoreMode"]:checked').value;
+  if (mode === 'replace') {
+    const replace = await window.iosModal.confirm({
+      title: 'Replace Library',
+      message: 'All current books and reading progress will be deleted. This cannot be undone.',
+      confirmText: 'Replace',
+      destructive: true
+    });
+    if (!replace) return;
+  }
+
+  try {
+    showLoading('Restoring backup...');
+    const result = await new LibraryBackup(appState.db).restore(backup, { mode, conflict: conflictSelect.value });
+    hideLoading();
+
+    const details = [`${result.booksAdded} added`];
+    if (result.booksReplaced) details.push(`${result.booksReplaced} replaced`);
+    if (result.booksCopied) details.push(`${result.booksCopied} copied`);
+    if (result.booksSkipped) details.push(`${result.booksSkipped} skipped`);
+    showSuccess(`Backup restored: ${details.join(', ')}`);
+
+    await loadBooks();
+    if (mode === 'replace') {
+      // Reload once the message is read, so the restored settings take effect
+      setTimeout(() => window.location.reload(), 1500);
+    }
+  } catch (error) {
+    hideLoading();
+    showError('Failed to restore backup: ' + error.message);
+    await loadBooks();
+  }
+}
+
+/**
+ * Offer to export a sync file for another device or import one from it
+ */
+async function openSyncLibrary(syncFileInput) {
+  const action = await window.iosModal.dialog({
+    title: 'Sync with Another Device',
+    message: 'Export a sync file and import it on your other device, then bring its sync file back here. ' +
+      'Reading positions, book details and settings are merged, keeping the newer of each.',
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'WebDAV Server...', value: 'webdav' },
+      { text: 'Import Sync File', value: 'import' },
+      { text: 'Export Sync File', value: 'export', role: 'primary' }
+    ]
+  });
+
+  if (action === 'import') {
+    syncFileInput.click();
+  } else if (action === 'export') {
+    await exportSyncFile();
+  } else if (action === 'webdav') {
+    await openWebDavSettings();
+  }
+}
+
+/**
+ * Set up syncing through a WebDAV server; the reader then syncs the open
+ * book by itself
+ */
+async function openWebDavSettings() {
+  const config = WebDavSync.loadConfig();
+  const container = document.createElement('div');
+  container.className = 'webdav-settings';
+  container.innerHTML = `
+    <div class="form-check">
+      <input class="form-check-input" type="checkbox" id="webdavEnabledCheck" ${config.enabled ? 'checked' : ''}>
+      <label class="form-check-label" for="webdavEnabledCheck">Sync while reading</label>
+    </div>
+    <label for="webdavUrlInput" class="form-label">Folder address</label>
+    <input type="url" id="webdavUrlInput" class="form-control form-control-sm" spellcheck="false"
+      placeholder="https://cloud.example.com/remote.php/dav/files/me/TextReader" value="${window.escapeHtml(config.url)}">
+    <label for="webdavUserInput" class="form-label">User name</label>
+    <input type="text" id="webdavUserInput" class="form-control form-control-sm" autocomplete="username"
+      value="${window.escapeHtml(config.username)}">
+    <label for="webdavPasswordInput" class="form-label">Password</label>
+    <input type="password" id="webdavPasswordInput" class="form-control form-control-sm" autocomplete="current-password"
+      value="${window.escapeHtml(config.password)}">
+    <div class="webdav-status"></div>
+  `;
+  const readConfig = () => ({
+    enabled: container.querySelector('#webdavEnabledCheck').checked,
+    url: container.querySelector('#webdavUrlInput').value.trim(),
+    username: container.querySelector('#webdavUserInput').value,
+    password: container.querySelector('#webdavPasswordInput').value
+  });
+  const status = container.querySelector('.webdav-status');
+
+  while (true) {
+    const action = await window.iosModal.dialog({
+      title: 'WebDAV Sync',
+      message: 'Reading positions, book details and settings are kept in text-reader-sync.json in this folder. ' +
+        'The server must allow requests from this page (CORS).',
+      content: container,
+      buttons: [
+        { text: 'Cancel', value: null, role: 'cancel' },
+        { text: 'Test', value: 'test' },
+        { text: 'Sync Now', value: 'sync' },
+        { text: 'Save', value: 'save', role: 'primary' }
+      ]
+    });
+    if (!action) return;
+
+    const edited = readConfig();
+    const urlError = edited.enabled || action !== 'save' ? WebDavSync.validateUrl(edited.url) : null;
+    if (urlError) {
+      status.textContent = urlError;
+      continue;
+    }
+
+    if (action === 'test') {
+      status.textContent = 'Connecting...';
+      try {
+        const hasSyncFile = await new WebDavSync(appState.db, edited).test();
+        status.textContent = hasSyncFile ? 'Connected' : 'Connected, the folder has no sync file yet';
+      } catch (error) {
+        status.textContent = error.message;
+      }
+      continue;
+    }
+
+    WebDavSync.saveConfig(edited);
+    if (action === 'save') {
+      showSuccess(edited.enabled ? 'WebDAV sync is on' : 'WebDAV settings saved');
+      return;
+    }
+
+    try {
+      showLoading('Syncing with WebDAV server...');
+      const result = await new WebDavSync(appState.db, edited).sync();
+      hideLoading();
+      showSuccess(`Updated ${result.positionsUpdated} reading positions, ${result.booksUpdated} books, ${result.settingsUpdated} settings`);
+      await loadBooks();
+    } catch (error) {
+      hideLoading();
+      showError('WebDAV sync failed: ' + error.message);
+    }
+    return;
+  }
+}
+
+async function exportSyncFile() {
+  try {
+    showLoading('Creating sync file...');
+    const { blob, fileName, data } = await new LibrarySync(appState.db).createSyncFile();
+    hideLoading();
+
+    downloadBlob(blob, fileName);
+    showSuccess(`Exported reading progress of ${data.books.length} books`);
+  } catch (error) {
+    hideLoading();
+    showError('Failed to create sync file: ' + error.message);
+  }
+}
+
+async function importSyncFile(file) {
+  try {
+    showLoading('Merging sync file...');
+    const data = await LibrarySync.readFile(file);
+    const result = await new LibrarySync(appState.db).merge(data);
+    hideLoading();
+
+    const details = [
+      `${result.positionsUpdated} reading positions`,
+      `${result.booksUpdated} books`,
+      `${result.settingsUpdated} settings`
+    ];
+    showSuccess(`Updated ${details.join(', ')}`);
+    if (result.booksNotFound > 0) {
+      window.iosModal.toast({
+        message: `${result.booksNotFound} synced books are not in this library`,
+        type: 'info',
+        duration: 4000
+      });
+    }
+
+    await loadBooks();
+  } catch (error) {
+    hideLoading();
+    showError('Failed to import sync file: ' + error.message);
+  }
+}
+
 function updatePagination() {
   const currentPageEl = document.getElementById('currentPage');
   const totalPagesEl = document.getElementById('totalPages');
@@ -350,16 +1517,82 @@ function updatePagination() {
   if (nextPageBtn) nextPageBtn.disabled = appState.currentPage >= appState.totalPages;
 }
 
-function showLoading(message = 'Loading...') {
+function showLoading(message = 'Loading...', onCancel = null) {
   const loadingOverlay = document.getElementById('loadingOverlay');
   const loadingText = document.getElementById('loadingText');
+  const loadingProgress = document.getElementById('loadingProgress');
+  const cancelLoadingBtn = document.getElementById('cancelLoadingBtn');
 
   if (loadingText) loadingText.textContent = message;
+  if (loadingProgress) loadingProgress.style.display = 'none';
+  if (cancelLoadingBtn) {
+    cancelLoadingBtn.style.display = onCancel ? 'inline-block' : 'none';
+    cancelLoadingBtn.disabled = false;
+    cancelLoadingBtn.onclick = onCancel ? function () {
+      cancelLoadingBtn.disabled = true;
+      if (loadingText) loadingText.textContent = 'Cancelling...';
+      onCancel();
+    } : null;
+  }
   if (loadingOverlay) loadingOverlay.style.display = 'flex';
 }
 
+/**
+ * Show import progress reported by the import worker
+ */
+function updateLoadingProgress(progress) {
+  const loadingText = document.getElementById('loadingText');
+  const loadingProgress = document.getElementById('loadingProgress');
+  const loadingProgressBar = document.getElementById('loadingProgressBar');
+  const cancelLoadingBtn = document.getElementById('cancelLoadingBtn');
+
+  // Keep showing "Cancelling..." once cancel was requested
+  if (cancelLoadingBtn && cancelLoadingBtn.disabled) return;
+
+  let message = '';
+  let ratio = null;
+
+  switch (progress.stage) {
+    case 'reading':
+      message = `Reading file (${window.formatFileSize(progress.totalBytes)})...`;
+      break;
+    case 'decoding':
+      message = `Decoding ${window.formatFileSize(progress.bytesDecoded)} / ${window.formatFileSize(progress.totalBytes)}`;
+      ratio = progress.totalBytes ? progress.bytesDecoded / progress.totalBytes : null;
+      break;
+    case 'detecting':
+      message = `Found ${progress.chaptersFound} chapters`;
+      break;
+    case 'writing':
+      message = `Saving stories ${progress.storiesWritten} / ${progress.totalStories}`;
+      if (progress.chaptersFound) {
+        message += ` (${progress.chaptersFound} chapters)`;
+      }
+      ratio = progress.totalStories ? progress.storiesWritten / progress.totalStories : null;
+      break;
+    case 'streaming':
+      message = `Importing ${window.formatFileSize(progress.bytesDecoded)} / ${window.formatFileSize(progress.totalBytes)}`;
+      message += ` (${progress.chaptersFound} chapters, ${progress.storiesWritten} stories saved)`;
+      ratio = progress.totalBytes ? progress.bytesDecoded / progress.totalBytes : null;
+      break;
+    default:
+      return;
+  }
+
+  if (loadingText) loadingText.textContent = message;
+  if (loadingProgress && loadingProgressBar) {
+    loadingProgress.style.display = ratio === null ? 'none' : 'block';
+    if (ratio !== null) {
+      loadingProgressBar.style.width = `${Math.round(ratio * 100)}%`;
+    }
+  }
+}
+
 function hideLoading() {
   const loadingOverlay = document.getElementById('loadingOverlay');
+  const cancelLoadingBtn = document.getElementById('cancelLoadingBtn');
+
+  if (cancelLoadingBtn) cancelLoadingBtn.onclick = null;
   if (loadingOverlay) loadingOverlay.style.display = 'none';
 }
 
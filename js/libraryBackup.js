@@ -0,0 +1,298 @@
+/**
+ * Library Backup for Text Reader Application
+ * Saves the whole database (books, stories, reading histories) and the
+ * settings kept in localStorage to one gzip-compressed JSON file, and
+ * restores such a file by merging it into the library or replacing it
+ *
+ * A backup is { format, formatVersion, schemaVersion, exportedAt, settings,
+ * books, stories, histories }; schemaVersion is the TextReaderDB version the
+ * records were written by
+ */
+
+class LibraryBackup {
+  static get FORMAT() {
+    return 'text-reader-backup';
+  }
+
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  static get STORES() {
+    return ['books', 'stories', 'histories'];
+  }
+
+  /**
+   * localStorage keys saved with the library
+   */
+  static get SETTINGS_KEYS() {
+    return [
+      'preferredViewerTheme',
+      'sidebarPinned',
+      'chapterRules',
+      'reviewChaptersBeforeImport',
+      'splitStrategy',
+      'groupFolderImports',
+      'archiveBookPerFolder',
+      'reflowLines',
+      'cleanupRules',
+      'replaceRules'
+    ];
+  }
+
+  /**
+   * What a merge does with a book whose ID is already in the library
+   */
+  static get CONFLICT_MODES() {
+    return {
+      skip: 'Keep the current book',
+      overwrite: 'Replace it with the backup',
+      copy: 'Keep both'
+    };
+  }
+
+  /**
+   * @param {TextReaderDB} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  static generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  static fileName(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `text-reader-backup-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json.gz`;
+  }
+
+  /**
+   * Serialize the library
+   * Records are written one by one into the Blob, so the library is never
+   * held as one big string
+   * @returns {Promise<{blob: Blob, fileName: string, counts: Object}>} - counts
+   *   has the number of records per store
+   */
+  async createBackup() {
+    const settings = {};
+    for (const key of LibraryBackup.SETTINGS_KEYS) {
+      const value = localStorage.getItem(key);
+      if (value !== null) settings[key] = value;
+    }
+
+    const header = {
+      format: LibraryBackup.FORMAT,
+      formatVersion: LibraryBackup.FORMAT_VERSION,
+      schemaVersion: this.db.version,
+      exportedAt: new Date().toISOString(),
+      settings
+    };
+    const parts = [JSON.stringify(header).slice(0, -1)];
+    const counts = {};
+
+    for (const storeName of LibraryBackup.STORES) {
+      const records = await this.db.getAllRecords(storeName);
+      counts[storeName] = records.length;
+      parts.push(`,"${storeName}":[`);
+      records.forEach((record, index) => {
+        parts.push((index > 0 ? ',' : '') + JSON.stringify(record));
+      });
+      parts.push(']');
+    }
+    parts.push('}');
+
+    const json = new Blob(parts, { type: 'application/json' });
+    const blob = await new Response(json.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    return { blob, fileName: LibraryBackup.fileName(), counts };
+  }
+
+  /**
+   * Read a backup file (.json.gz, or plain .json)
+   * @returns {Promise<Object>} - The validated backup
+   */
+  static async readFile(file) {
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+    const text = gzipped
+      ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+      : await file.text();
+
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a Text Reader backup file');
+    }
+    LibraryBackup.validate(backup);
+    return backup;
+  }
+
+  /**
+   * Throw if a parsed file is not a backup this version can restore
+   */
+  static validate(backup) {
+    if (!backup || backup.format !== LibraryBackup.FORMAT) {
+      throw new Error('Not a Text Reader backup file');
+    }
+    if (backup.formatVersion > LibraryBackup.FORMAT_VERSION || backup.schemaVersion > new TextReaderDB().version) {
+      throw new Error('This backup was made by a newer version of Text Reader');
+    }
+    for (const storeName of LibraryBackup.STORES) {
+      if (!Array.isArray(backup[storeName])) {
+        throw new Error(`Backup is missing its ${storeName}`);
+      }
+      const invalid = backup[storeName].some(record =>
+        !record || typeof record !== 'object' || (typeof record.id !== 'string' && typeof record.id !== 'number'));
+      if (invalid) {
+        throw new Error(`Backup has ${storeName} records without an ID`);
+      }
+    }
+  }
+
+  /**
+   * Restore a backup
+   * @param {Object} backup - From readFile
+   * @param {Object} options
+   * @param {string} options.mode - 'replace' deletes the current library (and
+   *   settings) first; 'merge' (default) adds the backup to it
+   * @param {string} options.conflict - For merges, one of CONFLICT_MODES ('skip' by default)
+   * @returns {Promise<{booksAdded: number, booksReplaced: number, booksCopied: number,
+   *   booksSkipped: number, stories: number, histories: number}>}
+   */
+  async restore(backup, options = {}) {
+    if (options.mode === 'replace') {
+      return this.replaceLibrary(backup);
+    }
+    return this.mergeLibrary(backup, LibraryBackup.CONFLICT_MODES[options.conflict] ? options.conflict : 'skip');
+  }
+
+  /**
+   * The library is cleared and rewritten in one transaction, so a backup that
+   * fails to restore leaves the current library as it was
+   */
+  async replaceLibrary(backup) {
+    const changes = {};
+    LibraryBackup.STORES.forEach(storeName => {
+      changes[storeName] = { clear: true, records: backup[storeName] };
+    });
+    await this.db.writeRecords(changes);
+
+    const settings = backup.settings || {};
+    for (const key of LibraryBackup.SETTINGS_KEYS) {
+      if (typeof settings[key] === 'string') {
+        localStorage.setItem(key, settings[key]);
+      } else {
+        localStorage.removeItem(key);
+      }
+    }
+
+    return {
+      booksAdded: backup.books.length,
+      booksReplaced: 0,
+      booksCopied: 0,
+      booksSkipped: 0,
+      stories: backup.stories.length,
+      histories: backup.histories.length
+    };
+  }
+
+  /**
+   * Add the backup's books to the library; settings are left as they are
+   * Stories whose ID is taken by another book's story get a new ID, so a
+   * merge never changes a book it does not restore
+   */
+  async mergeLibrary(backup, conflict) {
+    const result = { booksAdded: 0, booksReplaced: 0, booksCopied: 0, booksSkipped: 0, stories: 0, histories: 0 };
+    const existingBookIds = new Set(await this.db.getAllKeys('books'));
+    const existingStoryIds = new Set(await this.db.getAllKeys('stories'));
+    const backupBookIds = new Set(backup.books.map(book => book.id));
+
+    const storiesByBook = new Map();
+    for (const story of backup.stories) {
+      const key = backupBookIds.has(story.bookId) ? story.bookId : null;
+      if (!storiesByBook.has(key)) storiesByBook.set(key, []);
+      storiesByBook.get(key).push(story);
+    }
+
+    const books = [];
+    const stories = [];
+    // Records of replaced books, deleted together with writing the backup's
+    const deleteKeys = { books: [], stories: [], histories: [] };
+    // Backup story ID -> ID it is restored under
+    const storyIdMap = new Map();
+
+    const addStories = (list, bookId, forceNewIds) => {
+      for (const story of list) {
+        const id = forceNewIds || existingStoryIds.has(story.id) ? LibraryBackup.generateId() : story.id;
+        storyIdMap.set(story.id, id);
+        existingStoryIds.add(id);
+        stories.push({ ...story, id, bookId: bookId === undefined ? story.bookId : bookId });
+      }
+    };
+    const addBook = (book) => {
+      const lastReadStory = storyIdMap.has(book.lastReadStory) ? storyIdMap.get(book.lastReadStory) : book.lastReadStory;
+      books.push({ ...book, lastReadStory });
+    };
+
+    for (const book of backup.books) {
+      const bookStories = storiesByBook.get(book.id) || [];
+
+      if (!existingBookIds.has(book.id)) {
+        result.booksAdded++;
+        addStories(bookStories, book.id, false);
+        addBook(book);
+        continue;
+      }
+
+      if (conflict === 'skip') {
+        result.booksSkipped++;
+      } else if (conflict === 'overwrite') {
+        result.booksReplaced++;
+        for (const story of await this.db.getStoriesByBookId(book.id)) {
+          deleteKeys.histories.push(...await this.db.getReadingHistoryKeys(story.id));
+          deleteKeys.stories.push(story.id);
+          existingStoryIds.delete(story.id);
+        }
+        deleteKeys.books.push(book.id);
+        addStories(bookStories, book.id, false);
+        addBook(book);
+      } else {
+        result.booksCopied++;
+        const bookId = LibraryBackup.generateId();
+        addStories(bookStories, bookId, true);
+        addBook({
+          ...book,
+          id: bookId,
+          bookName: `${book.bookName} (from backup)`,
+          lastReadStory: storyIdMap.has(book.lastReadStory) ? book.lastReadStory : null
+        });
+      }
+    }
+
+    // Stories whose book is not in the backup are only added if they are not in the library
+    const looseStories = (storiesByBook.get(null) || []).filter(story => !existingStoryIds.has(story.id));
+    addStories(looseStories, undefined, false);
+
+    const histories = backup.histories
+      .filter(history => storyIdMap.has(history.storyId))
+      .map(history => {
+        const storyId = storyIdMap.get(history.storyId);
+        return storyId === history.storyId ? history : { ...history, id: `${storyId}_${LibraryBackup.generateId()}`, storyId };
+      });
+
+    // One transaction, so a failed write does not leave replaced books deleted
+    await this.db.writeRecords({
+      books: { deleteKeys: deleteKeys.books, records: books },
+      stories: { deleteKeys: deleteKeys.stories, records: stories },
+      histories: { deleteKeys: deleteKeys.histories, records: histories }
+    });
+
+    result.stories = stories.length;
+    result.histories = histories.length;
+    return result;
+  }
+}
+
+// Export for use in other modules
+window.LibraryBackup = LibraryBackup;
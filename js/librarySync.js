@@ -0,0 +1,538 @@
+/**
+ * Library Sync for Text Reader Application
+ * Keeps reading progress, book details and settings in step between devices
+ * through a small sync file: export it on one device, import it on the other,
+ * and the newer copy of each record wins, so a file passed back and forth
+ * reconciles both libraries without overwriting either
+ *
+ * Books are matched by a hash of their text, so the same file imported on two
+ * devices is one book even though its IDs differ; stories are matched by the
+ * hash of their own text. The text itself is not in the sync file (a backup
+ * moves books between devices)
+ *
+ * A sync file is { format, formatVersion, schemaVersion, exportedAt, books,
+ * histories, settings } where every record carries its own timestamp:
+ * - books: { hash, updatedAt, bookName, author, ..., lastReadStory (a story hash),
+ *   lastReadAt }; the details follow updatedAt and the last read story (the
+ *   book's bookmark) follows lastReadAt, so reading on one device does not
+ *   undo a rename on another
+ * - histories: the latest reading position per story, timed by lastReadTime
+ * - settings: { key: { value, updatedAt } }
+ */
+
+class LibrarySync {
+  static get FORMAT() {
+    return 'text-reader-sync';
+  }
+
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  /**
+   * Book fields that follow the copy with the newer updatedAt
+   */
+  static get BOOK_FIELDS() {
+    return TextReaderDB.DETAIL_FIELDS;
+  }
+
+  /**
+   * localStorage keys synced between devices (layout settings such as the
+   * pinned sidebar stay per device)
+   */
+  static get SETTINGS_KEYS() {
+    return [
+      'preferredViewerTheme',
+      'chapterRules',
+      'reviewChaptersBeforeImport',
+      'splitStrategy',
+      'groupFolderImports',
+      'archiveBookPerFolder',
+      'reflowLines',
+      'cleanupRules',
+      'replaceRules'
+    ];
+  }
+
+  /**
+   * localStorage key of the last synced value and time of each setting
+   */
+  static get SETTINGS_STATE_KEY() {
+    return 'syncSettingsState';
+  }
+
+  /**
+   * @param {TextReaderDB} db
+   */
+  constructor(db) {
+    this.db = db;
+    // Hashes of the texts already indexed, so the reader syncing the open
+    // book again and again does not hash its text each time
+    this.storyHashCache = new Map();
+    this.bookHashCache = new Map();
+  }
+
+  static fileName(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `text-reader-sync-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+  }
+
+  /**
+   * Hash of a text, ignoring whitespace so that reflowed lines, line endings
+   * and re-split stories hash the same
+   * Two 53-bit string hashes (cyrb53) with different seeds plus the length;
+   * crypto.subtle is not used as it is missing outside secure contexts
+   */
+  static hashText(text) {
+    const compact = text.replace(/\s+/g, '');
+    const hash = (seed) => {
+      let h1 = 0xdeadbeef ^ seed;
+      let h2 = 0x41c6ce57 ^ seed;
+      for (let i = 0; i < compact.length; i++) {
+        const code = compact.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+      }
+      h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+      return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    };
+    return `${hash(0)}${hash(1)}-${compact.length.toString(16)}`;
+  }
+
+  static time(value) {
+    const time = Date.parse(value);
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Hash of a story's text, reused while the text is unchanged
+   */
+  storyHash(story) {
+    const content = story.content || '';
+    const cached = this.storyHashCache.get(story.id);
+    if (cached && cached.content === content) return cached.hash;
+
+    const hash = LibrarySync.hashText(content);
+    this.storyHashCache.set(story.id, { content, hash });
+    return hash;
+  }
+
+  /**
+   * Index the library by hash
+   * @param {string} bookId - Only index this book (all books if not given)
+   * @returns {Promise<{books: Array<{book: Object, hash: string, stories: Array}>,
+   *   storyHashes: Map<string, string>}>} - stories are { story, hash } in splitIndex
+   *   order; storyHashes maps story ID -> hash
+   */
+  async indexLibrary(bookId = null) {
+    const books = bookId ? [await this.db.getBookById(bookId)].filter(Boolean) : await this.db.getAllBooks();
+    const storyHashes = new Map();
+    const indexed = [];
+
+    for (const book of books) {
+      const stories = (await this.db.getStoriesByBookId(book.id))
+        .sort((a, b) => (a.splitIndex || 0) - (b.splitIndex || 0))
+        .map(story => {
+          const hash = this.storyHash(story);
+          storyHashes.set(story.id, hash);
+          return { story, hash };
+        });
+      if (stories.length === 0) continue;
+
+      // A book's text is its stories' texts, so its hash changes only with theirs
+      const key = stories.map(entry => `${entry.story.id}:${entry.hash}`).join(',');
+      const cached = this.bookHashCache.get(book.id);
+      const hash = cached && cached.key === key
+        ? cached.hash
+        : LibrarySync.hashText(stories.map(entry => entry.story.content || '').join('\n'));
+      this.bookHashCache.set(book.id, { key, hash });
+      indexed.push({ book, hash, stories });
+    }
+
+    return { books: indexed, storyHashes };
+  }
+
+  /**
+   * Settings with the time each got its current value, updating the saved
+   * state for settings changed since it was last checked (timed now)
+   * Settings are saved in many places, so changes are noticed here instead:
+   * the library page checks on every load as well as on every sync
+   * A setting seen for the first time is timed at the epoch, so a device
+   * that never changed it (a fresh one, or one still on the default) does
+   * not override the others
+   * @returns {Object} - { key: { value, updatedAt } }, value null when unset
+   */
+  static settingsState() {
+    let state = {};
+    try {
+      state = JSON.parse(localStorage.getItem(LibrarySync.SETTINGS_STATE_KEY)) || {};
+    } catch (e) {
+      // Corrupt state, every setting counts as never changed
+    }
+
+    const now = new Date().toISOString();
+    let changed = false;
+    for (const key of LibrarySync.SETTINGS_KEYS) {
+      const value = localStorage.getItem(key);
+      if (!state[key]) {
+        state[key] = { value, updatedAt: new Date(0).toISOString() };
+        changed = true;
+      } else if (state[key].value !== value) {
+        state[key] = { value, updatedAt: now };
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      localStorage.setItem(LibrarySync.SETTINGS_STATE_KEY, JSON.stringify(state));
+    }
+    return state;
+  }
+
+  /**
+   * Collect the library's syncable records
+   * @param {Object} options
+   * @param {string} options.bookId - Only collect this book and its reading positions
+   * @returns {Promise<Object>} - A sync document (see the top of this file)
+   */
+  async createSyncData(options = {}) {
+    const { books, storyHashes } = await this.indexLibrary(options.bookId);
+    const syncBooks = new Map();
+
+    for (const { book, hash } of books) {
+      const record = {
+        hash,
+        updatedAt: book.updatedAt || book.uploadTime || null,
+        lastReadStory: storyHashes.get(book.lastReadStory) || null,
+        lastReadAt: book.lastReadAt || null
+      };
+      for (const field of LibrarySync.BOOK_FIELDS) {
+        if (book[field] !== undefined) record[field] = book[field];
+      }
+      // The same text imported twice is one book
+      syncBooks.set(hash, LibrarySync.combineBook(syncBooks.get(hash), record));
+    }
+
+    const bookHashes = new Map();
+    books.forEach(({ hash, stories }) => stories.forEach(({ story }) => bookHashes.set(story.id, hash)));
+
+    let allHistories;
+    if (options.bookId) {
+      const storyIds = books.flatMap(({ stories }) => stories.map(({ story }) => story.id));
+      allHistories = (await Promise.all(storyIds.map(id => this.db.getReadingHistory(id)))).filter(Boolean);
+    } else {
+      allHistories = await this.db.getAllRecords('histories');
+    }
+
+    const latest = new Map();
+    for (const history of allHistories) {
+      const storyHash = storyHashes.get(history.storyId);
+      if (!storyHash) continue;
+
+      const key = `${bookHashes.get(history.storyId)}/${storyHash}`;
+      const existing = latest.get(key);
+      if (!existing || LibrarySync.time(history.lastReadTime) > LibrarySync.time(existing.lastReadTime)) {
+        latest.set(key, {
+          bookHash: bookHashes.get(history.storyId),
+          storyHash,
+          lastChapterTitle: history.lastChapterTitle || '',
+          lastScrollPosition: history.lastScrollPosition || 0,
+          lastReadTime: history.lastReadTime,
+          totalTimeRead: history.totalTimeRead || 0
+        });
+      }
+    }
+
+    return {
+      format: LibrarySync.FORMAT,
+      formatVersion: LibrarySync.FORMAT_VERSION,
+      schemaVersion: this.db.version,
+      exportedAt: new Date().toISOString(),
+      books: Array.from(syncBooks.values()),
+      histories: Array.from(latest.values()),
+      settings: LibrarySync.settingsState()
+    };
+  }
+
+  /**
+   * A sync document holding one reading position of a book indexed before,
+   * built from the cached hashes without reading the database (for pushing
+   * as the page closes)
+   * @param {string} bookId
+   * @param {Object} history - A reading history record of one of its stories
+   * @returns {Object|null} - null if the book or story has not been indexed
+   */
+  createHistorySyncData(bookId, history) {
+    const book = this.bookHashCache.get(bookId);
+    const story = this.storyHashCache.get(history.storyId);
+    if (!book || !story) return null;
+
+    return {
+      format: LibrarySync.FORMAT,
+      formatVersion: LibrarySync.FORMAT_VERSION,
+      schemaVersion: this.db.version,
+      exportedAt: new Date().toISOString(),
+      books: [],
+      histories: [{
+        bookHash: book.hash,
+        storyHash: story.hash,
+        lastChapterTitle: history.lastChapterTitle || '',
+        lastScrollPosition: history.lastScrollPosition || 0,
+        lastReadTime: history.lastReadTime,
+        totalTimeRead: history.totalTimeRead || 0
+      }],
+      settings: {}
+    };
+  }
+
+  /**
+   * Write the sync file
+   * @returns {Promise<{blob: Blob, fileName: string, data: Object}>}
+   */
+  async createSyncFile() {
+    const data = await this.createSyncData();
+    return {
+      blob: new Blob([JSON.stringify(data)], { type: 'application/json' }),
+      fileName: LibrarySync.fileName(),
+      data
+    };
+  }
+
+  /**
+   * Read a sync file
+   * @returns {Promise<Object>} - The validated sync document
+   */
+  static async readFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error('Not a Text Reader sync file');
+    }
+    LibrarySync.validate(data);
+    return data;
+  }
+
+  /**
+   * Throw if a parsed document is not sync data this version can merge
+   */
+  static validate(data) {
+    if (!data || data.format !== LibrarySync.FORMAT) {
+      throw new Error('Not a Text Reader sync file');
+    }
+    if (data.formatVersion > LibrarySync.FORMAT_VERSION || data.schemaVersion > new TextReaderDB().version) {
+      throw new Error('This sync file was made by a newer version of Text Reader');
+    }
+    if (!Array.isArray(data.books) || !Array.isArray(data.histories)) {
+      throw new Error('Sync file is missing its records');
+    }
+  }
+
+  /**
+   * Find a book's story for a synced story hash, falling back to the story
+   * holding a chapter with the given title (the book was split differently)
+   * @returns {{story: Object, exact: boolean}|null}
+   */
+  static findStory(entry, storyHash, chapterTitle) {
+    const match = entry.stories.find(({ hash }) => hash === storyHash);
+    if (match) {
+      return { story: match.story, exact: true };
+    }
+    if (!chapterTitle) return null;
+
+    const byChapter = entry.stories.find(({ story }) =>
+      (story.chapters || []).some(chapter => chapter.title === chapterTitle));
+    return byChapter ? { story: byChapter.story, exact: false } : null;
+  }
+
+  /**
+   * Merge sync data into the library, keeping the newer copy of each record
+   * @param {Object} data - From readFile or createSyncData
+   * @param {Object} options
+   * @param {string} options.bookId - Only merge into this book (settings are still merged)
+   * @returns {Promise<{booksUpdated: number, booksNotFound: number,
+   *   positionsUpdated: number, settingsUpdated: number}>} - booksNotFound counts
+   *   synced books that are not in this library
+   */
+  async merge(data, options = {}) {
+    LibrarySync.validate(data);
+    const result = { booksUpdated: 0, booksNotFound: 0, positionsUpdated: 0, settingsUpdated: 0 };
+    const { books } = await this.indexLibrary(options.bookId);
+    const booksByHash = new Map();
+    books.forEach(entry => {
+      if (!booksByHash.has(entry.hash)) booksByHash.set(entry.hash, []);
+      booksByHash.get(entry.hash).push(entry);
+    });
+
+    const updatedBooks = [];
+    for (const record of data.books) {
+      const entries = booksByHash.get(record.hash);
+      if (!entries) {
+        result.booksNotFound++;
+        continue;
+      }
+
+      for (const entry of entries) {
+        const { book } = entry;
+        const updated = { ...book };
+        if (LibrarySync.time(record.updatedAt) > LibrarySync.time(book.updatedAt || book.uploadTime)) {
+          updated.updatedAt = record.updatedAt;
+          for (const field of LibrarySync.BOOK_FIELDS) {
+            if (record[field] !== undefined) updated[field] = record[field];
+          }
+        }
+        if (record.lastReadStory && LibrarySync.time(record.lastReadAt) > LibrarySync.time(book.lastReadAt)) {
+          const lastRead = LibrarySync.findStory(entry, record.lastReadStory, null);
+          if (lastRead) {
+            updated.lastReadStory = lastRead.story.id;
+            updated.lastReadAt = record.lastReadAt;
+          }
+        }
+        const changed = ['lastReadStory', ...LibrarySync.BOOK_FIELDS]
+          .some(field => JSON.stringify(updated[field]) !== JSON.stringify(book[field]));
+        if (!changed) continue;
+
+        entry.book = updated;
+        updatedBooks.push(updated);
+        result.booksUpdated++;
+      }
+    }
+
+    const histories = [];
+    for (const record of data.histories) {
+      for (const entry of booksByHash.get(record.bookHash) || []) {
+        const found = LibrarySync.findStory(entry, record.storyHash, record.lastChapterTitle);
+        if (!found) continue;
+
+        const local = await this.db.getReadingHistory(found.story.id);
+        if (local && LibrarySync.time(local.lastReadTime) >= LibrarySync.time(record.lastReadTime)) continue;
+
+        histories.push({
+          id: `${found.story.id}_${LibrarySync.time(record.lastReadTime)}`,
+          storyId: found.story.id,
+          lastChapterTitle: record.lastChapterTitle,
+          // A scroll position only applies to the same story
+          lastScrollPosition: found.exact ? record.lastScrollPosition : 0,
+          lastReadTime: record.lastReadTime,
+          totalTimeRead: record.totalTimeRead || 0
+        });
+      }
+    }
+
+    await this.db.putRecords('books', updatedBooks);
+    await this.db.putRecords('histories', histories);
+    result.positionsUpdated = histories.length;
+    result.settingsUpdated = LibrarySync.mergeSettings(data.settings || {});
+    return result;
+  }
+
+  /**
+   * Combine two sync documents into one holding the newer copy of each record,
+   * e.g. a server's document and this device's changes
+   * @param {Object|null} base - Its records are kept on equal times
+   * @param {Object|null} changes
+   * @returns {Object|null}
+   */
+  static combine(base, changes) {
+    if (!base || !changes) return base || changes;
+
+    const pick = (records, key, timeField) => {
+      const combined = new Map();
+      for (const record of records) {
+        const existing = combined.get(key(record));
+        if (!existing || LibrarySync.time(record[timeField]) > LibrarySync.time(existing[timeField])) {
+          combined.set(key(record), record);
+        }
+      }
+      return Array.from(combined.values());
+    };
+
+    const books = new Map();
+    [...base.books, ...changes.books].forEach(book => {
+      books.set(book.hash, LibrarySync.combineBook(books.get(book.hash), book));
+    });
+
+    const settings = { ...(base.settings || {}) };
+    Object.entries(changes.settings || {}).forEach(([key, setting]) => {
+      if (LibrarySync.settingWins(setting, settings[key])) {
+        settings[key] = setting;
+      }
+    });
+
+    return {
+      ...base,
+      schemaVersion: Math.max(base.schemaVersion || 0, changes.schemaVersion || 0),
+      exportedAt: changes.exportedAt,
+      books: Array.from(books.values()),
+      histories: pick([...base.histories, ...changes.histories],
+        history => `${history.bookHash}/${history.storyHash}`, 'lastReadTime'),
+      settings
+    };
+  }
+
+  /**
+   * Combine two copies of a synced book: the details come from the one with
+   * the newer updatedAt, the last read story from the one with the newer
+   * lastReadAt
+   * @param {Object} book - The copy so far, or undefined if there is none
+   * @param {Object} other
+   */
+  static combineBook(book, other) {
+    if (!book) return other;
+
+    const newer = (field) => LibrarySync.time(other[field]) > LibrarySync.time(book[field]) ? other : book;
+    const lastRead = newer('lastReadAt');
+    return { ...newer('updatedAt'), lastReadStory: lastRead.lastReadStory, lastReadAt: lastRead.lastReadAt };
+  }
+
+  /**
+   * Whether a synced setting replaces the current one: the newer one wins,
+   * and of two never changed (timed at the epoch) a value wins over unset,
+   * so a fresh device's empty settings never wipe another device's
+   * @param {Object} setting - { value, updatedAt }
+   * @param {Object} current - { value, updatedAt }, or undefined if there is none
+   */
+  static settingWins(setting, current) {
+    if (!setting) return false;
+    if (!current) return true;
+
+    const time = LibrarySync.time(setting.updatedAt);
+    const currentTime = LibrarySync.time(current.updatedAt);
+    const hasValue = typeof setting.value === 'string';
+    if (!hasValue && time === 0) return false;
+    if (time !== currentTime) return time > currentTime;
+    return hasValue && typeof current.value !== 'string';
+  }
+
+  /**
+   * Take each synced setting that wins over this device's (see settingWins)
+   * @returns {number} - Number of settings changed
+   */
+  static mergeSettings(settings) {
+    const state = LibrarySync.settingsState();
+    let updated = 0;
+
+    for (const key of LibrarySync.SETTINGS_KEYS) {
+      const remote = settings[key];
+      if (!LibrarySync.settingWins(remote, state[key])) continue;
+
+      const value = typeof remote.value === 'string' ? remote.value : null;
+      if (value !== state[key].value) {
+        if (value === null) {
+          localStorage.removeItem(key);
+        } else {
+          localStorage.setItem(key, value);
+        }
+        updated++;
+      }
+      state[key] = { value, updatedAt: remote.updatedAt };
+    }
+
+    localStorage.setItem(LibrarySync.SETTINGS_STATE_KEY, JSON.stringify(state));
+    return updated;
+  }
+}
+
+// Export for use in other modules
+window.LibrarySync = LibrarySync;
@@ -0,0 +1,194 @@
+/**
+ * Markdown Importer for Text Reader Application
+ * Turns a Markdown document into plain text lines for a story's content
+ * (read aloud and searched) plus the formatted HTML of each line, which
+ * LocalFileProcessor.processContentWithChapters renders into processedContent
+ *
+ * # and ## headings are chapters (their level is kept on the chapter); deeper
+ * headings, emphasis, block quotes, lists, code and rules are formatting only.
+ * Text is always escaped before markup is added, and links keep only their text
+ */
+
+class MarkdownImporter {
+  /**
+   * Deepest heading level that still starts a chapter
+   */
+  static get CHAPTER_LEVEL() {
+    return 2;
+  }
+
+  /**
+   * Inline emphasis, applied in order; prefix is kept so that _ inside words
+   * (snake_case) is left alone
+   */
+  static get INLINE_RULES() {
+    return [
+      { pattern: /()\*\*(\S(?:.*?\S)?)\*\*/g, tag: 'strong' },
+      { pattern: /(^|\W)__(\S(?:.*?\S)?)__(?!\w)/g, tag: 'strong' },
+      { pattern: /()\*(\S(?:.*?\S)?)\*/g, tag: 'em' },
+      { pattern: /(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, tag: 'em' },
+      { pattern: /()~~(\S(?:.*?\S)?)~~/g, tag: 'del' }
+    ];
+  }
+
+  static isMarkdown(fileName) {
+    return /\.(md|markdown)$/i.test(fileName);
+  }
+
+  /**
+   * Render inline Markdown of one line
+   * @returns {{plain: string, html: string}} - Text without markers, and safe HTML
+   */
+  static renderInline(text) {
+    // Code spans are set aside so their content is never formatted
+    const codeSpans = [];
+    let source = text.replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(code);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    // Images keep their alt text, links their text
+    source = source
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\\([\\`*_~[\]()#>+\-.!])/g, '$1');
+
+    let plain = source;
+    let html = window.escapeHtml(source);
+    for (const { pattern, tag } of MarkdownImporter.INLINE_RULES) {
+      plain = plain.replace(pattern, '$1$2');
+      html = html.replace(pattern, `$1<${tag}>$2</${tag}>`);
+    }
+
+    const restore = (value, asHtml) => value.replace(/\u0000(\d+)\u0000/g, (match, index) =>
+      asHtml ? `<code>${window.escapeHtml(codeSpans[index])}</code>` : codeSpans[index]
+    );
+    return { plain: restore(plain, false), html: restore(html, true) };
+  }
+
+  /**
+   * Whether two paragraph lines join without a space (CJK text has none)
+   */
+  static joinsWithoutSpace(before, after) {
+    const cjk = /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+    return cjk.test(before.slice(-1)) && cjk.test(after.charAt(0));
+  }
+
+  /**
+   * Parse a Markdown document
+   * @param {string} text
+   * @returns {{title: string, lines: string[], headings: Map<number, string>,
+   *   levels: Map<number, number>, rows: Map<number, {html: string, className: string}>}}
+   *   - lines are the plain text; headings and levels describe the chapter lines
+   *   and rows hold the formatted HTML of the other lines, all by line index
+   */
+  static parse(text) {
+    const source = text.replace(/\r\n?/g, '\n').split('\n');
+    const lines = [];
+    const headings = new Map();
+    const levels = new Map();
+    const rows = new Map();
+    let title = '';
+    let openParagraph = false;
+    let inFence = false;
+
+    const push = (plain, row = null) => {
+      if (row) rows.set(lines.length, row);
+      lines.push(plain);
+      openParagraph = false;
+    };
+
+    const pushHeading = (level, headingText) => {
+      const { plain, html } = MarkdownImporter.renderInline(headingText.trim());
+      if (!plain) return;
+      if (level === 1 && !title) title = plain;
+
+      if (level <= MarkdownImporter.CHAPTER_LEVEL) {
+        headings.set(lines.length, plain);
+        levels.set(lines.length, level);
+        push(plain);
+      } else {
+        push(plain, { html, className: `md-heading md-h${level}` });
+      }
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const line = source[i];
+
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        openParagraph = false;
+        continue;
+      }
+      if (inFence) {
+        push(line, { html: window.escapeHtml(line), className: 'md-code' });
+        continue;
+      }
+
+      if (line.trim() === '') {
+        // Runs of blank lines collapse into one
+        if (lines.length > 0 && lines[lines.length - 1] !== '') push('');
+        openParagraph = false;
+        continue;
+      }
+
+      const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (atx) {
+        pushHeading(atx[1].length, atx[2]);
+        continue;
+      }
+
+      // Setext headings: a line of text underlined with === or ---
+      const underline = source[i + 1] !== undefined ? source[i + 1].match(/^\s{0,3}(=+|-+)\s*$/) : null;
+      if (underline && !openParagraph && !/^\s*([-*+>]|\d+[.)])\s/.test(line)) {
+        pushHeading(underline[1].charAt(0) === '=' ? 1 : 2, line);
+        i++;
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        push('* * *', { html: '', className: 'md-hr' });
+        continue;
+      }
+
+      const quote = line.match(/^\s{0,3}(?:>\s?)+(.*)$/);
+      if (quote) {
+        const { plain, html } = MarkdownImporter.renderInline(quote[1].trim());
+        if (plain) push(plain, { html, className: 'md-quote' });
+        continue;
+      }
+
+      const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+      if (listItem) {
+        const indent = Math.min(Math.floor(listItem[1].replace(/\t/g, '    ').length / 2), 3);
+        const marker = /\d/.test(listItem[2]) ? listItem[2] : '•';
+        const { plain, html } = MarkdownImporter.renderInline(listItem[3].trim());
+        push(`${marker} ${plain}`, { html: `${marker} ${html}`, className: `md-list md-indent-${indent}` });
+        continue;
+      }
+
+      // Paragraph text: soft-wrapped lines join up, a hard break (two trailing
+      // spaces or a backslash) ends the line
+      const hardBreak = /( {2,}|\\)$/.test(line);
+      const { plain, html } = MarkdownImporter.renderInline(line.replace(/\\$/, '').trim());
+      if (openParagraph) {
+        const last = lines.length - 1;
+        const separator = MarkdownImporter.joinsWithoutSpace(lines[last], plain) ? '' : ' ';
+        lines[last] += separator + plain;
+        rows.get(last).html += separator + html;
+      } else {
+        push(plain, { html, className: '' });
+      }
+      openParagraph = !hardBreak;
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    return { title, lines, headings, levels, rows };
+  }
+}
+
+// Export for use in other modules
+window.MarkdownImporter = MarkdownImporter;
@@ -24,6 +24,7 @@ class IOSModal {
               <h3 class="ios-modal-title"></h3>
               <p class="ios-modal-message"></p>
             </div>
+            <div class="ios-modal-body scrollbar-themed"></div>
             <div class="ios-modal-actions"></div>
           </div>
         </div>
@@ -71,6 +72,7 @@ class IOSModal {
       titleEl.textContent = title;
       messageEl.textContent = message;
       messageEl.style.display = message ? 'block' : 'none';
+      this.resetBody();
 
       actionsEl.innerHTML = `
         <button class="ios-modal-btn ios-modal-btn-cancel">${cancelText}</button>
@@ -116,6 +118,7 @@ class IOSModal {
       titleEl.textContent = title;
       messageEl.textContent = message;
       messageEl.style.display = message ? 'block' : 'none';
+      this.resetBody();
 
       actionsEl.innerHTML = `
         <button class="ios-modal-btn ios-modal-btn-primary">${buttonText}</button>
@@ -131,6 +134,117 @@ class IOSModal {
     });
   }
 
+  /**
+   * Show a dialog with custom body content and buttons
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Optional message under the title
+   * @param {HTMLElement|string} options.content - Body element or HTML string
+   * @param {Array<{text: string, value: *, role: string}>} options.buttons - Buttons;
+   *   role is 'cancel', 'primary' or 'destructive'
+   * @param {boolean} options.wide - Use the wide dialog layout
+   * @returns {Promise<*>} - Resolves to the clicked button's value, or null when dismissed
+   */
+  dialog(options = {}) {
+    const {
+      title = '',
+      message = '',
+      content = '',
+      buttons = [{ text: 'OK', value: true, role: 'primary' }],
+      wide = false
+    } = options;
+
+    return new Promise((resolve) => {
+      this.currentResolve = resolve;
+      this.modalContainer.dataset.type = 'dialog';
+
+      const titleEl = this.modalContainer.querySelector('.ios-modal-title');
+      const messageEl = this.modalContainer.querySelector('.ios-modal-message');
+      const bodyEl = this.modalContainer.querySelector('.ios-modal-body');
+      const actionsEl = this.modalContainer.querySelector('.ios-modal-actions');
+
+      titleEl.textContent = title;
+      messageEl.textContent = message;
+      messageEl.style.display = message ? 'block' : 'none';
+
+      this.resetBody();
+      if (typeof content === 'string') {
+        bodyEl.innerHTML = content;
+      } else if (content) {
+        bodyEl.appendChild(content);
+      }
+      bodyEl.style.display = content ? 'block' : 'none';
+      this.modalContainer.classList.toggle('ios-modal-wide', wide);
+
+      actionsEl.innerHTML = '';
+      buttons.forEach(button => {
+        const btn = document.createElement('button');
+        const roleClass = button.role === 'cancel' ? 'ios-modal-btn-cancel'
+          : button.role === 'destructive' ? 'ios-modal-btn-confirm ios-modal-btn-destructive'
+            : 'ios-modal-btn-confirm';
+        btn.className = `ios-modal-btn ${roleClass}`;
+        btn.textContent = button.text;
+        btn.addEventListener('click', () => {
+          this.close(button.value);
+        });
+        actionsEl.appendChild(btn);
+      });
+
+      this.show();
+    });
+  }
+
+  /**
+   * Show a single-line text input dialog (replaces window.prompt)
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Optional message under the title
+   * @param {string} options.defaultValue - Initial input value
+   * @param {string} options.placeholder - Input placeholder
+   * @param {string} options.confirmText - Confirm button text (default: "OK")
+   * @param {string} options.cancelText - Cancel button text (default: "Cancel")
+   * @returns {Promise<string|null>} - Resolves to the entered text, or null if cancelled
+   */
+  prompt(options = {}) {
+    const {
+      title = '',
+      message = '',
+      defaultValue = '',
+      placeholder = '',
+      confirmText = 'OK',
+      cancelText = 'Cancel'
+    } = options;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control';
+    input.value = defaultValue;
+    input.placeholder = placeholder;
+    input.autofocus = true;
+
+    return this.dialog({
+      title,
+      message,
+      content: input,
+      buttons: [
+        { text: cancelText, value: false, role: 'cancel' },
+        { text: confirmText, value: true, role: 'primary' }
+      ]
+    }).then(confirmed => (confirmed ? input.value : null));
+  }
+
+  /**
+   * Clear custom dialog content
+   */
+  resetBody() {
+    const bodyEl = this.modalContainer.querySelector('.ios-modal-body');
+    if (bodyEl) {
+      bodyEl.innerHTML = '';
+      bodyEl.style.display = 'none';
+    }
+    this.modalContainer.classList.remove('ios-modal-wide');
+  }
+
   /**
    * Show a success message (toast-style but as modal)
    */
@@ -200,8 +314,14 @@ class IOSModal {
     // Show with animation
     this.modalContainer.classList.add('ios-modal-visible');
     
-    // Focus first button for accessibility
+    // Focus the dialog's autofocus field, or the first button for accessibility
     requestAnimationFrame(() => {
+      const autofocusEl = this.modalContainer.querySelector('.ios-modal-body [autofocus]');
+      if (autofocusEl) {
+        autofocusEl.focus();
+        if (autofocusEl.select) autofocusEl.select();
+        return;
+      }
       const firstBtn = this.modalContainer.querySelector('.ios-modal-btn');
       if (firstBtn) firstBtn.focus();
     });
@@ -209,8 +329,8 @@ class IOSModal {
     // Add keyboard handler
     this.keyHandler = (e) => {
       if (e.key === 'Escape') {
-        this.close(false);
-      } else if (e.key === 'Enter') {
+        this.close(this.modalContainer.dataset.type === 'dialog' ? null : false);
+      } else if (e.key === 'Enter' && !['TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
         const confirmBtn = this.modalContainer.querySelector('.ios-modal-btn-confirm, .ios-modal-btn-primary');
         if (confirmBtn) confirmBtn.click();
       }
@@ -250,5 +370,6 @@ window.iosModal = new IOSModal();
 // Convenience functions to replace native dialogs
 window.showConfirm = (options) => window.iosModal.confirm(options);
 window.showAlert = (options) => window.iosModal.alert(options);
+window.showPrompt = (options) => window.iosModal.prompt(options);
 window.showSuccess = (message) => window.iosModal.success(message);
 window.showError = (message) => window.iosModal.error(message);
@@ -0,0 +1,112 @@
+/**
+ * Paste Text Sheet for Text Reader Application
+ * Dialog for importing text from the clipboard: paste the text, give it a
+ * title and author, and check the detected chapters before saving
+ */
+
+class PasteTextSheet {
+  /**
+   * Maximum number of detected chapters listed in the preview
+   */
+  static get PREVIEW_LIMIT() {
+    return 100;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.content - Text to start with, e.g. dropped text
+   * @param {RegExp[]} options.patterns - Chapter patterns used for the preview
+   * @param {LocalFileProcessor} options.processor - Detects the chapters
+   */
+  constructor(options = {}) {
+    this.initialContent = options.content || '';
+    this.patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+    this.processor = options.processor;
+    this.element = null;
+    this.updatePreview = window.debounce(() => this.renderPreview(), 300);
+  }
+
+  /**
+   * Show the sheet
+   * @param {Object} options - Constructor options
+   * @returns {Promise<{title: string, author: string, content: string}|null>} - The text
+   *   to import, or null if cancelled
+   */
+  static async open(options = {}) {
+    const sheet = new PasteTextSheet(options);
+    const confirmed = await window.iosModal.dialog({
+      title: 'Paste Text',
+      message: 'Paste the text of a book; chapters are detected as you type.',
+      content: sheet.render(),
+      wide: true,
+      buttons: [
+        { text: 'Cancel', value: false, role: 'cancel' },
+        { text: 'Save', value: true, role: 'primary' }
+      ]
+    });
+    return confirmed ? sheet.getValues() : null;
+  }
+
+  getValues() {
+    const content = this.element.querySelector('.paste-text-content').value.replace(/\r\n?/g, '\n');
+    return {
+      title: this.element.querySelector('.paste-text-title').value.trim(),
+      author: this.element.querySelector('.paste-text-author').value.trim(),
+      content
+    };
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'paste-text';
+    this.element.innerHTML = `
+      <div class="paste-text-fields">
+        <input type="text" class="form-control form-control-sm paste-text-title" placeholder="Title">
+        <input type="text" class="form-control form-control-sm paste-text-author" placeholder="Author">
+      </div>
+      <textarea class="form-control paste-text-content" rows="8" placeholder="Paste text here" autofocus></textarea>
+      <div class="paste-text-summary"></div>
+      <div class="paste-text-chapters"></div>
+    `;
+
+    const textarea = this.element.querySelector('.paste-text-content');
+    textarea.value = this.initialContent;
+    textarea.addEventListener('input', this.updatePreview);
+
+    this.renderPreview();
+    return this.element;
+  }
+
+  /**
+   * Show the title the book gets by default and the chapters found so far
+   */
+  renderPreview() {
+    const { content } = this.getValues();
+    const summary = this.element.querySelector('.paste-text-summary');
+    const list = this.element.querySelector('.paste-text-chapters');
+
+    this.element.querySelector('.paste-text-title').placeholder = content.trim()
+      ? `Title (${LocalFileProcessor.extractTitle(content)})`
+      : 'Title';
+
+    if (!content.trim()) {
+      summary.textContent = '';
+      list.innerHTML = '';
+      return;
+    }
+
+    const chapters = this.processor.detectChapters(content, this.patterns);
+    summary.textContent = `${window.formatFileSize(new Blob([content]).size)}, ${chapters.length} chapters detected`;
+    list.innerHTML = chapters.slice(0, PasteTextSheet.PREVIEW_LIMIT).map(chapter => `
+      <div class="paste-text-chapter">
+        <span class="paste-text-line">${chapter.lineIndex + 1}</span>
+        <span class="paste-text-chapter-title">${window.escapeHtml(chapter.title)}</span>
+      </div>
+    `).join('') + (chapters.length > PasteTextSheet.PREVIEW_LIMIT
+      ? `<div class="paste-text-more">and ${chapters.length - PasteTextSheet.PREVIEW_LIMIT} more</div>`
+      : '');
+  }
+}
+
+// Export for use in other modules
+window.PasteTextSheet = PasteTextSheet;
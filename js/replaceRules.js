@@ -0,0 +1,155 @@
+/**
+ * Replace Rules for Text Reader Application
+ * Find/replace rules applied when the reader shows a story (fix a misspelled
+ * name, fill in censored ** placeholders); the stored text is never changed,
+ * so rules can be switched on and off at any time
+ * Read-aloud takes its text from the page, so it reads the replaced text too
+ *
+ * Rules are saved in localStorage as one list of
+ * { find, replace, regex, flags, enabled, scope, targetId } where scope is one
+ * of ReplaceRules.SCOPES and targetId the book or story id it is limited to
+ */
+
+class ReplaceRules {
+  static get STORAGE_KEY() {
+    return 'replaceRules';
+  }
+
+  static get SCOPES() {
+    return {
+      global: 'All books',
+      book: 'This book',
+      story: 'This story'
+    };
+  }
+
+  /**
+   * All saved rules, whatever their scope
+   */
+  static load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ReplaceRules.STORAGE_KEY));
+      if (Array.isArray(saved)) {
+        return ReplaceRules.normalize(saved);
+      }
+    } catch (e) {
+      // Corrupt setting, start without rules
+    }
+    return [];
+  }
+
+  static save(rules) {
+    localStorage.setItem(ReplaceRules.STORAGE_KEY, JSON.stringify(ReplaceRules.normalize(rules)));
+  }
+
+  /**
+   * Drop rules without find text and keep only the stored fields
+   */
+  static normalize(rules) {
+    return rules
+      .filter(rule => rule.find)
+      .map(rule => {
+        const scope = ReplaceRules.SCOPES[rule.scope] ? rule.scope : 'global';
+        return {
+          find: rule.find,
+          replace: rule.replace || '',
+          regex: rule.regex === true,
+          flags: ChapterRules.sanitizeFlags(rule.flags),
+          enabled: rule.enabled !== false,
+          scope,
+          targetId: scope === 'global' ? null : (rule.targetId || null)
+        };
+      });
+  }
+
+  /**
+   * Whether a rule is meant for a story: global rules always are, book and
+   * story rules only for their own book or story
+   */
+  static appliesTo(rule, bookId, storyId) {
+    if (rule.scope === 'book') return Boolean(bookId) && rule.targetId === bookId;
+    if (rule.scope === 'story') return Boolean(storyId) && rule.targetId === storyId;
+    return true;
+  }
+
+  /**
+   * Rules meant for a story, in their saved order
+   */
+  static forStory(rules, bookId, storyId) {
+    return rules.filter(rule => ReplaceRules.appliesTo(rule, bookId, storyId));
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Return an error message for an invalid rule, or null if it is valid
+   */
+  static validate(rule) {
+    if (!rule.find) {
+      return 'Find text is empty';
+    }
+    if (!rule.regex) {
+      return null;
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(rule.find, ChapterRules.sanitizeFlags(rule.flags));
+    } catch (e) {
+      return e.message;
+    }
+    // A pattern matching the empty string would insert the replacement between every character
+    if (pattern.test('')) {
+      return 'Pattern matches empty text';
+    }
+    return null;
+  }
+
+  /**
+   * Compile enabled, valid rules into { pattern, replacement } pairs for applyToText
+   * Plain rules replace literally; regex replacements may use $1, $& and so on
+   */
+  static compile(rules) {
+    return rules
+      .filter(rule => rule.enabled !== false && ReplaceRules.validate(rule) === null)
+      .map(rule => {
+        const flags = ChapterRules.sanitizeFlags(rule.flags) + 'g';
+        const replace = rule.replace || '';
+        return rule.regex
+          ? { pattern: new RegExp(rule.find, flags), replacement: replace }
+          : { pattern: new RegExp(ReplaceRules.escapeRegExp(rule.find), flags), replacement: () => replace };
+      });
+  }
+
+  /**
+   * Run compiled rules over a text, one after the other
+   */
+  static applyToText(text, compiled) {
+    return compiled.reduce((result, { pattern, replacement }) => result.replace(pattern, replacement), text);
+  }
+
+  /**
+   * Replace text inside rendered content, leaving its elements in place
+   * Each text node is replaced on its own, so a match that runs across
+   * formatting (part of a word in bold) is not found
+   * @returns {number} - Number of text nodes changed
+   */
+  static applyToElement(root, compiled) {
+    if (!root || compiled.length === 0) return 0;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let changed = 0;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = ReplaceRules.applyToText(node.nodeValue, compiled);
+      if (text !== node.nodeValue) {
+        node.nodeValue = text;
+        changed++;
+      }
+    }
+    return changed;
+  }
+}
+
+// Export for use in other modules
+window.ReplaceRules = ReplaceRules;
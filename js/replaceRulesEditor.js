@@ -0,0 +1,197 @@
+/**
+ * Replace Rules Editor for Text Reader Application
+ * Dialog for the display replace rules that apply to the open story, with a
+ * preview of the lines they change in it
+ */
+
+class ReplaceRulesEditor {
+  /**
+   * Maximum number of changed lines listed in the preview
+   */
+  static get PREVIEW_LIMIT() {
+    return 300;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - Rules to edit (see ReplaceRules)
+   * @param {string} options.bookId - Book that 'This book' rules are saved for
+   * @param {string} options.storyId - Story that 'This story' rules are saved for
+   * @param {string} options.sampleText - Text the preview runs against
+   */
+  constructor(options = {}) {
+    this.rules = ReplaceRules.normalize(options.rules || []);
+    this.bookId = options.bookId || null;
+    this.storyId = options.storyId || null;
+    this.sampleText = options.sampleText || '';
+    this.element = null;
+    this.refreshPreview = window.debounce(() => this.renderPreview(), 250);
+  }
+
+  /**
+   * Show the editor in a dialog
+   * @param {Object} options - Constructor options plus title, message and buttons
+   *   for iosModal.dialog
+   * @returns {Promise<{action: *, rules: Array}>} - action is the clicked button's
+   *   value (null when dismissed), rules the edited rules
+   */
+  static async open(options = {}) {
+    const editor = new ReplaceRulesEditor(options);
+    const action = await window.iosModal.dialog({
+      title: options.title || 'Replace Rules',
+      message: options.message || '',
+      content: editor.render(),
+      buttons: options.buttons,
+      wide: true
+    });
+    return { action, rules: ReplaceRules.normalize(editor.rules) };
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'replace-rules-editor';
+    this.element.innerHTML = `
+      <div class="replace-rules-list"></div>
+      <div class="replace-rules-toolbar">
+        <button type="button" class="btn btn-sm btn-outline-primary replace-rules-add">
+          <i class="fas fa-plus"></i> Add Rule
+        </button>
+      </div>
+      <div class="replace-rules-preview-header"></div>
+      <ol class="replace-rules-preview"></ol>
+    `;
+
+    this.element.querySelector('.replace-rules-add').addEventListener('click', () => {
+      this.rules.push({ find: '', replace: '', regex: false, flags: '', enabled: true, scope: 'book', targetId: this.bookId });
+      this.renderRules();
+      const inputs = this.element.querySelectorAll('.replace-rule-find');
+      inputs[inputs.length - 1].focus();
+    });
+
+    this.renderRules();
+    this.renderPreview();
+    return this.element;
+  }
+
+  /**
+   * Rebuild the rule rows (after adding or removing one)
+   */
+  renderRules() {
+    const list = this.element.querySelector('.replace-rules-list');
+    list.innerHTML = '';
+
+    if (this.rules.length === 0) {
+      list.innerHTML = '<div class="replace-rules-empty">No replace rules for this story yet</div>';
+    }
+
+    this.rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'replace-rule-row';
+      row.innerHTML = `
+        <div class="replace-rule-fields">
+          <input type="checkbox" class="form-check-input replace-rule-enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+          <input type="text" class="form-control form-control-sm replace-rule-find" spellcheck="false"
+            placeholder="Find" value="${window.escapeHtml(rule.find)}">
+          <i class="fas fa-arrow-right replace-rule-arrow"></i>
+          <input type="text" class="form-control form-control-sm replace-rule-replace" spellcheck="false"
+            placeholder="Replace with" value="${window.escapeHtml(rule.replace || '')}">
+          <button type="button" class="btn btn-sm btn-link text-danger replace-rule-remove" title="Remove">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <div class="replace-rule-options">
+          <label class="form-check-label"><input type="checkbox" class="form-check-input replace-rule-regex" ${rule.regex ? 'checked' : ''}> Regex</label>
+          <input type="text" class="form-control form-control-sm replace-rule-flags" spellcheck="false"
+            placeholder="flags" maxlength="4" title="Flags, e.g. i for case-insensitive" value="${window.escapeHtml(rule.flags || '')}">
+          <select class="form-select form-select-sm replace-rule-scope">
+            ${Object.entries(ReplaceRules.SCOPES).map(([scope, label]) =>
+              `<option value="${scope}" ${rule.scope === scope ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="replace-rule-error"></div>
+      `;
+
+      row.querySelector('.replace-rule-enabled').addEventListener('change', (e) => {
+        rule.enabled = e.target.checked;
+        this.refreshPreview();
+      });
+      row.querySelector('.replace-rule-find').addEventListener('input', (e) => {
+        rule.find = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.replace-rule-replace').addEventListener('input', (e) => {
+        rule.replace = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.replace-rule-regex').addEventListener('change', (e) => {
+        rule.regex = e.target.checked;
+        this.refreshPreview();
+      });
+      row.querySelector('.replace-rule-flags').addEventListener('input', (e) => {
+        rule.flags = e.target.value;
+        this.refreshPreview();
+      });
+      row.querySelector('.replace-rule-scope').addEventListener('change', (e) => {
+        rule.scope = e.target.value;
+        rule.targetId = { global: null, book: this.bookId, story: this.storyId }[rule.scope];
+      });
+      row.querySelector('.replace-rule-remove').addEventListener('click', () => {
+        this.rules.splice(index, 1);
+        this.renderRules();
+        this.renderPreview();
+      });
+
+      list.appendChild(row);
+    });
+
+    this.renderRuleStatus();
+  }
+
+  /**
+   * Show validation errors on the rule rows
+   */
+  renderRuleStatus() {
+    const rows = this.element.querySelectorAll('.replace-rule-row');
+    this.rules.forEach((rule, index) => {
+      const row = rows[index];
+      if (!row) return;
+
+      const error = rule.find ? ReplaceRules.validate(rule) : null;
+      row.classList.toggle('is-invalid', error !== null);
+      row.querySelector('.replace-rule-error').textContent = error || '';
+    });
+  }
+
+  /**
+   * Run the rules over the sample and list the lines they change
+   */
+  renderPreview() {
+    this.renderRuleStatus();
+
+    const compiled = ReplaceRules.compile(this.rules);
+    const changes = [];
+    let linesChanged = 0;
+    if (compiled.length > 0) {
+      this.sampleText.split('\n').forEach((line, lineIndex) => {
+        const after = ReplaceRules.applyToText(line, compiled);
+        if (after === line) return;
+        linesChanged++;
+        if (changes.length < ReplaceRulesEditor.PREVIEW_LIMIT) {
+          changes.push({ lineIndex, after });
+        }
+      });
+    }
+
+    this.element.querySelector('.replace-rules-preview-header').textContent =
+      `${linesChanged} lines changed in this story`;
+
+    this.element.querySelector('.replace-rules-preview').innerHTML = changes.map(change => `
+      <li>
+        <span class="replace-rules-preview-line">${change.lineIndex + 1}</span>${window.escapeHtml(change.after.trim())}
+      </li>
+    `).join('');
+  }
+}
+
+// Export for use in other modules
+window.ReplaceRulesEditor = ReplaceRulesEditor;
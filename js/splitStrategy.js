@@ -0,0 +1,243 @@
+/**
+ * Split Strategy for Text Reader Application
+ * How an imported text is cut into stories (parts); the default for new
+ * imports is saved in localStorage and each book keeps the strategy it was
+ * imported with (book.splitStrategy) so it can be applied again later
+ *
+ * A strategy is { type, value } where type is one of SplitStrategy.TYPES and
+ * value is the number of chapters, lines or kilobytes per part
+ */
+
+class SplitStrategy {
+  static get STORAGE_KEY() {
+    return 'splitStrategy';
+  }
+
+  /**
+   * Strategy types; those with a unit take a numeric value
+   */
+  static get TYPES() {
+    return {
+      auto: { label: 'Automatic', description: 'Every 50 chapters for books numbered past chapter 50, otherwise every 5000 lines' },
+      none: { label: 'No splitting', description: 'Keep the whole book in one part' },
+      chapters: { label: 'Chapters per part', description: 'Whole chapters, a fixed number per part', unit: 'chapters', defaultValue: 50, min: 1 },
+      lines: { label: 'Lines per part', description: 'A fixed number of lines per part, ignoring chapters', unit: 'lines', defaultValue: 5000, min: 100 },
+      size: { label: 'Target part size', description: 'Whole chapters packed into parts of about this size', unit: 'KB', defaultValue: 512, min: 16 },
+      volume: { label: 'At volume headings', description: 'Start a new part at each 第X卷 heading; books without volumes are not split' }
+    };
+  }
+
+  /**
+   * Headings that open a volume rather than a chapter
+   */
+  static get VOLUME_PATTERN() {
+    return /^(第\s*[一二三四五六七八九十百千万零壹贰貳叁叄肆伍陆陸柒捌玖拾佰仟萬\d]+\s*[卷部]|卷\s*[一二三四五六七八九十百千万零\d]+|Volume\s+\w+|Book\s+[IVXLCDM\d]+\b)/i;
+  }
+
+  static defaultStrategy() {
+    return { type: 'auto', value: null };
+  }
+
+  /**
+   * Default strategy for new imports
+   */
+  static load() {
+    try {
+      return SplitStrategy.normalize(JSON.parse(localStorage.getItem(SplitStrategy.STORAGE_KEY)));
+    } catch (e) {
+      // Corrupt setting, fall back to the default
+      return SplitStrategy.defaultStrategy();
+    }
+  }
+
+  static save(strategy) {
+    localStorage.setItem(SplitStrategy.STORAGE_KEY, JSON.stringify(SplitStrategy.normalize(strategy)));
+  }
+
+  /**
+   * Strategy a book was imported with, or the current default for older books
+   */
+  static forBook(book) {
+    if (book && book.splitStrategy) {
+      return SplitStrategy.normalize(book.splitStrategy);
+    }
+    return SplitStrategy.load();
+  }
+
+  /**
+   * Fill in or correct the value for the strategy's type
+   */
+  static normalize(strategy) {
+    const type = strategy && SplitStrategy.TYPES[strategy.type] ? strategy.type : 'auto';
+    const info = SplitStrategy.TYPES[type];
+    if (!info.unit) {
+      return { type, value: null };
+    }
+
+    const value = parseInt(strategy.value, 10);
+    return { type, value: Number.isFinite(value) ? Math.max(value, info.min) : info.defaultValue };
+  }
+
+  /**
+   * Short human-readable summary, e.g. "100 chapters per part"
+   */
+  static describe(strategy) {
+    const { type, value } = SplitStrategy.normalize(strategy);
+    switch (type) {
+      case 'chapters': return `${value} chapters per part`;
+      case 'lines': return `${value} lines per part`;
+      case 'size': return `About ${value} KB per part`;
+      default: return SplitStrategy.TYPES[type].label;
+    }
+  }
+
+  static isVolumeHeading(title) {
+    return SplitStrategy.VOLUME_PATTERN.test(title.trim());
+  }
+
+  /**
+   * Number of bytes a string takes in UTF-8, without encoding it
+   */
+  static utf8Length(text) {
+    let length = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code < 0x80) length += 1;
+      else if (code < 0x800) length += 2;
+      // Each half of a surrogate pair counts 2, making 4 for the pair
+      else if (code >= 0xD800 && code <= 0xDFFF) length += 2;
+      else length += 3;
+    }
+    return length;
+  }
+
+  /**
+   * Cut a text into parts
+   * New imports with the 'auto' strategy go through LocalFileProcessor's own
+   * chapter-number and line-count splitting; the 'auto' case here follows the
+   * same rules for re-splitting an existing book
+   * @param {string[]} lines - Lines of the whole text
+   * @param {Array<{lineIndex: number, title: string}>} chapterBoundaries - Headings, in order
+   * @param {Object} strategy - { type, value }
+   * @returns {Array<{startLine: number, endLine: number}>} - Consecutive line ranges
+   *   [startLine, endLine) covering every line; text before the first heading
+   *   stays in the first part
+   */
+  static computeParts(lines, chapterBoundaries, strategy) {
+    const { type, value } = SplitStrategy.normalize(strategy);
+    let cuts = [];
+
+    switch (type) {
+      case 'auto': {
+        const last = chapterBoundaries[chapterBoundaries.length - 1];
+        const lastChapterNum = last ? window.extractChapterNumber(last.title) : null;
+        if (lastChapterNum !== null && lastChapterNum > 50) {
+          // After chapters numbered at multiples of 50
+          for (let i = 0; i + 1 < chapterBoundaries.length; i++) {
+            const chapterNum = window.extractChapterNumber(chapterBoundaries[i].title);
+            if (chapterNum !== null && chapterNum % 50 === 0) {
+              cuts.push(chapterBoundaries[i + 1].lineIndex);
+            }
+          }
+        } else {
+          for (let line = LocalFileProcessor.LINES_PER_CHUNK; line < lines.length; line += LocalFileProcessor.LINES_PER_CHUNK) {
+            cuts.push(line);
+          }
+        }
+        break;
+      }
+
+      case 'chapters':
+        for (let i = value; i < chapterBoundaries.length; i += value) {
+          cuts.push(chapterBoundaries[i].lineIndex);
+        }
+        break;
+
+      case 'lines':
+        for (let line = value; line < lines.length; line += value) {
+          cuts.push(line);
+        }
+        break;
+
+      case 'volume':
+        // Text before the first heading stays with the first volume
+        cuts = chapterBoundaries
+          .filter((chapter, index) => index > 0 && SplitStrategy.isVolumeHeading(chapter.title))
+          .map(chapter => chapter.lineIndex);
+        break;
+
+      case 'size':
+        cuts = SplitStrategy.computeSizeCuts(lines, chapterBoundaries, value * 1024);
+        break;
+    }
+
+    const parts = [];
+    let startLine = 0;
+    for (const cut of cuts) {
+      if (cut <= startLine || cut >= lines.length) continue;
+      parts.push({ startLine, endLine: cut });
+      startLine = cut;
+    }
+    parts.push({ startLine, endLine: lines.length });
+    return parts;
+  }
+
+  /**
+   * Pack whole chapters (or single lines when there are none) into parts of
+   * at most targetBytes; a chapter larger than the target gets a part of its own
+   */
+  static computeSizeCuts(lines, chapterBoundaries, targetBytes) {
+    const segmentStarts = chapterBoundaries.length > 0
+      ? [0, ...chapterBoundaries.map(chapter => chapter.lineIndex).filter(lineIndex => lineIndex > 0)]
+      : lines.map((line, index) => index);
+
+    const cuts = [];
+    let partBytes = 0;
+    for (let s = 0; s < segmentStarts.length; s++) {
+      const start = segmentStarts[s];
+      const end = s + 1 < segmentStarts.length ? segmentStarts[s + 1] : lines.length;
+      let segmentBytes = 0;
+      for (let i = start; i < end; i++) {
+        segmentBytes += SplitStrategy.utf8Length(lines[i]) + 1;
+      }
+
+      if (partBytes > 0 && partBytes + segmentBytes > targetBytes) {
+        cuts.push(start);
+        partBytes = 0;
+      }
+      partBytes += segmentBytes;
+    }
+    return cuts;
+  }
+
+  /**
+   * Title for a part: its volume heading when splitting by volume, its
+   * chapter range when it has headings, else its line range
+   * @param {Object} options
+   * @param {string} options.bookName
+   * @param {Array<{title: string, chapterIndex: number}>} options.headings - The part's
+   *   headings; chapterIndex is the heading's position in the whole book
+   * @param {number} options.startLine - First line of the part in the whole book
+   * @param {number} options.endLine - Line after the part
+   * @param {Object} options.strategy
+   */
+  static partTitle(options) {
+    const { bookName, headings, startLine, endLine, strategy } = options;
+
+    if (headings.length > 0) {
+      const first = headings[0];
+      if (strategy && strategy.type === 'volume' && SplitStrategy.isVolumeHeading(first.title)) {
+        return first.title;
+      }
+      const last = headings[headings.length - 1];
+      const startChapterNum = window.extractChapterNumber(first.title) || (first.chapterIndex + 1);
+      const endChapterNum = window.extractChapterNumber(last.title) || (last.chapterIndex + 1);
+      return `第 ${startChapterNum} ~ ${endChapterNum} 章`;
+    }
+
+    return `${bookName} (${startLine + 1} ~ ${endLine})`;
+  }
+}
+
+// Export for use in other modules
+window.SplitStrategy = SplitStrategy;
@@ -0,0 +1,89 @@
+/**
+ * Split Strategy Panel for Text Reader Application
+ * Dialog for choosing how imported texts are cut into parts
+ */
+
+class SplitStrategyPanel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.strategy - Strategy to start from ({ type, value })
+   */
+  constructor(options = {}) {
+    this.strategy = SplitStrategy.normalize(options.strategy);
+    this.element = null;
+  }
+
+  /**
+   * Show the panel in a dialog
+   * @param {Object} options - Constructor options plus title, message and buttons
+   *   for iosModal.dialog
+   * @returns {Promise<{action: *, strategy: Object}>} - action is the clicked button's
+   *   value (null when dismissed), strategy the chosen strategy
+   */
+  static async open(options = {}) {
+    const panel = new SplitStrategyPanel(options);
+    const action = await window.iosModal.dialog({
+      title: options.title || 'Splitting',
+      message: options.message || '',
+      content: panel.render(),
+      buttons: options.buttons
+    });
+    return { action, strategy: panel.getStrategy() };
+  }
+
+  getStrategy() {
+    const selected = this.element.querySelector('.split-strategy-type:checked');
+    const type = selected ? selected.value : 'auto';
+    const valueInput = this.element.querySelector(`.split-strategy-value[data-type="${type}"]`);
+    return SplitStrategy.normalize({ type, value: valueInput ? valueInput.value : null });
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'split-strategy-panel';
+
+    const types = SplitStrategy.TYPES;
+    this.element.innerHTML = Object.keys(types).map(type => {
+      const info = types[type];
+      const checked = type === this.strategy.type;
+      const value = checked && this.strategy.value !== null ? this.strategy.value : info.defaultValue;
+      return `
+        <label class="split-strategy-option">
+          <input type="radio" name="splitStrategyType" class="form-check-input split-strategy-type"
+            value="${type}" ${checked ? 'checked' : ''}>
+          <span class="split-strategy-text">
+            <span class="split-strategy-label">${info.label}</span>
+            <span class="split-strategy-description">${window.escapeHtml(info.description)}</span>
+          </span>
+          ${info.unit ? `
+            <span class="split-strategy-amount">
+              <input type="number" class="form-control form-control-sm split-strategy-value" data-type="${type}"
+                min="${info.min}" value="${value}" ${checked ? '' : 'disabled'}>
+              <span class="split-strategy-unit">${info.unit}</span>
+            </span>
+          ` : ''}
+        </label>
+      `;
+    }).join('');
+
+    this.element.querySelectorAll('.split-strategy-type').forEach(radio => {
+      radio.addEventListener('change', () => this.updateInputs());
+    });
+
+    return this.element;
+  }
+
+  /**
+   * Only the selected strategy's amount can be edited
+   */
+  updateInputs() {
+    const selected = this.element.querySelector('.split-strategy-type:checked');
+    this.element.querySelectorAll('.split-strategy-value').forEach(input => {
+      input.disabled = !selected || input.dataset.type !== selected.value;
+      if (!input.disabled) input.focus();
+    });
+  }
+}
+
+// Export for use in other modules
+window.SplitStrategyPanel = SplitStrategyPanel;
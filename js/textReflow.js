@@ -0,0 +1,175 @@
+/**
+ * Text Reflow for Text Reader Application
+ * Rejoins text files that were hard-wrapped at a fixed width (scans, old
+ * e-text conversions) into one line per paragraph, so each paragraph becomes
+ * one chapter-content-row and read-aloud does not pause mid-sentence
+ *
+ * The import option is one of TextReflow.MODES and is saved in localStorage;
+ * 'auto' reflows only texts whose line lengths look hard-wrapped
+ */
+
+class TextReflow {
+  static get STORAGE_KEY() {
+    return 'reflowLines';
+  }
+
+  static get MODES() {
+    return {
+      auto: 'Automatic',
+      always: 'Always',
+      never: 'Never'
+    };
+  }
+
+  /**
+   * Fewest non-blank lines needed to judge the line-length distribution
+   */
+  static get MIN_SAMPLE_LINES() {
+    return 20;
+  }
+
+  /**
+   * Range of wrap widths (in characters) that count as hard-wrapped
+   */
+  static get MIN_WRAP_WIDTH() {
+    return 20;
+  }
+
+  static get MAX_WRAP_WIDTH() {
+    return 100;
+  }
+
+  /**
+   * Share of lines that must run to (nearly) the wrap width
+   */
+  static get FULL_LINE_RATIO() {
+    return 0.5;
+  }
+
+  /**
+   * Indentation that marks the first line of a paragraph: full-width spaces,
+   * two or more spaces, or a tab
+   */
+  static get INDENT_PATTERN() {
+    return /^(\u3000|\s{2,}|\t)/;
+  }
+
+  /**
+   * Mode for new imports
+   */
+  static loadMode() {
+    const mode = localStorage.getItem(TextReflow.STORAGE_KEY);
+    return TextReflow.MODES[mode] ? mode : 'auto';
+  }
+
+  static saveMode(mode) {
+    localStorage.setItem(TextReflow.STORAGE_KEY, TextReflow.MODES[mode] ? mode : 'auto');
+  }
+
+  static isCjk(char) {
+    return /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF\u3000-\u303F]/.test(char);
+  }
+
+  /**
+   * Find the width a text was wrapped at
+   * @param {string[]} lines
+   * @returns {number|null} - Wrap width in characters, or null when the lines
+   *   do not look hard-wrapped (too few lines, too long, or too uneven)
+   */
+  static detectWrapWidth(lines) {
+    const lengths = lines
+      .map(line => line.trimEnd().length)
+      .filter(length => length > 0)
+      .sort((a, b) => a - b);
+    if (lengths.length < TextReflow.MIN_SAMPLE_LINES) return null;
+
+    // The wrap width is near the top of the distribution; a few overlong
+    // lines (headings, URLs) are ignored
+    const width = lengths[Math.floor(lengths.length * 0.95) - 1];
+    if (width < TextReflow.MIN_WRAP_WIDTH || width > TextReflow.MAX_WRAP_WIDTH) return null;
+
+    const fullLines = lengths.filter(length => length >= width * 0.85 && length <= width + 2).length;
+    return fullLines / lengths.length >= TextReflow.FULL_LINE_RATIO ? width : null;
+  }
+
+  /**
+   * Join a wrapped line onto the paragraph before it: CJK text joins without
+   * a space, Latin text with one, and a word hyphenated across the break is
+   * joined back together
+   */
+  static join(paragraph, line) {
+    const next = line.trim();
+    const last = paragraph.charAt(paragraph.length - 1);
+    if (TextReflow.isCjk(last) || TextReflow.isCjk(next.charAt(0))) {
+      return paragraph + next;
+    }
+    if (/[a-z]-$/i.test(paragraph) && /^[a-z]/.test(next)) {
+      return paragraph.slice(0, -1) + next;
+    }
+    return paragraph + ' ' + next;
+  }
+
+  /**
+   * Rejoin hard-wrapped lines into paragraphs
+   * A paragraph ends at a blank line, a chapter heading, a line well short of
+   * the wrap width, or before an indented line; headings and blank lines are kept
+   * @param {string} text
+   * @param {Object} options
+   * @param {string} options.mode - One of MODES; 'auto' by default
+   * @param {RegExp[]} options.patterns - Chapter headings, never joined
+   * @returns {{text: string, reflowed: boolean}}
+   */
+  static apply(text, options = {}) {
+    const mode = TextReflow.MODES[options.mode] ? options.mode : 'auto';
+    if (mode === 'never') return { text, reflowed: false };
+
+    const patterns = options.patterns || LocalFileProcessor.CHAPTER_PATTERNS;
+    const lines = text.split('\n');
+    let width = TextReflow.detectWrapWidth(lines);
+    if (width === null) {
+      if (mode === 'auto') return { text, reflowed: false };
+      // Forced: take the longest line as the wrap width
+      width = lines.reduce((max, line) => Math.max(max, line.trimEnd().length), 0);
+    }
+
+    const isHeading = (line) => {
+      const trimmed = line.trim();
+      return patterns.some(pattern => pattern.test(trimmed));
+    };
+
+    const output = [];
+    let paragraph = null;
+    let previousLength = 0;
+    const flush = () => {
+      if (paragraph !== null) output.push(paragraph);
+      paragraph = null;
+    };
+
+    for (const line of lines) {
+      const trimmedEnd = line.trimEnd();
+
+      if (trimmedEnd.trim() === '' || isHeading(trimmedEnd)) {
+        flush();
+        output.push(trimmedEnd);
+        continue;
+      }
+
+      const startsParagraph = paragraph === null ||
+        TextReflow.INDENT_PATTERN.test(trimmedEnd) ||
+        previousLength < width * 0.75;
+      if (startsParagraph) {
+        flush();
+        paragraph = trimmedEnd;
+      } else {
+        paragraph = TextReflow.join(paragraph, trimmedEnd);
+      }
+      previousLength = trimmedEnd.length;
+    }
+    flush();
+
+    return { text: output.join('\n'), reflowed: true };
+  }
+}
+
+// Export for use in other modules
+window.TextReflow = TextReflow;
@@ -24,13 +24,18 @@ const themes = {
 
 /**
  * Escape HTML characters for safe display
+ * String-based so it also works inside the import worker (no DOM there)
  * @param {string} text - Text to escape
  * @returns {string} - Escaped HTML string
  */
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -93,6 +98,16 @@ function extractChapterNumber(title) {
   return null;
 }
 
+/**
+ * Compare file names the way people number them: "2.txt" before "10.txt"
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative, zero or positive, for Array.prototype.sort
+ */
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
 /**
  * Debounce function execution
  * @param {Function} func - Function to debounce
@@ -162,6 +177,7 @@ window.themes = themes;
 window.escapeHtml = escapeHtml;
 window.chineseToArabic = chineseToArabic;
 window.extractChapterNumber = extractChapterNumber;
+window.naturalCompare = naturalCompare;
 window.debounce = debounce;
 window.formatFileSize = formatFileSize;
 window.applyTheme = applyTheme;
@@ -36,6 +36,13 @@ let filteredChapters = [];
 let readingHistory = null;
 let currentBookId = null;
 let allBookStories = [];
+let isEditingChapters = false;
+let chapterEditorSetup = false;
+let fileContentIsHtml = false;
+let activeReplaceRules = [];
+let chineseConversion = 'original';
+let webdavSync = null;
+let lastSavedProgress = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async function() {
@@ -83,8 +90,27 @@ async function initializeViewer() {
     });
   }
 
+  // Load the book's Simplified/Traditional choice
+  const book = currentBookId ? await db.getBookById(currentBookId) : null;
+  chineseConversion = ChineseConverter.forBook(book);
+
+  // Pull reading progress saved on other devices before restoring the
+  // position; this device's changes are pushed in the background
+  if (WebDavSync.isConfigured() && currentBookId) {
+    webdavSync = new WebDavSync(db);
+    try {
+      await webdavSync.pullAndMerge({ bookId: currentBookId, timeout: WebDavSync.OPEN_TIMEOUT });
+    } catch (error) {
+      console.warn('WebDAV sync failed:', error.message);
+    }
+    syncWithWebDav();
+  }
+
   // Load reading history
   readingHistory = await db.getReadingHistory(storyId);
+  lastSavedProgress = readingHistory
+    ? progressKey(readingHistory.lastChapterTitle, readingHistory.lastScrollPosition)
+    : null;
 
   // Load the TXT file content
   await loadFileContent();
@@ -110,12 +136,25 @@ async function initializeViewer() {
     });
   }
 
-  // Save reading progress periodically
-  setInterval(saveReadingProgress, 30000);
+  // Save reading progress periodically, syncing it when it moved (or when
+  // changes are still waiting to be pushed)
+  setInterval(async () => {
+    if (await saveReadingProgress() || WebDavSync.loadQueue()) {
+      syncWithWebDav();
+    }
+  }, 30000);
 
   // Save on page unload
   window.addEventListener('beforeunload', saveReadingProgress);
 
+  // Push progress when the reader is closed or put in the background, and
+  // send queued changes once back online
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') pushProgressOnClose();
+  });
+  window.addEventListener('pagehide', pushProgressOnClose);
+  window.addEventListener('online', () => syncWithWebDav());
+
   // Load saved theme
   const savedTheme = localStorage.getItem('preferredViewerTheme') || 'maize-yello';
   applyTheme(savedTheme);
@@ -229,6 +268,15 @@ async function initializeViewer() {
 
   // Setup pagination click handler
   setupPaginationClickHandler();
+
+  // Setup chapter edit mode
+  setupChapterEditor();
+
+  // Setup display replace rules
+  setupReplaceRules();
+
+  // Setup Simplified/Traditional conversion
+  setupChineseConversion();
 }
 
 function setupPaginationClickHandler() {
@@ -239,6 +287,9 @@ function setupPaginationClickHandler() {
   const BOTTOM_TAP_THRESHOLD = 0.80; // Bottom 20% of screen
 
   function handlePaginationClick(e) {
+    // Taps pick a paragraph to split at while editing chapters
+    if (isEditingChapters) return;
+
     const rect = contentContainer.getBoundingClientRect();
     const clickY = e.clientY - rect.top;
     const containerHeight = rect.height;
@@ -283,7 +334,7 @@ function setupPaginationClickHandler() {
   }, { passive: true });
 
   contentContainer.addEventListener('touchend', function(e) {
-    if (!isInPaginationZone || hasMoved) {
+    if (!isInPaginationZone || hasMoved || isEditingChapters) {
       isInPaginationZone = false;
       hasMoved = false;
       return;
@@ -533,6 +584,8 @@ async function loadStoryById(newStoryId, targetAnchorId, targetChapterTitle) {
     }
 
     fileContent = storyData.processedContent || storyData.content || '';
+    fileContentIsHtml = Boolean(storyData.processedContent);
+    loadReplaceRules();
 
     // Update chapters from new story
     if (storyData.chapters && storyData.chapters.length > 0) {
@@ -547,14 +600,7 @@ async function loadStoryById(newStoryId, targetAnchorId, targetChapterTitle) {
     }
 
     // Render new content
-    const textContent = document.getElementById('textContent');
-    if (textContent) {
-      if (storyData.processedContent) {
-        textContent.innerHTML = fileContent;
-      } else {
-        textContent.textContent = fileContent;
-      }
-    }
+    renderFileContent();
 
     // Update chapter list in sidebar
     updateChaptersList();
@@ -606,6 +652,8 @@ async function loadFileContent() {
     }
 
     fileContent = storyData.processedContent || storyData.content || '';
+    fileContentIsHtml = Boolean(storyData.processedContent);
+    loadReplaceRules();
 
     // Update lastReadStory for the book
     if (currentBookId) {
@@ -636,10 +684,7 @@ async function loadFileContent() {
     }
 
     if (storyData.processedContent) {
-      const textContent = document.getElementById('textContent');
-      if (textContent) {
-        textContent.innerHTML = fileContent;
-      }
+      renderFileContent();
     } else {
       displayCurrentPage();
     }
@@ -675,20 +720,107 @@ function restoreReadingPosition(history) {
       history.lastChapterTitle.includes(ch.title)
     );
 
+    if (!matchingChapter && !history.lastScrollPosition && history.lastRowOffset > 0) {
+      // The chapter started in an earlier story and goes on at the top of this one
+      setTimeout(() => {
+        const row = getChapterRows(null)[history.lastRowOffset];
+        if (row) scrollToElement(row);
+      }, 500);
+    }
+
     if (matchingChapter) {
       currentChapter = {
         id: matchingChapter.id,
         title: matchingChapter.title
       };
       setTimeout(highlightCurrentChapter, 1000);
+
+      // Positions moved over from another story (e.g. after re-splitting a book)
+      // only know the chapter and how far into it the reader was
+      if (!history.lastScrollPosition) {
+        setTimeout(() => {
+          const row = getChapterRows(matchingChapter)[history.lastRowOffset || 0];
+          if (history.lastRowOffset > 0 && row) {
+            scrollToElement(row);
+          } else {
+            scrollToChapter(chapters.indexOf(matchingChapter));
+          }
+        }, 500);
+      }
     }
   }
 }
 
+/**
+ * Paragraph rows of a chapter in the page; without a chapter, the rows at the
+ * top of the story that belong to a chapter begun in an earlier story
+ */
+function getChapterRows(chapter) {
+  let element;
+  if (chapter) {
+    element = chapter.anchorId ? document.getElementById(chapter.anchorId) : null;
+    if (element) element = element.nextElementSibling;
+  } else {
+    const textContent = document.getElementById('textContent');
+    element = textContent ? textContent.firstElementChild : null;
+  }
+  while (element && !element.classList.contains('chapter-content')) {
+    if (element.classList.contains('chapter-anchor')) return [];
+    element = element.nextElementSibling;
+  }
+  return element ? Array.from(element.querySelectorAll('.chapter-content-row')) : [];
+}
+
+/**
+ * Number of the chapter's paragraphs scrolled past the top of the page
+ */
+function getRowOffsetInChapter(chapterTitle) {
+  const contentContainer = document.querySelector('.content-container');
+  const chapter = chapters.find(ch => ch.title === chapterTitle);
+  const rows = getChapterRows(chapter);
+  if (!contentContainer || rows.length === 0) return 0;
+
+  const top = contentContainer.getBoundingClientRect().top;
+  const index = rows.findIndex(row => row.getBoundingClientRect().bottom > top);
+  return index === -1 ? rows.length - 1 : index;
+}
+
+function scrollToElement(element) {
+  const contentContainer = document.querySelector('.content-container');
+  if (!contentContainer) return;
+
+  const containerRect = contentContainer.getBoundingClientRect();
+  const elementRect = element.getBoundingClientRect();
+  contentContainer.scrollTo({
+    top: Math.max(0, contentContainer.scrollTop + (elementRect.top - containerRect.top) - 20),
+    behavior: 'smooth'
+  });
+}
+
+function progressKey(chapterTitle, scrollPosition) {
+  return JSON.stringify([storyId, chapterTitle || '', Math.round(scrollPosition || 0)]);
+}
+
+/**
+ * Save the reading position, unless it is where it was last saved (saving
+ * times the position, and the newest one wins when devices sync)
+ * @returns {Promise<boolean>} - Whether a position was saved
+ */
 async function saveReadingProgress() {
+  const saving = startSavingReadingProgress();
+  return saving ? saving.saved : false;
+}
+
+/**
+ * Start saving the reading position as saveReadingProgress does, without
+ * waiting for the database, so a closing page can push it straight away
+ * @returns {{history: Object, saved: Promise<boolean>}|null} - The record
+ *   being saved, or null if there is nothing to save
+ */
+function startSavingReadingProgress() {
   try {
     const contentContainer = document.querySelector('.content-container');
-    if (!contentContainer) return;
+    if (!contentContainer) return null;
 
     const scrollPosition = contentContainer.scrollTop;
 
@@ -702,16 +834,58 @@ async function saveReadingProgress() {
       }
     }
 
+    const key = progressKey(currentChapterTitle, scrollPosition);
+    if (key === lastSavedProgress) return null;
+
+    const readTime = new Date();
     const historyData = {
       storyId: storyId,
       lastChapterTitle: currentChapterTitle,
-      lastScrollPosition: scrollPosition
+      lastScrollPosition: scrollPosition,
+      lastRowOffset: getRowOffsetInChapter(currentChapterTitle)
     };
 
-    await db.saveReadingHistory(historyData);
+    // Counted as saved at once, so hiding and then closing the page does not
+    // save and push the same position twice
+    const previous = lastSavedProgress;
+    lastSavedProgress = key;
+    const saved = db.saveReadingHistory(historyData, readTime)
+      .then(() => true)
+      .catch(() => {
+        // Silently handle saving errors
+        if (lastSavedProgress === key) lastSavedProgress = previous;
+        return false;
+      });
+    return { history: { ...historyData, lastReadTime: readTime.toISOString() }, saved };
 
   } catch (error) {
     // Silently handle saving errors
+    return null;
+  }
+}
+
+/**
+ * Save the reading position as the page is hidden or closed and push it to
+ * the WebDAV server, if one is set up, without the pull of a full sync
+ */
+function pushProgressOnClose() {
+  const saving = startSavingReadingProgress();
+  if (saving && webdavSync && currentBookId) {
+    webdavSync.pushOnClose(saving.history, { bookId: currentBookId });
+  }
+}
+
+/**
+ * Sync the open book with the WebDAV server, if one is set up
+ * Failures are left for the next sync (the changes stay queued)
+ */
+async function syncWithWebDav(options = {}) {
+  if (!webdavSync || !currentBookId) return;
+
+  try {
+    await webdavSync.sync({ ...options, bookId: currentBookId });
+  } catch (error) {
+    console.warn('WebDAV sync failed:', error.message);
   }
 }
 
@@ -774,6 +948,10 @@ function updateChaptersList() {
   chaptersToShow.forEach((chapter, displayIndex) => {
     const li = document.createElement('li');
     li.className = 'chapter-item';
+    // Sub-chapters of Markdown books (## under #) are indented
+    if (chapter.level > 1) {
+      li.classList.add(`chapter-level-${chapter.level}`);
+    }
 
     // Check if this is a cross-story result
     if (chapter.isCurrentStory === false) {
@@ -781,8 +959,9 @@ function updateChaptersList() {
       li.classList.add('cross-story-chapter');
       li.dataset.storyId = chapter.storyId;
       li.dataset.anchorId = chapter.anchorId;
-      li.innerHTML = `<span class="chapter-title-text">${truncateChapterTitle(chapter.title)}</span><span class="story-indicator">${truncateChapterTitle(chapter.storyTitle)}</span>`;
-      li.title = `${chapter.title} (${chapter.storyTitle})`;
+      const displayTitle = toDisplayText(chapter.title);
+      li.innerHTML = `<span class="chapter-title-text">${truncateChapterTitle(displayTitle)}</span><span class="story-indicator">${truncateChapterTitle(chapter.storyTitle)}</span>`;
+      li.title = `${displayTitle} (${chapter.storyTitle})`;
       li.addEventListener('click', async function() {
         const targetStoryId = chapter.storyId;
         const targetAnchorId = chapter.anchorId;
@@ -795,12 +974,16 @@ function updateChaptersList() {
       // Current story chapter
       const actualIndex = chapter.originalIndex !== undefined ? chapter.originalIndex : chapters.indexOf(chapter);
       li.dataset.index = actualIndex;
-      li.textContent = truncateChapterTitle(chapter.title);
-      li.title = chapter.title;
+      const displayTitle = toDisplayText(chapter.title);
+      li.textContent = truncateChapterTitle(displayTitle);
+      li.title = displayTitle;
       li.addEventListener('click', function() {
         const chapterIndex = parseInt(this.dataset.index);
         scrollToChapter(chapterIndex);
       });
+      if (isEditingChapters) {
+        addChapterEditActions(li, actualIndex);
+      }
     }
 
     chapterList.appendChild(li);
@@ -818,7 +1001,7 @@ function filterChapters(searchTerm) {
 
   // First, search current story's chapters
   const currentStoryResults = chapters.filter((chapter) => {
-    return chapter.title.toLowerCase().includes(term);
+    return chapterTitleMatches(chapter.title, term);
   }).map((chapter) => {
     return {
       ...chapter,
@@ -837,7 +1020,7 @@ function filterChapters(searchTerm) {
 
       if (story.chapters && story.chapters.length > 0) {
         const matchedChapters = story.chapters.filter((ch) => {
-          return ch.title.toLowerCase().includes(term);
+          return chapterTitleMatches(ch.title, term);
         }).map((ch, index) => {
           return {
             title: ch.title,
@@ -859,11 +1042,369 @@ function filterChapters(searchTerm) {
   updateChaptersList();
 }
 
+/**
+ * Chapter edit mode: rename, merge and demote from the sidebar,
+ * split by tapping a paragraph in the text
+ */
+function setupChapterEditor() {
+  if (chapterEditorSetup) return;
+  chapterEditorSetup = true;
+
+  const editChaptersBtn = document.getElementById('editChaptersBtn');
+  if (editChaptersBtn) {
+    editChaptersBtn.addEventListener('click', toggleChapterEditMode);
+  }
+
+  const textContent = document.getElementById('textContent');
+  if (textContent) {
+    textContent.addEventListener('click', function(e) {
+      if (!isEditingChapters) return;
+      const row = e.target.closest('.chapter-content-row');
+      if (row) {
+        splitChapterAtRow(row);
+      }
+    });
+  }
+}
+
+function toggleChapterEditMode() {
+  isEditingChapters = !isEditingChapters;
+
+  const editChaptersBtn = document.getElementById('editChaptersBtn');
+  if (editChaptersBtn) {
+    editChaptersBtn.classList.toggle('active', isEditingChapters);
+    editChaptersBtn.title = isEditingChapters ? 'Done editing chapters' : 'Edit chapters';
+  }
+  document.body.classList.toggle('editing-chapters', isEditingChapters);
+
+  updateChaptersList();
+  highlightCurrentChapter();
+
+  if (isEditingChapters) {
+    window.iosModal.toast({ message: 'Tap a paragraph to start a new chapter there', type: 'info', duration: 3000 });
+  }
+}
+
+function addChapterEditActions(li, chapterIndex) {
+  const titleText = document.createElement('span');
+  titleText.className = 'chapter-title-text';
+  titleText.textContent = li.textContent;
+  li.textContent = '';
+  li.appendChild(titleText);
+
+  const actions = document.createElement('span');
+  actions.className = 'chapter-edit-actions';
+  actions.innerHTML = `
+    <button type="button" class="chapter-edit-btn" data-action="rename" title="Rename">
+      <i class="fas fa-pen"></i>
+    </button>
+    <button type="button" class="chapter-edit-btn" data-action="merge" title="Merge with next chapter"
+      ${chapterIndex >= chapters.length - 1 ? 'disabled' : ''}>
+      <i class="fas fa-compress-alt"></i>
+    </button>
+    <button type="button" class="chapter-edit-btn" data-action="demote" title="Not a chapter heading">
+      <i class="fas fa-times"></i>
+    </button>
+  `;
+
+  actions.querySelectorAll('.chapter-edit-btn').forEach(button => {
+    button.addEventListener('click', function(e) {
+      e.stopPropagation();
+      const action = this.dataset.action;
+      if (action === 'rename') {
+        renameChapter(chapterIndex);
+      } else if (action === 'merge') {
+        mergeChapterWithNext(chapterIndex);
+      } else if (action === 'demote') {
+        demoteChapter(chapterIndex);
+      }
+    });
+  });
+
+  li.classList.add('editing');
+  li.appendChild(actions);
+}
+
+async function renameChapter(chapterIndex) {
+  const chapter = chapters[chapterIndex];
+  if (!chapter) return;
+
+  const title = await window.iosModal.prompt({
+    title: 'Rename Chapter',
+    defaultValue: chapter.title,
+    placeholder: 'Chapter title',
+    confirmText: 'Rename'
+  });
+  if (title === null) return;
+
+  await editStoryChapters(editor => editor.rename(chapterIndex, title));
+}
+
+async function mergeChapterWithNext(chapterIndex) {
+  const chapter = chapters[chapterIndex];
+  const next = chapters[chapterIndex + 1];
+  if (!chapter || !next) return;
+
+  const confirmed = await window.iosModal.confirm({
+    title: 'Merge Chapters',
+    message: `"${next.title}" will be joined to the end of "${chapter.title}" and its heading removed.`,
+    confirmText: 'Merge'
+  });
+  if (!confirmed) return;
+
+  await editStoryChapters(editor => editor.mergeWithNext(chapterIndex));
+}
+
+async function demoteChapter(chapterIndex) {
+  const chapter = chapters[chapterIndex];
+  if (!chapter) return;
+
+  const confirmed = await window.iosModal.confirm({
+    title: 'Remove Heading',
+    message: `"${chapter.title}" will stay in the text as an ordinary line and no longer start a chapter.`,
+    confirmText: 'Remove',
+    destructive: true
+  });
+  if (!confirmed) return;
+
+  await editStoryChapters(editor => editor.demote(chapterIndex));
+}
+
+async function splitChapterAtRow(row) {
+  const textContent = document.getElementById('textContent');
+  const rowIndex = Array.prototype.indexOf.call(textContent.querySelectorAll('.chapter-content-row'), row);
+  const paragraph = row.textContent.trim();
+
+  const title = await window.iosModal.prompt({
+    title: 'Split Chapter',
+    message: `A new chapter will start at "${paragraph.substring(0, 40)}". Leave the title empty to use this line as the heading.`,
+    placeholder: 'New chapter title',
+    confirmText: 'Split'
+  });
+  if (title === null) return;
+
+  await editStoryChapters(editor => {
+    const lineIndex = editor.lineIndexOfRow(rowIndex);
+    // The rendered HTML no longer matches the stored text
+    if (lineIndex === -1 || (editor.lines[lineIndex].trim() !== paragraph &&
+      toDisplayText(editor.lines[lineIndex]).trim() !== paragraph)) {
+      throw new Error('Could not find this paragraph in the story text');
+    }
+    return editor.splitAt(lineIndex, title);
+  });
+}
+
+/**
+ * Apply one chapter edit to the current story, save it and re-render
+ * @param {Function} edit - Called with a ChapterEditor; returns false if nothing changed
+ */
+async function editStoryChapters(edit) {
+  try {
+    const story = await db.getStoryById(storyId);
+    if (!story) {
+      throw new Error('Story not found');
+    }
+
+    const editor = new ChapterEditor(story);
+    if (!edit(editor)) return;
+
+    editor.apply(localFileProcessor);
+    await db.updateStory(story);
+    await updateHistoryChapterTitles(editor.titleChanges);
+
+    renderEditedStory(story, editor.titleChanges);
+    window.iosModal.success('Chapters updated');
+  } catch (error) {
+    console.error('Failed to edit chapters:', error);
+    window.iosModal.error('Failed to edit chapters: ' + error.message);
+  }
+}
+
+/**
+ * Point the saved reading position at the chapter that now holds its text
+ */
+async function updateHistoryChapterTitles(titleChanges) {
+  if (titleChanges.size === 0) return;
+
+  const history = await db.getReadingHistory(storyId);
+  if (history && titleChanges.has(history.lastChapterTitle)) {
+    history.lastChapterTitle = titleChanges.get(history.lastChapterTitle);
+    readingHistory = await db.saveReadingHistory(history);
+  }
+}
+
+/**
+ * Show an edited story in place, keeping the scroll position
+ */
+function renderEditedStory(story, titleChanges) {
+  const contentContainer = document.querySelector('.content-container');
+  const scrollTop = contentContainer ? contentContainer.scrollTop : 0;
+
+  fileContent = story.processedContent;
+  fileContentIsHtml = true;
+  chapters = story.chapters.map((ch, index) => ({
+    id: `chapter_${index}`,
+    title: ch.title,
+    anchorId: ch.anchorId,
+    lineNumber: ch.lineNumber
+  }));
+
+  const bookStoryIndex = allBookStories.findIndex(s => s.id === story.id);
+  if (bookStoryIndex !== -1) {
+    allBookStories[bookStoryIndex] = story;
+  }
+
+  renderFileContent();
+  if (contentContainer) {
+    contentContainer.scrollTop = scrollTop;
+  }
+
+  if (currentChapter && titleChanges.has(currentChapter.title)) {
+    currentChapter = { id: currentChapter.id, title: titleChanges.get(currentChapter.title) };
+  }
+
+  const searchInput = document.getElementById('chapterSearch');
+  filterChapters(searchInput ? searchInput.value : '');
+  highlightCurrentChapter();
+}
+
+/**
+ * Put the story into the page, in the chosen script and with the replace rules applied
+ */
+function renderFileContent() {
+  const textContent = document.getElementById('textContent');
+  if (!textContent) return;
+
+  if (fileContentIsHtml) {
+    textContent.innerHTML = fileContent;
+  } else {
+    textContent.textContent = fileContent;
+  }
+  ChineseConverter.convertElement(textContent, chineseConversion);
+  ReplaceRules.applyToElement(textContent, activeReplaceRules);
+}
+
+/**
+ * Render the story again after a display setting changed, keeping the
+ * scroll position
+ */
+function rerenderFileContent() {
+  const contentContainer = document.querySelector('.content-container');
+  const scrollTop = contentContainer ? contentContainer.scrollTop : 0;
+  renderFileContent();
+  if (contentContainer) {
+    contentContainer.scrollTop = scrollTop;
+  }
+  updateChaptersList();
+  highlightCurrentChapter();
+  // Lines still to be read aloud come from the page, so read the new text
+  if (isSpeaking) {
+    speechTextQueue = getTextForSpeech();
+  }
+}
+
+/**
+ * Compile the replace rules meant for the current story
+ */
+function loadReplaceRules() {
+  activeReplaceRules = ReplaceRules.compile(ReplaceRules.forStory(ReplaceRules.load(), currentBookId, storyId));
+}
+
+/**
+ * Text as shown in the reader, e.g. a chapter title
+ */
+function toDisplayText(text) {
+  return ReplaceRules.applyToText(ChineseConverter.convert(text, chineseConversion), activeReplaceRules);
+}
+
+/**
+ * Search finds a chapter by its stored title and by the title shown
+ */
+function chapterTitleMatches(title, term) {
+  return title.toLowerCase().includes(term) || toDisplayText(title).toLowerCase().includes(term);
+}
+
+function setupReplaceRules() {
+  const replaceRulesBtn = document.getElementById('replaceRulesBtn');
+  if (replaceRulesBtn) {
+    replaceRulesBtn.addEventListener('click', openReplaceRules);
+  }
+}
+
+/**
+ * Edit the replace rules of the current story and show the result in place;
+ * rules of other books and stories are kept as they are
+ */
+async function openReplaceRules() {
+  const allRules = ReplaceRules.load();
+  const story = allBookStories.find(s => s.id === storyId) || await db.getStoryById(storyId);
+
+  const { action, rules } = await ReplaceRulesEditor.open({
+    title: 'Replace Rules',
+    message: 'Applied to the text as it is shown and read aloud; the stored text is not changed.',
+    rules: ReplaceRules.forStory(allRules, currentBookId, storyId),
+    bookId: currentBookId,
+    storyId,
+    sampleText: story ? ChineseConverter.convert(story.content || '', chineseConversion) : '',
+    buttons: [
+      { text: 'Cancel', value: null, role: 'cancel' },
+      { text: 'Save', value: 'save', role: 'primary' }
+    ]
+  });
+
+  if (action !== 'save') return;
+
+  const otherRules = allRules.filter(rule => !ReplaceRules.appliesTo(rule, currentBookId, storyId));
+  ReplaceRules.save([...otherRules, ...rules]);
+  loadReplaceRules();
+  rerenderFileContent();
+  window.iosModal.success('Replace rules saved');
+}
+
+function setupChineseConversion() {
+  document.querySelectorAll('.chinese-conversion-option').forEach(option => {
+    option.addEventListener('click', function(e) {
+      e.preventDefault();
+      setChineseConversion(this.getAttribute('data-mode'));
+    });
+  });
+  updateChineseConversionOptions();
+}
+
+function updateChineseConversionOptions() {
+  document.querySelectorAll('.chinese-conversion-option').forEach(option => {
+    option.classList.toggle('active', option.getAttribute('data-mode') === chineseConversion);
+  });
+}
+
+/**
+ * Show the story in Simplified, Traditional or its original script and
+ * remember the choice for the book
+ */
+async function setChineseConversion(mode) {
+  if (!ChineseConverter.MODES[mode] || mode === chineseConversion) return;
+
+  chineseConversion = mode;
+  updateChineseConversionOptions();
+  rerenderFileContent();
+
+  if (!currentBookId) return;
+  try {
+    const book = await db.getBookById(currentBookId);
+    if (book) {
+      book.chineseConversion = mode === 'original' ? null : mode;
+      await db.updateBook(book);
+    }
+  } catch (error) {
+    console.error('Failed to save Chinese conversion:', error);
+  }
+}
+
 function displayCurrentPage() {
   const textContent = document.getElementById('textContent');
 
   if (textContent) {
-    textContent.textContent = fileContent;
+    renderFileContent();
     textContent.style.fontSize = '18px';
   }
 
@@ -1057,6 +1598,9 @@ function navigateWithinChapter(direction) {
 
 // Keyboard navigation
 document.addEventListener('keydown', function(e) {
+  // Leave keys alone while typing in the search box or a dialog
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
   switch(e.key) {
     case 'ArrowLeft':
       e.preventDefault();
@@ -1587,7 +2131,7 @@ function startSpeech() {
 function setupMediaSession() {
   if ('mediaSession' in navigator) {
     // Get current chapter or default title
-    const title = currentChapter ? currentChapter.title : 'Text Reader';
+    const title = currentChapter ? toDisplayText(currentChapter.title) : 'Text Reader';
     const storyTitle = document.title || 'Reading';
 
     // Create Safari compass icon as data URL for Dynamic Island
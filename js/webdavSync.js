@@ -0,0 +1,368 @@
+/**
+ * WebDAV Sync for Text Reader Application
+ * Optional sync of reading positions, book details and settings through a
+ * WebDAV server the user configures (Nextcloud, `rclone serve webdav`, ...)
+ *
+ * The server holds one LibrarySync document (text-reader-sync.json) shared by
+ * every device. A sync pulls it, merges it into the library (the latest
+ * lastReadTime wins for reading positions, the latest update for book
+ * details) and writes it back combined with this device's records, using the
+ * file's ETag so two devices saving at once do not overwrite each other
+ *
+ * Changes that could not be pushed (offline, server down) are queued in
+ * localStorage and sent with the next sync that reaches the server. A page
+ * being closed has no time for a sync, so the reader queues its position and
+ * writes it over the server's copy as last seen (see pushOnClose)
+ *
+ * The server must allow cross-origin requests from the page (CORS) with the
+ * PROPFIND method, the Authorization, Content-Type, Depth and If-Match
+ * headers, and expose ETag
+ */
+
+class WebDavSync {
+  static get CONFIG_KEY() {
+    return 'webdavSync';
+  }
+
+  static get QUEUE_KEY() {
+    return 'webdavSyncQueue';
+  }
+
+  static get FILE_NAME() {
+    return 'text-reader-sync.json';
+  }
+
+  /**
+   * Milliseconds a request may take before the sync gives up
+   */
+  static get TIMEOUT() {
+    return 15000;
+  }
+
+  /**
+   * Milliseconds the reader waits for the server before opening a story
+   * without the latest progress from other devices
+   */
+  static get OPEN_TIMEOUT() {
+    return 5000;
+  }
+
+  /**
+   * Largest body browsers send with keepalive (the request outlives the page)
+   */
+  static get KEEPALIVE_LIMIT() {
+    return 65536;
+  }
+
+  /**
+   * Saved connection settings: { enabled, url, username, password }
+   * The password is kept in localStorage like the other settings; an app
+   * password is the safer choice where the server offers them
+   */
+  static loadConfig() {
+    const config = { enabled: false, url: '', username: '', password: '' };
+    try {
+      const saved = JSON.parse(localStorage.getItem(WebDavSync.CONFIG_KEY));
+      if (saved && typeof saved === 'object') {
+        Object.keys(config).forEach(key => {
+          if (saved[key] !== undefined) config[key] = saved[key];
+        });
+      }
+    } catch (e) {
+      // Corrupt setting, sync stays off
+    }
+    return config;
+  }
+
+  static saveConfig(config) {
+    localStorage.setItem(WebDavSync.CONFIG_KEY, JSON.stringify({
+      enabled: config.enabled === true,
+      url: (config.url || '').trim(),
+      username: config.username || '',
+      password: config.password || ''
+    }));
+  }
+
+  /**
+   * Return an error message for a server address, or null if it can be used
+   */
+  static validateUrl(url) {
+    if (!url) {
+      return 'Server address is empty';
+    }
+    if (!/^https?:\/\/[^/]+/i.test(url)) {
+      return 'Server address must start with http:// or https://';
+    }
+    return null;
+  }
+
+  static isConfigured(config = WebDavSync.loadConfig()) {
+    return config.enabled === true && WebDavSync.validateUrl(config.url) === null;
+  }
+
+  static folderUrl(config) {
+    return `${config.url.trim().replace(/\/+$/, '')}/`;
+  }
+
+  static fileUrl(config) {
+    return `${WebDavSync.folderUrl(config)}${WebDavSync.FILE_NAME}`;
+  }
+
+  static authorization(config) {
+    if (!config.username && !config.password) return null;
+    // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+    const bytes = new TextEncoder().encode(`${config.username}:${config.password}`);
+    return 'Basic ' + btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+  }
+
+  /**
+   * Changes waiting to be pushed, as a sync document (null if none)
+   */
+  static loadQueue() {
+    try {
+      const queued = JSON.parse(localStorage.getItem(WebDavSync.QUEUE_KEY));
+      LibrarySync.validate(queued);
+      return queued;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static saveQueue(data) {
+    localStorage.setItem(WebDavSync.QUEUE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * @param {Object|null} sent - The queue as it was sent; changes queued since
+   *   are kept for the next sync
+   */
+  static clearQueue(sent) {
+    if (localStorage.getItem(WebDavSync.QUEUE_KEY) === JSON.stringify(sent)) {
+      localStorage.removeItem(WebDavSync.QUEUE_KEY);
+    }
+  }
+
+  /**
+   * @param {TextReaderDB} db
+   * @param {Object} config - Connection settings (the saved ones by default)
+   */
+  constructor(db, config = WebDavSync.loadConfig()) {
+    this.db = db;
+    this.config = config;
+    this.librarySync = new LibrarySync(db);
+    this.running = null;
+    // The server's document and ETag as last pulled or written, null if unknown
+    this.remote = null;
+  }
+
+  /**
+   * @param {string} method
+   * @param {Object} options - { url (the sync file by default), headers, body,
+   *   timeout, keepalive }
+   */
+  async request(method, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const authorization = WebDavSync.authorization(this.config);
+    if (authorization) headers.Authorization = authorization;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout || WebDavSync.TIMEOUT);
+    try {
+      return await fetch(options.url || WebDavSync.fileUrl(this.config), {
+        method,
+        headers,
+        body: options.body,
+        cache: 'no-store',
+        credentials: 'omit',
+        keepalive: options.keepalive === true,
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? 'The server did not answer in time' : 'Cannot reach the server');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static responseError(response) {
+    if (response.status === 401 || response.status === 403) {
+      return new Error('The server refused the user name or password');
+    }
+    if (response.status === 404 || response.status === 409) {
+      return new Error('The server folder does not exist');
+    }
+    return new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+  }
+
+  /**
+   * Read the server's sync document
+   * @returns {Promise<{data: Object|null, etag: string|null}>} - data is null when
+   *   no device has synced yet
+   */
+  async pull(options = {}) {
+    const response = await this.request('GET', { timeout: options.timeout });
+    if (response.status === 404) {
+      this.remote = { data: null, etag: null };
+      return this.remote;
+    }
+    if (!response.ok) {
+      throw WebDavSync.responseError(response);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (e) {
+      throw new Error(`${WebDavSync.FILE_NAME} on the server is not a sync file`);
+    }
+    LibrarySync.validate(data);
+    this.remote = { data, etag: response.headers.get('ETag') };
+    return this.remote;
+  }
+
+  /**
+   * Write the sync document, only if the server's copy is still the one pulled
+   * @param {Object} options
+   * @param {boolean} options.keepalive - Let the write finish after the page
+   *   is closed (documents over KEEPALIVE_LIMIT are written normally)
+   * @param {number} options.timeout
+   * @returns {Promise<boolean>} - false when another device wrote it in between
+   */
+  async push(data, etag, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (etag) headers['If-Match'] = etag;
+
+    const body = JSON.stringify(data);
+    const keepalive = options.keepalive === true &&
+      new TextEncoder().encode(body).length <= WebDavSync.KEEPALIVE_LIMIT;
+    const response = await this.request('PUT', { timeout: options.timeout, headers, body, keepalive });
+    if (response.status === 412) {
+      this.remote = null;
+      return false;
+    }
+    if (!response.ok) {
+      throw WebDavSync.responseError(response);
+    }
+    const newEtag = response.headers.get('ETag');
+    this.remote = newEtag ? { data, etag: newEtag } : null;
+    return true;
+  }
+
+  /**
+   * Pull, merge and push; a sync already running is joined instead of
+   * started again
+   * @param {Object} options
+   * @param {string} options.bookId - Only sync this book (the open one in the
+   *   reader); settings are always synced
+   * @param {number} options.timeout - Per request, TIMEOUT by default
+   * @returns {Promise<Object>} - LibrarySync.merge's result plus pushed (whether
+   *   the server's copy was written)
+   */
+  sync(options = {}) {
+    if (!this.running) {
+      this.running = this.runSync(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runSync(options) {
+    const queued = WebDavSync.loadQueue();
+    const local = LibrarySync.combine(queued,
+      await this.librarySync.createSyncData({ bookId: options.bookId }));
+
+    try {
+      // Retry once if another device writes between our pull and push
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const { data: remote, etag } = await this.pull(options);
+        const result = await this.mergeRemote(remote, options);
+
+        const combined = LibrarySync.combine(remote, local);
+        const unchanged = (data) => JSON.stringify({ ...data, exportedAt: null });
+        if (remote && unchanged(remote) === unchanged(combined)) {
+          WebDavSync.clearQueue(queued);
+          return { ...result, pushed: false };
+        }
+
+        if (await this.push(combined, etag, options)) {
+          WebDavSync.clearQueue(queued);
+          return { ...result, pushed: true };
+        }
+      }
+      throw new Error('Another device kept changing the sync file, try again');
+    } catch (error) {
+      WebDavSync.saveQueue(LibrarySync.combine(WebDavSync.loadQueue(), local));
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a reading position saved as the page is hidden or closed, then
+   * write it at once (with keepalive) combined with the server's copy as last
+   * seen, instead of pulling first: a closing page has no time to. The
+   * request is sent before this returns; if another device wrote the file
+   * since, or the page is gone before the answer, the position stays queued
+   * for the next sync
+   * @param {Object} history - The reading history record being saved
+   * @param {Object} options
+   * @param {string} options.bookId - The book of the story read
+   */
+  pushOnClose(history, options = {}) {
+    const position = this.librarySync.createHistorySyncData(options.bookId, history);
+    if (!position) return;
+
+    const queued = LibrarySync.combine(WebDavSync.loadQueue(), position);
+    WebDavSync.saveQueue(queued);
+    if (!this.remote) return;
+
+    this.push(LibrarySync.combine(this.remote.data, queued), this.remote.etag, { keepalive: true })
+      .then(pushed => {
+        if (pushed) WebDavSync.clearQueue(queued);
+      })
+      .catch(error => {
+        console.warn('WebDAV sync failed:', error.message);
+      });
+  }
+
+  /**
+   * Pull and merge without pushing, for when the latest progress is needed
+   * before going on (the reader opening a book) and the push can follow in
+   * the background; a sync already running is waited for instead
+   * @param {Object} options - As for sync
+   * @returns {Promise<Object>} - LibrarySync.merge's result
+   */
+  async pullAndMerge(options = {}) {
+    if (this.running) return this.running;
+    const { data: remote } = await this.pull(options);
+    return this.mergeRemote(remote, options);
+  }
+
+  async mergeRemote(remote, options) {
+    if (!remote) {
+      return { booksUpdated: 0, booksNotFound: 0, positionsUpdated: 0, settingsUpdated: 0 };
+    }
+    return this.librarySync.merge(remote, { bookId: options.bookId });
+  }
+
+  /**
+   * Check a connection: the folder must exist and any sync file in it be
+   * readable
+   * @returns {Promise<boolean>} - Whether the folder holds a sync file yet
+   */
+  async test() {
+    const response = await this.request('PROPFIND', {
+      url: WebDavSync.folderUrl(this.config),
+      headers: { Depth: '0' }
+    });
+    if (!response.ok) {
+      throw WebDavSync.responseError(response);
+    }
+
+    const { data } = await this.pull();
+    return data !== null;
+  }
+}
+
+// Export for use in other modules
+window.WebDavSync = WebDavSync;
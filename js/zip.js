@@ -0,0 +1,301 @@
+/**
+ * ZIP Archive Support for Text Reader Application
+ * Reads ZIP containers (EPUB, DOCX, .zip bundles) entirely in the browser,
+ * and writes them for exported books
+ */
+
+class ZipReader {
+  constructor(arrayBuffer) {
+    this.buffer = arrayBuffer;
+    this.view = new DataView(arrayBuffer);
+    this.bytes = new Uint8Array(arrayBuffer);
+    this.entries = this.readCentralDirectory();
+  }
+
+  /**
+   * Create a reader from a File or Blob
+   */
+  static async fromFile(file) {
+    const arrayBuffer = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (event) => resolve(event.target.result);
+      reader.onerror = (error) => reject(error);
+      reader.readAsArrayBuffer(file);
+    });
+
+    return new ZipReader(arrayBuffer);
+  }
+
+  /**
+   * Decode an entry name, falling back to GBK for archives created
+   * by Chinese Windows tools that do not set the UTF-8 flag
+   */
+  static decodeFileName(nameBytes, isUtf8) {
+    if (!isUtf8) {
+      try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(nameBytes);
+      } catch (e) {
+        try {
+          return new TextDecoder('gbk').decode(nameBytes);
+        } catch (gbkError) {
+          // GBK decoder unavailable
+        }
+      }
+    }
+    return new TextDecoder('utf-8').decode(nameBytes);
+  }
+
+  /**
+   * Locate the end of central directory record and parse all entries
+   */
+  readCentralDirectory() {
+    const minEocdSize = 22;
+    const maxCommentSize = 0xFFFF;
+    const searchStart = Math.max(0, this.bytes.length - minEocdSize - maxCommentSize);
+
+    let eocdOffset = -1;
+    for (let i = this.bytes.length - minEocdSize; i >= searchStart; i--) {
+      if (this.view.getUint32(i, true) === 0x06054b50) {
+        eocdOffset = i;
+        break;
+      }
+    }
+
+    if (eocdOffset === -1) {
+      throw new Error('Invalid ZIP archive: end of central directory not found');
+    }
+
+    const entryCount = this.view.getUint16(eocdOffset + 10, true);
+    let offset = this.view.getUint32(eocdOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (this.view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Invalid ZIP archive: corrupt central directory');
+      }
+
+      const flags = this.view.getUint16(offset + 8, true);
+      const method = this.view.getUint16(offset + 10, true);
+      const compressedSize = this.view.getUint32(offset + 20, true);
+      const size = this.view.getUint32(offset + 24, true);
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const localHeaderOffset = this.view.getUint32(offset + 42, true);
+
+      const nameBytes = this.bytes.subarray(offset + 46, offset + 46 + nameLength);
+      const name = ZipReader.decodeFileName(nameBytes, (flags & 0x0800) !== 0);
+
+      entries.push({
+        name,
+        method,
+        compressedSize,
+        size,
+        localHeaderOffset,
+        isDirectory: name.endsWith('/')
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find an entry by path (case-insensitive fallback for sloppy archives)
+   */
+  getEntry(name) {
+    return this.entries.find(entry => entry.name === name) ||
+      this.entries.find(entry => entry.name.toLowerCase() === name.toLowerCase()) ||
+      null;
+  }
+
+  /**
+   * Check whether an entry exists
+   */
+  has(name) {
+    return this.getEntry(name) !== null;
+  }
+
+  /**
+   * Read the uncompressed bytes of an entry
+   */
+  async readBytes(name) {
+    const entry = typeof name === 'string' ? this.getEntry(name) : name;
+    if (!entry) {
+      throw new Error('Entry not found in archive: ' + name);
+    }
+
+    const headerOffset = entry.localHeaderOffset;
+    if (this.view.getUint32(headerOffset, true) !== 0x04034b50) {
+      throw new Error('Invalid ZIP archive: corrupt local header for ' + entry.name);
+    }
+
+    const nameLength = this.view.getUint16(headerOffset + 26, true);
+    const extraLength = this.view.getUint16(headerOffset + 28, true);
+    const dataStart = headerOffset + 30 + nameLength + extraLength;
+    const compressed = this.bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return compressed.slice();
+    }
+
+    if (entry.method === 8) {
+      return await ZipReader.inflateRaw(compressed);
+    }
+
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   */
+  async readText(name) {
+    const bytes = await this.readBytes(name);
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  /**
+   * Inflate raw DEFLATE data using the browser's DecompressionStream
+   */
+  static async inflateRaw(compressed) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser does not support decompressing ZIP archives');
+    }
+
+    const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const arrayBuffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(arrayBuffer);
+  }
+}
+
+/**
+ * Builds a ZIP archive in memory
+ * Entries are deflated with the browser's CompressionStream when it is
+ * available and stored otherwise; entries added with store: true are always
+ * stored (an EPUB's mimetype must be)
+ */
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file; entries are written in the order they are added
+   * @param {string} name - Path inside the archive
+   * @param {string|Uint8Array} data - Strings are written as UTF-8
+   * @param {Object} options
+   * @param {boolean} options.store - Write the entry uncompressed
+   */
+  addFile(name, data, options = {}) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    this.entries.push({ name, bytes, store: options.store === true });
+  }
+
+  static crc32(bytes) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Deflate data with the browser's CompressionStream
+   */
+  static async deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * DOS time and date fields for a timestamp
+   */
+  static dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Write the archive
+   * @returns {Promise<Blob>}
+   */
+  async toBlob(type = 'application/zip') {
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const { time, date } = ZipWriter.dosDateTime(new Date());
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const nameBytes = new TextEncoder().encode(entry.name);
+      const crc = ZipWriter.crc32(entry.bytes);
+      let method = 0;
+      let data = entry.bytes;
+      if (!entry.store && canDeflate) {
+        const deflated = await ZipWriter.deflateRaw(entry.bytes);
+        if (deflated.length < entry.bytes.length) {
+          method = 8;
+          data = deflated;
+        }
+      }
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, method, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, entry.bytes.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      parts.push(header, nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, method, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, entry.bytes.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], { type });
+  }
+}
+
+// Export for use in other modules
+window.ZipReader = ZipReader;
+window.ZipWriter = ZipWriter;